@@ -1,5 +1,8 @@
 "use server"
 
+import { getNullifierEntry } from "@/lib/nullifier-registry"
+import { consumeQuota, releaseQuota, type QuotaStatus } from "@/lib/quota"
+
 export type PlantTreeReply = {
   success: boolean
   tree?: {
@@ -11,8 +14,12 @@ export type PlantTreeReply = {
     coordinates?: { lat: number; lng: number }
   }
   error?: string
+  code?: "invalid_nullifier" | "quota_exceeded"
+  quota?: QuotaStatus
 }
 
+const action = process.env.WLD_ACTION || "plant-tree"
+
 // Mock NGO API endpoints - replace with real NGO APIs
 const NGO_APIS = [
   {
@@ -47,7 +54,26 @@ const TREE_SPECIES = [
   "Bamboo",
 ]
 
-export async function plantTree(userNullifier: string): Promise<PlantTreeReply> {
+export async function plantTree(userNullifier: string, timeZone?: string): Promise<PlantTreeReply> {
+  // Only nullifiers that passed World ID verification get a quota; any other hex string is refused
+  if (!/^0x[0-9a-fA-F]{64}$/.test(userNullifier) || !getNullifierEntry(action, userNullifier)) {
+    return {
+      success: false,
+      code: "invalid_nullifier",
+      error: "Please verify with World ID before planting a tree.",
+    }
+  }
+
+  const { allowed, quota } = consumeQuota(action, userNullifier, timeZone)
+  if (!allowed) {
+    return {
+      success: false,
+      code: "quota_exceeded",
+      error: "You've already planted your tree for today.",
+      quota,
+    }
+  }
+
   try {
     // Simulate API delay
     await new Promise((resolve) => setTimeout(resolve, 2000))
@@ -103,12 +129,14 @@ export async function plantTree(userNullifier: string): Promise<PlantTreeReply>
           plantedDate: apiResponse.planted_date,
           coordinates: apiResponse.coordinates,
         },
+        quota,
       }
     } else {
       throw new Error("NGO API call failed")
     }
   } catch (error) {
     console.error("❌ Tree planting failed:", error)
+    releaseQuota(action, userNullifier)
     return {
       success: false,
       error: "Failed to plant tree. Please try again.",
@@ -2,12 +2,14 @@
 
 import type { VerificationLevel } from "@worldcoin/idkit"
 import { verifyCloudProof } from "@worldcoin/idkit-core/backend"
+import { canVerify, registerNullifier } from "@/lib/nullifier-registry"
 
 export type VerifyReply = {
   success: boolean
   code?: string
   attribute?: string | null
   detail?: string
+  repeat?: boolean
 }
 
 interface IVerifyRequest {
@@ -25,12 +27,30 @@ const action = process.env.WLD_ACTION || "plant-tree"
 
 export async function verify(proof: IVerifyRequest["proof"], signal?: string): Promise<VerifyReply> {
   try {
+    // Refuse known repeats before spending a Developer Portal call on them
+    if (!canVerify(action, proof.nullifier_hash)) {
+      return {
+        success: false,
+        code: "nullifier_reused",
+        detail: "This World ID has already been verified for this action",
+      }
+    }
+
     const verifyRes = await verifyCloudProof(proof, app_id, action, signal)
 
     if (verifyRes.success) {
+      const registration = registerNullifier(action, proof.nullifier_hash, proof.verification_level)
+      if (!registration.accepted) {
+        return {
+          success: false,
+          code: "nullifier_reused",
+          detail: "This World ID has already been verified for this action",
+        }
+      }
+
       // Log successful verification
       console.log("✅ World ID verification successful for tree planting")
-      return { success: true }
+      return { success: true, repeat: registration.repeat }
     } else {
       console.error("❌ World ID verification failed:", verifyRes)
       return {
@@ -1,9 +1,30 @@
 import { NextRequest, NextResponse } from 'next/server'
+import { backendErrorResponse, backendRequest } from '@/lib/backend'
+import { SWAP_SIMULATION_MODE, simulateExecution } from '@/lib/swap-simulation'
+
+// Relay intent from the backend: unsigned approve/swap transactions for the wallet to sign
+type RelayIntent = {
+  id: string
+  kind: string
+  from: string
+  status: string
+  transactions: Array<{ label: string; to: string; data: string; value: string; nonce: number }>
+  expiresAt: string
+  // Aggregate of the swaps the order was split into to stay under the max price impact
+  fill: {
+    orders: number
+    inputAmount: string
+    expectedOutput: string
+    minOutput: string
+    averageRate: string
+    priceImpact: string
+  } | null
+}
 
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json()
-    const { from, to, amount, recipient } = body
+    const { from, to, amount, recipient, quoteId, address } = body
 
     if (!from || !to || !amount || !recipient) {
       return NextResponse.json(
@@ -27,55 +48,39 @@ export async function POST(request: NextRequest) {
       )
     }
 
-    // Mock exchange rate
-    const wldToUsdcRate = 2.5
-    const usdcAmount = wldAmount * wldToUsdcRate
-
-    // Mock swap execution
-    const swapResult = {
-      success: true,
-      transactionHash: `0x${Math.random().toString(16).substring(2, 66)}`,
-      from: 'WLD',
-      to: 'USDC',
-      fromAmount: wldAmount,
-      toAmount: usdcAmount,
-      rate: wldToUsdcRate,
-      fee: 0.003,
-      gasUsed: '0.001',
-      blockNumber: Math.floor(Math.random() * 1000000) + 18000000,
-      timestamp: new Date().toISOString(),
+    if (SWAP_SIMULATION_MODE) {
+      return NextResponse.json(await simulateExecution(wldAmount))
     }
 
-    // Mock donation to Rainforest Foundation
-    const donationResult = {
-      success: true,
-      donationId: `DON_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      recipient: 'Rainforest Foundation US',
-      amount: usdcAmount,
-      currency: 'USDC',
-      treePlanted: true,
-      treeId: `TREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      location: 'Amazon Rainforest, Brazil',
-      species: 'Mahogany',
-      plantedDate: new Date().toISOString(),
-      message: 'Tree planted in your name through HumaniTree donation',
+    // Live swaps execute a firm quote; the amounts come from the quote, not the request
+    if (!quoteId || !address) {
+      return NextResponse.json(
+        { error: 'Missing required parameters: quoteId, address', message: 'Get a quote from /api/swap/quote and pass its quoteId with the wallet address that will sign' },
+        { status: 400 }
+      )
     }
 
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 2000))
+    const idempotencyKey = request.headers.get('idempotency-key')
+    const intent = await backendRequest<RelayIntent>('/api/swap/execute', {
+      method: 'POST',
+      body: { quoteId, from: address },
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    })
 
     return NextResponse.json({
       success: true,
-      swap: swapResult,
-      donation: donationResult,
-      message: 'WLD successfully converted to USDC and donated to Rainforest Foundation. A tree has been planted in your name!',
-    })
+      simulated: false,
+      quoteId,
+      intentId: intent.id,
+      status: intent.status,
+      transactions: intent.transactions,
+      fill: intent.fill,
+      expiresAt: intent.expiresAt,
+      message: `Sign the ${intent.transactions.length} transaction(s) in order and submit them to the backend relay at /api/relay/${intent.id}`,
+    }, { status: 201 })
 
   } catch (error) {
     console.error('Swap execute error:', error)
-    return NextResponse.json(
-      { error: 'Failed to execute swap' },
-      { status: 500 }
-    )
+    return backendErrorResponse(error, 'Failed to execute swap')
   }
-} 
\ No newline at end of file
+}
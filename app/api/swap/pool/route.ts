@@ -1,43 +1,54 @@
 import { NextRequest, NextResponse } from 'next/server'
+import { backendErrorResponse, backendRequest } from '@/lib/backend'
+
+// Pool numbers come from the backend's pool analytics (indexed SimpleDEX events)
+
+type WindowVolume = { usdc: string; swaps: number }
+type WindowFees = { wld: string; usdc: string; valueUsdc: string }
+
+type PoolAnalytics = {
+  pair: string
+  lastIndexedBlock: number
+  price: { wld: string; usdc: string }
+  liquidity: { wld: string; usdc: string; totalUsdc: string }
+  feeBasisPoints: number
+  volume: Record<'24h' | '7d' | '30d', WindowVolume>
+  fees: Record<'24h' | '7d' | '30d', WindowFees>
+  change: Record<'1h' | '24h' | '7d' | '30d', number | null>
+  updatedAt: string
+}
+
+const WINDOWS = ['24h', '7d', '30d'] as const
 
 export async function GET(request: NextRequest) {
   try {
-    // Mock pool information for WLD/USDC
+    const analytics = await backendRequest<PoolAnalytics>('/api/swap/pool/analytics')
+
     const poolInfo = {
-      pair: 'WLD/USDC',
+      pair: analytics.pair,
       liquidity: {
-        wld: 1250000, // 1.25M WLD
-        usdc: 3125000, // 3.125M USDC
-        total: 4375000, // Total liquidity in USD
-      },
-      volume: {
-        '24h': 125000, // 24h volume in USD
-        '7d': 875000,  // 7d volume in USD
-        '30d': 3750000, // 30d volume in USD
+        wld: parseFloat(analytics.liquidity.wld),
+        usdc: parseFloat(analytics.liquidity.usdc),
+        total: parseFloat(analytics.liquidity.totalUsdc), // Total liquidity in USD
       },
+      volume: Object.fromEntries(WINDOWS.map((window) => [window, parseFloat(analytics.volume[window].usdc)])),
+      swaps: Object.fromEntries(WINDOWS.map((window) => [window, analytics.volume[window].swaps])),
       fees: {
-        swap: 0.003, // 0.3% swap fee
-        protocol: 0.0005, // 0.05% protocol fee
-        lp: 0.0025, // 0.25% LP fee
+        swap: analytics.feeBasisPoints / 10000, // All swap fees go to LPs
+        earned: Object.fromEntries(WINDOWS.map((window) => [window, parseFloat(analytics.fees[window].valueUsdc)])),
       },
       price: {
-        wld: 2.5, // 1 WLD = 2.5 USDC
-        usdc: 0.4, // 1 USDC = 0.4 WLD
-      },
-      change: {
-        '1h': 0.02, // +2% in last hour
-        '24h': -0.05, // -5% in last 24h
-        '7d': 0.15, // +15% in last 7 days
+        wld: parseFloat(analytics.price.wld), // USDC per WLD
+        usdc: parseFloat(analytics.price.usdc), // WLD per USDC
       },
-      lastUpdated: new Date().toISOString(),
+      change: analytics.change,
+      lastIndexedBlock: analytics.lastIndexedBlock,
+      lastUpdated: analytics.updatedAt,
     }
 
     return NextResponse.json(poolInfo)
   } catch (error) {
     console.error('Pool info error:', error)
-    return NextResponse.json(
-      { error: 'Failed to get pool information' },
-      { status: 500 }
-    )
+    return backendErrorResponse(error, 'Failed to get pool information')
   }
-} 
\ No newline at end of file
+}
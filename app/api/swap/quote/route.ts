@@ -1,4 +1,29 @@
 import { NextRequest, NextResponse } from 'next/server'
+import { backendErrorResponse, backendRequest } from '@/lib/backend'
+import { SWAP_SIMULATION_MODE, simulateQuote } from '@/lib/swap-simulation'
+
+// Firm quote from the backend SwapService (amounts as decimal strings, slippage and impact in basis points)
+type BackendQuote = {
+  id?: string
+  direction: string
+  tokenIn: string
+  tokenOut: string
+  exactOutput?: boolean
+  inputAmount: string | number
+  maxInput?: string
+  expectedOutput: string
+  minOutput: string
+  exchangeRate: string
+  priceImpact: string | null
+  feeBasisPoints: number
+  slippage: number
+  blockNumber: number
+  venue?: string
+  trees?: number
+  impact?: { treesPlanted: number } | null
+  expiresAt?: string
+  signature?: string
+}
 
 export async function GET(request: NextRequest) {
   try {
@@ -6,10 +31,13 @@ export async function GET(request: NextRequest) {
     const from = searchParams.get('from')
     const to = searchParams.get('to')
     const amount = searchParams.get('amount')
+    const trees = searchParams.get('trees')
+    const slippage = searchParams.get('slippage') // basis points, backend default when omitted
+    const address = searchParams.get('address') // wallet that will execute the quote
 
-    if (!from || !to || !amount) {
+    if (!from || !to || (!amount && !trees)) {
       return NextResponse.json(
-        { error: 'Missing required parameters: from, to, amount' },
+        { error: 'Missing required parameters: from, to, and amount or trees' },
         { status: 400 }
       )
     }
@@ -21,39 +49,62 @@ export async function GET(request: NextRequest) {
       )
     }
 
-    const wldAmount = parseFloat(amount)
-    if (isNaN(wldAmount) || wldAmount <= 0) {
+    const treeCount = trees ? Number(trees) : null
+    if (treeCount !== null && (!Number.isInteger(treeCount) || treeCount <= 0)) {
+      return NextResponse.json(
+        { error: 'Invalid trees' },
+        { status: 400 }
+      )
+    }
+
+    const wldAmount = treeCount ? null : parseFloat(amount!)
+    if (wldAmount !== null && (isNaN(wldAmount) || wldAmount <= 0)) {
       return NextResponse.json(
         { error: 'Invalid amount' },
         { status: 400 }
       )
     }
 
-    // Mock exchange rate (in real implementation, this would come from a DEX or price feed)
-    const wldToUsdcRate = 2.5 // 1 WLD = 2.5 USDC (mock rate)
-    const usdcAmount = wldAmount * wldToUsdcRate
-
-    // Mock swap quote with fees and slippage
-    const quote = {
-      from: 'WLD',
-      to: 'USDC',
-      fromAmount: wldAmount,
-      toAmount: usdcAmount,
-      rate: wldToUsdcRate,
-      usdcAmount: usdcAmount.toFixed(2),
-      fee: 0.003, // 0.3% fee
-      feeAmount: (wldAmount * 0.003).toFixed(4),
-      slippage: 0.005, // 0.5% slippage
-      estimatedGas: '0.001', // ETH gas estimate
-      validUntil: new Date(Date.now() + 5 * 60 * 1000).toISOString(), // 5 minutes
+    if (SWAP_SIMULATION_MODE) {
+      return NextResponse.json(simulateQuote(treeCount ? { trees: treeCount } : { amount: wldAmount! }))
     }
 
-    return NextResponse.json(quote)
+    const quote = await backendRequest<BackendQuote>('/api/swap/quote', {
+      query: {
+        direction: 'WLD_TO_USDC',
+        ...(treeCount ? { trees: treeCount } : { amount: wldAmount }),
+        slippage,
+        from: address,
+      },
+    })
+
+    const fromAmount = parseFloat(String(quote.inputAmount))
+    const toAmount = parseFloat(quote.expectedOutput)
+    const fee = quote.feeBasisPoints / 10000
+
+    return NextResponse.json({
+      simulated: false,
+      quoteId: quote.id ?? null, // Pass to /api/swap/execute
+      from: quote.tokenIn,
+      to: quote.tokenOut,
+      fromAmount,
+      maxFromAmount: quote.exactOutput ? parseFloat(quote.maxInput!) : fromAmount,
+      toAmount,
+      minToAmount: parseFloat(quote.minOutput),
+      trees: quote.trees ?? quote.impact?.treesPlanted ?? null,
+      rate: parseFloat(quote.exchangeRate),
+      usdcAmount: toAmount.toFixed(2),
+      fee,
+      feeAmount: (fromAmount * fee).toFixed(4),
+      slippage: quote.slippage / 10000,
+      priceImpact: Number(quote.priceImpact) / 10000,
+      venue: quote.venue ?? 'simpledex',
+      blockNumber: quote.blockNumber,
+      validUntil: quote.expiresAt ?? null,
+      signature: quote.signature ?? null,
+    })
   } catch (error) {
     console.error('Swap quote error:', error)
-    return NextResponse.json(
-      { error: 'Failed to get swap quote' },
-      { status: 500 }
-    )
+    return backendErrorResponse(error, 'Failed to get swap quote')
   }
-} 
\ No newline at end of file
+}
@@ -3,6 +3,7 @@
 import { MiniKit, VerifyCommandInput, VerificationLevel, ISuccessResult } from "@worldcoin/minikit-js"
 import { IDKitWidget, VerificationLevel as IDKitVerificationLevel, type ISuccessResult as IDKitSuccessResult } from "@worldcoin/idkit"
 import { plantTree } from "./actions/plant-tree"
+import { verify } from "./actions/verify"
 import { useState, useEffect } from "react"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
@@ -25,6 +26,7 @@ export default function TreePlanterApp() {
   const [showSuccessMessage, setShowSuccessMessage] = useState(false)
   const [showDonationModal, setShowDonationModal] = useState(false)
   const [donationAmount, setDonationAmount] = useState("")
+  const [donationMode, setDonationMode] = useState<"wld" | "trees">("wld")
   const [isDonating, setIsDonating] = useState(false)
   const [swapQuote, setSwapQuote] = useState<any>(null)
   const [donationSuccess, setDonationSuccess] = useState(false)
@@ -66,7 +68,7 @@ export default function TreePlanterApp() {
     checkWorldAppEnvironment()
   }, [])
 
-  // Get swap quote when donation amount changes
+  // Get swap quote when donation amount or mode changes
   useEffect(() => {
     if (donationAmount && parseFloat(donationAmount) > 0) {
       const timeoutId = setTimeout(() => {
@@ -77,7 +79,7 @@ export default function TreePlanterApp() {
     } else {
       setSwapQuote(null)
     }
-  }, [donationAmount])
+  }, [donationAmount, donationMode])
 
   const saveUserData = (data: any) => {
     localStorage.setItem("treePlanter_userData", JSON.stringify(data))
@@ -105,22 +107,12 @@ export default function TreePlanterApp() {
   const handleIDKitProof = async (result: IDKitSuccessResult) => {
     console.log("Proof received from IDKit:\n", JSON.stringify(result))
     
-    // Send proof to backend for verification
-    const verifyResponse = await fetch("/api/verify", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        payload: result,
-        action: "plant-tree",
-        signal: undefined,
-      }),
-    })
-    
-    const verifyResponseJson = await verifyResponse.json()
-    if (verifyResponseJson.status === 200) {
-      console.log("Successful response from backend:\n", JSON.stringify(verifyResponseJson))
+    // Verify on the server, which registers the nullifier plantTree checks
+    const verifyResult = await verify(result)
+    if (verifyResult.success) {
+      console.log("Successful response from backend:\n", JSON.stringify(verifyResult))
     } else {
-      throw new Error(`Verification failed: ${verifyResponseJson.verifyRes?.detail || 'Unknown error'}`)
+      throw new Error(`Verification failed: ${verifyResult.detail || 'Unknown error'}`)
     }
   }
 
@@ -148,19 +140,9 @@ export default function TreePlanterApp() {
         }
 
         console.log("Verification successful, sending to backend...")
-        // Send proof to backend for verification
-        const verifyResponse = await fetch("/api/verify", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            payload: finalPayload as ISuccessResult,
-            action: "plant-tree",
-            signal: undefined,
-          }),
-        })
-        
-        const verifyResponseJson = await verifyResponse.json()
-        if (verifyResponseJson.status === 200) {
+        // Verify on the server, which registers the nullifier plantTree checks
+        const verifyResult = await verify(finalPayload as ISuccessResult)
+        if (verifyResult.success) {
           // Success! Update state and show success message
           setIsVerified(true)
           setUserNullifier(finalPayload.nullifier_hash)
@@ -179,7 +161,7 @@ export default function TreePlanterApp() {
           
           console.log("Verification success! User can now plant trees.")
         } else {
-          alert("Verification failed on backend. Please try again.")
+          alert(`Verification failed: ${verifyResult.detail || "Please try again."}`)
         }
       } else {
         // Fallback: Open IDKitWidget for external browser
@@ -204,7 +186,21 @@ export default function TreePlanterApp() {
     setIsPlanting(true)
 
     try {
-      const result = await plantTree(userNullifier)
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+      const result = await plantTree(userNullifier, timeZone)
+      if (result.code === "quota_exceeded" && result.quota) {
+        const hours = Math.ceil(result.quota.retryAfterSeconds / 3600)
+        alert(`You've planted today's tree. Come back in ${hours}h 🌱`)
+        return
+      }
+      if (!result.success) {
+        // A stored verification the server doesn't know has to be redone
+        if (result.code === "invalid_nullifier") {
+          setIsVerified(false)
+        }
+        alert(result.error || "Failed to plant tree. Please try again.")
+        return
+      }
       if (result.success) {
         const newTreeCount = treesPlanted + 1
         setTreesPlanted(newTreeCount)
@@ -224,16 +220,30 @@ export default function TreePlanterApp() {
       }
     } catch (error) {
       console.error("Failed to plant tree:", error)
+      alert("Failed to plant tree. Please try again.")
     } finally {
       setIsPlanting(false)
     }
   }
 
   // Donation functions
+  // Backend errors (e.g. 400 QUOTE_REQUIRED, 409 QUOTE_STALE) are thrown with their message
+  const readResponse = async (response: Response, fallback: string) => {
+    const data = await response.json()
+    if (!response.ok || data.success === false) {
+      throw new Error(data.message || data.error || fallback)
+    }
+    return data
+  }
+
+  // In trees mode the input is a tree count and the quote returns the WLD needed
   const getSwapQuote = async (amount: string) => {
     try {
-      const response = await fetch(`/api/swap/quote?from=WLD&to=USDC&amount=${amount}`)
-      const data = await response.json()
+      const param = donationMode === "trees" ? `trees=${amount}` : `amount=${amount}`
+      // Live quotes are issued to the wallet that will execute them
+      const address = MiniKit.user?.walletAddress ? `&address=${MiniKit.user.walletAddress}` : ""
+      const response = await fetch(`/api/swap/quote?from=WLD&to=USDC&${param}${address}`)
+      const data = await readResponse(response, "Could not get a swap quote")
       setSwapQuote(data)
       return data
     } catch (error) {
@@ -251,11 +261,10 @@ export default function TreePlanterApp() {
           from: "WLD",
           to: "USDC",
           amount: amount,
-          recipient: "0x1234567890123456789012345678901234567890" // Rainforest Foundation address
+          recipient: "0x1234567890123456789012345678901234567890", // Rainforest Foundation address
         })
       })
-      const data = await response.json()
-      return data
+      return await readResponse(response, "Swap failed")
     } catch (error) {
       console.error("Failed to execute swap:", error)
       throw error
@@ -273,11 +282,22 @@ export default function TreePlanterApp() {
     try {
       // Get swap quote
       const quote = await getSwapQuote(donationAmount)
-      
-      // Execute swap and donation
-      const result = await executeSwap(donationAmount)
-      
-      if (result.success) {
+
+      // A live execute only returns unsigned transactions for the wallet to sign and relay,
+      // which this modal can't do, so it stops at the quote and never reports those as donated
+      if (!quote.simulated) {
+        alert(
+          `Quote ready: ${Number(quote.fromAmount).toFixed(4)} WLD → ${quote.usdcAmount} USDC. ` +
+          "Live donations are signed in your wallet and can't be completed from this screen yet."
+        )
+        return
+      }
+
+      // Execute swap and donation (for a tree count, send the WLD the quote says is needed)
+      const wldAmount = donationMode === "trees" ? String(quote.maxFromAmount) : donationAmount
+      const result = await executeSwap(wldAmount)
+
+      if (result.success && result.donation) {
         setDonationSuccess(true)
         setTimeout(() => {
           setDonationSuccess(false)
@@ -287,7 +307,7 @@ export default function TreePlanterApp() {
       }
     } catch (error) {
       console.error("Donation failed:", error)
-      alert("Donation failed. Please try again.")
+      alert(error instanceof Error && error.message ? error.message : "Donation failed. Please try again.")
     } finally {
       setIsDonating(false)
     }
@@ -361,31 +381,68 @@ export default function TreePlanterApp() {
 
               {/* Donation Form */}
               <div className="space-y-4 mb-6">
+                {/* Amount Mode Toggle */}
+                <div className="flex bg-gray-800 rounded-lg p-1 border border-gray-700">
+                  {(["wld", "trees"] as const).map((mode) => (
+                    <button
+                      key={mode}
+                      onClick={() => {
+                        setDonationMode(mode)
+                        setDonationAmount("")
+                      }}
+                      className={`flex-1 rounded-md py-2 text-sm font-medium transition-colors ${
+                        donationMode === mode ? "bg-purple-600 text-white" : "text-gray-400 hover:text-white"
+                      }`}
+                    >
+                      {mode === "wld" ? "WLD amount" : "Number of trees"}
+                    </button>
+                  ))}
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2 text-left">
-                    WLD Amount
+                    {donationMode === "trees" ? "Trees to Plant" : "WLD Amount"}
                   </label>
                   <div className="relative">
                     <input
                       type="number"
+                      min={donationMode === "trees" ? 1 : undefined}
+                      step={donationMode === "trees" ? 1 : undefined}
                       value={donationAmount}
                       onChange={(e) => setDonationAmount(e.target.value)}
-                      placeholder="0.0"
+                      placeholder={donationMode === "trees" ? "1" : "0.0"}
                       className="w-full bg-gray-800 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                     />
-                    <div className="absolute right-3 top-3 text-gray-400 text-sm">WLD</div>
+                    <div className="absolute right-3 top-3 text-gray-400 text-sm">
+                      {donationMode === "trees" ? "TREES" : "WLD"}
+                    </div>
                   </div>
                 </div>
 
                 {/* Swap Quote Display */}
-                {swapQuote && (
+                {swapQuote && !swapQuote.error && (
                   <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-700">
+                    {donationMode === "trees" && (
+                      <div className="flex justify-between items-center text-sm mb-1">
+                        <span className="text-gray-300">WLD needed:</span>
+                        <span className="text-purple-400 font-medium">
+                          {Number(swapQuote.fromAmount).toFixed(4)} WLD
+                          <span className="text-gray-500 text-xs ml-1">
+                            (up to {Number(swapQuote.maxFromAmount).toFixed(4)})
+                          </span>
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center text-sm">
                       <span className="text-gray-300">You'll receive:</span>
                       <span className="text-green-400 font-medium">
                         {swapQuote.usdcAmount} USDC
                       </span>
                     </div>
+                    <div className="flex justify-between items-center text-sm mt-1">
+                      <span className="text-gray-300">Trees planted:</span>
+                      <span className="text-green-400">🌳 {swapQuote.trees}</span>
+                    </div>
                     <div className="flex justify-between items-center text-sm mt-1">
                       <span className="text-gray-300">Exchange rate:</span>
                       <span className="text-blue-400">
@@ -0,0 +1,109 @@
+const express = require('express');
+const request = require('supertest');
+const { MemoryStore } = require('../storage');
+const { createIdempotencyMiddleware, fingerprintRequest } = require('../middleware/idempotency');
+
+/**
+ * App with one idempotent endpoint whose behaviour each test scripts
+ * @param {Function} handler - Route handler
+ * @returns {Object} {app, store}
+ */
+const createApp = (handler) => {
+  const store = new MemoryStore({ keyField: 'key' });
+  const app = express();
+  app.use(express.json());
+  app.post('/donate', createIdempotencyMiddleware({ store }), handler);
+  return { app, store };
+};
+
+describe('idempotency middleware', () => {
+  test('replays the stored response for a retried key', async () => {
+    let calls = 0;
+    const { app } = createApp((req, res) => res.status(201).json({ success: true, call: ++calls }));
+
+    const first = await request(app).post('/donate').set('Idempotency-Key', 'k1').send({ amount: 5 });
+    const retry = await request(app).post('/donate').set('Idempotency-Key', 'k1').send({ amount: 5 });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  test('rejects a key reused with a different payload', async () => {
+    const { app } = createApp((req, res) => res.status(201).json({ success: true }));
+
+    await request(app).post('/donate').set('Idempotency-Key', 'k2').send({ amount: 5 });
+    const reused = await request(app).post('/donate').set('Idempotency-Key', 'k2').send({ amount: 6 });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.errorCode).toBe('IDEMPOTENCY_KEY_MISMATCH');
+  });
+
+  test('runs the handler once for concurrent duplicates and replays to the rest', async () => {
+    let calls = 0;
+    const { app } = createApp((req, res) => {
+      calls++;
+      setTimeout(() => res.status(201).json({ success: true, call: calls }), 50);
+    });
+
+    const responses = await Promise.all([1, 2, 3].map(() =>
+      request(app).post('/donate').set('Idempotency-Key', 'k3').send({ amount: 5 })));
+
+    expect(calls).toBe(1);
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201]);
+    expect(new Set(responses.map(response => response.body.call))).toEqual(new Set([1]));
+  });
+
+  test('settles duplicates waiting on a response sent without res.json', async () => {
+    let calls = 0;
+    const { app } = createApp((req, res) => {
+      calls++;
+      setTimeout(() => res.status(202).send('accepted'), 50);
+    });
+
+    const responses = await Promise.all([1, 2].map(() =>
+      request(app).post('/donate').set('Idempotency-Key', 'k4').send({})));
+
+    expect(calls).toBe(1);
+    expect(responses.map(response => response.status)).toEqual([202, 202]);
+  });
+
+  test('does not keep server errors, so a retry runs again', async () => {
+    let calls = 0;
+    const { app } = createApp((req, res) => {
+      calls++;
+      if (calls === 1) return res.status(503).json({ success: false, error: 'RPC unavailable' });
+      res.status(201).json({ success: true });
+    });
+
+    const failed = await request(app).post('/donate').set('Idempotency-Key', 'k5').send({});
+    const retry = await request(app).post('/donate').set('Idempotency-Key', 'k5').send({});
+
+    expect(failed.status).toBe(503);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  test('reports an interrupted request as unknown until it expires', async () => {
+    const { app, store } = createApp((req, res) => res.status(201).json({ success: true }));
+    // Left in progress by a previous process
+    const key = 'POST /donate k6';
+    store.put({
+      key,
+      fingerprint: fingerprintRequest({ method: 'POST', path: '/donate', body: {} }),
+      state: 'in_progress',
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+    const unknown = await request(app).post('/donate').set('Idempotency-Key', 'k6').send({});
+    expect(unknown.status).toBe(409);
+    expect(unknown.body.errorCode).toBe('IDEMPOTENCY_OUTCOME_UNKNOWN');
+
+    store.update(key, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const rerun = await request(app).post('/donate').set('Idempotency-Key', 'k6').send({});
+    expect(rerun.status).toBe(201);
+  });
+});
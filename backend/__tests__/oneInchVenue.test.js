@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+const OneInchVenue = require('../venues/oneInchVenue');
+const { createOneInchStub } = require('../scripts/oneinch-stub');
+
+const WLD = { symbol: 'WLD', address: process.env.MOCK_WLD_CONTRACT || '0xF99885B2C5284825e735Bc920E314dd01Ae2E17a', decimals: 18 };
+const USDC = { symbol: 'USDC', address: '0x8B0180f2101c8260d49339abfEe87927412494B4', decimals: 6 };
+const OTHER = '0x000000000000000000000000000000000000dEaD';
+const FROM = ethers.getAddress('0x70997970c51812dc3a010c7d01b50e0d17dc79c8');
+const SLIPPAGE = 100;
+
+let server;
+let venue;
+
+beforeAll(async () => {
+  server = await new Promise(resolve => {
+    const listening = createOneInchStub({ apiKey: '' }).listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  venue = new OneInchVenue({ chainId: 80002, apiUrl: `http://127.0.0.1:${server.address().port}` });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Swap parameters for 10 WLD at the stub's price, with the minimum the stub will quote back
+ * @returns {Promise<Object>} buildSwap params
+ */
+const swapParams = async () => {
+  const amountInWei = ethers.parseEther('10');
+  const quote = await venue.quote({ tokenIn: WLD, tokenOut: USDC, amountInWei });
+  return {
+    tokenIn: WLD,
+    tokenOut: USDC,
+    amountInWei,
+    minOutputWei: quote.amountOutWei * BigInt(10000 - SLIPPAGE) / 10000n,
+    slippage: SLIPPAGE,
+    from: FROM
+  };
+};
+
+/**
+ * Pass the stub's /swap response through an edit before the venue sees it
+ * @param {Function} edit - (tx) => calldata to return instead
+ */
+const tamperSwap = (edit) => {
+  const request = venue.request.bind(venue);
+  jest.spyOn(venue, 'request').mockImplementation(async (path, params) => {
+    const body = await request(path, params);
+    return path === '/swap' ? { ...body, tx: { ...body.tx, data: edit(body.tx) } } : body;
+  });
+};
+
+/**
+ * Re-encode the stub's swap() call with some description fields replaced
+ * @param {Object} changes - Fields of desc to override
+ * @returns {Function} Edit for tamperSwap
+ */
+const editDesc = (changes) => (tx) => {
+  const call = venue.router.parseTransaction({ data: tx.data });
+  const desc = { ...call.args.desc.toObject(), ...changes };
+  return venue.router.encodeFunctionData('swap', [call.args.executor, desc, call.args.data]);
+};
+
+describe('OneInchVenue.buildSwap', () => {
+  test('builds a swap the stub prices for the signer', async () => {
+    const params = await swapParams();
+    const built = await venue.buildSwap(params);
+    const decoded = venue.decodeSwap(built.data, FROM);
+
+    expect(built.to).toBe(built.spender);
+    expect(built.value).toBe(0n);
+    expect(decoded).toMatchObject({
+      method: 'swap',
+      srcToken: ethers.getAddress(WLD.address),
+      dstToken: ethers.getAddress(USDC.address),
+      receiver: FROM,
+      amountInWei: params.amountInWei
+    });
+    expect(decoded.minReturnWei).toBeGreaterThanOrEqual(params.minOutputWei);
+  });
+
+  test('accepts an unoswap call that spends the input token', async () => {
+    const params = await swapParams();
+    tamperSwap(() => venue.router.encodeFunctionData('unoswap', [WLD.address, params.amountInWei, params.minOutputWei, 0n]));
+
+    const built = await venue.buildSwap(params);
+    expect(venue.decodeSwap(built.data, FROM).method).toBe('unoswap');
+  });
+
+  test('refuses a swap that pays another receiver', async () => {
+    tamperSwap(editDesc({ dstReceiver: OTHER }));
+
+    await expect(venue.buildSwap(await swapParams())).rejects.toThrow(`pays ${OTHER}`);
+  });
+
+  test('refuses a swap that spends another amount', async () => {
+    const params = await swapParams();
+    tamperSwap(editDesc({ amount: params.amountInWei * 2n }));
+
+    await expect(venue.buildSwap(params)).rejects.toThrow('not the quoted');
+  });
+
+  test('refuses a minimum return below the quoted minimum', async () => {
+    const params = await swapParams();
+
+    await expect(venue.buildSwap({ ...params, minOutputWei: params.minOutputWei * 2n })).rejects.toThrow('below the quoted minimum');
+  });
+
+  test.each([
+    ['input', { srcToken: OTHER }, 'spends'],
+    ['output', { dstToken: OTHER }, 'buys']
+  ])('refuses a swap with another %s token', async (label, changes, message) => {
+    tamperSwap(editDesc(changes));
+
+    await expect(venue.buildSwap(await swapParams())).rejects.toThrow(`${message} ${OTHER}`);
+  });
+
+  test('refuses an unoswap call that spends another token', async () => {
+    const params = await swapParams();
+    tamperSwap(() => venue.router.encodeFunctionData('unoswap', [OTHER, params.amountInWei, params.minOutputWei, 0n]));
+
+    await expect(venue.buildSwap(params)).rejects.toThrow(`spends ${OTHER}`);
+  });
+
+  test('refuses calldata for an unknown router method', async () => {
+    tamperSwap(() => '0xdeadbeef' + '00'.repeat(64));
+
+    await expect(venue.buildSwap(await swapParams())).rejects.toThrow('unsupported router method (0xdeadbeef)');
+  });
+});
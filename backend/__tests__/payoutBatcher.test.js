@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+const { PayoutBatcher, hashPledge, buildLayers, buildProof, verifyPledgeProof } = require('../payoutBatcher');
+
+const pledge = (n) => ({
+  donationId: `donation_${n}`,
+  donor: ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`),
+  amountWei: ethers.parseUnits(String(n), 6).toString()
+});
+
+const batchOf = (size) => {
+  const leaves = Array.from({ length: size }, (_, i) => hashPledge(pledge(i + 1)));
+  const layers = buildLayers(leaves);
+  return { leaves, layers, root: layers[layers.length - 1][0] };
+};
+
+describe('payout Merkle proofs', () => {
+  test.each([1, 2, 3, 5, 8])('every pledge in a batch of %i verifies against the root', (size) => {
+    const { leaves, layers, root } = batchOf(size);
+
+    leaves.forEach((leaf, index) => {
+      expect(verifyPledgeProof(leaf, buildProof(layers, index), root)).toBe(true);
+    });
+  });
+
+  test('a single-pledge batch has its leaf as the root and an empty proof', () => {
+    const { leaves, layers, root } = batchOf(1);
+
+    expect(root).toBe(leaves[0]);
+    expect(buildProof(layers, 0)).toEqual([]);
+  });
+
+  test('rejects a pledge outside the batch', () => {
+    const { layers, root } = batchOf(5);
+
+    expect(verifyPledgeProof(hashPledge(pledge(6)), buildProof(layers, 0), root)).toBe(false);
+  });
+
+  test('rejects a pledge with a changed amount', () => {
+    const { layers, root } = batchOf(5);
+    const tampered = { ...pledge(3), amountWei: ethers.parseUnits('300', 6).toString() };
+
+    expect(verifyPledgeProof(hashPledge(tampered), buildProof(layers, 2), root)).toBe(false);
+  });
+
+  test('rejects a proof checked against another batch root', () => {
+    const { leaves, layers } = batchOf(4);
+    const other = batchOf(5);
+
+    expect(verifyPledgeProof(leaves[1], buildProof(layers, 1), other.root)).toBe(false);
+  });
+
+  test('compares roots case-insensitively', () => {
+    const { leaves, layers, root } = batchOf(3);
+
+    expect(verifyPledgeProof(leaves[2], buildProof(layers, 2), root.toUpperCase().replace('0X', '0x'))).toBe(true);
+  });
+});
+
+describe('PayoutBatcher collection wallet', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('refuses to start without PAYOUT_WALLET_PK, even when USER_WALLET_PK is set', () => {
+    delete process.env.PAYOUT_WALLET_PK;
+    process.env.USER_WALLET_PK = ethers.Wallet.createRandom().privateKey;
+
+    expect(() => new PayoutBatcher({ treePurchaseService: { provider: null } }))
+      .toThrow('PAYOUT_WALLET_PK is required when PAYOUT_MODE=batched');
+  });
+});
@@ -0,0 +1,115 @@
+const { ethers } = require('ethers');
+const { swapService, SwapDirection } = require('../swapService');
+const { PriceImpactPolicy, ImpactAction } = require('../priceImpactPolicy');
+
+const WLD_RESERVE = ethers.parseEther('1000');
+const USDC_RESERVE = ethers.parseUnits('2500', 6);
+const MAX_IMPACT_BPS = 300;
+
+const impactOf = (amountIn, reserveIn = WLD_RESERVE, reserveOut = USDC_RESERVE) => swapService.calculatePriceImpact(
+  reserveIn, reserveOut, amountIn, swapService.calculateAmountOut(amountIn, reserveIn, reserveOut), 18
+);
+
+beforeEach(() => {
+  jest.spyOn(swapService, 'getReserves').mockResolvedValue({ reserve0: WLD_RESERVE, reserve1: USDC_RESERVE, blockNumber: 100 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('swapService.getMaxInputForImpact', () => {
+  test('returns the largest input within the limit', () => {
+    const max = swapService.getMaxInputForImpact(WLD_RESERVE, USDC_RESERVE, 18, MAX_IMPACT_BPS);
+
+    expect(max).toBeGreaterThan(0n);
+    expect(impactOf(max)).toBeLessThanOrEqual(BigInt(MAX_IMPACT_BPS));
+    expect(impactOf(max + 1n)).toBeGreaterThan(BigInt(MAX_IMPACT_BPS));
+  });
+
+  test('grows with the limit', () => {
+    const tight = swapService.getMaxInputForImpact(WLD_RESERVE, USDC_RESERVE, 18, 100);
+    const loose = swapService.getMaxInputForImpact(WLD_RESERVE, USDC_RESERVE, 18, 1000);
+
+    expect(loose).toBeGreaterThan(tight);
+  });
+});
+
+describe('swapService.planOrders', () => {
+  test('fills an order under the limit in one swap', async () => {
+    const amountIn = ethers.parseEther('1');
+    const planned = await swapService.planOrders(amountIn, { maxImpactBps: MAX_IMPACT_BPS, maxOrders: 5 });
+
+    expect(planned.orders).toHaveLength(1);
+    expect(planned.filledWei).toBe(amountIn);
+    expect(planned.unfilledWei).toBe(0n);
+    expect(planned.blockNumber).toBe(100);
+  });
+
+  test('splits a large order into swaps that each stay under the limit', async () => {
+    const amountIn = ethers.parseEther('40');
+    const planned = await swapService.planOrders(amountIn, { maxImpactBps: MAX_IMPACT_BPS, maxOrders: 5 });
+
+    expect(planned.orders.length).toBeGreaterThan(1);
+    expect(planned.orders.reduce((sum, order) => sum + order.amountInWei, 0n)).toBe(amountIn);
+    expect(planned.unfilledWei).toBe(0n);
+    for (const order of planned.orders) {
+      expect(order.priceImpact).toBeLessThanOrEqual(BigInt(MAX_IMPACT_BPS));
+      expect(order.minOutputWei).toBeLessThan(order.expectedOutputWei);
+    }
+  });
+
+  test('simulates each swap against the reserves the previous one left', async () => {
+    const planned = await swapService.planOrders(ethers.parseEther('40'), { maxImpactBps: MAX_IMPACT_BPS, maxOrders: 5 });
+    const [first, second] = planned.orders;
+
+    const secondOut = swapService.calculateAmountOut(
+      second.amountInWei, WLD_RESERVE + first.amountInWei, USDC_RESERVE - first.expectedOutputWei
+    );
+    expect(second.expectedOutputWei).toBe(secondOut);
+  });
+
+  test('reports what is left over once maxOrders is reached', async () => {
+    const amountIn = ethers.parseEther('500');
+    const planned = await swapService.planOrders(amountIn, { maxImpactBps: MAX_IMPACT_BPS, maxOrders: 2 });
+
+    expect(planned.orders).toHaveLength(2);
+    expect(planned.filledWei + planned.unfilledWei).toBe(amountIn);
+    expect(planned.unfilledWei).toBeGreaterThan(0n);
+    expect(planned.singleOrderMaxWei).toBe(swapService.getMaxInputForImpact(WLD_RESERVE, USDC_RESERVE, 18, MAX_IMPACT_BPS));
+  });
+});
+
+describe('PriceImpactPolicy.plan', () => {
+  const order = (amount) => ({ amountInWei: ethers.parseEther(amount), slippage: 150, direction: SwapDirection.WLD_TO_USDC });
+
+  test('splits an order over the limit', async () => {
+    const policy = new PriceImpactPolicy({ swapService, maxImpactBps: MAX_IMPACT_BPS, action: ImpactAction.SPLIT, maxOrders: 5 });
+    const plan = await policy.plan(order('40'));
+
+    expect(plan.action).toBe(ImpactAction.SPLIT);
+    expect(plan.fill.orders).toBe(plan.orders.length);
+    expect(plan.fill.inputAmount).toBe('40.0');
+  });
+
+  test('rejects an order over the limit with the largest single swap as the suggestion', async () => {
+    const policy = new PriceImpactPolicy({ swapService, maxImpactBps: MAX_IMPACT_BPS, action: ImpactAction.REJECT });
+    const singleMax = swapService.getMaxInputForImpact(WLD_RESERVE, USDC_RESERVE, 18, MAX_IMPACT_BPS);
+
+    await expect(policy.plan(order('40'))).rejects.toMatchObject({
+      code: 'PRICE_IMPACT_TOO_HIGH',
+      status: 422,
+      details: { suggestedMaxInputWei: singleMax.toString(), maxOrders: 1 }
+    });
+  });
+
+  test('suggests the planned total when even split orders fall short', async () => {
+    const policy = new PriceImpactPolicy({ swapService, maxImpactBps: MAX_IMPACT_BPS, action: ImpactAction.SPLIT, maxOrders: 2 });
+    const planned = await swapService.planOrders(ethers.parseEther('500'), { maxImpactBps: MAX_IMPACT_BPS, maxOrders: 2 });
+
+    await expect(policy.plan(order('500'))).rejects.toMatchObject({
+      code: 'PRICE_IMPACT_TOO_HIGH',
+      details: { suggestedMaxInputWei: planned.filledWei.toString(), maxOrders: 2 }
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { ethers } = require('ethers');
+const { swapService } = require('../swapService');
+
+const WLD_RESERVE = ethers.parseEther('100000');
+const USDC_RESERVE = ethers.parseUnits('150000', 6);
+
+describe('swapService.getAmountIn', () => {
+  test.each([
+    ['a dust amount', ethers.parseUnits('0.000001', 6)],
+    ['one USDC', ethers.parseUnits('1', 6)],
+    ['a large share of the pool', ethers.parseUnits('60000', 6)]
+  ])('buys at least the requested output for %s', (label, amountOut) => {
+    const amountIn = swapService.getAmountIn(amountOut, WLD_RESERVE, USDC_RESERVE);
+
+    expect(swapService.calculateAmountOut(amountIn, WLD_RESERVE, USDC_RESERVE)).toBeGreaterThanOrEqual(amountOut);
+  });
+
+  test('returns the smallest input that reaches the output', () => {
+    const amountOut = ethers.parseUnits('250', 6);
+    const amountIn = swapService.getAmountIn(amountOut, WLD_RESERVE, USDC_RESERVE);
+
+    expect(swapService.calculateAmountOut(amountIn - 1n, WLD_RESERVE, USDC_RESERVE)).toBeLessThan(amountOut);
+  });
+
+  test('maps an output back to no more than the input that produced it', () => {
+    const amountIn = ethers.parseEther('42');
+    const amountOut = swapService.calculateAmountOut(amountIn, WLD_RESERVE, USDC_RESERVE);
+    const required = swapService.getAmountIn(amountOut, WLD_RESERVE, USDC_RESERVE);
+
+    expect(required).toBeLessThanOrEqual(amountIn);
+    expect(swapService.calculateAmountOut(required, WLD_RESERVE, USDC_RESERVE)).toBe(amountOut);
+  });
+
+  test('works in the USDC → WLD direction', () => {
+    const amountOut = ethers.parseEther('10');
+    const amountIn = swapService.getAmountIn(amountOut, USDC_RESERVE, WLD_RESERVE);
+
+    expect(swapService.calculateAmountOut(amountIn, USDC_RESERVE, WLD_RESERVE)).toBeGreaterThanOrEqual(amountOut);
+    expect(swapService.calculateAmountOut(amountIn - 1n, USDC_RESERVE, WLD_RESERVE)).toBeLessThan(amountOut);
+  });
+});
@@ -0,0 +1,79 @@
+const { ethers } = require('ethers');
+const { MemoryStore } = require('../storage');
+const { TransactionRelay, IntentStatus } = require('../transactionRelay');
+
+const wallet = ethers.Wallet.createRandom();
+const SWAP_ROUTER = '0x000000000000000000000000000000000000bEEF';
+const FOUNDATION = '0x98f5A404991Cc74590564cbECA88c8d8B76D6407';
+
+/**
+ * Provider that hands out the receipt each test scripts for the swap
+ * @param {Function} waitForTransaction - (hash, confirmations, timeoutMs) => receipt
+ * @returns {Object} Provider stub
+ */
+const createProvider = (waitForTransaction) => ({
+  getNetwork: async () => ({ chainId: 80002n }),
+  getTransactionCount: async () => 0,
+  getFeeData: async () => ({ maxFeePerGas: 30n, maxPriorityFeePerGas: 2n }),
+  broadcastTransaction: jest.fn(async (raw) => ({ hash: ethers.keccak256(raw) })),
+  waitForTransaction: jest.fn(waitForTransaction)
+});
+
+/**
+ * Relay with a swap → held transfer intent, signed and ready to relay
+ * @param {Object} provider - Provider stub
+ * @returns {Promise<Object>} {relay, intent, signed}
+ */
+const prepare = async (provider) => {
+  const relay = new TransactionRelay({
+    provider,
+    receiptTimeoutSeconds: 1,
+    store: new MemoryStore({ keyField: 'id', indexes: { status: (intent) => intent.status } })
+  });
+  relay.registerKind('tree-donation', () => ({ donation: { id: 'donation_1' } }));
+
+  const intent = await relay.createIntent('tree-donation', wallet.address, [
+    { label: 'swap', to: SWAP_ROUTER, data: '0x01', gasLimit: '200000' },
+    { label: 'transfer', to: FOUNDATION, data: '0x02', gasLimit: '60000', holdUntilMined: true }
+  ]);
+  const signed = await Promise.all(intent.transactions.map(tx => wallet.signTransaction({
+    ...tx, from: undefined, label: undefined, holdUntilMined: undefined
+  })));
+  return { relay, intent, signed };
+};
+
+describe('TransactionRelay held transactions', () => {
+  test('broadcasts the held transfer once the swap has a successful receipt', async () => {
+    const provider = createProvider(async () => ({ status: 1 }));
+    const { relay, intent, signed } = await prepare(provider);
+
+    const result = await relay.relay(intent.id, signed);
+
+    expect(provider.waitForTransaction).toHaveBeenCalledWith(result.broadcasts[0].hash, 1, 1000);
+    expect(provider.broadcastTransaction).toHaveBeenCalledTimes(2);
+    expect(result.broadcasts.map(broadcast => broadcast.label)).toEqual(['swap', 'transfer']);
+    expect(result.intent.status).toBe(IntentStatus.RELAYED);
+    expect(result.donation).toEqual({ id: 'donation_1' });
+  });
+
+  test.each([
+    ['the swap reverts', async () => ({ status: 0 }), '"swap" reverted'],
+    ['the swap is not mined in time', async () => { throw new Error('timeout'); }, '"swap" was not mined within 1s']
+  ])('holds the transfer back when %s', async (label, waitForTransaction, reason) => {
+    const provider = createProvider(waitForTransaction);
+    const { relay, intent, signed } = await prepare(provider);
+
+    await expect(relay.relay(intent.id, signed)).rejects.toMatchObject({
+      code: 'PREREQUISITE_FAILED',
+      status: 502,
+      message: expect.stringContaining(reason)
+    });
+
+    expect(provider.broadcastTransaction).toHaveBeenCalledTimes(1);
+    expect(provider.broadcastTransaction).toHaveBeenCalledWith(signed[0]);
+    expect(provider.broadcastTransaction).not.toHaveBeenCalledWith(signed[1]);
+    const stored = relay.getIntent(intent.id);
+    expect(stored.status).toBe(IntentStatus.PARTIALLY_RELAYED);
+    expect(stored.broadcasts.map(broadcast => broadcast.label)).toEqual(['swap']);
+  });
+});
@@ -0,0 +1,456 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+require('dotenv').config();
+
+/**
+ * Chain Indexer
+ * Scans SimpleDEX events (TokensSwapped, LiquidityAdded, LiquidityRemoved) and
+ * USDC Transfers to the foundation addresses into the backend store, so stats,
+ * history and pool analytics come from chain truth rather than in-process records.
+ *
+ * Progress is checkpointed per block range. Block hashes of recently indexed
+ * blocks are kept so a reorg can be detected and the affected events rolled back.
+ */
+
+const DEFAULT_BATCH_SIZE = 2000;              // Blocks per getLogs call
+const DEFAULT_REORG_DEPTH = 64;               // Blocks of hash history kept for reorg detection
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;   // 30 seconds
+
+const USDC_DECIMALS = 6;
+const ERC20_EVENTS = ['event Transfer(address indexed from, address indexed to, uint256 value)'];
+
+const ChainEventType = {
+    SWAP: 'swap',
+    LIQUIDITY_ADDED: 'liquidity_added',
+    LIQUIDITY_REMOVED: 'liquidity_removed',
+    FOUNDATION_TRANSFER: 'foundation_transfer'
+};
+
+const DEX_EVENT_TYPES = {
+    TokensSwapped: ChainEventType.SWAP,
+    LiquidityAdded: ChainEventType.LIQUIDITY_ADDED,
+    LiquidityRemoved: ChainEventType.LIQUIDITY_REMOVED
+};
+
+/**
+ * Load the SimpleDEX deployment (ABI and deployment block)
+ * @returns {Object} Deployment JSON
+ */
+function loadDexDeployment() {
+    const fullPath = path.join(__dirname, 'deployments', 'simple-dex-deployment.json');
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+}
+
+/**
+ * Parse a comma separated address list
+ * @param {string} value - Address list
+ * @returns {Array<string>} Lowercased addresses
+ */
+function parseAddressList(value) {
+    return (value || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(address => ethers.isAddress(address))
+        .map(address => address.toLowerCase());
+}
+
+class ChainIndexer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - ethers provider
+     * @param {string} [options.name] - Checkpoint name
+     * @param {string} [options.dexAddress] - SimpleDEX contract address
+     * @param {string} [options.usdcAddress] - USDC contract address
+     * @param {Array<string>} [options.foundationAddresses] - Donation recipients to index transfers to
+     * @param {number} [options.startBlock] - First block to scan
+     * @param {number} [options.batchSize] - Blocks per scan
+     * @param {number} [options.reorgDepth] - Blocks of hash history kept for reorg detection
+     * @param {number} [options.pollIntervalMs] - Delay between scans
+     * @param {Object} [options.eventStore] - Store for indexed events
+     * @param {Object} [options.checkpointStore] - Store for checkpoints
+     */
+    constructor(options = {}) {
+        const deployment = loadDexDeployment();
+
+        this.provider = options.provider;
+        this.name = options.name || 'simple-dex';
+        this.dexAddress = (options.dexAddress || process.env.SIMPLE_DEX_CONTRACT || deployment.contractAddress).toLowerCase();
+        this.usdcAddress = (options.usdcAddress || '0x8B0180f2101c8260d49339abfEe87927412494B4').toLowerCase();
+        this.foundationAddresses = options.foundationAddresses
+            || parseAddressList(process.env.FOUNDATION_ADDRESSES || [
+                '0x1234567890123456789012345678901234567890', // Testnet foundation (TreePurchaseService)
+                process.env.TEST_RECIPIENT_ADDRESS || '0x98f5A404991Cc74590564cbECA88c8d8B76D6407'
+            ].join(','));
+
+        const configuredStart = parseInt(process.env.INDEXER_START_BLOCK);
+        this.startBlock = options.startBlock ?? (Number.isInteger(configuredStart) ? configuredStart : deployment.blockNumber);
+        this.batchSize = options.batchSize || parseInt(process.env.INDEXER_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+        this.reorgDepth = options.reorgDepth || DEFAULT_REORG_DEPTH;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+
+        this.eventStore = options.eventStore || createStore('chain-events', {
+            keyField: 'id',
+            indexes: {
+                type: (event) => event.type,
+                txHash: (event) => event.txHash,
+                account: (event) => event.account
+            }
+        });
+        this.checkpointStore = options.checkpointStore || createStore('indexer-checkpoints', { keyField: 'name' });
+
+        this.dexInterface = new ethers.Interface(deployment.abi);
+        this.erc20Interface = new ethers.Interface(ERC20_EVENTS);
+
+        this.timer = null;
+        this.syncing = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Get the stored checkpoint
+     * @returns {Object|null} Checkpoint or null before the first scan
+     */
+    getCheckpoint() {
+        return this.checkpointStore.get(this.name);
+    }
+
+    /**
+     * Start scanning in the background
+     */
+    start() {
+        if (this.timer) return;
+
+        const loop = async () => {
+            try {
+                // Keep scanning without waiting while we're behind the head
+                let result;
+                do {
+                    result = await this.syncOnce();
+                } while (this.timer && result && result.behind);
+                this.lastError = null;
+            } catch (error) {
+                this.lastError = { message: error.message, at: new Date().toISOString() };
+                console.warn(`⚠️  Chain indexer (${this.name}) sync failed: ${error.message}`);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+        this.timer = setTimeout(loop, 0);
+        console.log(`🔎 Chain indexer started from block ${this.getCheckpoint()?.lastBlock ?? this.startBlock}`);
+    }
+
+    /**
+     * Stop scanning
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Scan the next block range
+     * @returns {Promise<Object|null>} Scan summary, or null if another scan is running
+     */
+    async syncOnce() {
+        if (this.syncing) return null;
+        this.syncing = true;
+
+        try {
+            if (this.chainId === undefined) {
+                this.chainId = Number((await this.provider.getNetwork()).chainId);
+            }
+            const head = await this.provider.getBlockNumber();
+
+            let reorgedTo = null;
+            const checkpoint = this.getCheckpoint();
+            if (checkpoint) {
+                reorgedTo = await this.detectReorg(checkpoint);
+                if (reorgedTo !== null) {
+                    this.rollback(reorgedTo);
+                }
+            }
+
+            const lastBlock = this.getCheckpoint()?.lastBlock ?? this.startBlock - 1;
+            const fromBlock = lastBlock + 1;
+            if (fromBlock > head) {
+                return { fromBlock, toBlock: lastBlock, indexed: 0, reorgedTo, behind: false };
+            }
+
+            const toBlock = Math.min(head, fromBlock + this.batchSize - 1);
+            const logs = await this.fetchLogs(fromBlock, toBlock);
+
+            // Header per block we touch: event blocks for timestamps, toBlock for the checkpoint hash
+            const blockNumbers = [...new Set([...logs.map(log => log.blockNumber), toBlock])];
+            const blocks = new Map();
+            for (const number of blockNumbers) {
+                const block = await this.provider.getBlock(number);
+                if (!block) {
+                    throw new Error(`Block ${number} not available`);
+                }
+                blocks.set(number, block);
+            }
+
+            // A log whose block hash no longer matches was reorged out mid-scan; retry next round
+            for (const log of logs) {
+                if (blocks.get(log.blockNumber).hash !== log.blockHash) {
+                    throw new Error(`Reorg detected while scanning block ${log.blockNumber}`);
+                }
+            }
+
+            const events = logs.map(log => this.decodeLog(log, blocks.get(log.blockNumber))).filter(Boolean);
+            for (const event of events) {
+                this.eventStore.put(event);
+            }
+
+            this.saveCheckpoint(toBlock, blocks);
+
+            if (events.length > 0) {
+                console.log(`🔎 Indexed ${events.length} events from blocks ${fromBlock}-${toBlock}`);
+            }
+
+            return { fromBlock, toBlock, indexed: events.length, reorgedTo, behind: toBlock < head };
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    /**
+     * Fetch DEX and foundation transfer logs for a block range
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block
+     * @returns {Promise<Array>} Logs ordered by block and log index
+     */
+    async fetchLogs(fromBlock, toBlock) {
+        const transferTopic = this.erc20Interface.getEvent('Transfer').topicHash;
+        const recipientTopics = this.foundationAddresses.map(address => ethers.zeroPadValue(address, 32));
+
+        const [dexLogs, transferLogs] = await Promise.all([
+            this.provider.getLogs({ address: this.dexAddress, fromBlock, toBlock }),
+            recipientTopics.length > 0
+                ? this.provider.getLogs({
+                    address: this.usdcAddress,
+                    topics: [transferTopic, null, recipientTopics],
+                    fromBlock,
+                    toBlock
+                })
+                : []
+        ]);
+
+        return [...dexLogs, ...transferLogs].sort((a, b) =>
+            a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex)
+        );
+    }
+
+    /**
+     * Decode a raw log into a stored event
+     * @param {Object} log - Raw log
+     * @param {Object} block - Block header
+     * @returns {Object|null} Event record, or null for logs we don't index
+     */
+    decodeLog(log, block) {
+        const logIndex = log.index ?? log.logIndex;
+        const base = {
+            id: `${log.transactionHash.toLowerCase()}:${logIndex}`,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            txHash: log.transactionHash.toLowerCase(),
+            logIndex,
+            timestamp: new Date(block.timestamp * 1000).toISOString(),
+            address: log.address.toLowerCase()
+        };
+
+        if (base.address === this.usdcAddress) {
+            const parsed = this.erc20Interface.parseLog(log);
+            if (!parsed) return null;
+            return {
+                ...base,
+                type: ChainEventType.FOUNDATION_TRANSFER,
+                account: parsed.args.from.toLowerCase(),
+                args: {
+                    from: parsed.args.from.toLowerCase(),
+                    to: parsed.args.to.toLowerCase(),
+                    value: parsed.args.value.toString(),
+                    amount: ethers.formatUnits(parsed.args.value, USDC_DECIMALS)
+                }
+            };
+        }
+
+        const parsed = this.dexInterface.parseLog(log);
+        if (!parsed || !DEX_EVENT_TYPES[parsed.name]) return null;
+
+        if (parsed.name === 'TokensSwapped') {
+            return {
+                ...base,
+                type: ChainEventType.SWAP,
+                account: parsed.args.user.toLowerCase(),
+                args: {
+                    user: parsed.args.user.toLowerCase(),
+                    tokenIn: parsed.args.tokenIn.toLowerCase(),
+                    tokenOut: parsed.args.tokenOut.toLowerCase(),
+                    amountIn: parsed.args.amountIn.toString(),
+                    amountOut: parsed.args.amountOut.toString()
+                }
+            };
+        }
+
+        const liquidity = parsed.name === 'LiquidityAdded' ? parsed.args.liquidityMinted : parsed.args.liquidityBurned;
+        return {
+            ...base,
+            type: DEX_EVENT_TYPES[parsed.name],
+            account: parsed.args.provider.toLowerCase(),
+            args: {
+                provider: parsed.args.provider.toLowerCase(),
+                amount0: parsed.args.amount0.toString(),
+                amount1: parsed.args.amount1.toString(),
+                liquidity: liquidity.toString()
+            }
+        };
+    }
+
+    /**
+     * Persist the checkpoint after a scan
+     * @param {number} toBlock - Last scanned block
+     * @param {Map<number, Object>} blocks - Headers fetched during the scan
+     */
+    saveCheckpoint(toBlock, blocks) {
+        const previous = this.getCheckpoint()?.recentBlocks || [];
+        const scanned = [...blocks.values()].map(block => ({ number: block.number, hash: block.hash }));
+        const recentBlocks = [...previous, ...scanned]
+            .filter(block => block.number > toBlock - this.reorgDepth)
+            .sort((a, b) => a.number - b.number);
+
+        this.checkpointStore.put({
+            name: this.name,
+            lastBlock: toBlock,
+            lastBlockHash: blocks.get(toBlock).hash,
+            recentBlocks,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Check the checkpoint against the canonical chain
+     * @param {Object} checkpoint - Stored checkpoint
+     * @returns {Promise<number|null>} Block to roll back to, or null if still canonical
+     */
+    async detectReorg(checkpoint) {
+        if (!checkpoint.lastBlockHash) return null;
+
+        const block = await this.provider.getBlock(checkpoint.lastBlock);
+        if (block && block.hash === checkpoint.lastBlockHash) return null;
+
+        // Walk back to the newest indexed block that is still canonical
+        const candidates = [...(checkpoint.recentBlocks || [])].sort((a, b) => b.number - a.number);
+        for (const candidate of candidates) {
+            if (candidate.number >= checkpoint.lastBlock) continue;
+            const canonical = await this.provider.getBlock(candidate.number);
+            if (canonical && canonical.hash === candidate.hash) {
+                console.warn(`⚠️  Reorg detected at block ${checkpoint.lastBlock}, rolling back to ${candidate.number}`);
+                return candidate.number;
+            }
+        }
+
+        const fallback = Math.max(this.startBlock - 1, checkpoint.lastBlock - this.reorgDepth);
+        console.warn(`⚠️  Reorg deeper than known history at block ${checkpoint.lastBlock}, rolling back to ${fallback}`);
+        return fallback;
+    }
+
+    /**
+     * Remove events above a block and move the checkpoint back to it
+     * @param {number} blockNumber - Last block to keep
+     */
+    rollback(blockNumber) {
+        const removed = this.eventStore.all().filter(event => event.blockNumber > blockNumber);
+        for (const event of removed) {
+            this.eventStore.delete(event.id);
+        }
+
+        const checkpoint = this.getCheckpoint();
+        const recentBlocks = (checkpoint?.recentBlocks || []).filter(block => block.number <= blockNumber);
+        const kept = recentBlocks.find(block => block.number === blockNumber);
+
+        this.checkpointStore.put({
+            name: this.name,
+            lastBlock: blockNumber,
+            lastBlockHash: kept ? kept.hash : null,
+            recentBlocks,
+            updatedAt: new Date().toISOString()
+        });
+
+        console.log(`↩️  Rolled back ${removed.length} events above block ${blockNumber}`);
+    }
+
+    /**
+     * Get indexed events of a type, oldest first
+     * @param {string} type - ChainEventType value
+     * @param {Object} [filter]
+     * @param {string} [filter.account] - Sender / swapper / LP address
+     * @param {number} [filter.since] - Only events at or after this time (ms)
+     * @returns {Array} Event records
+     */
+    getEvents(type, filter = {}) {
+        let events = filter.account
+            ? this.eventStore.findBy('account', filter.account.toLowerCase()).filter(event => event.type === type)
+            : this.eventStore.findBy('type', type);
+
+        if (filter.since) {
+            events = events.filter(event => Date.parse(event.timestamp) >= filter.since);
+        }
+
+        return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    /**
+     * Get USDC transfers to the foundation addresses
+     * @param {Object} [filter] - See getEvents
+     * @returns {Array} Transfer events
+     */
+    getFoundationTransfers(filter = {}) {
+        return this.getEvents(ChainEventType.FOUNDATION_TRANSFER, filter);
+    }
+
+    /**
+     * Aggregate on-chain donation totals
+     * @returns {Object} Totals from indexed foundation transfers
+     */
+    getFoundationTotals() {
+        const transfers = this.getFoundationTransfers();
+        const totalValue = transfers.reduce((sum, transfer) => sum + BigInt(transfer.args.value), 0n);
+        const donors = new Set(transfers.map(transfer => transfer.args.from));
+
+        return {
+            totalTransfers: transfers.length,
+            totalAmount: parseFloat(ethers.formatUnits(totalValue, USDC_DECIMALS)),
+            uniqueDonors: donors.size,
+            lastIndexedBlock: this.getCheckpoint()?.lastBlock ?? null
+        };
+    }
+
+    /**
+     * Indexer status for health/admin endpoints
+     * @returns {Object} Status summary
+     */
+    getStatus() {
+        const checkpoint = this.getCheckpoint();
+        return {
+            name: this.name,
+            chainId: this.chainId ?? null,
+            running: Boolean(this.timer),
+            startBlock: this.startBlock,
+            lastBlock: checkpoint?.lastBlock ?? null,
+            updatedAt: checkpoint?.updatedAt ?? null,
+            indexedEvents: this.eventStore.count(),
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    ChainIndexer,
+    ChainEventType
+};
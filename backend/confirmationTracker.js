@@ -0,0 +1,190 @@
+const { DonationStatus, transitionDonation, getRequiredConfirmations, transactionHashes } = require('./donationLifecycle');
+require('dotenv').config();
+
+/**
+ * Confirmation Tracker
+ * Background poller that advances submitted donations by reading receipts,
+ * so HTTP requests no longer block on tx.wait(). With a FeeBumper, donations
+ * stuck in the mempool are rebroadcast with higher fees.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;       // 15 seconds
+const DEFAULT_DROP_TIMEOUT_MS = 30 * 60 * 1000;   // 30 minutes without a trace before giving up
+
+class ConfirmationTracker {
+    /**
+     * @param {Object} options
+     * @param {number} [options.requiredConfirmations] - Confirmations before a donation counts as confirmed
+     * @param {number} [options.pollIntervalMs] - Delay between polling rounds
+     * @param {number} [options.dropTimeoutMs] - How long an unknown, unmined tx may stay submitted
+     * @param {Object} [options.feeBumper] - FeeBumper for sources tracked with a signer
+     */
+    constructor(options = {}) {
+        this.requiredConfirmations = options.requiredConfirmations || getRequiredConfirmations();
+        this.pollIntervalMs = options.pollIntervalMs
+            || parseInt(process.env.DONATION_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+        this.dropTimeoutMs = options.dropTimeoutMs || DEFAULT_DROP_TIMEOUT_MS;
+        this.feeBumper = options.feeBumper || null;
+
+        this.sources = [];
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Track submitted donations held in a store
+     * @param {string} name - Source name for logs
+     * @param {Object} store - Donation store with a 'status' index
+     * @param {Object} provider - ethers provider for the chain the donations were sent on
+     * @param {Object} [options]
+     * @param {Object} [options.signer] - Signer for the sending wallet; enables fee bumping for this source
+     * @param {Function} [options.filter] - Only track records it accepts (e.g. those sent on this provider's chain)
+     */
+    track(name, store, provider, options = {}) {
+        this.sources.push({
+            name,
+            store,
+            provider,
+            signer: options.signer || null,
+            filter: options.filter || (() => true)
+        });
+    }
+
+    /**
+     * Start polling in the background
+     */
+    start() {
+        if (this.timer) return;
+
+        const loop = async () => {
+            await this.poll();
+            if (this.timer) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+        this.timer = setTimeout(loop, 0);
+        console.log(`👀 Confirmation tracker started (${this.requiredConfirmations} confirmations, every ${this.pollIntervalMs / 1000}s)`);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run one polling round across all sources
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            for (const source of this.sources) {
+                const pending = source.store.findBy('status', DonationStatus.SUBMITTED).filter(source.filter);
+                if (pending.length === 0) continue;
+
+                let currentBlock;
+                try {
+                    currentBlock = await source.provider.getBlockNumber();
+                } catch (error) {
+                    console.warn(`⚠️  Confirmation tracker (${source.name}) could not reach RPC: ${error.message}`);
+                    continue;
+                }
+
+                for (const record of pending) {
+                    try {
+                        await this.checkRecord(source, record, currentBlock);
+                    } catch (error) {
+                        console.warn(`⚠️  Could not check donation ${record.id}: ${error.message}`);
+                    }
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Advance a single submitted donation
+     * @param {Object} source - Tracked source
+     * @param {Object} record - Donation record
+     * @param {number} currentBlock - Latest block number
+     * @returns {Promise<Object>} Updated record
+     */
+    async checkRecord(source, record, currentBlock) {
+        const { store, provider } = source;
+
+        // Any broadcast in the replacement chain may be the one that gets mined
+        let receipt = null;
+        for (const hash of transactionHashes(record)) {
+            receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) break;
+        }
+
+        if (receipt) {
+            const confirmations = Math.max(0, currentBlock - receipt.blockNumber + 1);
+            const mined = {
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
+                confirmations
+            };
+
+            if (receipt.status === 0) {
+                console.log(`❌ Donation ${record.id} reverted in block ${receipt.blockNumber}`);
+                return transitionDonation(store, record.id, DonationStatus.FAILED, {
+                    ...mined,
+                    error: 'Transaction reverted'
+                });
+            }
+
+            if (confirmations >= this.requiredConfirmations) {
+                console.log(`✅ Donation ${record.id} confirmed (${confirmations} confirmations)`);
+                return transitionDonation(store, record.id, DonationStatus.CONFIRMED, {
+                    ...mined,
+                    confirmedAt: new Date().toISOString()
+                });
+            }
+
+            return store.update(record.id, mined);
+        }
+
+        // Not mined: still in the mempool, replaced, or dropped
+        const tx = await provider.getTransaction(record.txHash);
+        if (tx) {
+            if (this.feeBumper && source.signer && this.feeBumper.isStuck(record)) {
+                return this.feeBumper.bump(store, record, tx, source.signer);
+            }
+            return record;
+        }
+
+        if (record.from && record.nonce !== undefined && record.nonce !== null) {
+            const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+            if (minedNonce > record.nonce) {
+                console.log(`🔁 Donation ${record.id} was replaced (nonce ${record.nonce} used by another transaction)`);
+                return transitionDonation(store, record.id, DonationStatus.REPLACED, {
+                    error: `Nonce ${record.nonce} was used by a different transaction`
+                });
+            }
+        }
+
+        const chain = record.replacementChain || [];
+        const submittedAt = Date.parse(chain.length ? chain[chain.length - 1].submittedAt : (record.submittedAt || record.updatedAt));
+        if (Date.now() - submittedAt > this.dropTimeoutMs) {
+            console.log(`🗑️  Donation ${record.id} dropped from the mempool`);
+            return transitionDonation(store, record.id, DonationStatus.FAILED, {
+                error: 'Transaction dropped from mempool'
+            });
+        }
+
+        return record;
+    }
+}
+
+module.exports = ConfirmationTracker;
@@ -5,6 +5,7 @@ pragma solidity ^0.8.19;
  * @title MockWLD
  * @dev Mock Worldcoin Token for testing swap and donation functionality
  * ERC-20 token with 18 decimals and symbol WLD
+ * Supports EIP-2612 permit so approvals can be signed off-chain and submitted by a relayer
  */
 contract MockWLD {
     // Token metadata
@@ -30,12 +31,23 @@ contract MockWLD {
     
     event FaucetClaim(address indexed recipient, uint256 amount);
     
+    // EIP-2612 permit
+    bytes32 public constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+    mapping(address => uint256) public nonces;
+    uint256 private immutable INITIAL_CHAIN_ID;
+    bytes32 private immutable INITIAL_DOMAIN_SEPARATOR;
+    
     /**
      * @dev Constructor - mints initial supply to deployer
      */
     constructor() {
         balanceOf[msg.sender] = totalSupply;
         emit Transfer(address(0), msg.sender, totalSupply);
+        
+        INITIAL_CHAIN_ID = block.chainid;
+        INITIAL_DOMAIN_SEPARATOR = computeDomainSeparator();
     }
     
     /**
@@ -79,6 +91,63 @@ contract MockWLD {
         return true;
     }
     
+    /**
+     * @dev EIP-712 domain separator, recomputed if the chain forks
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == INITIAL_CHAIN_ID ? INITIAL_DOMAIN_SEPARATOR : computeDomainSeparator();
+    }
+    
+    /**
+     * @dev Approve spender with the owner's EIP-712 signature instead of a transaction
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public {
+        require(block.timestamp <= deadline, "MockWLD: permit expired");
+        require(spender != address(0), "MockWLD: approve to zero address");
+        // Reject malleable (high-s) signatures
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "MockWLD: invalid signature"
+        );
+        
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR(),
+                keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+            )
+        );
+        
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, "MockWLD: invalid signature");
+        
+        allowance[owner][spender] = value;
+        emit Approval(owner, spender, value);
+    }
+    
+    /**
+     * @dev EIP-712 domain for this token: name, version "1", chain and address
+     */
+    function computeDomainSeparator() internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes(name)),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+    
     /**
      * @dev Faucet function - allows users to claim test tokens
      */
@@ -6,6 +6,11 @@
  */
 
 const { ethers } = require('ethers');
+const { createStore } = require('./storage');
+const { createManagedSigner } = require('./nonceManager');
+const { NETWORK_CONFIG, detectNetwork, legacyRpcNetwork } = require('./networks');
+const { getProvider } = require('./rpcProvider');
+const { DonationStatus, initialLifecycle, transitionDonation, transactionHashes } = require('./donationLifecycle');
 require('dotenv').config();
 
 // USDC Token ABI (minimal interface needed for transfers)
@@ -22,40 +27,37 @@ const USDC_ABI = [
   "function name() view returns (string)"
 ];
 
-// Network configurations
-const NETWORK_CONFIG = {
-  ethereum: {
-    name: 'Ethereum Mainnet',
-    chainId: 1,
-    usdcContract: '0xA0b86a33E6441e28E76e5F9b2Be7f99a0bCfDc2D',
-    rpcUrls: ['https://mainnet.infura.io/v3/', 'https://eth-mainnet.alchemyapi.io/v2/']
-  },
-  polygon: {
-    name: 'Polygon Mainnet',
-    chainId: 137,
-    usdcContract: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',
-    rpcUrls: ['https://polygon-mainnet.infura.io/v3/', 'https://polygon-mainnet.g.alchemy.com/v2/']
-  },
-  sepolia: {
-    name: 'Sepolia Testnet',
-    chainId: 11155111,
-    usdcContract: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
-    rpcUrls: ['https://sepolia.infura.io/v3/']
-  }
-};
-
 class DonationHandler {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.store] - Donation store (defaults to the persistent 'usdc-donations' store)
+   */
+  constructor(options = {}) {
     this.provider = null;
     this.signer = null;
     this.usdcContract = null;
     this.network = null;
     this.initialized = false;
+    this.donationStore = options.store || DonationHandler.createDonationStore();
+  }
+
+  /**
+   * Create the default persistent store for handler donations
+   * @returns {Object} Store instance
+   */
+  static createDonationStore() {
+    return createStore('usdc-donations', {
+      keyField: 'id',
+      indexes: {
+        txHash: (donation) => transactionHashes(donation),
+        status: (donation) => donation.status
+      }
+    });
   }
 
   /**
    * Initialize the donation handler with network connection
-   * @param {string} rpcUrl - RPC endpoint URL
+   * @param {string|Object} rpcUrl - RPC endpoint URL, or an ethers provider (e.g. from rpcProvider.getProvider)
    * @param {string} privateKey - Wallet private key
    * @param {string} usdcContractAddress - USDC contract address
    * @returns {Promise<void>}
@@ -68,13 +70,13 @@ class DonationHandler {
       }
 
       // Create provider
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
+      this.provider = typeof rpcUrl === 'string' ? new ethers.JsonRpcProvider(rpcUrl) : rpcUrl;
       
       // Test network connectivity
       await this.testConnection();
       
-      // Create signer
-      this.signer = new ethers.Wallet(privateKey, this.provider);
+      // Create signer; nonces are assigned locally so concurrent donations don't collide
+      this.signer = createManagedSigner(new ethers.Wallet(privateKey, this.provider));
       
       // Create USDC contract instance
       this.usdcContract = new ethers.Contract(usdcContractAddress, USDC_ABI, this.signer);
@@ -178,6 +180,7 @@ class DonationHandler {
 
   /**
    * Execute USDC donation
+   * Returns once the transfer is broadcast; confirmation is tracked in the background.
    * @param {string} recipient - Recipient wallet address
    * @param {string} amount - Amount to donate (in USDC)
    * @returns {Promise<object>} Transaction result
@@ -185,6 +188,8 @@ class DonationHandler {
   async donate(recipient, amount) {
     this.validateInitialization();
     
+    let donationId = null;
+    
     try {
       // Validate inputs
       if (!ethers.isAddress(recipient)) {
@@ -195,6 +200,20 @@ class DonationHandler {
         throw new Error('Invalid amount');
       }
       
+      // Persist the donation before any chain interaction
+      donationId = this.generateDonationId();
+      this.donationStore.insert({
+        id: donationId,
+        timestamp: new Date().toISOString(),
+        amount: amount,
+        recipient: recipient,
+        currency: 'USDC',
+        network: this.network.name,
+        chainId: this.network.chainId,
+        txHash: null,
+        ...initialLifecycle()
+      });
+      
       // Check balance
       const balance = await this.getBalance();
       if (parseFloat(balance) < parseFloat(amount)) {
@@ -220,30 +239,37 @@ class DonationHandler {
       const tx = await this.usdcContract.transfer(recipient, amountWei);
       
       console.log(`📝 Transaction submitted: ${tx.hash}`);
-      console.log(`⏳ Waiting for confirmation...`);
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      
-      console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+      const record = transitionDonation(this.donationStore, donationId, DonationStatus.SUBMITTED, {
+        txHash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce,
+        submittedAt: new Date().toISOString()
+      });
       
       return {
         success: true,
+        donationId: donationId,
+        status: record.status,
         transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        effectiveGasPrice: receipt.effectiveGasPrice ? ethers.formatUnits(receipt.effectiveGasPrice, 'gwei') : null,
+        nonce: tx.nonce,
         amount: amount,
         recipient: recipient,
         network: this.network.name,
-        timestamp: new Date().toISOString()
+        timestamp: record.submittedAt
       };
       
     } catch (error) {
       console.error('❌ Donation failed:', error.message);
       
+      if (donationId) {
+        transitionDonation(this.donationStore, donationId, DonationStatus.FAILED, { error: error.message });
+      }
+      
       return {
         success: false,
+        donationId: donationId,
+        status: DonationStatus.FAILED,
         error: error.message,
         errorCode: this.getErrorCode(error),
         amount: amount,
@@ -254,6 +280,34 @@ class DonationHandler {
     }
   }
 
+  /**
+   * Get a donation record by ID
+   * @param {string} donationId - Donation ID
+   * @returns {object|null} Donation record or null
+   */
+  getDonation(donationId) {
+    return this.donationStore.get(donationId);
+  }
+
+  /**
+   * Get a donation record by transaction hash
+   * @param {string} txHash - Transaction hash
+   * @returns {object|null} Donation record or null
+   */
+  getDonationByTxHash(txHash) {
+    return this.donationStore.findOne('txHash', txHash.toLowerCase());
+  }
+
+  /**
+   * Generate unique donation ID
+   * @returns {string} Unique donation ID
+   */
+  generateDonationId() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    return `DON_${timestamp}_${random}`.toUpperCase();
+  }
+
   /**
    * Get USDC contract information
    * @returns {Promise<object>} Contract details
@@ -316,17 +370,7 @@ class DonationHandler {
    * @returns {string} Network name
    */
   static detectNetwork(rpcUrl) {
-    const url = rpcUrl.toLowerCase();
-    
-    if (url.includes('polygon')) {
-      return 'polygon';
-    } else if (url.includes('sepolia')) {
-      return 'sepolia';
-    } else if (url.includes('mainnet') || url.includes('ethereum')) {
-      return 'ethereum';
-    }
-    
-    return 'unknown';
+    return detectNetwork(rpcUrl);
   }
 
   /**
@@ -339,6 +383,163 @@ class DonationHandler {
   }
 }
 
+/**
+ * Registry of DonationHandler instances keyed by network
+ * Each network gets its own provider, USDC contract and signer. All handlers
+ * share one donation store; records carry the chainId they were sent on.
+ *
+ * Per-network environment variables (NETWORK = ETHEREUM, POLYGON, SEPOLIA, AMOY):
+ *   NETWORK_RPC_URLS or NETWORK_RPC_URL (required), NETWORK_USDC_CONTRACT, NETWORK_WALLET_PK (default USER_WALLET_PK)
+ * The legacy RPC_URL / USDC_CONTRACT pair still configures the network it points at.
+ * Providers come from the shared failover factory, so known public endpoints back up the configured ones.
+ */
+class DonationHandlerRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.store] - Shared donation store
+   * @param {string} [options.defaultNetwork] - Network used when a request doesn't name one
+   */
+  constructor(options = {}) {
+    this.donationStore = options.store || DonationHandler.createDonationStore();
+    this.defaultNetwork = options.defaultNetwork || process.env.DONATION_DEFAULT_NETWORK || null;
+    this.handlers = new Map();
+    this.errors = new Map();
+  }
+
+  /**
+   * Read per-network settings from the environment
+   * @param {Object} [env] - Environment variables
+   * @returns {Array<object>} Network settings with an RPC URL configured
+   */
+  static resolveNetworkSettings(env = process.env) {
+    const legacyNetwork = legacyRpcNetwork(env);
+
+    return Object.keys(NETWORK_CONFIG).map(network => {
+      const prefix = network.toUpperCase();
+      const legacy = network === legacyNetwork;
+
+      return {
+        network,
+        rpcUrl: env[`${prefix}_RPC_URLS`] || env[`${prefix}_RPC_URL`] || (legacy ? env.RPC_URL : null),
+        privateKey: env[`${prefix}_WALLET_PK`] || env.USER_WALLET_PK,
+        usdcContract: env[`${prefix}_USDC_CONTRACT`]
+          || (legacy && env.USDC_CONTRACT)
+          || NETWORK_CONFIG[network].usdcContract,
+        legacy
+      };
+    }).filter(settings => settings.rpcUrl);
+  }
+
+  /**
+   * Connect a handler for every configured network
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const settings = DonationHandlerRegistry.resolveNetworkSettings();
+
+    for (const { network, privateKey, usdcContract, legacy } of settings) {
+      try {
+        const handler = new DonationHandler({ store: this.donationStore });
+        await handler.initialize(getProvider(network), privateKey, usdcContract);
+
+        const expectedChainId = NETWORK_CONFIG[network].chainId;
+        if (handler.network.chainId !== expectedChainId) {
+          throw new Error(`RPC for ${network} is on chain ${handler.network.chainId}, expected ${expectedChainId}`);
+        }
+
+        handler.networkKey = network;
+        this.handlers.set(network, handler);
+        if (legacy && !this.defaultNetwork) {
+          this.defaultNetwork = network;
+        }
+      } catch (error) {
+        console.error(`❌ Donation handler for ${network} unavailable:`, error.message);
+        this.errors.set(network, error.message);
+      }
+    }
+
+    if (this.handlers.size === 0) {
+      throw new Error('No donation networks configured. Set RPC_URL or <NETWORK>_RPC_URL (e.g. AMOY_RPC_URL)');
+    }
+
+    if (!this.defaultNetwork || !this.handlers.has(this.defaultNetwork)) {
+      this.defaultNetwork = this.handlers.keys().next().value;
+    }
+
+    console.log(`🌐 Donation networks ready: ${this.getNetworks().join(', ')} (default: ${this.defaultNetwork})`);
+  }
+
+  /**
+   * Get the handler for a network
+   * @param {string} [network] - Network name (defaults to the default network)
+   * @returns {DonationHandler} Handler
+   * @throws {Error} With code NETWORK_NOT_CONFIGURED if the network has no handler
+   */
+  get(network) {
+    const key = (network || this.defaultNetwork || '').toLowerCase();
+    const handler = this.handlers.get(key);
+
+    if (!handler) {
+      const reason = this.errors.get(key) ? `failed to initialize (${this.errors.get(key)})` : 'is not configured';
+      const error = new Error(`Network "${key}" ${reason}. Available networks: ${this.getNetworks().join(', ')}`);
+      error.code = 'NETWORK_NOT_CONFIGURED';
+      error.availableNetworks = this.getNetworks();
+      throw error;
+    }
+
+    return handler;
+  }
+
+  /**
+   * Networks with a working handler
+   * @returns {Array<string>} Network names
+   */
+  getNetworks() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Iterate over configured handlers
+   * @returns {Array<DonationHandler>} Handlers
+   */
+  all() {
+    return [...this.handlers.values()];
+  }
+
+  /**
+   * Get a donation record by transaction hash on any network
+   * @param {string} txHash - Transaction hash
+   * @returns {object|null} Donation record or null
+   */
+  getDonationByTxHash(txHash) {
+    return this.donationStore.findOne('txHash', txHash.toLowerCase());
+  }
+
+  /**
+   * Per-network status for health checks
+   * @returns {object} Status summary
+   */
+  getStatus() {
+    const networks = {};
+    for (const [network, handler] of this.handlers) {
+      networks[network] = {
+        status: 'Connected',
+        chainId: handler.network.chainId,
+        usdcContract: handler.usdcContract.target,
+        wallet: handler.signer.address
+      };
+    }
+    for (const [network, error] of this.errors) {
+      networks[network] = { status: 'Error', error };
+    }
+
+    return {
+      defaultNetwork: this.defaultNetwork,
+      networks
+    };
+  }
+}
+
 /**
  * Initialize and create a donation handler instance
  * @returns {Promise<DonationHandler>} Initialized donation handler
@@ -352,12 +553,26 @@ async function createDonationHandler() {
     throw new Error('Missing required environment variables: RPC_URL, USER_WALLET_PK, or USDC_CONTRACT');
   }
   
+  // Use the shared failover provider when RPC_URL points at a known network
+  const network = legacyRpcNetwork();
+  const provider = NETWORK_CONFIG[network] ? getProvider(network) : rpcUrl;
+  
   const handler = new DonationHandler();
-  await handler.initialize(rpcUrl, privateKey, usdcContract);
+  await handler.initialize(provider, privateKey, usdcContract);
   
   return handler;
 }
 
+/**
+ * Create a registry with a handler for every configured network
+ * @returns {Promise<DonationHandlerRegistry>} Initialized registry
+ */
+async function createDonationHandlerRegistry() {
+  const registry = new DonationHandlerRegistry();
+  await registry.initialize();
+  return registry;
+}
+
 /**
  * Quick donation function for simple use cases
  * @param {string} amount - Amount to donate (in USDC)
@@ -377,7 +592,9 @@ async function quickDonate(amount, recipient = null) {
 
 module.exports = {
   DonationHandler,
+  DonationHandlerRegistry,
   createDonationHandler,
+  createDonationHandlerRegistry,
   quickDonate,
   NETWORK_CONFIG
 }; 
\ No newline at end of file
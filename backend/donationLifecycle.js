@@ -0,0 +1,154 @@
+/**
+ * Donation Lifecycle
+ * Explicit states for on-chain donations and the transitions allowed between them.
+ *
+ *   created ──► submitted ──► confirmed
+ *      │            ├───────► failed
+ *      └──► failed  └───────► replaced
+ */
+
+const DEFAULT_REQUIRED_CONFIRMATIONS = 3;
+
+const DonationStatus = {
+    CREATED: 'created',       // Record persisted, transaction not yet broadcast
+    SUBMITTED: 'submitted',   // Broadcast, waiting for receipt / confirmations
+    CONFIRMED: 'confirmed',   // Mined successfully with the required confirmations
+    FAILED: 'failed',         // Rejected before broadcast, reverted, or dropped
+    REPLACED: 'replaced'      // Nonce consumed by a different transaction
+};
+
+const TRANSITIONS = {
+    [DonationStatus.CREATED]: [DonationStatus.SUBMITTED, DonationStatus.FAILED],
+    [DonationStatus.SUBMITTED]: [DonationStatus.CONFIRMED, DonationStatus.FAILED, DonationStatus.REPLACED],
+    [DonationStatus.CONFIRMED]: [],
+    [DonationStatus.FAILED]: [],
+    [DonationStatus.REPLACED]: []
+};
+
+// Records written before the lifecycle existed were stored as 'completed' after tx.wait()
+const LEGACY_STATUSES = {
+    completed: DonationStatus.CONFIRMED
+};
+
+/**
+ * Confirmations a donation needs before it counts as confirmed
+ * @returns {number} Required confirmations (DONATION_CONFIRMATIONS, default 3)
+ */
+function getRequiredConfirmations() {
+    return parseInt(process.env.DONATION_CONFIRMATIONS) || DEFAULT_REQUIRED_CONFIRMATIONS;
+}
+
+/**
+ * Normalise a stored status, mapping legacy values
+ * @param {string} status - Stored status
+ * @returns {string} Lifecycle status
+ */
+function normalizeStatus(status) {
+    return LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Whether a status is final
+ * @param {string} status - Lifecycle status
+ * @returns {boolean} True if no further transitions are possible
+ */
+function isTerminal(status) {
+    const transitions = TRANSITIONS[normalizeStatus(status)];
+    return !transitions || transitions.length === 0;
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[normalizeStatus(from)] || []).includes(to);
+}
+
+/**
+ * Move a stored donation to a new status
+ * @param {Object} store - Donation store
+ * @param {string} id - Donation ID
+ * @param {string} status - Target status
+ * @param {Object} changes - Extra fields to record with the transition
+ * @returns {Object} Updated donation record
+ */
+function transitionDonation(store, id, status, changes = {}) {
+    const record = store.get(id);
+    if (!record) {
+        throw new Error(`Donation not found: ${id}`);
+    }
+    if (!canTransition(record.status, status)) {
+        throw new Error(`Invalid donation transition for ${id}: ${record.status} → ${status}`);
+    }
+
+    const at = new Date().toISOString();
+    return store.update(id, {
+        ...changes,
+        status,
+        updatedAt: at,
+        statusHistory: [...(record.statusHistory || []), { status, at }]
+    });
+}
+
+/**
+ * Build the initial fields for a new donation record
+ * @returns {Object} Lifecycle fields
+ */
+function initialLifecycle() {
+    const at = new Date().toISOString();
+    return {
+        status: DonationStatus.CREATED,
+        confirmations: 0,
+        updatedAt: at,
+        statusHistory: [{ status: DonationStatus.CREATED, at }]
+    };
+}
+
+/**
+ * Every transaction hash a donation has been broadcast under, including fee-bump replacements
+ * @param {Object} record - Donation record
+ * @returns {Array<string>} Lowercased hashes, current one first
+ */
+function transactionHashes(record) {
+    const hashes = [record.txHash, ...(record.replacementChain || []).map(entry => entry.txHash)]
+        .filter(Boolean)
+        .map(hash => hash.toLowerCase());
+    return [...new Set(hashes)];
+}
+
+/**
+ * Summarise a record's lifecycle for API responses
+ * @param {Object} record - Donation record
+ * @param {number} [requiredConfirmations] - Confirmations needed for 'confirmed'
+ * @returns {Object} Progress summary
+ */
+function describeProgress(record, requiredConfirmations = getRequiredConfirmations()) {
+    const status = normalizeStatus(record.status);
+    return {
+        status,
+        confirmations: record.confirmations || 0,
+        requiredConfirmations,
+        final: isTerminal(status),
+        txHash: record.txHash || null,
+        blockNumber: record.blockNumber || null,
+        error: record.error || null,
+        replacementChain: record.replacementChain || [],
+        updatedAt: record.updatedAt || record.timestamp,
+        statusHistory: record.statusHistory || []
+    };
+}
+
+module.exports = {
+    DonationStatus,
+    getRequiredConfirmations,
+    normalizeStatus,
+    isTerminal,
+    canTransition,
+    transitionDonation,
+    initialLifecycle,
+    transactionHashes,
+    describeProgress
+};
@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+/**
+ * Fee Bumper
+ * Rebroadcasts donations that sit in the mempool past a threshold, reusing the
+ * nonce with a higher EIP-1559 fee (or gas price on legacy networks) up to a cap.
+ * Each broadcast is appended to the donation's replacementChain.
+ */
+
+const DEFAULT_STUCK_AFTER_MS = 3 * 60 * 1000;  // 3 minutes pending before the first bump
+const DEFAULT_BUMP_PERCENT = 25;               // Nodes require at least +10% to accept a replacement
+const MIN_BUMP_PERCENT = 10;
+const DEFAULT_MAX_FEE_GWEI = '500';
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+class FeeBumper {
+    /**
+     * @param {Object} options
+     * @param {number} [options.stuckAfterMs] - Time since the last broadcast before a transaction counts as stuck
+     * @param {number} [options.bumpPercent] - Minimum fee increase per replacement
+     * @param {string} [options.maxFeeGwei] - Cap for maxFeePerGas / gasPrice, in gwei
+     * @param {number} [options.maxAttempts] - Maximum replacements per donation
+     */
+    constructor(options = {}) {
+        this.stuckAfterMs = options.stuckAfterMs
+            || parseInt(process.env.FEE_BUMP_AFTER_MS) || DEFAULT_STUCK_AFTER_MS;
+        this.bumpPercent = Math.max(MIN_BUMP_PERCENT, options.bumpPercent
+            || parseInt(process.env.FEE_BUMP_PERCENT) || DEFAULT_BUMP_PERCENT);
+        this.maxFeePerGas = ethers.parseUnits(String(options.maxFeeGwei
+            || process.env.FEE_BUMP_MAX_FEE_GWEI || DEFAULT_MAX_FEE_GWEI), 'gwei');
+        this.maxAttempts = options.maxAttempts
+            || parseInt(process.env.FEE_BUMP_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    }
+
+    /**
+     * Whether a pending donation has waited long enough to be bumped
+     * @param {Object} record - Donation record
+     * @returns {boolean} True if stuck and still eligible for a replacement
+     */
+    isStuck(record) {
+        const chain = record.replacementChain || [];
+        if (chain.length > this.maxAttempts || record.feeBumpCapped) return false;
+
+        const lastBroadcastAt = Date.parse(chain.length ? chain[chain.length - 1].submittedAt : record.submittedAt);
+        return Date.now() - lastBroadcastAt > this.stuckAfterMs;
+    }
+
+    /**
+     * Raise a fee by the bump percentage, never below the current network fee, capped
+     * @param {bigint} previous - Fee of the stuck transaction
+     * @param {bigint|null} current - Current network suggestion
+     * @returns {bigint} Replacement fee
+     */
+    raise(previous, current) {
+        const bumped = previous + (previous * BigInt(this.bumpPercent) + 99n) / 100n;
+        const target = current && current > bumped ? current : bumped;
+        return target > this.maxFeePerGas ? this.maxFeePerGas : target;
+    }
+
+    /**
+     * Compute replacement fees, or null if the cap leaves no room for a valid replacement
+     * @param {Object} tx - Pending transaction
+     * @param {Object} feeData - provider.getFeeData() result
+     * @returns {Object|null} Fee fields for the replacement
+     */
+    nextFees(tx, feeData) {
+        const minimumIncrease = (fee) => fee + (fee * BigInt(MIN_BUMP_PERCENT) + 99n) / 100n;
+
+        if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+            const maxFeePerGas = this.raise(tx.maxFeePerGas, feeData.maxFeePerGas);
+            let maxPriorityFeePerGas = this.raise(tx.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+            if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+            if (maxFeePerGas < minimumIncrease(tx.maxFeePerGas)
+                || maxPriorityFeePerGas < minimumIncrease(tx.maxPriorityFeePerGas)) {
+                return null;
+            }
+            return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+        }
+
+        const gasPrice = this.raise(tx.gasPrice, feeData.gasPrice);
+        if (gasPrice < minimumIncrease(tx.gasPrice)) return null;
+        return { type: tx.type ?? 0, gasPrice };
+    }
+
+    /**
+     * Rebroadcast a stuck transaction with the same nonce and higher fees
+     * @param {Object} store - Donation store
+     * @param {Object} record - Donation record
+     * @param {Object} tx - Pending transaction as returned by provider.getTransaction
+     * @param {Object} signer - Signer for the sending address
+     * @returns {Promise<Object>} Updated donation record
+     */
+    async bump(store, record, tx, signer) {
+        const chain = record.replacementChain && record.replacementChain.length
+            ? record.replacementChain
+            : [FeeBumper.chainEntry(tx, record.submittedAt)];
+
+        const feeData = await signer.provider.getFeeData();
+        const fees = this.nextFees(tx, feeData);
+
+        if (!fees) {
+            console.warn(`⛽ Donation ${record.id} is stuck but fees are already at the cap (${ethers.formatUnits(this.maxFeePerGas, 'gwei')} gwei)`);
+            return store.update(record.id, { replacementChain: chain, feeBumpCapped: true });
+        }
+
+        let replacement;
+        try {
+            replacement = await signer.sendTransaction({
+                to: tx.to,
+                data: tx.data,
+                value: tx.value,
+                gasLimit: tx.gasLimit,
+                chainId: tx.chainId,
+                nonce: tx.nonce,
+                ...fees
+            });
+        } catch (error) {
+            // Typically the original was mined meanwhile (nonce too low) or the node wants a larger bump
+            console.warn(`⚠️  Fee bump for donation ${record.id} failed: ${error.shortMessage || error.message}`);
+            return store.update(record.id, {
+                replacementChain: chain,
+                lastFeeBumpError: error.shortMessage || error.message
+            });
+        }
+
+        const submittedAt = new Date().toISOString();
+        console.log(`⛽ Donation ${record.id} bumped (attempt ${chain.length}): ${tx.hash} → ${replacement.hash}`);
+
+        return store.update(record.id, {
+            txHash: replacement.hash,
+            replacementChain: [...chain, FeeBumper.chainEntry(replacement, submittedAt)],
+            lastFeeBumpError: null
+        });
+    }
+
+    /**
+     * Describe one broadcast for the replacement chain
+     * @param {Object} tx - Transaction response
+     * @param {string} submittedAt - Broadcast time
+     * @returns {Object} Chain entry
+     */
+    static chainEntry(tx, submittedAt) {
+        const gwei = (value) => (value === null || value === undefined ? null : ethers.formatUnits(value, 'gwei'));
+        return {
+            txHash: tx.hash,
+            nonce: tx.nonce,
+            maxFeePerGasGwei: gwei(tx.maxFeePerGas),
+            maxPriorityFeePerGasGwei: gwei(tx.maxPriorityFeePerGas),
+            gasPriceGwei: tx.maxFeePerGas ? null : gwei(tx.gasPrice),
+            submittedAt
+        };
+    }
+}
+
+module.exports = FeeBumper;
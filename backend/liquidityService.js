@@ -0,0 +1,323 @@
+const { ethers } = require('ethers');
+const { createManagedSigner } = require('./nonceManager');
+require('dotenv').config();
+
+/**
+ * Liquidity Service
+ * Adds and removes SimpleDEX liquidity from the operator wallet and previews
+ * the LP tokens minted or the tokens returned, using the same integer math as
+ * the contract. Replaces editing and re-running scripts/add-liquidity.js.
+ */
+
+class LiquidityService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService (pool addresses, ABIs and provider)
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.provider = this.swapService.provider;
+
+        // A wallet of its own: the hot wallet holds plant workflows' swapped USDC
+        const pk = process.env.LIQUIDITY_WALLET_PK;
+        if (!pk) {
+            throw new Error('LIQUIDITY_WALLET_PK is required to manage liquidity');
+        }
+        const operator = new ethers.Wallet(pk).address;
+        if (process.env.USER_WALLET_PK && operator === new ethers.Wallet(process.env.USER_WALLET_PK).address) {
+            throw new Error('LIQUIDITY_WALLET_PK must be a different wallet from USER_WALLET_PK');
+        }
+        this.signer = createManagedSigner(new ethers.Wallet(pk, this.provider));
+    }
+
+    /**
+     * Integer square root (Babylonian method, as in SimpleDEX)
+     * Shared with PoolAnalytics for depth math.
+     * @param {bigint} y - Value
+     * @returns {bigint} floor(sqrt(y))
+     */
+    static sqrt(y) {
+        if (y > 3n) {
+            let z = y;
+            let x = y / 2n + 1n;
+            while (x < z) {
+                z = x;
+                x = (y / x + x) / 2n;
+            }
+            return z;
+        }
+        return y !== 0n ? 1n : 0n;
+    }
+
+    /**
+     * SimpleDEX contract, read-only unless a signer is given
+     * @param {Object} [runner] - Signer or provider
+     * @returns {ethers.Contract} Contract instance
+     */
+    dex(runner = this.provider) {
+        return new ethers.Contract(this.swapService.SIMPLE_DEX_ADDRESS, this.swapService.simpleDexABI, runner);
+    }
+
+    /**
+     * Read reserves and total LP supply
+     * @returns {Promise<Object>} {reserve0, reserve1, totalLiquidity} as bigint
+     */
+    async getPoolState() {
+        const simpleDex = this.dex();
+        const [reserve0, reserve1, totalLiquidity] = await Promise.all([
+            simpleDex.reserve0(),
+            simpleDex.reserve1(),
+            simpleDex.totalLiquidity()
+        ]);
+        return { reserve0, reserve1, totalLiquidity };
+    }
+
+    /**
+     * Describe an LP balance: share of the pool and the tokens it can be redeemed for
+     * @param {bigint} liquidity - LP balance
+     * @param {Object} pool - Pool state from getPoolState
+     * @returns {Object} Formatted position
+     */
+    describeLiquidity(liquidity, { reserve0, reserve1, totalLiquidity }) {
+        const amount0 = totalLiquidity > 0n ? liquidity * reserve0 / totalLiquidity : 0n;
+        const amount1 = totalLiquidity > 0n ? liquidity * reserve1 / totalLiquidity : 0n;
+        return {
+            liquidity: ethers.formatEther(liquidity),
+            liquidityWei: liquidity.toString(),
+            sharePercent: totalLiquidity > 0n
+                ? ethers.formatUnits(liquidity * 10n ** 8n / totalLiquidity, 6)
+                : '0.0',
+            underlying: {
+                wld: ethers.formatEther(amount0),
+                usdc: ethers.formatUnits(amount1, 6)
+            }
+        };
+    }
+
+    /**
+     * LP share of an address
+     * @param {string} address - Liquidity provider
+     * @returns {Promise<Object>} Position with share and redeemable amounts
+     */
+    async getPosition(address) {
+        const [pool, liquidity] = await Promise.all([
+            this.getPoolState(),
+            this.dex().liquidity(address)
+        ]);
+        return {
+            address: ethers.getAddress(address),
+            ...this.describeLiquidity(liquidity, pool),
+            totalLiquidity: ethers.formatEther(pool.totalLiquidity)
+        };
+    }
+
+    /**
+     * Preview adding liquidity. If only one side is given, the other is sized to the
+     * current pool ratio; amounts beyond the ratio are added to reserves without minting.
+     * @param {number} [wldAmount] - WLD to add
+     * @param {number} [usdcAmount] - USDC to add
+     * @returns {Promise<Object>} Amounts, LP tokens minted and share afterwards
+     */
+    async previewAdd(wldAmount, usdcAmount) {
+        const pool = await this.getPoolState();
+        const { reserve0, reserve1, totalLiquidity } = pool;
+
+        let amount0 = wldAmount ? ethers.parseEther(wldAmount.toString()) : null;
+        let amount1 = usdcAmount ? ethers.parseUnits(usdcAmount.toString(), 6) : null;
+
+        if (amount0 === null && amount1 === null) {
+            throw new Error('Provide wldAmount, usdcAmount or both');
+        }
+        if (amount0 === null || amount1 === null) {
+            if (totalLiquidity === 0n) {
+                throw new Error('The pool is empty: both wldAmount and usdcAmount are needed to set the initial price');
+            }
+            // Round up so the given side is the one that limits minting
+            if (amount1 === null) amount1 = (amount0 * reserve1 + reserve0 - 1n) / reserve0;
+            else amount0 = (amount1 * reserve0 + reserve1 - 1n) / reserve1;
+        }
+
+        let liquidityMinted;
+        let excess0 = 0n;
+        let excess1 = 0n;
+        if (totalLiquidity === 0n) {
+            liquidityMinted = LiquidityService.sqrt(amount0 * amount1);
+        } else {
+            const liquidity0 = amount0 * totalLiquidity / reserve0;
+            const liquidity1 = amount1 * totalLiquidity / reserve1;
+            liquidityMinted = liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+            excess0 = amount0 - liquidityMinted * reserve0 / totalLiquidity;
+            excess1 = amount1 - liquidityMinted * reserve1 / totalLiquidity;
+        }
+
+        const after = {
+            reserve0: reserve0 + amount0,
+            reserve1: reserve1 + amount1,
+            totalLiquidity: totalLiquidity + liquidityMinted
+        };
+
+        return {
+            wldAmount: ethers.formatEther(amount0),
+            wldAmountWei: amount0.toString(),
+            usdcAmount: ethers.formatUnits(amount1, 6),
+            usdcAmountWei: amount1.toString(),
+            liquidityMinted: ethers.formatEther(liquidityMinted),
+            liquidityMintedWei: liquidityMinted.toString(),
+            // Tokens beyond the pool ratio raise reserves for every LP instead of minting
+            excess: {
+                wld: ethers.formatEther(excess0),
+                usdc: ethers.formatUnits(excess1, 6)
+            },
+            shareAfterPercent: this.describeLiquidity(liquidityMinted, after).sharePercent,
+            poolAfter: {
+                wldReserve: ethers.formatEther(after.reserve0),
+                usdcReserve: ethers.formatUnits(after.reserve1, 6),
+                totalLiquidity: ethers.formatEther(after.totalLiquidity)
+            }
+        };
+    }
+
+    /**
+     * Preview removing liquidity
+     * @param {bigint|string} liquidityWei - LP tokens to burn
+     * @returns {Promise<Object>} Tokens returned and the pool afterwards
+     */
+    async previewRemove(liquidityWei) {
+        const { reserve0, reserve1, totalLiquidity } = await this.getPoolState();
+        const liquidity = BigInt(liquidityWei);
+
+        if (liquidity <= 0n || liquidity > totalLiquidity) {
+            throw new Error(`Liquidity must be between 0 and the pool total of ${ethers.formatEther(totalLiquidity)}`);
+        }
+
+        const amount0 = liquidity * reserve0 / totalLiquidity;
+        const amount1 = liquidity * reserve1 / totalLiquidity;
+
+        return {
+            liquidityBurned: ethers.formatEther(liquidity),
+            liquidityBurnedWei: liquidity.toString(),
+            wldAmount: ethers.formatEther(amount0),
+            wldAmountWei: amount0.toString(),
+            usdcAmount: ethers.formatUnits(amount1, 6),
+            usdcAmountWei: amount1.toString(),
+            poolAfter: {
+                wldReserve: ethers.formatEther(reserve0 - amount0),
+                usdcReserve: ethers.formatUnits(reserve1 - amount1, 6),
+                totalLiquidity: ethers.formatEther(totalLiquidity - liquidity)
+            }
+        };
+    }
+
+    /**
+     * LP tokens to burn for a percentage of an address's position
+     * @param {string} address - Liquidity provider
+     * @param {number} percent - 0 < percent <= 100
+     * @returns {Promise<bigint>} LP tokens
+     */
+    async liquidityForPercent(address, percent) {
+        const balance = await this.dex().liquidity(address);
+        return balance * BigInt(Math.round(percent * 100)) / 10000n;
+    }
+
+    /**
+     * Add liquidity from the operator wallet (approves the DEX first if needed)
+     * @param {number} [wldAmount] - WLD to add
+     * @param {number} [usdcAmount] - USDC to add (sized to the pool ratio if omitted)
+     * @param {string} [to] - Address credited with the LP tokens (operator by default)
+     * @returns {Promise<Object>} Transaction, amounts, LP tokens minted and the new position
+     */
+    async addLiquidity(wldAmount, usdcAmount, to = this.signer.address) {
+        const preview = await this.previewAdd(wldAmount, usdcAmount);
+        const amount0 = BigInt(preview.wldAmountWei);
+        const amount1 = BigInt(preview.usdcAmountWei);
+        const dexAddress = this.swapService.SIMPLE_DEX_ADDRESS;
+
+        const wld = new ethers.Contract(this.swapService.MOCK_WLD_ADDRESS, this.swapService.erc20ABI, this.signer);
+        const usdc = new ethers.Contract(this.swapService.USDC_ADDRESS, this.swapService.erc20ABI, this.signer);
+
+        const [wldBalance, usdcBalance, wldAllowance, usdcAllowance] = await Promise.all([
+            wld.balanceOf(this.signer.address),
+            usdc.balanceOf(this.signer.address),
+            wld.allowance(this.signer.address, dexAddress),
+            usdc.allowance(this.signer.address, dexAddress)
+        ]);
+
+        if (wldBalance < amount0 || usdcBalance < amount1) {
+            throw new Error(`Insufficient operator balance. Required: ${preview.wldAmount} WLD + ${preview.usdcAmount} USDC, Available: ${ethers.formatEther(wldBalance)} WLD + ${ethers.formatUnits(usdcBalance, 6)} USDC`);
+        }
+
+        console.log(`💧 Adding liquidity: ${preview.wldAmount} WLD + ${preview.usdcAmount} USDC for ${to}...`);
+
+        const approvals = [];
+        if (wldAllowance < amount0) approvals.push(wld.approve(dexAddress, amount0));
+        if (usdcAllowance < amount1) approvals.push(usdc.approve(dexAddress, amount1));
+        for (const approveTx of await Promise.all(approvals)) {
+            await approveTx.wait();
+        }
+
+        const tx = await this.dex(this.signer).addLiquidity(amount0, amount1, to);
+        const receipt = await tx.wait();
+        const event = this.findEvent(receipt, 'LiquidityAdded');
+
+        console.log(`✅ Liquidity added: ${tx.hash}`);
+
+        return {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            wldAmount: preview.wldAmount,
+            usdcAmount: preview.usdcAmount,
+            liquidityMinted: event ? ethers.formatEther(event.args.liquidityMinted) : preview.liquidityMinted,
+            position: await this.getPosition(to)
+        };
+    }
+
+    /**
+     * Remove the operator wallet's liquidity
+     * @param {bigint|string} liquidityWei - LP tokens to burn
+     * @param {string} [to] - Address receiving the WLD and USDC (operator by default)
+     * @returns {Promise<Object>} Transaction, tokens returned and the remaining position
+     */
+    async removeLiquidity(liquidityWei, to = this.signer.address) {
+        const liquidity = BigInt(liquidityWei);
+        const balance = await this.dex().liquidity(this.signer.address);
+        if (liquidity > balance) {
+            throw new Error(`Insufficient LP balance. Requested: ${ethers.formatEther(liquidity)}, Available: ${ethers.formatEther(balance)}`);
+        }
+
+        const preview = await this.previewRemove(liquidity);
+        console.log(`💧 Removing liquidity: ${preview.liquidityBurned} LP → ${preview.wldAmount} WLD + ${preview.usdcAmount} USDC to ${to}...`);
+
+        const tx = await this.dex(this.signer).removeLiquidity(liquidity, to);
+        const receipt = await tx.wait();
+        const event = this.findEvent(receipt, 'LiquidityRemoved');
+
+        console.log(`✅ Liquidity removed: ${tx.hash}`);
+
+        return {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            liquidityBurned: preview.liquidityBurned,
+            wldAmount: event ? ethers.formatEther(event.args.amount0) : preview.wldAmount,
+            usdcAmount: event ? ethers.formatUnits(event.args.amount1, 6) : preview.usdcAmount,
+            position: await this.getPosition(this.signer.address)
+        };
+    }
+
+    /**
+     * Find a SimpleDEX event in a receipt
+     * @param {Object} receipt - Transaction receipt
+     * @param {string} name - Event name
+     * @returns {Object|null} Parsed log or null
+     */
+    findEvent(receipt, name) {
+        const simpleDex = new ethers.Interface(this.swapService.simpleDexABI);
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.swapService.SIMPLE_DEX_ADDRESS.toLowerCase()) continue;
+            const parsed = simpleDex.parseLog(log);
+            if (parsed && parsed.name === name) return parsed;
+        }
+        return null;
+    }
+}
+
+module.exports = LiquidityService;
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/**
+ * Admin authentication middleware
+ * Accepts the key from ADMIN_API_KEY as "Authorization: Bearer <key>" or an X-Admin-Key header.
+ * Admin endpoints are disabled entirely when no key is configured.
+ */
+const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_KEY to enable admin endpoints',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-Admin-Key');
+
+  const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+  const providedDigest = crypto.createHash('sha256').update(provided || '').digest();
+
+  if (!provided || !crypto.timingSafeEqual(expectedDigest, providedDigest)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'A valid admin API key is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { createStore } = require('../storage');
+
+/**
+ * Idempotency-Key support for mutating endpoints
+ *
+ * - Same key, same payload: the stored response is replayed
+ * - Same key, different payload: rejected with 422
+ * - Same key while the first request is still running: waits for it, then replays
+ *
+ * Responses are persisted, so a retry after a restart still replays. A request
+ * that was in flight when the process died (or whose client hung up before it
+ * answered) is reported as unknown rather than re-run, since its transaction
+ * may already have been broadcast; that record expires after
+ * IDEMPOTENCY_IN_PROGRESS_MINUTES. 5xx outcomes are not kept, so a retry of a
+ * failed request runs again.
+ */
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_IN_PROGRESS_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Hash the parts of a request that must match for a replay
+ * @param {Object} req - Express request
+ * @returns {string} Hex digest
+ */
+const fingerprintRequest = (req) => {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = canonical(value[key]);
+        return sorted;
+      }, {});
+    }
+    return value;
+  };
+
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.path}\n${JSON.stringify(canonical(req.body || {}))}`)
+    .digest('hex');
+};
+
+const errorResponse = (res, status, error, errorCode, message) => res.status(status).json({
+  success: false,
+  error,
+  errorCode,
+  message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Create idempotency middleware
+ * @param {Object} options
+ * @param {Object} [options.store] - Record store (defaults to the persistent 'idempotency' store)
+ * @param {number} [options.ttlMs] - How long responses are kept for replay
+ * @param {number} [options.inProgressTtlMs] - How long an interrupted request blocks its key
+ * @returns {Function} Express middleware
+ */
+const createIdempotencyMiddleware = (options = {}) => {
+  const store = options.store || createStore('idempotency', { keyField: 'key' });
+  const ttlMs = options.ttlMs || (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) * 60 * 60 * 1000) || DEFAULT_TTL_MS;
+  const inProgressTtlMs = options.inProgressTtlMs
+    || (parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_MINUTES) * 60 * 1000) || DEFAULT_IN_PROGRESS_TTL_MS;
+  const inFlight = new Map(); // key => Promise resolved when the first request has responded or gone away
+
+  const replay = (res, record) => {
+    res.set('Idempotent-Replayed', 'true');
+    if (record.body === null || record.body === undefined) {
+      return res.status(record.statusCode).end();
+    }
+    return res.status(record.statusCode).json(record.body);
+  };
+
+  const handle = async (req, res, next) => {
+    const idempotencyKey = req.get(HEADER);
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+      return errorResponse(res, 400, 'Invalid idempotency key', 'INVALID_IDEMPOTENCY_KEY',
+        `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const key = `${req.method} ${req.path} ${idempotencyKey}`;
+    const fingerprint = fingerprintRequest(req);
+
+    let record = store.get(key);
+    if (record && Date.parse(record.expiresAt) <= Date.now() && !inFlight.has(key)) {
+      store.delete(key);
+      record = null;
+    }
+
+    if (record) {
+      if (record.fingerprint !== fingerprint) {
+        return errorResponse(res, 422, 'Idempotency key reused', 'IDEMPOTENCY_KEY_MISMATCH',
+          'This Idempotency-Key was already used with a different request payload');
+      }
+
+      if (record.state === 'completed') {
+        return replay(res, record);
+      }
+
+      const pending = inFlight.get(key);
+      if (!pending) {
+        // Started by a previous process that never recorded an outcome
+        return errorResponse(res, 409, 'Request outcome unknown', 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+          'A request with this Idempotency-Key was interrupted; check its transaction status before retrying with a new key');
+      }
+
+      // Replays the outcome, runs the request itself if the first one failed, or reports it unknown
+      await pending;
+      return handle(req, res, next);
+    }
+
+    const now = Date.now();
+    store.put({
+      key,
+      fingerprint,
+      state: 'in_progress',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + inProgressTtlMs).toISOString()
+    });
+
+    let settle;
+    const pending = new Promise(resolve => { settle = resolve; });
+    inFlight.set(key, pending);
+
+    // Record the first outcome the handler produces; server errors are dropped so a retry runs again
+    let recorded = false;
+    const recordOutcome = (statusCode, body) => {
+      if (recorded) return;
+      recorded = true;
+      if (statusCode >= 500) {
+        store.delete(key);
+        return;
+      }
+      const completedAt = Date.now();
+      store.update(key, {
+        state: 'completed',
+        statusCode,
+        body,
+        completedAt: new Date(completedAt).toISOString(),
+        expiresAt: new Date(completedAt + ttlMs).toISOString()
+      });
+    };
+
+    // Let waiting duplicates go once the response is out or the connection is gone
+    const release = () => {
+      if (inFlight.get(key) === pending) {
+        inFlight.delete(key);
+        settle();
+      }
+    };
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      recordOutcome(res.statusCode, body);
+      release();
+      return sendJson(body);
+    };
+    res.on('finish', () => {
+      recordOutcome(res.statusCode, null); // Responses sent without res.json replay as status only
+      release();
+    });
+    res.on('close', release); // Client hung up first: duplicates see the outcome as unknown until it is recorded
+
+    next();
+  };
+
+  return handle;
+};
+
+module.exports = {
+  createIdempotencyMiddleware,
+  fingerprintRequest
+};
@@ -109,7 +109,7 @@ const sanitizeDonationRequest = (req, res, next) => {
     amount: parseFloat(amount),
     recipient: recipient.toLowerCase(), // Normalize address to lowercase
     message: message ? message.trim() : undefined,
-    network: network ? network.toLowerCase() : 'polygon', // Default to polygon
+    network: network ? network.toLowerCase() : undefined, // Default network is chosen by the handler registry
     donor: donor ? {
       name: donor.name ? donor.name.trim() : undefined,
       email: donor.email ? donor.email.toLowerCase() : undefined,
@@ -0,0 +1,70 @@
+/**
+ * Network Configuration
+ * Chains the backend can send donations on, with their USDC contracts and RPC endpoints.
+ * Infura and Alchemy URLs are prefixes that need INFURA_API_KEY / ALCHEMY_API_KEY
+ * appended; the rest are public endpoints.
+ */
+
+const NETWORK_CONFIG = {
+  ethereum: {
+    name: 'Ethereum Mainnet',
+    chainId: 1,
+    usdcContract: '0xA0b86a33E6441e28E76e5F9b2Be7f99a0bCfDc2D',
+    rpcUrls: ['https://mainnet.infura.io/v3/', 'https://eth-mainnet.alchemyapi.io/v2/']
+  },
+  polygon: {
+    name: 'Polygon Mainnet',
+    chainId: 137,
+    usdcContract: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',
+    rpcUrls: ['https://polygon-mainnet.infura.io/v3/', 'https://polygon-mainnet.g.alchemy.com/v2/']
+  },
+  sepolia: {
+    name: 'Sepolia Testnet',
+    chainId: 11155111,
+    usdcContract: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+    rpcUrls: ['https://sepolia.infura.io/v3/']
+  },
+  amoy: {
+    name: 'Polygon Amoy Testnet',
+    chainId: 80002,
+    usdcContract: '0x8B0180f2101c8260d49339abfEe87927412494B4',
+    rpcUrls: ['https://polygon-amoy.infura.io/v3/', 'https://rpc-amoy.polygon.technology/']
+  }
+};
+
+/**
+ * Detect network from RPC URL
+ * @param {string} rpcUrl - RPC endpoint URL
+ * @returns {string} Network name, or 'unknown'
+ */
+function detectNetwork(rpcUrl) {
+  const url = rpcUrl.toLowerCase();
+
+  if (url.includes('amoy')) {
+    return 'amoy';
+  } else if (url.includes('polygon')) {
+    return 'polygon';
+  } else if (url.includes('sepolia')) {
+    return 'sepolia';
+  } else if (url.includes('mainnet') || url.includes('ethereum')) {
+    return 'ethereum';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Network the legacy RPC_URL setting belongs to
+ * @param {Object} [env] - Environment variables
+ * @returns {string|null} RPC_NETWORK if set, else the network detected from RPC_URL; null without RPC_URL
+ */
+function legacyRpcNetwork(env = process.env) {
+  if (!env.RPC_URL) return null;
+  return (env.RPC_NETWORK || detectNetwork(env.RPC_URL)).toLowerCase();
+}
+
+module.exports = {
+  NETWORK_CONFIG,
+  detectNetwork,
+  legacyRpcNetwork
+};
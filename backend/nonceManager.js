@@ -0,0 +1,211 @@
+const { ethers } = require('ethers');
+
+/**
+ * Nonce Manager
+ * Signer wrapper that assigns nonces locally and serialises broadcasts per
+ * address and chain, so concurrent donations from the hot wallet don't race
+ * for the same nonce. Every wrapper of the same address on the same chain
+ * shares one lane, even across services with their own providers.
+ */
+
+// `${address}:${chainId}` -> NonceLane
+const lanes = new Map();
+
+class NonceLane {
+    /**
+     * @param {string} address - Lowercased sender address
+     * @param {number} chainId - Chain ID
+     */
+    constructor(address, chainId) {
+        this.address = address;
+        this.chainId = chainId;
+        this.nextNonce = null;      // null means "resync from the node before the next send"
+        this.tail = Promise.resolve();
+        this.queued = 0;
+        this.lastError = null;
+        this.lastSyncedAt = null;
+    }
+
+    /**
+     * Run a task after every previously queued task has settled
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     */
+    run(task) {
+        this.queued++;
+        const result = this.tail.then(task).finally(() => {
+            this.queued--;
+        });
+        this.tail = result.catch(() => {});
+        return result;
+    }
+}
+
+class NonceManagedSigner extends ethers.AbstractSigner {
+    /**
+     * @param {Object} signer - Underlying ethers signer (e.g. a Wallet) connected to a provider
+     */
+    constructor(signer) {
+        if (!signer.provider) {
+            throw new Error('NonceManagedSigner requires a signer connected to a provider');
+        }
+        super(signer.provider);
+        this.signer = signer;
+        this.address = signer.address;
+    }
+
+    async getAddress() {
+        return this.signer.getAddress();
+    }
+
+    connect(provider) {
+        return new NonceManagedSigner(this.signer.connect(provider));
+    }
+
+    /**
+     * Get the lane shared by every signer for this address on this chain
+     * @returns {Promise<NonceLane>} Lane
+     */
+    async getLane() {
+        const address = (await this.getAddress()).toLowerCase();
+        const { chainId } = await this.provider.getNetwork();
+        const key = `${address}:${chainId}`;
+
+        if (!lanes.has(key)) {
+            lanes.set(key, new NonceLane(address, Number(chainId)));
+        }
+        return lanes.get(key);
+    }
+
+    /**
+     * Next nonce this signer will use; 'pending' reflects locally assigned nonces
+     * @param {string} [blockTag] - Block tag
+     * @returns {Promise<number>} Nonce
+     */
+    async getNonce(blockTag) {
+        if (blockTag === 'pending') {
+            const lane = await this.getLane();
+            if (lane.nextNonce !== null) return lane.nextNonce;
+        }
+        return this.signer.getNonce(blockTag);
+    }
+
+    /**
+     * Assign a nonce and broadcast, one transaction at a time per lane.
+     * A transaction with an explicit nonce (e.g. a fee-bump replacement) is
+     * sent as-is without advancing the lane. Any error clears the local nonce
+     * so the next send resyncs with getTransactionCount('pending').
+     * @param {Object} tx - Transaction request
+     * @returns {Promise<Object>} Transaction response
+     */
+    async sendTransaction(tx) {
+        return this.sendInLane(tx, (request) => this.signer.sendTransaction(request));
+    }
+
+    /**
+     * Like sendTransaction, but signs first and awaits onSigned({raw, hash, nonce})
+     * before broadcasting, so callers can persist the hash and raw transaction.
+     * A crash after the broadcast then can't lose track of it, and the raw
+     * transaction can be rebroadcast on resume.
+     * @param {Object} tx - Transaction request
+     * @param {Function} onSigned - Async callback run between signing and broadcasting
+     * @returns {Promise<Object>} Transaction response
+     */
+    async sendTransactionPersisted(tx, onSigned) {
+        return this.sendInLane(tx, async (request) => {
+            const populated = await this.signer.populateTransaction(request);
+            const raw = await this.signer.signTransaction(populated);
+            await onSigned({ raw, hash: ethers.keccak256(raw), nonce: request.nonce });
+            return this.provider.broadcastTransaction(raw);
+        });
+    }
+
+    /**
+     * Run a send with a lane-assigned nonce
+     * @param {Object} tx - Transaction request
+     * @param {Function} send - Sends the request with its nonce filled in
+     * @returns {Promise<Object>} Transaction response
+     */
+    async sendInLane(tx, send) {
+        const lane = await this.getLane();
+
+        return lane.run(async () => {
+            const explicitNonce = tx.nonce !== undefined && tx.nonce !== null;
+
+            if (!explicitNonce && lane.nextNonce === null) {
+                lane.nextNonce = await this.provider.getTransactionCount(lane.address, 'pending');
+                lane.lastSyncedAt = new Date().toISOString();
+                console.log(`🔢 Nonce synced for ${lane.address} on chain ${lane.chainId}: ${lane.nextNonce}`);
+            }
+
+            const nonce = explicitNonce ? Number(tx.nonce) : lane.nextNonce;
+
+            try {
+                const response = await send({ ...tx, nonce });
+                if (!explicitNonce) {
+                    lane.nextNonce = nonce + 1;
+                }
+                lane.lastError = null;
+                return response;
+            } catch (error) {
+                lane.nextNonce = null;
+                lane.lastError = error.shortMessage || error.message;
+                console.warn(`⚠️  Broadcast with nonce ${nonce} failed, resyncing nonce for ${lane.address}: ${lane.lastError}`);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Forget the locally tracked nonce; the next send resyncs from the node
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        const lane = await this.getLane();
+        await lane.run(async () => {
+            lane.nextNonce = null;
+        });
+    }
+
+    signTransaction(tx) {
+        return this.signer.signTransaction(tx);
+    }
+
+    signMessage(message) {
+        return this.signer.signMessage(message);
+    }
+
+    signTypedData(domain, types, value) {
+        return this.signer.signTypedData(domain, types, value);
+    }
+}
+
+/**
+ * Wrap a signer so its transactions go through the shared nonce lane
+ * @param {Object} signer - ethers signer connected to a provider
+ * @returns {NonceManagedSigner} Managed signer
+ */
+function createManagedSigner(signer) {
+    return signer instanceof NonceManagedSigner ? signer : new NonceManagedSigner(signer);
+}
+
+/**
+ * Nonce lane status for health/admin endpoints
+ * @returns {Array} One entry per address and chain
+ */
+function getNonceStatus() {
+    return [...lanes.values()].map(lane => ({
+        address: lane.address,
+        chainId: lane.chainId,
+        nextNonce: lane.nextNonce,
+        queued: lane.queued,
+        lastSyncedAt: lane.lastSyncedAt,
+        lastError: lane.lastError
+    }));
+}
+
+module.exports = {
+    NonceManagedSigner,
+    createManagedSigner,
+    getNonceStatus
+};
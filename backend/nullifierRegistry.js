@@ -0,0 +1,176 @@
+const { createStore } = require('./storage');
+require('dotenv').config();
+
+/**
+ * Nullifier Registry for World ID verifications
+ * Records every verified nullifier_hash per action so the same proof of
+ * personhood can't be replayed to farm unlimited verified sessions.
+ *
+ * Each action has a policy:
+ *   reject - a nullifier may verify the action once; repeats are refused
+ *   flag   - repeats are accepted but marked so callers can apply their own limits
+ *
+ * A nullifier is stable per action, so plant-tree defaults to flag: returning
+ * humans verify again and the daily limit is enforced by the plant quota.
+ */
+
+const POLICIES = ['reject', 'flag'];
+const DEFAULT_POLICY = 'reject';
+const DEFAULT_ACTION_POLICIES = { 'plant-tree': 'flag' };
+
+class NullifierRegistry {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.store] - Nullifier store (defaults to the persistent 'nullifiers' store)
+     * @param {Object<string, string>} [options.policies] - Policy per action (defaults to WLD_NULLIFIER_POLICIES)
+     * @param {string} [options.defaultPolicy] - Policy for actions without an explicit entry
+     */
+    constructor(options = {}) {
+        this.store = options.store || createStore('nullifiers', {
+            keyField: 'key',
+            indexes: {
+                nullifier: (entry) => entry.nullifierHash
+            }
+        });
+        this.policies = options.policies
+            || { ...DEFAULT_ACTION_POLICIES, ...NullifierRegistry.parsePolicies(process.env.WLD_NULLIFIER_POLICIES) };
+        this.defaultPolicy = options.defaultPolicy || process.env.WLD_NULLIFIER_DEFAULT_POLICY || DEFAULT_POLICY;
+
+        if (!POLICIES.includes(this.defaultPolicy)) {
+            throw new Error(`Invalid nullifier policy: ${this.defaultPolicy}`);
+        }
+    }
+
+    /**
+     * Parse a policy list such as "plant-tree:flag,claim-reward:reject"
+     * @param {string} spec - Comma separated action:policy pairs
+     * @returns {Object<string, string>} Policy per action
+     */
+    static parsePolicies(spec) {
+        const policies = {};
+        if (!spec) return policies;
+
+        for (const pair of spec.split(',')) {
+            const [action, policy] = pair.split(':').map(part => part && part.trim());
+            if (!action) continue;
+            if (!POLICIES.includes(policy)) {
+                throw new Error(`Invalid nullifier policy for action '${action}': ${policy}`);
+            }
+            policies[action] = policy;
+        }
+        return policies;
+    }
+
+    /**
+     * Get the policy that applies to an action
+     * @param {string} action - World ID action
+     * @returns {string} Policy name
+     */
+    getPolicy(action) {
+        return this.policies[action] || this.defaultPolicy;
+    }
+
+    /**
+     * Build the store key for an action/nullifier pair
+     * @param {string} action - World ID action
+     * @param {string} nullifierHash - Nullifier hash
+     * @returns {string} Store key
+     */
+    static keyFor(action, nullifierHash) {
+        return `${action}:${nullifierHash.toLowerCase()}`;
+    }
+
+    /**
+     * Look up a previously verified nullifier
+     * @param {string} action - World ID action
+     * @param {string} nullifierHash - Nullifier hash
+     * @returns {Object|null} Registry entry or null
+     */
+    get(action, nullifierHash) {
+        return this.store.get(NullifierRegistry.keyFor(action, nullifierHash));
+    }
+
+    /**
+     * Check whether a nullifier may verify an action, without recording anything.
+     * Lets callers skip the Developer Portal round trip for known repeats.
+     * @param {string} action - World ID action
+     * @param {string} nullifierHash - Nullifier hash
+     * @returns {Object} Check result
+     */
+    check(action, nullifierHash) {
+        const entry = this.get(action, nullifierHash);
+        const policy = this.getPolicy(action);
+
+        return {
+            allowed: !entry || policy === 'flag',
+            repeat: Boolean(entry),
+            policy,
+            entry
+        };
+    }
+
+    /**
+     * Whether a nullifier was verified, for any action, with the given signal
+     * @param {string} nullifierHash - Nullifier hash
+     * @param {string} signal - Expected signal (compared case-insensitively)
+     * @returns {boolean} True if a matching verification exists
+     */
+    isVerifiedWithSignal(nullifierHash, signal) {
+        return this.store.findBy('nullifier', nullifierHash.toLowerCase())
+            .some(entry => entry.signal && entry.signal.toLowerCase() === signal.toLowerCase());
+    }
+
+    /**
+     * Record a successful verification
+     * @param {string} action - World ID action
+     * @param {string} nullifierHash - Nullifier hash
+     * @param {string} verificationLevel - Verification level (orb, device, ...)
+     * @param {string} [signal] - Signal bound to the proof (e.g. the user's wallet address)
+     * @returns {Object} Registration result
+     */
+    register(action, nullifierHash, verificationLevel, signal) {
+        if (!action || !nullifierHash) {
+            throw new Error('Missing required parameters: action or nullifierHash');
+        }
+
+        const now = new Date().toISOString();
+        const policy = this.getPolicy(action);
+        const existing = this.get(action, nullifierHash);
+
+        if (!existing) {
+            const entry = this.store.insert({
+                key: NullifierRegistry.keyFor(action, nullifierHash),
+                action,
+                nullifierHash: nullifierHash.toLowerCase(),
+                verificationLevel: verificationLevel || null,
+                signal: signal || null,
+                firstVerifiedAt: now,
+                lastVerifiedAt: now,
+                verifications: 1,
+                flagged: false
+            });
+            return { accepted: true, repeat: false, policy, entry };
+        }
+
+        if (policy === 'reject') {
+            return {
+                accepted: false,
+                repeat: true,
+                policy,
+                errorCode: 'NULLIFIER_ALREADY_USED',
+                entry: existing
+            };
+        }
+
+        const entry = this.store.update(existing.key, {
+            verificationLevel: verificationLevel || existing.verificationLevel,
+            signal: signal || existing.signal || null,
+            lastVerifiedAt: now,
+            verifications: existing.verifications + 1,
+            flagged: true
+        });
+        return { accepted: true, repeat: true, policy, entry };
+    }
+}
+
+module.exports = NullifierRegistry;
@@ -0,0 +1,444 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { createManagedSigner } = require('./nonceManager');
+const { DonationStatus, initialLifecycle, transitionDonation, transactionHashes, normalizeStatus } = require('./donationLifecycle');
+require('dotenv').config();
+
+/**
+ * Payout Batcher
+ * Batched NGO payouts (PAYOUT_MODE=batched): donors transfer USDC to a
+ * collection wallet and each donation is recorded as a pledge against those
+ * funds. Once a pledge's transfer is confirmed it is collected, and collected
+ * pledges are paid out to their NGO in one USDC transfer when the oldest has
+ * waited PAYOUT_BATCH_WINDOW_MINUTES or they add up to
+ * PAYOUT_BATCH_THRESHOLD_USDC, so many small donations share one transfer's gas.
+ *
+ * Every batch commits to its pledges with a Merkle root (OpenZeppelin
+ * MerkleProof layout: double-hashed abi.encode(donationId, donor, amount)
+ * leaves, sorted pairs). The root is appended to the settlement transfer's
+ * calldata, so a donor's proof checks against the transaction itself.
+ */
+
+const PayoutMode = {
+    DIRECT: 'direct',
+    BATCHED: 'batched'
+};
+
+// Where a pledge is on its way to the NGO
+const PledgeStatus = {
+    PLEDGED: 'pledged',       // Donor's transfer to the collection wallet not confirmed yet
+    COLLECTED: 'collected',   // Funds collected, waiting for the next batch
+    SETTLING: 'settling',     // In a batch whose settlement transfer is pending
+    SETTLED: 'settled',       // Settlement transfer confirmed
+    FAILED: 'failed'          // Donor's transfer failed; nothing to pay out
+};
+
+const OPEN = 'open';
+const DEFAULT_WINDOW_MINUTES = 60;
+const DEFAULT_THRESHOLD_USDC = '25';
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const EXPLORER_TX_URL = 'https://amoy.polygonscan.com/tx/';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Merkle leaf for a pledge
+ * @param {Object} pledge - {donationId, donor, amountWei}
+ * @returns {string} Leaf hash
+ */
+function hashPledge({ donationId, donor, amountWei }) {
+    return ethers.keccak256(ethers.keccak256(
+        abiCoder.encode(['string', 'address', 'uint256'], [donationId, donor, amountWei])
+    ));
+}
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} Parent hash
+ */
+function hashPair(a, b) {
+    return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+/**
+ * Build every layer of a Merkle tree, leaves first (an odd node is carried up)
+ * @param {Array<string>} leaves - Leaf hashes
+ * @returns {Array<Array<string>>} Layers; the last holds the root
+ */
+function buildLayers(leaves) {
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+    return layers;
+}
+
+/**
+ * Proof of inclusion for one leaf: its sibling at every layer below the root
+ * @param {Array<Array<string>>} layers - Layers from buildLayers
+ * @param {number} index - Leaf index
+ * @returns {Array<string>} Sibling hashes, leaf to root
+ */
+function buildProof(layers, index) {
+    const proof = [];
+    for (let i = index, level = 0; level < layers.length - 1; level++, i >>= 1) {
+        if ((i ^ 1) < layers[level].length) proof.push(layers[level][i ^ 1]);
+    }
+    return proof;
+}
+
+/**
+ * Check a pledge's proof of inclusion against a batch root
+ * @param {string} leaf - Leaf hash
+ * @param {Array<string>} proof - Sibling hashes, leaf to root
+ * @param {string} root - Batch Merkle root
+ * @returns {boolean} True if the leaf is in the batch
+ */
+function verifyPledgeProof(leaf, proof, root) {
+    return proof.reduce(hashPair, leaf).toLowerCase() === root.toLowerCase();
+}
+
+class PayoutBatcher {
+    /**
+     * @param {Object} options
+     * @param {Object} options.treePurchaseService - Holds the pledges (donation records) and USDC settings
+     * @param {Object} [options.signer] - Collection wallet (defaults to PAYOUT_WALLET_PK)
+     * @param {Object} [options.store] - Batch store
+     * @param {number} [options.windowMinutes] - Longest a collected pledge waits for a batch
+     * @param {string} [options.thresholdUsdc] - Collected amount per NGO that triggers a batch
+     * @param {number} [options.pollIntervalMs] - Delay between batching rounds
+     */
+    constructor(options = {}) {
+        this.treePurchaseService = options.treePurchaseService;
+        this.provider = this.treePurchaseService.provider;
+
+        if (options.signer) {
+            this.signer = createManagedSigner(options.signer);
+        } else {
+            // A dedicated wallet, so pledged funds are never spent by other relays
+            const pk = process.env.PAYOUT_WALLET_PK;
+            if (!pk) {
+                throw new Error('PAYOUT_WALLET_PK is required when PAYOUT_MODE=batched');
+            }
+            this.signer = createManagedSigner(new ethers.Wallet(pk, this.provider));
+        }
+        this.address = this.signer.address;
+
+        this.windowMinutes = options.windowMinutes
+            || parseInt(process.env.PAYOUT_BATCH_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES;
+        this.thresholdUsdc = options.thresholdUsdc || process.env.PAYOUT_BATCH_THRESHOLD_USDC || DEFAULT_THRESHOLD_USDC;
+        this.thresholdWei = ethers.parseUnits(this.thresholdUsdc, this.treePurchaseService.usdcDecimals);
+        this.pollIntervalMs = options.pollIntervalMs
+            || parseInt(process.env.PAYOUT_BATCH_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+
+        this.batchStore = options.store || createStore('payout-batches', {
+            keyField: 'id',
+            indexes: {
+                txHash: (batch) => transactionHashes(batch),
+                status: (batch) => batch.status
+            }
+        });
+        this.usdcInterface = new ethers.Interface(this.treePurchaseService.usdcABI);
+        this.timer = null;
+        this.flushing = false;
+    }
+
+    /**
+     * Run batching rounds in the background
+     */
+    start() {
+        if (this.timer) return;
+
+        const loop = async () => {
+            try {
+                await this.flush();
+            } catch (error) {
+                console.error('❌ Payout batching round failed:', error.message);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+        this.timer = setTimeout(loop, this.pollIntervalMs);
+        console.log(`📦 Payout batching every ${this.windowMinutes} minutes or ${this.thresholdUsdc} USDC per NGO`);
+    }
+
+    /**
+     * Stop background rounds
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Pledge amount in USDC's smallest unit
+     * @param {Object} donation - Donation record
+     * @returns {bigint} Amount
+     */
+    pledgeAmountWei(donation) {
+        const { usdcDecimals } = this.treePurchaseService;
+        return ethers.parseUnits(Number(donation.amount).toFixed(usdcDecimals), usdcDecimals);
+    }
+
+    /**
+     * Collected pledges not yet in a batch, grouped by NGO
+     * @returns {Map<string, Array<Object>>} NGO address → donation records, oldest first
+     */
+    getCollectedPledges() {
+        const byNgo = new Map();
+        this.treePurchaseService.donationStore.findBy('payoutBatch', OPEN)
+            .filter(donation => normalizeStatus(donation.status) === DonationStatus.CONFIRMED)
+            .sort((a, b) => Date.parse(a.confirmedAt || a.timestamp) - Date.parse(b.confirmedAt || b.timestamp))
+            .forEach(donation => {
+                const ngo = ethers.getAddress(donation.payout.ngo);
+                byNgo.set(ngo, [...(byNgo.get(ngo) || []), donation]);
+            });
+        return byNgo;
+    }
+
+    /**
+     * Return pledges of failed or replaced settlements to the next batch
+     * @returns {number} Pledges released
+     */
+    releaseFailedBatches() {
+        let released = 0;
+        for (const status of [DonationStatus.FAILED, DonationStatus.REPLACED]) {
+            for (const batch of this.batchStore.findBy('status', status).filter(batch => !batch.pledgesReleased)) {
+                this.assignPledges(batch.pledges.map(pledge => pledge.donationId), null);
+                this.batchStore.update(batch.id, { pledgesReleased: true });
+                console.log(`↩️  Payout batch ${batch.id} ${status}; ${batch.pledges.length} pledges go back to the queue`);
+                released += batch.pledges.length;
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Point pledges at a batch (or back to open)
+     * @param {Array<string>} donationIds - Donation IDs
+     * @param {string|null} batchId - Batch ID, or null to release
+     */
+    assignPledges(donationIds, batchId) {
+        const { donationStore } = this.treePurchaseService;
+        for (const id of donationIds) {
+            const donation = donationStore.get(id);
+            if (donation) {
+                donationStore.update(id, { payout: { ...donation.payout, batchId } });
+            }
+        }
+    }
+
+    /**
+     * Settle every NGO whose collected pledges are due (window elapsed or threshold reached)
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Settle all collected pledges now
+     * @returns {Promise<Object>} {batches, failed}: batches submitted this round and NGOs that couldn't be paid
+     */
+    async flush(options = {}) {
+        if (this.flushing) return { batches: [], failed: [] };
+        this.flushing = true;
+
+        try {
+            this.releaseFailedBatches();
+
+            const batches = [];
+            const failed = [];
+            const windowMs = this.windowMinutes * 60 * 1000;
+            for (const [ngo, donations] of this.getCollectedPledges()) {
+                const total = donations.reduce((sum, donation) => sum + this.pledgeAmountWei(donation), 0n);
+                const waitedMs = Date.now() - Date.parse(donations[0].confirmedAt || donations[0].timestamp);
+                if (!options.force && total < this.thresholdWei && waitedMs < windowMs) continue;
+
+                try {
+                    batches.push(await this.settle(ngo, donations));
+                } catch (error) {
+                    console.error(`❌ Payout batch to ${ngo} failed:`, error.message);
+                    failed.push({ ngo, pledges: donations.length, error: error.message });
+                }
+            }
+            return { batches, failed };
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Pay collected pledges out to an NGO in one transfer
+     * The batch moves to 'submitted' with the signed hash before the broadcast;
+     * the confirmation tracker takes it from there.
+     * @param {string} ngo - NGO address
+     * @param {Array<Object>} donations - Collected donation records
+     * @returns {Promise<Object>} Batch record in 'submitted' state
+     */
+    async settle(ngo, donations) {
+        const { usdcAddress, usdcDecimals } = this.treePurchaseService;
+        const pledges = donations.map(donation => {
+            const pledge = {
+                donationId: donation.id,
+                donor: ethers.getAddress(donation.donor),
+                amountWei: this.pledgeAmountWei(donation).toString()
+            };
+            return { ...pledge, leaf: hashPledge(pledge) };
+        });
+        const amountWei = pledges.reduce((sum, pledge) => sum + BigInt(pledge.amountWei), 0n);
+        const [merkleRoot] = buildLayers(pledges.map(pledge => pledge.leaf)).pop();
+
+        const usdc = new ethers.Contract(usdcAddress, this.usdcInterface, this.provider);
+        const balance = await usdc.balanceOf(this.address);
+        if (balance < amountWei) {
+            throw new Error(`Collection wallet holds ${ethers.formatUnits(balance, usdcDecimals)} USDC, batch needs ${ethers.formatUnits(amountWei, usdcDecimals)}`);
+        }
+
+        const batch = this.batchStore.insert({
+            id: `PAY_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`.toUpperCase(),
+            timestamp: new Date().toISOString(),
+            recipient: ngo,
+            amount: ethers.formatUnits(amountWei, usdcDecimals),
+            amountWei: amountWei.toString(),
+            currency: 'USDC',
+            merkleRoot,
+            pledges,
+            txHash: null,
+            ...initialLifecycle()
+        });
+        this.assignPledges(pledges.map(pledge => pledge.donationId), batch.id);
+
+        let submitted = null;
+        try {
+            await this.signer.sendTransactionPersisted({
+                to: usdcAddress,
+                // transfer() ignores trailing calldata; the root rides along for verifiers
+                data: ethers.concat([this.usdcInterface.encodeFunctionData('transfer', [ngo, amountWei]), merkleRoot])
+            }, async ({ hash, nonce }) => {
+                submitted = transitionDonation(this.batchStore, batch.id, DonationStatus.SUBMITTED, {
+                    txHash: hash,
+                    from: this.address,
+                    nonce,
+                    submittedAt: new Date().toISOString()
+                });
+            });
+        } catch (error) {
+            // Signed but not broadcast: the confirmation tracker will see it dropped or replaced
+            if (!submitted) {
+                transitionDonation(this.batchStore, batch.id, DonationStatus.FAILED, { error: error.message, pledgesReleased: true });
+                this.assignPledges(pledges.map(pledge => pledge.donationId), null);
+            }
+            throw error;
+        }
+
+        console.log(`📦 Payout batch ${batch.id}: ${submitted.amount} USDC to ${ngo} for ${pledges.length} donations (${submitted.txHash})`);
+        return submitted;
+    }
+
+    /**
+     * Pledge status of a donation
+     * @param {Object} donation - Donation record with a pledge
+     * @param {Object|null} batch - Batch it is assigned to
+     * @returns {string} PledgeStatus value
+     */
+    pledgeStatus(donation, batch) {
+        const status = normalizeStatus(donation.status);
+        if ([DonationStatus.FAILED, DonationStatus.REPLACED].includes(status)) return PledgeStatus.FAILED;
+        if (status !== DonationStatus.CONFIRMED) return PledgeStatus.PLEDGED;
+        if (!batch) return PledgeStatus.COLLECTED;
+        return normalizeStatus(batch.status) === DonationStatus.CONFIRMED ? PledgeStatus.SETTLED : PledgeStatus.SETTLING;
+    }
+
+    /**
+     * Where a donation's payout stands, with the settlement transaction and proof of inclusion once batched
+     * @param {Object} donation - Donation record with a pledge
+     * @returns {Object} Payout details for receipts
+     */
+    describePayout(donation) {
+        const { payout } = donation;
+        const batch = payout.batchId ? this.batchStore.get(payout.batchId) : null;
+        const details = {
+            mode: PayoutMode.BATCHED,
+            collectionAddress: payout.collectionAddress,
+            ngo: payout.ngo,
+            status: this.pledgeStatus(donation, batch),
+            batchId: null,
+            settlementTxHash: null,
+            settlementUrl: null,
+            merkleRoot: null,
+            leaf: null,
+            proof: null
+        };
+        if (!batch) return details;
+
+        const index = batch.pledges.findIndex(pledge => pledge.donationId === donation.id);
+        const proof = buildProof(buildLayers(batch.pledges.map(pledge => pledge.leaf)), index);
+
+        return {
+            ...details,
+            batchId: batch.id,
+            settlementTxHash: batch.txHash,
+            settlementUrl: batch.txHash ? `${EXPLORER_TX_URL}${batch.txHash}` : null,
+            merkleRoot: batch.merkleRoot,
+            leaf: batch.pledges[index].leaf,
+            amountWei: batch.pledges[index].amountWei,
+            proof
+        };
+    }
+
+    /**
+     * Get a batch
+     * @param {string} id - Batch ID
+     * @returns {Object|null} Batch or null
+     */
+    getBatch(id) {
+        return this.batchStore.get(id) || null;
+    }
+
+    /**
+     * Batches, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.status] - Only batches in this lifecycle status
+     * @returns {Array<Object>} Batches
+     */
+    listBatches(filter = {}) {
+        return (filter.status ? this.batchStore.findBy('status', filter.status) : this.batchStore.all())
+            .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    }
+
+    /**
+     * Batching settings and queue for health output
+     * @returns {Object} Status
+     */
+    getStatus() {
+        const collected = [...this.getCollectedPledges().values()].flat();
+        const { usdcDecimals } = this.treePurchaseService;
+        return {
+            mode: PayoutMode.BATCHED,
+            collectionAddress: this.address,
+            windowMinutes: this.windowMinutes,
+            thresholdUsdc: this.thresholdUsdc,
+            collectedPledges: collected.length,
+            collectedAmount: ethers.formatUnits(
+                collected.reduce((sum, donation) => sum + this.pledgeAmountWei(donation), 0n), usdcDecimals),
+            pendingBatches: this.batchStore.findBy('status', DonationStatus.SUBMITTED).length
+        };
+    }
+}
+
+module.exports = {
+    PayoutBatcher,
+    PayoutMode,
+    PledgeStatus,
+    OPEN_PLEDGE: OPEN,
+    hashPledge,
+    buildLayers,
+    buildProof,
+    verifyPledgeProof
+};
@@ -0,0 +1,612 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { DonationStatus } = require('./donationLifecycle');
+const { SwapDirection } = require('./swapService');
+const { ImpactAction } = require('./priceImpactPolicy');
+const { RelayError } = require('./transactionRelay');
+require('dotenv').config();
+
+/**
+ * Plant Workflow
+ * Runs WLD → USDC swap → tree donation → receipt as one persisted workflow
+ * from the hot wallet. Progress is stored after every step and each signed
+ * transaction is stored before it is broadcast, so a restart resumes where it
+ * stopped instead of swapping or donating twice.
+ *
+ *   created ──► swap_submitted ──► swapped ──► donation_submitted ──► completed
+ *      │              │  ▲            ▲                │
+ *      └──► failed ◄──┘  │            └── holding ◄────┘ (donation failed: USDC held, retried)
+ *                        ▼                  └──► needs_attention (retries exhausted)
+ *               partially_swapped (split order: next swap)
+ *
+ * With a price-impact policy, an amount the pool can't take in one swap is
+ * sent as sequential swaps that each stay under the limit; partially_swapped
+ * sits between them. If a later swap fails, the USDC already received is
+ * donated and the unswapped WLD is reported.
+ *
+ * Compensation: once the swap has succeeded the USDC is never given up on. A
+ * failed donation holds the USDC in the hot wallet and retries with backoff;
+ * after the last attempt the workflow waits for an admin retry.
+ *
+ * The swapped WLD is the hot wallet's, so each verified World ID nullifier may
+ * start a limited number of workflows per 24 hours, each capped in size.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+const DEFAULT_MAX_DONATION_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000;
+const DEFAULT_DAILY_LIMIT = 1;
+const DEFAULT_MAX_WLD_AMOUNT = 10;
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_SWAP_ATTEMPTS = 3;
+
+const PlantStatus = {
+    CREATED: 'created',                         // Accepted, nothing broadcast
+    SWAP_SUBMITTED: 'swap_submitted',           // Swap signed and stored, broadcast
+    PARTIALLY_SWAPPED: 'partially_swapped',     // Some swaps of a split order mined, more to send
+    SWAPPED: 'swapped',                         // Swap mined, USDC held for the donation
+    DONATION_SUBMITTED: 'donation_submitted',   // Donation broadcast, awaiting confirmation
+    HOLDING: 'holding',                         // Donation failed, USDC held until the next retry
+    COMPLETED: 'completed',                     // Donation confirmed, receipt issued
+    FAILED: 'failed',                           // Swap failed; no funds moved
+    NEEDS_ATTENTION: 'needs_attention'          // Donation retries exhausted, USDC held for an admin
+};
+
+const ACTIVE_STATUSES = [
+    PlantStatus.CREATED,
+    PlantStatus.SWAP_SUBMITTED,
+    PlantStatus.PARTIALLY_SWAPPED,
+    PlantStatus.SWAPPED,
+    PlantStatus.DONATION_SUBMITTED,
+    PlantStatus.HOLDING
+];
+
+class PlantWorkflow {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService
+     * @param {Object} options.treePurchaseService - TreePurchaseService
+     * @param {Object} [options.signer] - Hot-wallet signer (defaults to swapService.createSigner())
+     * @param {Object} [options.priceImpactPolicy] - PriceImpactPolicy; swaps are split to stay under its limit
+     * @param {Object} [options.store] - Workflow store
+     * @param {number} [options.pollIntervalMs] - Delay between polling rounds
+     * @param {number} [options.maxDonationAttempts] - Donation attempts before needing an admin
+     * @param {number} [options.retryBaseMs] - First donation retry delay, doubled per attempt
+     * @param {number} [options.dailyLimit] - Workflows a nullifier may start per 24 hours
+     * @param {number} [options.maxWldAmount] - Largest WLD amount a single workflow may swap
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.treePurchaseService = options.treePurchaseService;
+        this.provider = this.swapService.provider;
+        this.signer = options.signer || this.swapService.createSigner();
+        this.priceImpactPolicy = options.priceImpactPolicy || null;
+
+        this.pollIntervalMs = options.pollIntervalMs
+            || parseInt(process.env.PLANT_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+        this.maxDonationAttempts = options.maxDonationAttempts
+            || parseInt(process.env.PLANT_DONATION_MAX_ATTEMPTS) || DEFAULT_MAX_DONATION_ATTEMPTS;
+        this.retryBaseMs = options.retryBaseMs
+            || parseInt(process.env.PLANT_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+        this.dailyLimit = options.dailyLimit
+            || parseInt(process.env.PLANT_DAILY_LIMIT) || DEFAULT_DAILY_LIMIT;
+        this.maxWldAmount = options.maxWldAmount
+            || parseFloat(process.env.PLANT_MAX_WLD) || DEFAULT_MAX_WLD_AMOUNT;
+
+        this.store = options.store || createStore('plant-workflows', {
+            keyField: 'id',
+            indexes: {
+                status: (workflow) => workflow.status,
+                donor: (workflow) => workflow.donor.toLowerCase(),
+                nullifier: (workflow) => workflow.nullifierHash
+            }
+        });
+
+        this.steps = {
+            [PlantStatus.CREATED]: (workflow) => this.submitSwap(workflow),
+            [PlantStatus.SWAP_SUBMITTED]: (workflow) => this.checkSwap(workflow),
+            [PlantStatus.PARTIALLY_SWAPPED]: (workflow) => this.submitSwap(workflow),
+            [PlantStatus.SWAPPED]: (workflow) => this.submitDonation(workflow),
+            [PlantStatus.DONATION_SUBMITTED]: (workflow) => this.checkDonation(workflow),
+            [PlantStatus.HOLDING]: (workflow) => this.retryWhenDue(workflow)
+        };
+
+        this.active = new Set();
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Workflows a nullifier has started in the last 24 hours
+     * Failed workflows moved no funds and don't count.
+     * @param {string} nullifierHash - World ID nullifier hash
+     * @returns {Object} {limit, used, remaining, resetsAt}
+     */
+    getQuota(nullifierHash) {
+        const since = Date.now() - QUOTA_WINDOW_MS;
+        const started = this.store.findBy('nullifier', nullifierHash.toLowerCase())
+            .filter(workflow => Date.parse(workflow.createdAt) >= since && workflow.status !== PlantStatus.FAILED);
+        const oldest = started.reduce((min, workflow) => Math.min(min, Date.parse(workflow.createdAt)), Infinity);
+
+        return {
+            limit: this.dailyLimit,
+            used: started.length,
+            remaining: Math.max(0, this.dailyLimit - started.length),
+            resetsAt: started.length ? new Date(oldest + QUOTA_WINDOW_MS).toISOString() : null
+        };
+    }
+
+    /**
+     * Refuse amounts over the cap and nullifiers that used up their daily quota
+     * @param {string} nullifierHash - World ID nullifier hash
+     * @param {number} wldAmount - WLD to swap
+     * @throws {RelayError} If the workflow may not start
+     */
+    assertAllowed(nullifierHash, wldAmount) {
+        if (wldAmount > this.maxWldAmount) {
+            throw new RelayError(
+                `A single planting can swap at most ${this.maxWldAmount} WLD`,
+                'WLD_AMOUNT_TOO_LARGE',
+                400,
+                { maxWldAmount: this.maxWldAmount }
+            );
+        }
+
+        const quota = this.getQuota(nullifierHash);
+        if (quota.remaining <= 0) {
+            throw new RelayError(
+                `Daily planting limit reached (${quota.used} of ${quota.limit}); try again after ${quota.resetsAt}`,
+                'PLANT_QUOTA_EXCEEDED',
+                429,
+                { quota }
+            );
+        }
+    }
+
+    /**
+     * Start a plant workflow; it runs in the background
+     * The quota check and insert are one synchronous step so concurrent requests can't exceed it.
+     * @param {Object} params
+     * @param {string} params.donor - Address the donation is attributed to
+     * @param {number} params.wldAmount - WLD to swap
+     * @param {number} params.slippage - Slippage tolerance in basis points
+     * @param {string} params.nullifierHash - Verified World ID nullifier of the donor
+     * @param {number} [params.plannedOrders] - Swaps the price-impact policy expects to need
+     * @returns {Object} Workflow record
+     * @throws {RelayError} If the amount is over the cap or the daily quota is used up
+     */
+    create({ donor, wldAmount, slippage, nullifierHash, plannedOrders = 1 }) {
+        this.assertAllowed(nullifierHash, wldAmount);
+
+        const now = new Date().toISOString();
+        const workflow = this.store.insert({
+            id: `PLANT_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            donor,
+            nullifierHash: nullifierHash.toLowerCase(),
+            wldAmount,
+            slippage,
+            status: PlantStatus.CREATED,
+            quote: null,
+            swap: null,
+            swapAttempts: 0,
+            plannedOrders,
+            fills: [],
+            fill: null,
+            usdcHeld: null,
+            donationId: null,
+            donationAttempts: 0,
+            nextRetryAt: null,
+            receipt: null,
+            error: null,
+            history: [{ status: PlantStatus.CREATED, at: now }],
+            createdAt: now,
+            updatedAt: now
+        });
+
+        console.log(`🌱 Plant workflow ${workflow.id}: ${wldAmount} WLD for ${donor}`);
+        this.advance(workflow.id).catch(error => {
+            console.error(`❌ Plant workflow ${workflow.id} stalled: ${error.message}`);
+        });
+        return workflow;
+    }
+
+    /**
+     * Start polling active workflows; also resumes workflows left running by a restart
+     */
+    start() {
+        if (this.timer) return;
+
+        const loop = async () => {
+            await this.poll();
+            if (this.timer) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+        this.timer = setTimeout(loop, 0);
+        console.log(`🌱 Plant workflows started (every ${this.pollIntervalMs / 1000}s)`);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Advance every active workflow
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            for (const status of ACTIVE_STATUSES) {
+                for (const workflow of this.store.findBy('status', status)) {
+                    try {
+                        await this.advance(workflow.id);
+                    } catch (error) {
+                        console.warn(`⚠️  Could not advance plant workflow ${workflow.id}: ${error.message}`);
+                    }
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Run steps for one workflow until it has to wait for the chain or a retry
+     * @param {string} id - Workflow ID
+     * @returns {Promise<Object>} Workflow record
+     */
+    async advance(id) {
+        if (this.active.has(id)) return this.store.get(id);
+        this.active.add(id);
+
+        try {
+            let workflow = this.store.get(id);
+            while (this.steps[workflow.status]) {
+                const next = await this.steps[workflow.status](workflow);
+                if (next.status === workflow.status) return next;
+                workflow = next;
+            }
+            return workflow;
+        } finally {
+            this.active.delete(id);
+        }
+    }
+
+    /**
+     * Move a workflow to a new status, recording it in the history
+     * @param {Object} workflow - Workflow record
+     * @param {string} status - Target status
+     * @param {Object} [changes] - Extra fields
+     * @param {string} [note] - History note (e.g. an error)
+     * @returns {Object} Updated record
+     */
+    transition(workflow, status, changes = {}, note) {
+        const at = new Date().toISOString();
+        console.log(`🌱 Plant workflow ${workflow.id}: ${workflow.status} → ${status}${note ? ` (${note})` : ''}`);
+        return this.store.update(workflow.id, {
+            ...changes,
+            status,
+            history: [...workflow.history, { status, at, ...(note ? { note } : {}) }],
+            updatedAt: at
+        });
+    }
+
+    /**
+     * Swaps a workflow may be split into under the price-impact policy
+     * @returns {number} Maximum swaps
+     */
+    maxOrders() {
+        return this.priceImpactPolicy?.action === ImpactAction.SPLIT ? this.priceImpactPolicy.maxOrders : 1;
+    }
+
+    /**
+     * WLD still to swap: the full amount minus what earlier swaps of a split order used
+     * @param {Object} workflow - Workflow record
+     * @returns {bigint} Remaining WLD in wei
+     */
+    remainingWei(workflow) {
+        return (workflow.fills || []).reduce(
+            (remaining, fill) => remaining - BigInt(fill.wldInWei),
+            ethers.parseEther(String(workflow.wldAmount))
+        );
+    }
+
+    /**
+     * Step 1: quote and broadcast the next swap, storing the signed transaction first
+     * Each swap is capped at the largest input the price-impact policy allows.
+     * @param {Object} workflow - Workflow in 'created' or 'partially_swapped'
+     * @returns {Promise<Object>} Updated record
+     */
+    async submitSwap(workflow) {
+        const fills = workflow.fills || [];
+        let submitted = null;
+        try {
+            let amountWei = this.remainingWei(workflow);
+            if (this.priceImpactPolicy) {
+                const maxOrderWei = await this.priceImpactPolicy.getMaxOrderWei(SwapDirection.WLD_TO_USDC);
+                if (amountWei > maxOrderWei && this.maxOrders() === 1) {
+                    throw new Error(`Swapping ${ethers.formatEther(amountWei)} WLD would move the pool price more than ${this.priceImpactPolicy.maxImpactBps / 100}%; the most this pool takes is ${ethers.formatEther(maxOrderWei)} WLD`);
+                }
+                if (maxOrderWei === 0n) {
+                    throw new Error(`Pool can't take any WLD within ${this.priceImpactPolicy.maxImpactBps / 100}% price impact`);
+                }
+                if (amountWei > maxOrderWei) amountWei = maxOrderWei;
+            }
+
+            const quote = await this.swapService.getSwapQuote(ethers.formatEther(amountWei), workflow.slippage);
+            await this.swapService.sendSwap(quote, this.signer, async ({ raw, hash, nonce }) => {
+                submitted = this.transition(workflow, PlantStatus.SWAP_SUBMITTED, {
+                    quote,
+                    swap: { txHash: hash, raw, nonce, submittedAt: new Date().toISOString() },
+                    swapAttempts: workflow.swapAttempts + 1
+                });
+            });
+            return submitted;
+        } catch (error) {
+            // Signed before the failure: checkSwap rebroadcasts or detects the lost nonce
+            if (submitted) return submitted;
+            if (fills.length) {
+                return this.finishSwaps(workflow, {}, fills, `Swap ${fills.length + 1} failed: ${error.message}`);
+            }
+            return this.transition(workflow, PlantStatus.FAILED, { error: error.message }, error.message);
+        }
+    }
+
+    /**
+     * Step 2: wait for the swap receipt, rebroadcasting if the node lost it
+     * @param {Object} workflow - Workflow in 'swap_submitted'
+     * @returns {Promise<Object>} Updated record
+     */
+    async checkSwap(workflow) {
+        const { txHash, raw, nonce } = workflow.swap;
+        const fills = workflow.fills || [];
+        let receipt = await this.provider.getTransactionReceipt(txHash);
+
+        if (!receipt && !(await this.provider.getTransaction(txHash))) {
+            try {
+                await this.provider.broadcastTransaction(raw);
+                console.log(`📡 Plant workflow ${workflow.id}: rebroadcast swap ${txHash}`);
+                return workflow;
+            } catch (error) {
+                receipt = await this.provider.getTransactionReceipt(txHash);
+                if (!receipt) {
+                    const minedNonce = await this.provider.getTransactionCount(this.signer.address, 'latest');
+                    if (minedNonce <= nonce) {
+                        console.warn(`⚠️  Plant workflow ${workflow.id}: swap rebroadcast failed: ${error.shortMessage || error.message}`);
+                        return workflow;
+                    }
+
+                    // Our nonce went to another transaction, so this swap never happened
+                    const note = `Swap nonce ${nonce} used by another transaction`;
+                    if (workflow.swapAttempts >= MAX_SWAP_ATTEMPTS) {
+                        if (fills.length) return this.finishSwaps(workflow, { swap: null }, fills, note);
+                        return this.transition(workflow, PlantStatus.FAILED, { error: note }, note);
+                    }
+                    const retryStatus = fills.length ? PlantStatus.PARTIALLY_SWAPPED : PlantStatus.CREATED;
+                    return this.transition(workflow, retryStatus, { swap: null }, note);
+                }
+            }
+        }
+
+        if (!receipt) return workflow;
+
+        if (receipt.status !== 1) {
+            if (fills.length) return this.finishSwaps(workflow, {}, fills, `Swap ${fills.length + 1} reverted`);
+            return this.transition(workflow, PlantStatus.FAILED, { error: 'Swap reverted' }, 'Swap reverted; no WLD was spent');
+        }
+
+        const amounts = this.swapService.parseSwapReceipt(receipt);
+        const usdcReceivedWei = amounts ? amounts.amountOut : BigInt(workflow.quote.minOutputWei);
+        const wldSpentWei = amounts ? amounts.amountIn : BigInt(workflow.quote.inputAmountWei);
+
+        const swap = {
+            ...workflow.swap,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            usdcReceivedWei: usdcReceivedWei.toString()
+        };
+        const allFills = [...fills, {
+            txHash,
+            blockNumber: receipt.blockNumber,
+            wldInWei: wldSpentWei.toString(),
+            usdcOutWei: usdcReceivedWei.toString(),
+            priceImpact: workflow.quote.priceImpact
+        }];
+
+        const remaining = this.remainingWei({ ...workflow, fills: allFills });
+        if (remaining > 0n && allFills.length < this.maxOrders()) {
+            return this.transition(workflow, PlantStatus.PARTIALLY_SWAPPED, {
+                swap,
+                fills: allFills,
+                swapAttempts: 0,
+                usdcHeld: ethers.formatUnits(this.sumFills(allFills).usdcOutWei, 6)
+            }, `Swap ${allFills.length} mined; ${ethers.formatEther(remaining)} WLD left to swap`);
+        }
+
+        return this.finishSwaps(workflow, { swap, swapAttempts: 0 }, allFills);
+    }
+
+    /**
+     * Totals of the mined swaps
+     * @param {Array<Object>} fills - Mined swaps
+     * @returns {Object} {wldInWei, usdcOutWei}
+     */
+    sumFills(fills) {
+        return fills.reduce((total, fill) => ({
+            wldInWei: total.wldInWei + BigInt(fill.wldInWei),
+            usdcOutWei: total.usdcOutWei + BigInt(fill.usdcOutWei)
+        }), { wldInWei: 0n, usdcOutWei: 0n });
+    }
+
+    /**
+     * Done swapping (all WLD swapped, or a later swap of a split order failed):
+     * hold the USDC from every mined swap for the donation
+     * @param {Object} workflow - Workflow record
+     * @param {Object} changes - Fields to update alongside
+     * @param {Array<Object>} fills - Mined swaps
+     * @param {string} [note] - Why swapping stopped early
+     * @returns {Object} Updated record
+     */
+    finishSwaps(workflow, changes, fills, note) {
+        const { wldInWei, usdcOutWei } = this.sumFills(fills);
+        const unswappedWei = this.remainingWei({ ...workflow, fills });
+        const fill = {
+            orders: fills.length,
+            wldIn: ethers.formatEther(wldInWei),
+            usdcOut: ethers.formatUnits(usdcOutWei, 6),
+            averageRate: ethers.formatUnits(usdcOutWei * 10n ** 18n / wldInWei, 6),
+            wldUnswapped: ethers.formatEther(unswappedWei)
+        };
+
+        return this.transition(workflow, PlantStatus.SWAPPED, {
+            ...changes,
+            fills,
+            fill,
+            usdcHeld: fill.usdcOut
+        }, note ? `${note}; donating the ${fill.usdcOut} USDC from ${fills.length} mined swap(s), ${fill.wldUnswapped} WLD not swapped` : undefined);
+    }
+
+    /**
+     * Step 3: donate the held USDC; failures fall back to holding it for a retry
+     * @param {Object} workflow - Workflow in 'swapped'
+     * @returns {Promise<Object>} Updated record
+     */
+    async submitDonation(workflow) {
+        const attempt = workflow.donationAttempts + 1;
+        workflow = this.store.update(workflow.id, { donationAttempts: attempt, nextRetryAt: null });
+
+        let submitted = null;
+        try {
+            await this.treePurchaseService.executeDonation(
+                workflow.donor,
+                parseFloat(workflow.usdcHeld),
+                this.signer,
+                async (donation) => {
+                    submitted = this.transition(workflow, PlantStatus.DONATION_SUBMITTED, { donationId: donation.id });
+                }
+            );
+            return submitted;
+        } catch (error) {
+            // Broadcast failures after signing surface through the donation record instead
+            if (submitted) return submitted;
+            return this.compensate(workflow, error.message);
+        }
+    }
+
+    /**
+     * Step 4: follow the donation record the confirmation tracker maintains
+     * @param {Object} workflow - Workflow in 'donation_submitted'
+     * @returns {Object} Updated record
+     */
+    checkDonation(workflow) {
+        const donation = this.treePurchaseService.getDonationById(workflow.donationId);
+
+        // The record is written before the broadcast; if it's gone the donation can't be followed
+        if (!donation) {
+            return this.transition(workflow, PlantStatus.NEEDS_ATTENTION, {
+                error: `Donation record ${workflow.donationId} not found`
+            }, `Donation record ${workflow.donationId} not found; holding ${workflow.usdcHeld} USDC for an admin`);
+        }
+
+        if (donation.status === DonationStatus.CONFIRMED) {
+            return this.transition(workflow, PlantStatus.COMPLETED, {
+                usdcHeld: null,
+                receipt: this.treePurchaseService.generateReceipt(donation),
+                completedAt: new Date().toISOString()
+            });
+        }
+
+        if (donation.status === DonationStatus.FAILED || donation.status === DonationStatus.REPLACED) {
+            return this.compensate(workflow, donation.error || `Donation ${donation.status}`);
+        }
+
+        return workflow;
+    }
+
+    /**
+     * Compensation after a failed donation: keep the USDC and schedule a retry,
+     * or hand over to an admin once attempts are exhausted
+     * @param {Object} workflow - Workflow record
+     * @param {string} reason - Why the donation failed
+     * @returns {Object} Updated record
+     */
+    compensate(workflow, reason) {
+        if (workflow.donationAttempts >= this.maxDonationAttempts) {
+            return this.transition(workflow, PlantStatus.NEEDS_ATTENTION, { error: reason },
+                `Donation failed ${workflow.donationAttempts} times; holding ${workflow.usdcHeld} USDC: ${reason}`);
+        }
+
+        const delay = this.retryBaseMs * 2 ** (workflow.donationAttempts - 1);
+        const nextRetryAt = new Date(Date.now() + delay).toISOString();
+        return this.transition(workflow, PlantStatus.HOLDING, { error: reason, nextRetryAt },
+            `Donation failed, holding ${workflow.usdcHeld} USDC and retrying at ${nextRetryAt}: ${reason}`);
+    }
+
+    /**
+     * Held workflows go back to 'swapped' once their retry is due
+     * @param {Object} workflow - Workflow in 'holding'
+     * @returns {Object} Updated record
+     */
+    retryWhenDue(workflow) {
+        if (Date.now() < Date.parse(workflow.nextRetryAt)) return workflow;
+        return this.transition(workflow, PlantStatus.SWAPPED, {}, `Retrying donation (attempt ${workflow.donationAttempts + 1})`);
+    }
+
+    /**
+     * Admin retry for a workflow whose donation attempts are exhausted
+     * @param {string} id - Workflow ID
+     * @returns {Promise<Object>} Updated record
+     */
+    async retry(id) {
+        const workflow = this.store.get(id);
+        if (!workflow) {
+            throw new Error(`No plant workflow found with ID: ${id}`);
+        }
+        if (workflow.status !== PlantStatus.NEEDS_ATTENTION) {
+            throw new Error(`Only workflows in '${PlantStatus.NEEDS_ATTENTION}' can be retried (current: ${workflow.status})`);
+        }
+
+        this.transition(workflow, PlantStatus.SWAPPED, { donationAttempts: 0 }, 'Manual retry');
+        return this.advance(id);
+    }
+
+    /**
+     * Get a workflow without its signed transaction
+     * @param {string} id - Workflow ID
+     * @returns {Object|null} Workflow or null
+     */
+    get(id) {
+        const workflow = this.store.get(id);
+        if (!workflow) return null;
+
+        const { raw, ...swap } = workflow.swap || {};
+        return { ...workflow, swap: workflow.swap ? swap : null };
+    }
+
+    /**
+     * Workflow counts for the health endpoint
+     * @returns {Object} Count per status
+     */
+    getStatus() {
+        const counts = {};
+        for (const status of Object.values(PlantStatus)) {
+            counts[status] = this.store.findBy('status', status).length;
+        }
+        return { running: Boolean(this.timer), counts };
+    }
+}
+
+module.exports = {
+    PlantWorkflow,
+    PlantStatus
+};
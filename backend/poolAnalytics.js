@@ -0,0 +1,379 @@
+const { ethers } = require('ethers');
+const { ChainEventType } = require('./chainIndexer');
+const LiquidityService = require('./liquidityService');
+require('dotenv').config();
+
+/**
+ * Pool Analytics
+ * Price history, volume, fee income and depth for the SimpleDEX WLD/USDC pool,
+ * computed from the TokensSwapped / LiquidityAdded / LiquidityRemoved events
+ * indexed by ChainIndexer.
+ *
+ * Events don't carry reserves, so the reserve history is rebuilt by reading
+ * the reserves at the indexer's last block and undoing events newest-first.
+ * Prices are USDC per WLD (pool mid price after each event).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const CANDLE_INTERVALS = {
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': HOUR_MS,
+    '4h': 4 * HOUR_MS,
+    '1d': DAY_MS
+};
+
+const VOLUME_WINDOWS = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+const CHANGE_WINDOWS = { '1h': HOUR_MS, '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+const DEFAULT_DEPTH_STEPS = [0.5, 1, 2, 5, 10];
+const MAX_CANDLES = 500;
+
+const WLD_DECIMALS = 18;
+const USDC_DECIMALS = 6;
+const PRICE_SCALE = 10n ** 18n;
+
+class PoolAnalytics {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.indexer] - ChainIndexer with SimpleDEX events (needed for history)
+     * @param {Object} options.swapService - SwapService (pool contract, fee and reserves)
+     */
+    constructor(options = {}) {
+        this.indexer = options.indexer;
+        this.swapService = options.swapService;
+        this.usdcAddress = this.swapService.USDC_ADDRESS.toLowerCase();
+        this.feeBasisPoints = null;
+        this.history = null;
+    }
+
+    /**
+     * Swap fee from the contract's FEE_BASIS_POINTS (read once)
+     * @returns {Promise<bigint>} Fee in basis points
+     */
+    async getFeeBasisPoints() {
+        if (this.feeBasisPoints === null) {
+            try {
+                const simpleDex = new ethers.Contract(this.swapService.SIMPLE_DEX_ADDRESS, this.swapService.simpleDexABI, this.swapService.provider);
+                this.feeBasisPoints = await simpleDex.FEE_BASIS_POINTS();
+            } catch (error) {
+                console.warn('⚠️  Could not read FEE_BASIS_POINTS, using the SimpleDEX default:', error.message);
+                return this.swapService.FEE_BASIS_POINTS;
+            }
+        }
+        return this.feeBasisPoints;
+    }
+
+    /**
+     * Rebuild the reserve and price history from indexed events
+     * Cached until the indexer's checkpoint moves.
+     * @returns {Promise<Object>} {lastBlock, reserve0, reserve1, points}
+     */
+    async getHistory() {
+        if (!this.indexer) {
+            throw new Error('Pool history needs the chain indexer (INDEXER_ENABLED)');
+        }
+        const lastBlock = this.indexer.getCheckpoint()?.lastBlock;
+        if (lastBlock === undefined || lastBlock === null) {
+            throw new Error('Chain indexer has not completed a scan yet');
+        }
+        if (this.history && this.history.lastBlock === lastBlock) {
+            return this.history;
+        }
+
+        const simpleDex = new ethers.Contract(this.swapService.SIMPLE_DEX_ADDRESS, this.swapService.simpleDexABI, this.swapService.provider);
+        const [reserve0, reserve1] = await Promise.all([
+            simpleDex.reserve0({ blockTag: lastBlock }),
+            simpleDex.reserve1({ blockTag: lastBlock })
+        ]);
+
+        const events = [
+            ...this.indexer.getEvents(ChainEventType.SWAP),
+            ...this.indexer.getEvents(ChainEventType.LIQUIDITY_ADDED),
+            ...this.indexer.getEvents(ChainEventType.LIQUIDITY_REMOVED)
+        ]
+            .filter(event => event.blockNumber <= lastBlock)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        // Walk back from the known reserves, recording the reserves after each event
+        const points = new Array(events.length);
+        let r0 = reserve0;
+        let r1 = reserve1;
+        for (let i = events.length - 1; i >= 0; i--) {
+            const event = events[i];
+            const delta = this.reserveDelta(event);
+            points[i] = {
+                time: Date.parse(event.timestamp),
+                blockNumber: event.blockNumber,
+                type: event.type,
+                reserve0: r0,
+                reserve1: r1,
+                price: r0 > 0n ? r1 * PRICE_SCALE / r0 : 0n,
+                ...delta.swap
+            };
+            r0 -= delta.amount0;
+            r1 -= delta.amount1;
+        }
+
+        this.history = { lastBlock, reserve0, reserve1, points };
+        return this.history;
+    }
+
+    /**
+     * How an event changed the reserves (token0 = WLD, token1 = USDC)
+     * @param {Object} event - Indexed event
+     * @returns {Object} {amount0, amount1, swap?}
+     */
+    reserveDelta(event) {
+        const { args } = event;
+        if (event.type === ChainEventType.LIQUIDITY_ADDED) {
+            return { amount0: BigInt(args.amount0), amount1: BigInt(args.amount1) };
+        }
+        if (event.type === ChainEventType.LIQUIDITY_REMOVED) {
+            return { amount0: -BigInt(args.amount0), amount1: -BigInt(args.amount1) };
+        }
+
+        const amountIn = BigInt(args.amountIn);
+        const amountOut = BigInt(args.amountOut);
+        const usdcIn = args.tokenIn === this.usdcAddress;
+        return {
+            amount0: usdcIn ? -amountOut : amountIn,
+            amount1: usdcIn ? amountIn : -amountOut,
+            swap: {
+                usdcIn,
+                amountIn,
+                amountOut,
+                volumeUsdc: usdcIn ? amountIn : amountOut
+            }
+        };
+    }
+
+    /**
+     * Price at a time: the price after the last event at or before it
+     * @param {Array} points - History points
+     * @param {number} time - Timestamp (ms)
+     * @returns {bigint|null} Price, or null before the first event
+     */
+    priceAt(points, time) {
+        let price = null;
+        for (const point of points) {
+            if (point.time > time) break;
+            price = point.price;
+        }
+        return price;
+    }
+
+    /**
+     * OHLC candles of the pool price, with USDC volume per candle
+     * Candles without events are flat at the previous close.
+     * @param {Object} [options]
+     * @param {string} [options.interval] - One of CANDLE_INTERVALS (default 1h)
+     * @param {number} [options.since] - First candle time (ms); defaults to the last `limit` candles
+     * @param {number} [options.limit] - Maximum candles (default and cap 500)
+     * @returns {Promise<Object>} {interval, candles}
+     */
+    async getCandles({ interval = '1h', since, limit = MAX_CANDLES } = {}) {
+        const size = CANDLE_INTERVALS[interval];
+        if (!size) {
+            throw new Error(`Unsupported interval: ${interval}. Use ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+        }
+
+        const { points } = await this.getHistory();
+        const count = Math.min(limit, MAX_CANDLES);
+        const now = Date.now();
+        const end = Math.floor(now / size) * size;
+        const first = points.length ? Math.floor(points[0].time / size) * size : end;
+        const start = Math.max(
+            since !== undefined ? Math.floor(since / size) * size : end - (count - 1) * size,
+            first
+        );
+
+        const candles = [];
+        let close = this.priceAt(points, start - 1);
+        let index = points.findIndex(point => point.time >= start);
+        if (index === -1) index = points.length;
+
+        for (let time = start; time <= end && candles.length < count; time += size) {
+            const candle = { time: new Date(time).toISOString(), open: close, high: close, low: close, close, volumeUsdc: 0n, swaps: 0 };
+
+            for (; index < points.length && points[index].time < time + size; index++) {
+                const point = points[index];
+                if (candle.open === null) {
+                    candle.open = candle.high = candle.low = point.price;
+                }
+                if (point.price > candle.high) candle.high = point.price;
+                if (point.price < candle.low) candle.low = point.price;
+                candle.close = point.price;
+                if (point.volumeUsdc !== undefined) {
+                    candle.volumeUsdc += point.volumeUsdc;
+                    candle.swaps++;
+                }
+            }
+
+            close = candle.close;
+            if (candle.open !== null) {
+                candles.push(this.formatCandle(candle));
+            }
+        }
+
+        return { interval, candles };
+    }
+
+    /**
+     * Format a candle for JSON
+     * @param {Object} candle - Candle with bigint prices
+     * @returns {Object} Formatted candle
+     */
+    formatCandle(candle) {
+        return {
+            time: candle.time,
+            open: this.formatPrice(candle.open),
+            high: this.formatPrice(candle.high),
+            low: this.formatPrice(candle.low),
+            close: this.formatPrice(candle.close),
+            volumeUsdc: ethers.formatUnits(candle.volumeUsdc, USDC_DECIMALS),
+            swaps: candle.swaps
+        };
+    }
+
+    /**
+     * Volume, fee income and price change over the standard windows
+     * Fees are FEE_BASIS_POINTS of each swap's input; WLD fees are valued at that swap's price.
+     * @returns {Promise<Object>} Summary
+     */
+    async getSummary() {
+        const [{ lastBlock, reserve0, reserve1, points }, feeBasisPoints] = await Promise.all([
+            this.getHistory(),
+            this.getFeeBasisPoints()
+        ]);
+        const now = Date.now();
+        const currentPrice = reserve0 > 0n ? reserve1 * PRICE_SCALE / reserve0 : 0n;
+
+        const volume = {};
+        const fees = {};
+        for (const [window, span] of Object.entries(VOLUME_WINDOWS)) {
+            const swaps = points.filter(point => point.volumeUsdc !== undefined && point.time >= now - span);
+            let volumeUsdc = 0n;
+            let feesWld = 0n;
+            let feesUsdc = 0n;
+            let feesValueUsdc = 0n;
+            for (const swap of swaps) {
+                const fee = swap.amountIn * BigInt(feeBasisPoints) / 10000n;
+                volumeUsdc += swap.volumeUsdc;
+                if (swap.usdcIn) {
+                    feesUsdc += fee;
+                    feesValueUsdc += fee;
+                } else {
+                    feesWld += fee;
+                    feesValueUsdc += fee * swap.price / PRICE_SCALE;
+                }
+            }
+            volume[window] = {
+                usdc: ethers.formatUnits(volumeUsdc, USDC_DECIMALS),
+                swaps: swaps.length
+            };
+            fees[window] = {
+                wld: ethers.formatUnits(feesWld, WLD_DECIMALS),
+                usdc: ethers.formatUnits(feesUsdc, USDC_DECIMALS),
+                valueUsdc: ethers.formatUnits(feesValueUsdc, USDC_DECIMALS)
+            };
+        }
+
+        const change = {};
+        for (const [window, span] of Object.entries(CHANGE_WINDOWS)) {
+            const then = this.priceAt(points, now - span);
+            change[window] = then && then > 0n
+                ? Number((currentPrice - then) * 1000000n / then) / 1000000
+                : null;
+        }
+
+        return {
+            pair: 'WLD/USDC',
+            lastIndexedBlock: lastBlock,
+            price: {
+                wld: this.formatPrice(currentPrice),
+                usdc: currentPrice > 0n ? ethers.formatUnits(10n ** BigInt(USDC_DECIMALS + WLD_DECIMALS) / currentPrice, WLD_DECIMALS) : '0.0'
+            },
+            liquidity: {
+                wld: ethers.formatUnits(reserve0, WLD_DECIMALS),
+                usdc: ethers.formatUnits(reserve1, USDC_DECIMALS),
+                // Both sides valued in USDC at the pool price
+                totalUsdc: ethers.formatUnits(reserve1 * 2n, USDC_DECIMALS)
+            },
+            feeBasisPoints: Number(feeBasisPoints),
+            volume,
+            fees,
+            change,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Format a USDC-per-WLD price
+     * @param {bigint} price - reserve1 * 1e18 / reserve0 (USDC base units per WLD)
+     * @returns {string} USDC per WLD
+     */
+    formatPrice(price) {
+        return ethers.formatUnits(price, USDC_DECIMALS);
+    }
+
+    /**
+     * Depth curve: tokens needed to move the pool price by each step, from current reserves
+     * Follows x*y=k with the swap fee charged on input.
+     * @param {Array<number>} [steps] - Price moves in percent
+     * @returns {Promise<Object>} {price, bids, asks}
+     */
+    async getDepth(steps = DEFAULT_DEPTH_STEPS) {
+        const [{ reserve0, reserve1, blockNumber }, feeBasisPoints] = await Promise.all([
+            this.swapService.getReserves(),
+            this.getFeeBasisPoints()
+        ]);
+        if (reserve0 === 0n || reserve1 === 0n) {
+            throw new Error('Pool has no liquidity');
+        }
+
+        const k = reserve0 * reserve1;
+        const feeDenominator = 10000n - BigInt(feeBasisPoints);
+        const price = reserve1 * PRICE_SCALE / reserve0;
+
+        // Price falls as WLD is sold into the pool, rises as WLD is bought with USDC
+        const bids = [];
+        const asks = [];
+        for (const step of steps) {
+            const basisPoints = BigInt(Math.round(step * 100));
+
+            if (basisPoints < 10000n) {
+                const target = price * (10000n - basisPoints) / 10000n;
+                const newReserve0 = LiquidityService.sqrt(k * PRICE_SCALE / target);
+                bids.push({
+                    priceChangePercent: -step,
+                    price: this.formatPrice(target),
+                    wldIn: ethers.formatUnits((newReserve0 - reserve0) * 10000n / feeDenominator, WLD_DECIMALS),
+                    usdcOut: ethers.formatUnits(reserve1 - k / newReserve0, USDC_DECIMALS)
+                });
+            }
+
+            const target = price * (10000n + basisPoints) / 10000n;
+            const newReserve1 = LiquidityService.sqrt(k * target / PRICE_SCALE);
+            asks.push({
+                priceChangePercent: step,
+                price: this.formatPrice(target),
+                usdcIn: ethers.formatUnits((newReserve1 - reserve1) * 10000n / feeDenominator, USDC_DECIMALS),
+                wldOut: ethers.formatUnits(reserve0 - k / newReserve1, WLD_DECIMALS)
+            });
+        }
+
+        return {
+            blockNumber,
+            price: this.formatPrice(price),
+            bids,
+            asks
+        };
+    }
+}
+
+module.exports = {
+    PoolAnalytics,
+    CANDLE_INTERVALS
+};
@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+const { RelayError } = require('./transactionRelay');
+require('dotenv').config();
+
+/**
+ * Price Impact Policy
+ * Caps how far a single swap may move the thin SimpleDEX pool. An order over
+ * MAX_PRICE_IMPACT_BPS is either rejected with the largest size that fits, or
+ * split into up to MAX_SPLIT_ORDERS sequential swaps that each stay under the
+ * limit (PRICE_IMPACT_ACTION=reject|split).
+ */
+
+const ImpactAction = {
+    REJECT: 'reject',
+    SPLIT: 'split'
+};
+
+const DEFAULT_MAX_IMPACT_BPS = 300; // 3%
+const DEFAULT_MAX_ORDERS = 5;
+
+class PriceImpactPolicy {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService (reserves and order planning)
+     * @param {number} [options.maxImpactBps] - Per-swap impact limit in basis points
+     * @param {string} [options.action] - 'reject' or 'split'
+     * @param {number} [options.maxOrders] - Most swaps an order may be split into
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.maxImpactBps = options.maxImpactBps
+            || parseInt(process.env.MAX_PRICE_IMPACT_BPS) || DEFAULT_MAX_IMPACT_BPS;
+        this.action = options.action || process.env.PRICE_IMPACT_ACTION || ImpactAction.SPLIT;
+        this.maxOrders = options.maxOrders
+            || parseInt(process.env.MAX_SPLIT_ORDERS) || DEFAULT_MAX_ORDERS;
+
+        if (!Object.values(ImpactAction).includes(this.action)) {
+            throw new Error(`PRICE_IMPACT_ACTION must be ${Object.values(ImpactAction).join(' or ')}`);
+        }
+        if (this.maxImpactBps < 1 || this.maxImpactBps > 10000) {
+            throw new Error('MAX_PRICE_IMPACT_BPS must be between 1 and 10000');
+        }
+    }
+
+    /**
+     * Check an order against the policy and plan how to fill it
+     * @param {Object} order
+     * @param {bigint|string} order.amountInWei - Total input in wei
+     * @param {number} order.slippage - Slippage tolerance in basis points
+     * @param {string} order.direction - Swap direction
+     * @returns {Promise<Object>} Plan with orders (wei amounts) and the aggregate fill
+     * @throws {RelayError} PRICE_IMPACT_TOO_HIGH with a suggested maximum input
+     */
+    async plan({ amountInWei, slippage, direction }) {
+        const maxOrders = this.action === ImpactAction.SPLIT ? this.maxOrders : 1;
+        const planned = await this.swapService.planOrders(amountInWei, {
+            maxImpactBps: this.maxImpactBps,
+            maxOrders,
+            slippageBasisPoints: slippage,
+            direction
+        });
+
+        if (planned.unfilledWei > 0n) {
+            const { tokenIn } = this.swapService.DIRECTIONS[direction];
+            const decimals = this.swapService.TOKENS[tokenIn].decimals;
+            // Largest order the policy accepts: one swap when rejecting, the planned orders' total when splitting
+            const suggestedMaxWei = maxOrders === 1 ? planned.singleOrderMaxWei : planned.filledWei;
+            const suggestedMaxInput = ethers.formatUnits(suggestedMaxWei, decimals);
+
+            throw new RelayError(
+                `Swapping ${ethers.formatUnits(amountInWei, decimals)} ${tokenIn} would move the pool price more than ${this.maxImpactBps / 100}%`
+                    + (maxOrders > 1 ? ` in each of ${maxOrders} swaps` : '')
+                    + `; the most this pool takes is ${suggestedMaxInput} ${tokenIn}`,
+                'PRICE_IMPACT_TOO_HIGH',
+                422,
+                {
+                    maxPriceImpactBps: this.maxImpactBps,
+                    action: this.action,
+                    maxOrders,
+                    suggestedMaxInput,
+                    suggestedMaxInputWei: suggestedMaxWei.toString(),
+                    tokenIn
+                }
+            );
+        }
+
+        return this.describe(planned, direction);
+    }
+
+    /**
+     * Format a plan for responses and storage
+     * @param {Object} planned - Result of SwapService.planOrders
+     * @param {string} direction - Swap direction
+     * @returns {Object} {action, maxPriceImpactBps, orders, fill, blockNumber}
+     */
+    describe(planned, direction) {
+        const { tokenIn, tokenOut } = this.swapService.DIRECTIONS[direction];
+        const decimalsIn = this.swapService.TOKENS[tokenIn].decimals;
+        const decimalsOut = this.swapService.TOKENS[tokenOut].decimals;
+        const expectedOutputWei = planned.orders.reduce((sum, order) => sum + order.expectedOutputWei, 0n);
+        const minOutputWei = planned.orders.reduce((sum, order) => sum + order.minOutputWei, 0n);
+
+        return {
+            action: planned.orders.length > 1 ? ImpactAction.SPLIT : 'single',
+            maxPriceImpactBps: this.maxImpactBps,
+            orders: planned.orders.map(order => ({
+                inputAmount: ethers.formatUnits(order.amountInWei, decimalsIn),
+                inputAmountWei: order.amountInWei.toString(),
+                expectedOutput: ethers.formatUnits(order.expectedOutputWei, decimalsOut),
+                expectedOutputWei: order.expectedOutputWei.toString(),
+                minOutput: ethers.formatUnits(order.minOutputWei, decimalsOut),
+                minOutputWei: order.minOutputWei.toString(),
+                priceImpact: order.priceImpact.toString() // basis points
+            })),
+            fill: {
+                orders: planned.orders.length,
+                tokenIn,
+                tokenOut,
+                inputAmount: ethers.formatUnits(planned.filledWei, decimalsIn),
+                expectedOutput: ethers.formatUnits(expectedOutputWei, decimalsOut),
+                minOutput: ethers.formatUnits(minOutputWei, decimalsOut),
+                averageRate: ethers.formatUnits(expectedOutputWei * 10n ** BigInt(decimalsIn) / planned.filledWei, decimalsOut),
+                priceImpact: planned.priceImpact.toString() // basis points, all orders from the starting price
+            },
+            blockNumber: planned.blockNumber
+        };
+    }
+
+    /**
+     * Largest input a single swap may have right now
+     * @param {string} direction - Swap direction
+     * @returns {Promise<bigint>} Maximum input in wei
+     */
+    async getMaxOrderWei(direction) {
+        const { tokenIn, reverse } = this.swapService.DIRECTIONS[direction];
+        const { reserve0, reserve1 } = await this.swapService.getReserves();
+        const [reserveIn, reserveOut] = reverse ? [reserve1, reserve0] : [reserve0, reserve1];
+        return this.swapService.getMaxInputForImpact(reserveIn, reserveOut, this.swapService.TOKENS[tokenIn].decimals, this.maxImpactBps);
+    }
+}
+
+module.exports = {
+    PriceImpactPolicy,
+    ImpactAction
+};
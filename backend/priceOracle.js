@@ -0,0 +1,352 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { RelayError } = require('./transactionRelay');
+require('dotenv').config();
+
+/**
+ * Price Oracle
+ * WLD price in USDC from pluggable sources: SimpleDEX spot reserves, a
+ * time-weighted average over indexed pool history, a static fixture for demos
+ * and a local JSON file feed.
+ *
+ * One source is primary; the others configured as references cross-check it.
+ * A price that is older than PRICE_MAX_AGE_SECONDS, or further than
+ * PRICE_MAX_DEVIATION_BPS from a reference, is refused, so quotes don't run on
+ * a stale or manipulated price. With references configured, at least one must
+ * be readable and fresh (PRICE_REQUIRE_REFERENCE), so the cross-check can't be
+ * bypassed by taking the references down.
+ */
+
+const PriceSourceType = {
+    SPOT: 'spot',
+    TWAP: 'twap',
+    STATIC: 'static',
+    FILE: 'file'
+};
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+const DEFAULT_MAX_DEVIATION_BPS = 500; // 5%
+const DEFAULT_TWAP_WINDOW_SECONDS = 30 * 60;
+const DEFAULT_STATIC_PRICE = 2.45;
+
+const USDC_DECIMALS = 6;
+const PRICE_SCALE = 10n ** 18n;
+
+/**
+ * Current SimpleDEX mid price from reserves
+ */
+class SpotPriceSource {
+    /**
+     * @param {Object} swapService - SwapService (pool reserves)
+     */
+    constructor(swapService) {
+        this.name = PriceSourceType.SPOT;
+        this.swapService = swapService;
+    }
+
+    async read() {
+        const { reserve0, reserve1, blockNumber } = await this.swapService.getReserves();
+        if (reserve0 === 0n) {
+            throw new Error('Pool has no WLD liquidity');
+        }
+        return {
+            price: Number(ethers.formatUnits(reserve1 * PRICE_SCALE / reserve0, USDC_DECIMALS)),
+            blockNumber,
+            timestamp: Date.now()
+        };
+    }
+}
+
+/**
+ * Time-weighted average of the pool price over a trailing window, from the
+ * reserve history PoolAnalytics rebuilds out of indexed events. As fresh as the
+ * indexer's last scan.
+ */
+class TwapPriceSource {
+    /**
+     * @param {Object} poolAnalytics - PoolAnalytics with a chain indexer
+     * @param {number} [windowSeconds] - Averaging window
+     */
+    constructor(poolAnalytics, windowSeconds = DEFAULT_TWAP_WINDOW_SECONDS) {
+        this.name = PriceSourceType.TWAP;
+        this.poolAnalytics = poolAnalytics;
+        this.windowSeconds = windowSeconds;
+    }
+
+    async read() {
+        const { lastBlock, reserve0, reserve1, points } = await this.poolAnalytics.getHistory();
+        if (reserve0 === 0n) {
+            throw new Error('Pool has no WLD liquidity');
+        }
+
+        const end = Date.parse(this.poolAnalytics.indexer.getCheckpoint().updatedAt);
+        const start = end - this.windowSeconds * 1000;
+
+        // Each price holds from its event until the next one; the last holds until the scan
+        let price = this.poolAnalytics.priceAt(points, start);
+        let from = start;
+        let weighted = 0n;
+        let covered = 0;
+        for (const point of points) {
+            if (point.time <= start || point.time > end) continue;
+            if (price !== null) {
+                weighted += price * BigInt(point.time - from);
+                covered += point.time - from;
+            }
+            price = point.price;
+            from = point.time;
+        }
+        if (price !== null && end > from) {
+            weighted += price * BigInt(end - from);
+            covered += end - from;
+        }
+
+        const average = covered > 0 ? weighted / BigInt(covered) : reserve1 * PRICE_SCALE / reserve0;
+        return {
+            price: Number(ethers.formatUnits(average, USDC_DECIMALS)),
+            blockNumber: lastBlock,
+            timestamp: end,
+            windowSeconds: this.windowSeconds,
+            coveredSeconds: Math.floor(covered / 1000)
+        };
+    }
+}
+
+/**
+ * Fixed price for demos and tests. Always fresh, never a real market price.
+ */
+class StaticPriceSource {
+    /**
+     * @param {number} price - USDC per WLD
+     */
+    constructor(price) {
+        this.name = PriceSourceType.STATIC;
+        this.price = price;
+    }
+
+    async read() {
+        return { price: this.price, blockNumber: null, timestamp: Date.now(), fixture: true };
+    }
+}
+
+/**
+ * Price published to a local JSON file, e.g. by a cron job:
+ * {"price": 2.41, "updatedAt": "2025-01-01T00:00:00Z"} (updatedAt defaults to the file's mtime)
+ */
+class FilePriceSource {
+    /**
+     * @param {string} filePath - Path to the JSON feed
+     */
+    constructor(filePath) {
+        this.name = PriceSourceType.FILE;
+        this.filePath = filePath;
+    }
+
+    async read() {
+        const [content, stats] = await Promise.all([
+            fs.promises.readFile(this.filePath, 'utf8'),
+            fs.promises.stat(this.filePath)
+        ]);
+        const feed = JSON.parse(content);
+        const price = Number(feed.price);
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new Error(`${this.filePath} has no valid price`);
+        }
+        const timestamp = feed.updatedAt ? Date.parse(feed.updatedAt) : stats.mtimeMs;
+        if (isNaN(timestamp)) {
+            throw new Error(`${this.filePath} has an invalid updatedAt`);
+        }
+        return { price, blockNumber: null, timestamp };
+    }
+}
+
+class PriceOracle {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService for the spot source
+     * @param {Object} [options.poolAnalytics] - PoolAnalytics; enables the TWAP source when it has an indexer
+     * @param {string} [options.primary] - Primary source (PRICE_ORACLE_SOURCE, default spot)
+     * @param {Array<string>} [options.references] - Cross-check sources (PRICE_ORACLE_REFERENCES, default twap)
+     * @param {number} [options.maxAgeSeconds] - Oldest usable price
+     * @param {number} [options.maxDeviationBps] - Largest allowed gap to a reference, in basis points
+     * @param {boolean} [options.requireReference] - Refuse prices no fresh reference confirmed (default true)
+     */
+    constructor(options = {}) {
+        this.sources = new Map();
+        this.register(new SpotPriceSource(options.swapService));
+        if (options.poolAnalytics?.indexer) {
+            this.register(new TwapPriceSource(options.poolAnalytics,
+                parseInt(process.env.PRICE_TWAP_WINDOW_SECONDS) || DEFAULT_TWAP_WINDOW_SECONDS));
+        }
+        this.register(new StaticPriceSource(parseFloat(process.env.PRICE_STATIC_WLD_USDC) || DEFAULT_STATIC_PRICE));
+        if (process.env.PRICE_FEED_FILE) {
+            this.register(new FilePriceSource(process.env.PRICE_FEED_FILE));
+        }
+
+        this.primary = options.primary || process.env.PRICE_ORACLE_SOURCE || PriceSourceType.SPOT;
+        if (!this.sources.has(this.primary)) {
+            throw new Error(`Price source ${this.primary} is not available. Available: ${[...this.sources.keys()].join(', ')}`);
+        }
+
+        const references = options.references
+            || (process.env.PRICE_ORACLE_REFERENCES ?? PriceSourceType.TWAP).split(',').map(name => name.trim()).filter(Boolean);
+        this.references = references.filter(name => name !== this.primary && this.sources.has(name));
+
+        this.maxAgeSeconds = options.maxAgeSeconds
+            || parseInt(process.env.PRICE_MAX_AGE_SECONDS) || DEFAULT_MAX_AGE_SECONDS;
+        this.maxDeviationBps = options.maxDeviationBps
+            || parseInt(process.env.PRICE_MAX_DEVIATION_BPS) || DEFAULT_MAX_DEVIATION_BPS;
+        this.requireReference = options.requireReference ?? process.env.PRICE_REQUIRE_REFERENCE !== 'false';
+    }
+
+    /**
+     * Add or replace a price source
+     * @param {Object} source - Object with a name and an async read() returning {price, timestamp, blockNumber}
+     */
+    register(source) {
+        this.sources.set(source.name, source);
+    }
+
+    /**
+     * Read one source without checks
+     * @param {string} name - Source name
+     * @returns {Promise<Object>} Reading with source and ageSeconds
+     * @throws {RelayError} If the source is unknown or fails
+     */
+    async readSource(name) {
+        const source = this.sources.get(name);
+        if (!source) {
+            throw new RelayError(`Unknown price source: ${name}`, 'PRICE_SOURCE_UNKNOWN', 400);
+        }
+
+        let reading;
+        try {
+            reading = await source.read();
+        } catch (error) {
+            throw new RelayError(`Price source ${name} is unavailable: ${error.message}`, 'PRICE_UNAVAILABLE', 503);
+        }
+
+        return {
+            source: name,
+            ...reading,
+            timestamp: new Date(reading.timestamp).toISOString(),
+            ageSeconds: Math.max(0, Math.floor((Date.now() - reading.timestamp) / 1000))
+        };
+    }
+
+    /**
+     * Gap between two prices
+     * @param {number} price - Price to check
+     * @param {number} reference - Price to check against
+     * @returns {number} Deviation in basis points
+     */
+    deviationBps(price, reference) {
+        return Math.round(Math.abs(price - reference) / reference * 10000);
+    }
+
+    /**
+     * Checked WLD price: the primary source, fresh and within range of every
+     * reference that could be read. References that fail or are stale are
+     * reported; unless requireReference is off, at least one must have checked
+     * the price.
+     * @returns {Promise<Object>} {source, price, timestamp, ageSeconds, references, ...}
+     * @throws {RelayError} PRICE_UNAVAILABLE, PRICE_STALE, PRICE_DEVIATION or PRICE_UNVERIFIED
+     */
+    async getPrice() {
+        const reading = await this.readSource(this.primary);
+        if (reading.ageSeconds > this.maxAgeSeconds) {
+            throw new RelayError(
+                `Price from ${reading.source} is ${reading.ageSeconds}s old (limit ${this.maxAgeSeconds}s)`,
+                'PRICE_STALE',
+                503
+            );
+        }
+
+        const references = [];
+        for (const name of this.references) {
+            let reference;
+            try {
+                reference = await this.readSource(name);
+            } catch (error) {
+                console.warn(`⚠️  Price reference ${name} skipped: ${error.message}`);
+                references.push({ source: name, error: error.message });
+                continue;
+            }
+            if (reference.ageSeconds > this.maxAgeSeconds) {
+                references.push({ source: name, price: reference.price, ageSeconds: reference.ageSeconds, error: 'stale' });
+                continue;
+            }
+
+            const deviationBps = this.deviationBps(reading.price, reference.price);
+            if (deviationBps > this.maxDeviationBps) {
+                throw new RelayError(
+                    `Price from ${reading.source} (${reading.price}) is ${deviationBps / 100}% away from ${name} (${reference.price}); limit ${this.maxDeviationBps / 100}%`,
+                    'PRICE_DEVIATION',
+                    503
+                );
+            }
+            references.push({ source: name, price: reference.price, ageSeconds: reference.ageSeconds, deviationBps });
+        }
+
+        if (this.requireReference && this.references.length
+            && !references.some(reference => reference.deviationBps !== undefined)) {
+            throw new RelayError(
+                `No fresh price reference could check ${reading.source} (${references.map(reference => `${reference.source}: ${reference.error}`).join(', ')})`,
+                'PRICE_UNVERIFIED',
+                503,
+                { references }
+            );
+        }
+
+        return {
+            ...reading,
+            references,
+            maxAgeSeconds: this.maxAgeSeconds,
+            maxDeviationBps: this.maxDeviationBps,
+            requireReference: this.requireReference
+        };
+    }
+
+    /**
+     * Check the pool price a quote was built on against the oracle price.
+     * Quotes from other venues carry no reserves; their effective rate (fees
+     * and impact included) is checked instead.
+     * @param {Object} quote - Quote from SwapService or the swap router
+     * @returns {Promise<Object>} Oracle summary to attach to the quote
+     * @throws {RelayError} If the oracle price is unusable or the pool is out of range
+     */
+    async checkQuote(quote) {
+        const oracle = await this.getPrice();
+        const wldPerUsdc = quote.tokenIn === 'USDC';
+        const poolPrice = quote.poolReserves
+            ? parseFloat(quote.poolReserves.usdc) / parseFloat(quote.poolReserves.wld)
+            : (wldPerUsdc ? 1 / parseFloat(quote.exchangeRate) : parseFloat(quote.exchangeRate));
+        const deviationBps = this.deviationBps(poolPrice, oracle.price);
+
+        if (deviationBps > this.maxDeviationBps) {
+            const priced = quote.poolReserves ? 'Pool price' : `${quote.venue} rate`;
+            throw new RelayError(
+                `${priced} ${poolPrice.toFixed(6)} at block ${quote.blockNumber} is ${deviationBps / 100}% away from the ${oracle.source} price ${oracle.price}; limit ${this.maxDeviationBps / 100}%`,
+                'PRICE_DEVIATION',
+                503
+            );
+        }
+
+        return {
+            source: oracle.source,
+            price: oracle.price,
+            timestamp: oracle.timestamp,
+            poolPrice,
+            deviationBps
+        };
+    }
+}
+
+module.exports = {
+    PriceOracle,
+    PriceSourceType,
+    SpotPriceSource,
+    TwapPriceSource,
+    StaticPriceSource,
+    FilePriceSource
+};
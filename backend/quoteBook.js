@@ -0,0 +1,251 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { RelayError } = require('./transactionRelay');
+require('dotenv').config();
+
+/**
+ * Quote Book
+ * Firm swap quotes: every quote shown to a user is stored with an ID, the block
+ * its reserves were read at, an expiry and a server signature. Swaps are then
+ * executed by quote ID, so the user gets the amounts they were shown or the
+ * request is rejected. A quote can be executed once, and only by the wallet it
+ * was issued to.
+ */
+
+const DEFAULT_QUOTE_TTL_SECONDS = 60;
+// A claim normally finishes in seconds; one older than this was left behind by a crash
+const DEFAULT_CLAIM_TIMEOUT_SECONDS = 120;
+
+const QuoteStatus = {
+    OPEN: 'open',
+    EXECUTING: 'executing',
+    EXECUTED: 'executed'
+};
+
+// EIP-712 types for the server signature, so clients can check a quote came from us
+const QUOTE_TYPES = {
+    SwapQuote: [
+        { name: 'id', type: 'string' },
+        { name: 'from', type: 'address' },
+        { name: 'direction', type: 'string' },
+        { name: 'amountIn', type: 'uint256' },
+        { name: 'minAmountOut', type: 'uint256' },
+        { name: 'blockNumber', type: 'uint256' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+class QuoteBook {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService used to re-price quotes at execution
+     * @param {number} [options.ttlSeconds] - How long a quote can be executed
+     * @param {number} [options.claimTimeoutSeconds] - When an unfinished claim is considered abandoned
+     * @param {Object} [options.store] - Quote store
+     * @param {Object} [options.priceOracle] - PriceOracle re-checked before a quote executes
+     * @param {Object} [options.swapRouter] - SwapRouter that re-prices quotes on their own venue
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.provider = this.swapService.provider;
+        this.ttlSeconds = options.ttlSeconds
+            || parseInt(process.env.SWAP_QUOTE_TTL_SECONDS) || DEFAULT_QUOTE_TTL_SECONDS;
+        this.claimTimeoutSeconds = options.claimTimeoutSeconds
+            || parseInt(process.env.SWAP_QUOTE_CLAIM_TIMEOUT_SECONDS) || DEFAULT_CLAIM_TIMEOUT_SECONDS;
+
+        // A dedicated key: the quote signer's address is public, so it shouldn't hold funds
+        if (!process.env.QUOTE_SIGNER_PK) {
+            throw new Error('QUOTE_SIGNER_PK is required to sign quotes (use a dedicated key that holds no funds)');
+        }
+        this.signer = new ethers.Wallet(process.env.QUOTE_SIGNER_PK);
+
+        this.store = options.store || createStore('swap-quotes', {
+            keyField: 'id',
+            indexes: {
+                status: (quote) => quote.status
+            }
+        });
+        this.domain = null;
+        this.priceOracle = options.priceOracle || null;
+        this.swapRouter = options.swapRouter || null;
+    }
+
+    /**
+     * Set the price oracle checked at execution (created after the quote book)
+     * @param {Object} priceOracle - PriceOracle
+     */
+    setPriceOracle(priceOracle) {
+        this.priceOracle = priceOracle;
+    }
+
+    /**
+     * EIP-712 domain quotes are signed under
+     * @returns {Promise<Object>} Domain
+     */
+    async getDomain() {
+        if (!this.domain) {
+            const network = await this.provider.getNetwork();
+            this.domain = {
+                name: 'Humanitree Swap Quotes',
+                version: '1',
+                chainId: Number(network.chainId),
+                verifyingContract: this.swapService.SIMPLE_DEX_ADDRESS
+            };
+        }
+        return this.domain;
+    }
+
+    /**
+     * Signed fields of a quote
+     * @param {Object} quote - Stored quote
+     * @returns {Object} SwapQuote message
+     */
+    toMessage(quote) {
+        return {
+            id: quote.id,
+            from: quote.from || ethers.ZeroAddress,
+            direction: quote.direction,
+            amountIn: quote.inputAmountWei,
+            minAmountOut: quote.minOutputWei,
+            blockNumber: quote.blockNumber,
+            expiresAt: Math.floor(Date.parse(quote.expiresAt) / 1000)
+        };
+    }
+
+    /**
+     * Make a quote firm: give it an ID and expiry, sign it and store it
+     * Only quotes issued to a wallet can be executed; without one the quote is indicative.
+     * @param {Object} quote - Quote from SwapService (must carry blockNumber)
+     * @param {string} [from] - Wallet allowed to execute the quote
+     * @returns {Promise<Object>} Firm quote with id, from, expiresAt, signature and signer
+     */
+    async issue(quote, from = null) {
+        this.prune();
+
+        const now = Date.now();
+        const firm = {
+            ...quote,
+            id: `QTE_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            from: from ? ethers.getAddress(from) : null,
+            status: QuoteStatus.OPEN,
+            issuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString(),
+            signer: this.signer.address
+        };
+        firm.signature = await this.signer.signTypedData(await this.getDomain(), QUOTE_TYPES, this.toMessage(firm));
+
+        return this.store.insert(firm);
+    }
+
+    /**
+     * Drop open quotes that expired without being executed, and recover claims a
+     * crash left in 'executing': reopened while unexpired, otherwise dropped
+     * @returns {number} Quotes removed
+     */
+    prune() {
+        const now = Date.now();
+        const abandoned = this.store.findBy('status', QuoteStatus.EXECUTING)
+            .filter(quote => !quote.claimedAt || now > Date.parse(quote.claimedAt) + this.claimTimeoutSeconds * 1000);
+        abandoned
+            .filter(quote => now <= Date.parse(quote.expiresAt))
+            .forEach(quote => this.release(quote.id));
+
+        const expired = [...this.store.findBy('status', QuoteStatus.OPEN), ...abandoned]
+            .filter(quote => now > Date.parse(quote.expiresAt));
+        expired.forEach(quote => this.store.delete(quote.id));
+        return expired.length;
+    }
+
+    /**
+     * Get a quote
+     * @param {string} id - Quote ID
+     * @returns {Object|null} Quote or null
+     */
+    get(id) {
+        return this.store.get(id) || null;
+    }
+
+    /**
+     * Claim a quote for execution: checks expiry, single use, that its venue still
+     * gives at least the quoted minimum output and (with an oracle) that the price is
+     * still usable. Call complete() or release() afterwards.
+     * @param {string} id - Quote ID
+     * @param {string} from - Wallet executing the quote; must be the one it was issued to
+     * @returns {Promise<Object>} Claimed quote
+     * @throws {RelayError} If the quote can't be executed
+     */
+    async claim(id, from) {
+        this.prune();
+
+        const quote = this.get(id);
+        if (!quote) {
+            throw new RelayError(`No quote found with ID: ${id}`, 'QUOTE_NOT_FOUND', 404);
+        }
+        if (quote.status !== QuoteStatus.OPEN) {
+            throw new RelayError(`Quote ${id} was already ${quote.status}`, 'QUOTE_ALREADY_USED', 409);
+        }
+        if (Date.now() > Date.parse(quote.expiresAt)) {
+            throw new RelayError(`Quote ${id} expired at ${quote.expiresAt}; request a new quote`, 'QUOTE_EXPIRED', 410);
+        }
+        if (!quote.from) {
+            throw new RelayError(`Quote ${id} was issued without a from address; request a new quote with from`, 'QUOTE_NOT_BOUND');
+        }
+        if (ethers.getAddress(from) !== quote.from) {
+            throw new RelayError(`Quote ${id} was issued to ${quote.from}`, 'QUOTE_OWNER_MISMATCH', 403);
+        }
+
+        // Claim synchronously so concurrent requests can't execute the same quote twice
+        this.store.update(id, { status: QuoteStatus.EXECUTING, claimedAt: new Date().toISOString() });
+
+        try {
+            const { amountOut, blockNumber } = this.swapRouter
+                ? await this.swapRouter.getCurrentOutput(quote)
+                : await this.swapService.getCurrentOutput(quote.inputAmountWei, quote.direction);
+            if (amountOut < BigInt(quote.minOutputWei)) {
+                throw new RelayError(
+                    `Prices moved since block ${quote.blockNumber}: ${quote.venue || 'the pool'} now gives ${amountOut} at block ${blockNumber}, below the quoted minimum ${quote.minOutputWei}`,
+                    'QUOTE_STALE',
+                    409
+                );
+            }
+            // Refuse to execute if the price has gone stale or moved away from its references since quoting
+            if (this.priceOracle) {
+                await this.priceOracle.getPrice();
+            }
+        } catch (error) {
+            this.release(id);
+            throw error;
+        }
+
+        return this.get(id);
+    }
+
+    /**
+     * Mark a claimed quote as executed
+     * @param {string} id - Quote ID
+     * @param {Object} [details] - Execution details (e.g. relay intent ID)
+     * @returns {Object} Updated quote
+     */
+    complete(id, details = {}) {
+        return this.store.update(id, {
+            status: QuoteStatus.EXECUTED,
+            executedAt: new Date().toISOString(),
+            ...details
+        });
+    }
+
+    /**
+     * Return a claimed quote to open after a failed execution
+     * @param {string} id - Quote ID
+     */
+    release(id) {
+        this.store.update(id, { status: QuoteStatus.OPEN, claimedAt: null });
+    }
+}
+
+module.exports = {
+    QuoteBook,
+    QuoteStatus,
+    QUOTE_TYPES
+};
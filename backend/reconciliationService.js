@@ -0,0 +1,399 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { DonationStatus, normalizeStatus } = require('./donationLifecycle');
+require('dotenv').config();
+
+/**
+ * Reconciliation Service
+ * Compares the donation ledgers kept by TreePurchaseService and DonationHandler
+ * with the USDC Transfer logs to the foundation addresses indexed by ChainIndexer.
+ */
+
+const USDC_DECIMALS = 6;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_STORED_REPORTS = 50;
+
+const DiscrepancyType = {
+    MISSING: 'missing',                 // Ledger says funds were sent, no matching transfer on-chain
+    DUPLICATED: 'duplicated',           // Several ledger records claim the same transaction
+    AMOUNT_MISMATCH: 'amount_mismatch', // Recorded amount differs from the transferred amount
+    ORPHANED: 'orphaned'                // Transfer to the foundation with no ledger record
+};
+
+// Statuses that claim funds left (or are leaving) the wallet
+const SENT_STATUSES = [DonationStatus.SUBMITTED, DonationStatus.CONFIRMED];
+
+const CSV_COLUMNS = [
+    'type', 'ledger', 'donationId', 'status', 'txHash', 'blockNumber',
+    'from', 'to', 'recordedAmount', 'onChainAmount', 'difference', 'detail'
+];
+
+/**
+ * Convert a recorded USDC amount into base units
+ * @param {number|string} amount - Amount as stored on the donation record
+ * @returns {bigint|null} Base units, or null if the amount can't be parsed
+ */
+function toBaseUnits(amount) {
+    const value = typeof amount === 'number' ? amount.toFixed(USDC_DECIMALS) : String(amount ?? '').trim();
+    try {
+        return ethers.parseUnits(value, USDC_DECIMALS);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ReconciliationService {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.indexer] - ChainIndexer providing foundation transfers
+     * @param {number} [options.intervalMs] - Delay between scheduled runs
+     * @param {Object} [options.reportStore] - Store for generated reports
+     */
+    constructor(options = {}) {
+        this.indexer = options.indexer || null;
+        this.intervalMs = options.intervalMs
+            || parseInt(process.env.RECONCILIATION_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+        this.reportStore = options.reportStore || createStore('reconciliation-reports', { keyField: 'id' });
+
+        this.ledgers = [];
+        this.timer = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Include a donation ledger in reconciliation
+     * @param {string} name - Ledger name used in reports
+     * @param {Object} store - Donation store with a 'txHash' index
+     * @param {Object} [options]
+     * @param {Function} [options.recipientOf] - Returns the transfer recipient of a record
+     */
+    addLedger(name, store, options = {}) {
+        this.ledgers.push({
+            name,
+            store,
+            recipientOf: options.recipientOf || ((record) => record.foundationAddress || record.recipient)
+        });
+    }
+
+    /**
+     * Set the indexer once it has been initialized
+     * @param {Object} indexer - ChainIndexer instance
+     */
+    setIndexer(indexer) {
+        this.indexer = indexer;
+    }
+
+    /**
+     * Run reconciliation on a schedule
+     */
+    start() {
+        if (this.timer) return;
+
+        const loop = () => {
+            try {
+                this.run();
+            } catch (error) {
+                this.lastError = error.message;
+                console.error('❌ Reconciliation run failed:', error.message);
+            }
+            this.timer = setTimeout(loop, this.intervalMs);
+        };
+        this.timer = setTimeout(loop, this.intervalMs);
+        console.log(`🧾 Reconciliation scheduled every ${this.intervalMs / 60000} minutes`);
+    }
+
+    /**
+     * Stop scheduled runs
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Compare ledgers against indexed transfers and store the report
+     * @param {Object} [range]
+     * @param {number} [range.since] - Only consider activity at or after this time (ms)
+     * @param {number} [range.until] - Only consider activity before this time (ms)
+     * @returns {Object} Reconciliation report
+     */
+    run(range = {}) {
+        if (!this.indexer) {
+            throw new Error('Chain indexer not available; cannot reconcile against on-chain transfers');
+        }
+
+        const inRange = (timestamp) => {
+            const time = Date.parse(timestamp);
+            return (!range.since || time >= range.since) && (!range.until || time < range.until);
+        };
+
+        const foundation = new Set(this.indexer.foundationAddresses.map(address => address.toLowerCase()));
+        const indexedChainId = this.indexer.chainId ?? null;
+        const lastIndexedBlock = this.indexer.getCheckpoint()?.lastBlock ?? null;
+
+        // Group on-chain transfers by transaction
+        const transfers = this.indexer.getFoundationTransfers().filter(transfer => inRange(transfer.timestamp));
+        const transfersByTx = new Map();
+        for (const transfer of transfers) {
+            const list = transfersByTx.get(transfer.txHash) || [];
+            list.push(transfer);
+            transfersByTx.set(transfer.txHash, list);
+        }
+
+        // Group ledger records that claim to have sent funds by transaction
+        const recordsByTx = new Map();
+        const unsentByTx = new Map();
+        let pending = 0;
+        let outOfScope = 0;
+        let totalRecords = 0;
+
+        for (const ledger of this.ledgers) {
+            for (const record of ledger.store.all()) {
+                if (!inRange(record.timestamp)) continue;
+                totalRecords++;
+
+                const recipient = (ledger.recipientOf(record) || '').toLowerCase();
+                const otherChain = indexedChainId !== null && record.chainId && record.chainId !== indexedChainId;
+                if (!foundation.has(recipient) || otherChain) {
+                    outOfScope++;
+                    continue;
+                }
+
+                const status = normalizeStatus(record.status);
+                const entry = { ledger: ledger.name, record, status };
+
+                if (!record.txHash) {
+                    continue; // Never broadcast; nothing to match
+                }
+
+                const txHash = record.txHash.toLowerCase();
+                const target = SENT_STATUSES.includes(status) ? recordsByTx : unsentByTx;
+                const list = target.get(txHash) || [];
+                list.push(entry);
+                target.set(txHash, list);
+            }
+        }
+
+        const discrepancies = [];
+        let matched = 0;
+
+        for (const [txHash, entries] of recordsByTx) {
+            const onChain = transfersByTx.get(txHash);
+
+            if (entries.length > 1) {
+                for (const entry of entries) {
+                    discrepancies.push(this.buildItem(DiscrepancyType.DUPLICATED, entry, onChain, {
+                        detail: `${entries.length} ledger records reference this transaction`
+                    }));
+                }
+            }
+
+            if (!onChain) {
+                const [entry] = entries;
+                const blockNumber = entry.record.blockNumber;
+                const indexed = lastIndexedBlock !== null && blockNumber !== null && blockNumber !== undefined
+                    && blockNumber <= lastIndexedBlock;
+
+                // A submitted donation the indexer hasn't reached yet is simply not reconciled yet
+                if (entry.status === DonationStatus.CONFIRMED || indexed) {
+                    for (const item of entries) {
+                        discrepancies.push(this.buildItem(DiscrepancyType.MISSING, item, null, {
+                            detail: 'No USDC transfer to a foundation address found for this transaction'
+                        }));
+                    }
+                } else {
+                    pending += entries.length;
+                }
+                continue;
+            }
+
+            const onChainUnits = onChain.reduce((sum, transfer) => sum + BigInt(transfer.args.value), 0n);
+            let mismatched = false;
+            for (const entry of entries) {
+                const recordedUnits = toBaseUnits(entry.record.amount);
+                if (recordedUnits !== onChainUnits) {
+                    mismatched = true;
+                    discrepancies.push(this.buildItem(DiscrepancyType.AMOUNT_MISMATCH, entry, onChain, {
+                        detail: recordedUnits === null ? `Unparseable recorded amount "${entry.record.amount}"` : null
+                    }));
+                }
+            }
+
+            if (!mismatched && entries.length === 1) matched++;
+        }
+
+        for (const [txHash, onChain] of transfersByTx) {
+            if (recordsByTx.has(txHash)) continue;
+
+            const unsent = unsentByTx.get(txHash);
+            discrepancies.push(this.buildItem(DiscrepancyType.ORPHANED, unsent ? unsent[0] : null, onChain, {
+                detail: unsent
+                    ? `Ledger record ${unsent[0].record.id} is marked ${unsent[0].status} but the transfer is on-chain`
+                    : 'Transfer to the foundation has no matching ledger record'
+            }));
+        }
+
+        const summary = {
+            ledgers: this.ledgers.map(ledger => ledger.name),
+            ledgerRecords: totalRecords,
+            outOfScopeRecords: outOfScope,
+            onChainTransfers: transfers.length,
+            matched,
+            pending,
+            missing: 0,
+            duplicated: 0,
+            amountMismatch: 0,
+            orphaned: 0
+        };
+        for (const item of discrepancies) {
+            const key = item.type === DiscrepancyType.AMOUNT_MISMATCH ? 'amountMismatch' : item.type;
+            summary[key]++;
+        }
+
+        const report = {
+            id: `REC_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            generatedAt: new Date().toISOString(),
+            range: {
+                since: range.since ? new Date(range.since).toISOString() : null,
+                until: range.until ? new Date(range.until).toISOString() : null
+            },
+            lastIndexedBlock,
+            balanced: discrepancies.length === 0,
+            summary,
+            discrepancies
+        };
+
+        this.reportStore.put(report);
+        this.pruneReports();
+        this.lastError = null;
+
+        console.log(`🧾 Reconciliation ${report.id}: ${matched} matched, ${discrepancies.length} discrepancies, ${pending} pending`);
+        return report;
+    }
+
+    /**
+     * Build a report line
+     * @param {string} type - DiscrepancyType value
+     * @param {Object|null} entry - Ledger entry ({ledger, record, status})
+     * @param {Array|null} onChain - Transfers in the same transaction
+     * @param {Object} [extra]
+     * @returns {Object} Discrepancy item
+     */
+    buildItem(type, entry, onChain, extra = {}) {
+        const record = entry?.record;
+        const onChainUnits = onChain
+            ? onChain.reduce((sum, transfer) => sum + BigInt(transfer.args.value), 0n)
+            : null;
+        const recordedUnits = record ? toBaseUnits(record.amount) : null;
+        const difference = onChainUnits !== null && recordedUnits !== null
+            ? ethers.formatUnits(onChainUnits - recordedUnits, USDC_DECIMALS)
+            : null;
+
+        return {
+            type,
+            ledger: entry?.ledger ?? null,
+            donationId: record?.id ?? null,
+            status: entry?.status ?? null,
+            txHash: (record?.txHash || onChain?.[0]?.txHash || '').toLowerCase() || null,
+            blockNumber: onChain?.[0]?.blockNumber ?? record?.blockNumber ?? null,
+            from: onChain?.[0]?.args.from ?? null,
+            to: onChain?.[0]?.args.to ?? null,
+            recordedAmount: recordedUnits !== null ? ethers.formatUnits(recordedUnits, USDC_DECIMALS) : null,
+            onChainAmount: onChainUnits !== null ? ethers.formatUnits(onChainUnits, USDC_DECIMALS) : null,
+            difference,
+            detail: extra.detail || null
+        };
+    }
+
+    /**
+     * Get a stored report
+     * @param {string} id - Report ID
+     * @returns {Object|null} Report or null
+     */
+    getReport(id) {
+        return this.reportStore.get(id) || null;
+    }
+
+    /**
+     * Get the most recent stored report
+     * @returns {Object|null} Report or null
+     */
+    getLatestReport() {
+        const [latest] = this.listReports(1);
+        return latest ? this.getReport(latest.id) : null;
+    }
+
+    /**
+     * List stored reports, newest first
+     * @param {number} [limit] - Maximum reports to return
+     * @returns {Array} Report summaries without discrepancy lines
+     */
+    listReports(limit = 20) {
+        return this.reportStore.all()
+            .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt))
+            .slice(0, limit)
+            .map(({ discrepancies, ...report }) => report);
+    }
+
+    /**
+     * Drop the oldest reports beyond the retention limit
+     */
+    pruneReports() {
+        const reports = this.reportStore.all()
+            .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+        for (const report of reports.slice(MAX_STORED_REPORTS)) {
+            this.reportStore.delete(report.id);
+        }
+    }
+
+    /**
+     * Render a report's discrepancies as CSV
+     * @param {Object} report - Reconciliation report
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(report) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const item of report.discrepancies) {
+            lines.push(CSV_COLUMNS.map(column => csvCell(item[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Reconciliation status for health/admin endpoints
+     * @returns {Object} Status summary
+     */
+    getStatus() {
+        const latest = this.listReports(1)[0] || null;
+        return {
+            scheduled: Boolean(this.timer),
+            intervalMs: this.intervalMs,
+            ledgers: this.ledgers.map(ledger => ledger.name),
+            lastReport: latest && {
+                id: latest.id,
+                generatedAt: latest.generatedAt,
+                balanced: latest.balanced
+            },
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    ReconciliationService,
+    DiscrepancyType
+};
@@ -0,0 +1,357 @@
+const { ethers } = require('ethers');
+const { NETWORK_CONFIG, legacyRpcNetwork } = require('./networks');
+require('dotenv').config();
+
+/**
+ * RPC Provider Factory
+ * One shared, health-checked failover provider per network, built from every
+ * configured RPC endpoint. Requests go to the healthiest endpoint first and move
+ * on to the next one on connectivity errors, retrying full rounds with backoff.
+ */
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 250;
+const DEFAULT_HEALTH_INTERVAL_MS = 30 * 1000;
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+const DEFAULT_MAX_BLOCK_LAG = 10;
+
+// Errors that describe the request itself; another endpoint would answer the same
+const NON_RETRYABLE_CODES = new Set([
+    'CALL_EXCEPTION',
+    'INSUFFICIENT_FUNDS',
+    'NONCE_EXPIRED',
+    'REPLACEMENT_UNDERPRICED',
+    'TRANSACTION_REPLACED',
+    'INVALID_ARGUMENT',
+    'MISSING_ARGUMENT',
+    'UNEXPECTED_ARGUMENT',
+    'NUMERIC_FAULT',
+    'UNCONFIGURED_NAME',
+    'ACTION_REJECTED'
+]);
+
+// network -> FailoverProvider
+const providers = new Map();
+
+/**
+ * Hide API keys embedded in RPC URLs
+ * @param {string} url - RPC URL
+ * @returns {string} URL safe to log or expose in /health
+ */
+function redactUrl(url) {
+    return url.replace(/\/([A-Za-z0-9_-]{16,})\/?$/, '/***');
+}
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Collect RPC URLs for a network, most preferred first:
+ *   <NETWORK>_RPC_URLS (comma-separated), <NETWORK>_RPC_URL, legacy RPC_URL if it points at
+ *   this network, then NETWORK_CONFIG endpoints (Infura/Alchemy only with an API key)
+ * @param {string} network - Network name from NETWORK_CONFIG
+ * @param {Object} [env] - Environment variables
+ * @returns {Array<string>} Unique RPC URLs
+ */
+function resolveRpcUrls(network, env = process.env) {
+    const prefix = network.toUpperCase();
+    const config = NETWORK_CONFIG[network];
+
+    const configured = (config ? config.rpcUrls : []).map(url => {
+        if (url.includes('infura.io')) return env.INFURA_API_KEY ? url + env.INFURA_API_KEY : null;
+        if (url.includes('alchemy')) return env.ALCHEMY_API_KEY ? url + env.ALCHEMY_API_KEY : null;
+        return url;
+    });
+
+    const urls = [
+        ...(env[`${prefix}_RPC_URLS`] || '').split(','),
+        env[`${prefix}_RPC_URL`],
+        legacyRpcNetwork(env) === network ? env.RPC_URL : null,
+        ...configured
+    ].map(url => (url || '').trim()).filter(Boolean);
+
+    return [...new Set(urls)];
+}
+
+class FailoverProvider extends ethers.AbstractProvider {
+    /**
+     * @param {string} name - Network name
+     * @param {number} chainId - Chain ID all endpoints must serve
+     * @param {Array<string>} urls - RPC URLs in priority order
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Per-request timeout for each endpoint
+     * @param {number} [options.maxRetries] - Extra rounds over all endpoints after the first fails
+     * @param {number} [options.retryBaseMs] - Backoff before the first retry round (doubles each round)
+     * @param {number} [options.healthIntervalMs] - Delay between background health checks
+     * @param {number} [options.cooldownMs] - How long a failing endpoint is skipped
+     * @param {number} [options.maxBlockLag] - Blocks behind the best endpoint before one counts as lagging
+     */
+    constructor(name, chainId, urls, options = {}) {
+        if (!urls.length) {
+            throw new Error(`No RPC endpoints configured for ${name}`);
+        }
+
+        const network = ethers.Network.from(chainId);
+        super(network);
+
+        this.name = name;
+        this.chainId = chainId;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.RPC_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        this.maxRetries = options.maxRetries ?? (parseInt(process.env.RPC_MAX_RETRIES) >= 0
+            ? parseInt(process.env.RPC_MAX_RETRIES) : DEFAULT_MAX_RETRIES);
+        this.retryBaseMs = options.retryBaseMs || parseInt(process.env.RPC_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+        this.healthIntervalMs = options.healthIntervalMs
+            || parseInt(process.env.RPC_HEALTH_INTERVAL_MS) || DEFAULT_HEALTH_INTERVAL_MS;
+        this.cooldownMs = options.cooldownMs || parseInt(process.env.RPC_COOLDOWN_MS) || DEFAULT_COOLDOWN_MS;
+        this.maxBlockLag = options.maxBlockLag || parseInt(process.env.RPC_MAX_BLOCK_LAG) || DEFAULT_MAX_BLOCK_LAG;
+
+        this.endpoints = urls.map((url, priority) => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = this.timeoutMs;
+            return {
+                url,
+                priority,
+                provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 }),
+                healthy: true,
+                lagging: false,
+                cooldownUntil: 0,
+                consecutiveFailures: 0,
+                blockNumber: null,
+                latencyMs: null,
+                lastError: null,
+                lastCheckedAt: null
+            };
+        });
+
+        this.healthTimer = null;
+    }
+
+    async _detectNetwork() {
+        return ethers.Network.from(this.chainId);
+    }
+
+    /**
+     * Endpoints in the order they should be tried: usable before cooling-down,
+     * in-sync before lagging, then configured priority
+     * @returns {Array<Object>} Ordered endpoints
+     */
+    orderedEndpoints() {
+        const now = Date.now();
+        const rank = (endpoint) => (endpoint.cooldownUntil > now ? 2 : 0) + (endpoint.lagging ? 1 : 0);
+        return [...this.endpoints].sort((a, b) => rank(a) - rank(b) || a.priority - b.priority);
+    }
+
+    /**
+     * Whether an error is worth retrying on another endpoint
+     * @param {Error} error - Error from an endpoint
+     * @returns {boolean} True for connectivity/server errors
+     */
+    isRetryable(error) {
+        return !NON_RETRYABLE_CODES.has(error.code);
+    }
+
+    /**
+     * Record a successful call
+     * @param {Object} endpoint - Endpoint state
+     * @param {number} startedAt - Request start time
+     */
+    markSuccess(endpoint, startedAt) {
+        endpoint.healthy = true;
+        endpoint.cooldownUntil = 0;
+        endpoint.consecutiveFailures = 0;
+        endpoint.latencyMs = Date.now() - startedAt;
+    }
+
+    /**
+     * Record a failed call and put the endpoint into cooldown
+     * @param {Object} endpoint - Endpoint state
+     * @param {Error} error - Failure
+     */
+    markFailure(endpoint, error) {
+        endpoint.consecutiveFailures++;
+        endpoint.healthy = false;
+        endpoint.cooldownUntil = Date.now() + this.cooldownMs;
+        endpoint.lastError = { message: error.shortMessage || error.message, at: new Date().toISOString() };
+    }
+
+    /**
+     * Send a request through the endpoints with failover and backoff
+     * @param {Object} req - ethers PerformActionRequest
+     * @returns {Promise<*>} Raw result
+     */
+    async _perform(req) {
+        let lastError;
+
+        for (let round = 0; round <= this.maxRetries; round++) {
+            if (round > 0) {
+                const backoff = this.retryBaseMs * 2 ** (round - 1);
+                await sleep(backoff + Math.floor(Math.random() * backoff / 2));
+            }
+
+            for (const endpoint of this.orderedEndpoints()) {
+                const startedAt = Date.now();
+                try {
+                    const result = await endpoint.provider._perform(req);
+                    this.markSuccess(endpoint, startedAt);
+                    return result;
+                } catch (error) {
+                    // Another endpoint already has our transaction: the broadcast succeeded
+                    if (req.method === 'broadcastTransaction' && /already known|known transaction/i.test(error.message)) {
+                        this.markSuccess(endpoint, startedAt);
+                        return ethers.keccak256(req.signedTransaction);
+                    }
+                    if (!this.isRetryable(error)) {
+                        this.markSuccess(endpoint, startedAt); // The node answered; the request was bad
+                        throw error;
+                    }
+
+                    this.markFailure(endpoint, error);
+                    lastError = error;
+                    console.warn(`⚠️  RPC ${redactUrl(endpoint.url)} (${this.name}) failed ${req.method}: ${endpoint.lastError.message}`);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Probe every endpoint's head block; endpoints too far behind the best one are marked lagging
+     * @returns {Promise<Array>} Endpoint health
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const startedAt = Date.now();
+            try {
+                endpoint.blockNumber = ethers.getNumber(await endpoint.provider._perform({ method: 'getBlockNumber' }));
+                this.markSuccess(endpoint, startedAt);
+            } catch (error) {
+                this.markFailure(endpoint, error);
+            }
+            endpoint.lastCheckedAt = new Date().toISOString();
+        }));
+
+        const best = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? -1));
+        for (const endpoint of this.endpoints) {
+            endpoint.lagging = endpoint.blockNumber !== null && best - endpoint.blockNumber > this.maxBlockLag;
+        }
+
+        return this.getHealth();
+    }
+
+    /**
+     * Start background health checks
+     */
+    startHealthChecks() {
+        if (this.healthTimer) return;
+
+        const loop = async () => {
+            await this.checkHealth();
+            if (this.healthTimer) {
+                this.healthTimer = setTimeout(loop, this.healthIntervalMs);
+                this.healthTimer.unref();
+            }
+        };
+        this.healthTimer = setTimeout(loop, 0);
+        this.healthTimer.unref();
+    }
+
+    /**
+     * Stop background health checks
+     */
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearTimeout(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Per-endpoint health for /health
+     * @returns {Array} Endpoint summaries
+     */
+    getHealth() {
+        const now = Date.now();
+        return this.endpoints.map(endpoint => ({
+            url: redactUrl(endpoint.url),
+            priority: endpoint.priority,
+            healthy: endpoint.healthy,
+            lagging: endpoint.lagging,
+            coolingDown: endpoint.cooldownUntil > now,
+            blockNumber: endpoint.blockNumber,
+            latencyMs: endpoint.latencyMs,
+            consecutiveFailures: endpoint.consecutiveFailures,
+            lastError: endpoint.lastError,
+            lastCheckedAt: endpoint.lastCheckedAt
+        }));
+    }
+
+    destroy() {
+        this.stopHealthChecks();
+        for (const endpoint of this.endpoints) {
+            endpoint.provider.destroy();
+        }
+        super.destroy();
+    }
+}
+
+/**
+ * Get the shared failover provider for a network, creating it on first use
+ * @param {string} network - Network name from NETWORK_CONFIG
+ * @param {Object} [options] - FailoverProvider options; urls overrides resolveRpcUrls
+ * @returns {FailoverProvider} Provider
+ */
+function getProvider(network, options = {}) {
+    if (providers.has(network)) {
+        return providers.get(network);
+    }
+
+    const config = NETWORK_CONFIG[network];
+    if (!config) {
+        throw new Error(`Unknown network: ${network}`);
+    }
+
+    const urls = options.urls || resolveRpcUrls(network);
+    const provider = new FailoverProvider(network, config.chainId, urls, options);
+    provider.startHealthChecks();
+    providers.set(network, provider);
+
+    console.log(`🔌 RPC failover for ${network}: ${urls.map(redactUrl).join(', ')}`);
+    return provider;
+}
+
+/**
+ * Health of every provider created so far
+ * @returns {Object} network -> endpoint health
+ */
+function getProviderHealth() {
+    const health = {};
+    for (const [network, provider] of providers) {
+        health[network] = provider.getHealth();
+    }
+    return health;
+}
+
+/**
+ * Stop health checks on all providers
+ */
+function shutdownProviders() {
+    for (const provider of providers.values()) {
+        provider.stopHealthChecks();
+    }
+}
+
+module.exports = {
+    FailoverProvider,
+    getProvider,
+    getProviderHealth,
+    resolveRpcUrls,
+    shutdownProviders
+};
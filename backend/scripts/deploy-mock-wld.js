@@ -92,7 +92,7 @@ async function deployMockWLD() {
     // Deploy contract with higher gas limit
     console.log('\n📦 Deploying contract...');
     const deployTx = await contractFactory.deploy({
-        gasLimit: 2000000, // Increase gas limit significantly
+        gasLimit: 3000000, // Permit support pushes deployment past 2M gas
     });
     
     console.log('⏳ Transaction sent:', deployTx.deploymentTransaction().hash);
@@ -147,7 +147,8 @@ async function deployMockWLD() {
             decimals: decimals.toString(),
             totalSupply: totalSupply.toString(),
             faucetAmount: claimAmount.toString(),
-            faucetCooldown: '3600' // 1 hour in seconds
+            faucetCooldown: '3600', // 1 hour in seconds
+            permitVersion: '1' // EIP-2612 domain version
         },
         abi: abi
     };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const express = require('express');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+/**
+ * Local stand-in for the 1inch Swap API (v6) so the 1inch venue can be run and
+ * tested offline. Serves /quote, /swap and /approve/spender in 1inch's response
+ * shapes, priced from virtual constant-product pools of each token against
+ * USDC (deeper than SimpleDEX, with more gas per swap, so routing has a real
+ * trade-off). Tokens are WLD, USDC, native POL and any in TOKEN_REGISTRY_FILE;
+ * ONEINCH_STUB_PRICES sets their USDC prices.
+ *
+ *   node scripts/oneinch-stub.js
+ *   ONEINCH_API_URL=http://localhost:3101 npm start
+ *
+ * Calldata is a real AggregationRouterV6 swap() call, but nothing is deployed
+ * behind it: transactions built against the stub revert on chain.
+ */
+
+const ROUTER_ADDRESS = '0x111111125421cA6dc452d289314280a0f8842A65';
+const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const DEFAULT_PRICES = 'WLD:2.45,POL:0.5,USDT:1,DAI:1';
+const EXECUTOR_ADDRESS = '0x5141B82f5fFDa4c6fE1E372978F1C5427640a190';
+
+const ROUTER_ABI = [
+    'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes data) payable returns (uint256 returnAmount, uint256 spentAmount)'
+];
+
+/**
+ * Build the stub app
+ * @param {Object} [options]
+ * @param {string} [options.prices] - USDC price per token, e.g. "WLD:2.45,POL:0.5" (unlisted tokens: 1)
+ * @param {string} [options.usdcReserve] - USDC side of every virtual pool
+ * @param {number} [options.feeBasisPoints] - Fee taken from the input of each hop
+ * @param {number} [options.gas] - Gas reported per swap
+ * @param {string} [options.apiKey] - Require this bearer token when set
+ * @returns {Object} Express app
+ */
+function createOneInchStub(options = {}) {
+    const listed = [
+        { symbol: 'WLD', address: process.env.MOCK_WLD_CONTRACT || '0xF99885B2C5284825e735Bc920E314dd01Ae2E17a', decimals: 18 },
+        { symbol: 'USDC', address: '0x8B0180f2101c8260d49339abfEe87927412494B4', decimals: 6 },
+        { symbol: 'POL', address: NATIVE_TOKEN_ADDRESS, decimals: 18 },
+        ...(process.env.TOKEN_REGISTRY_FILE ? JSON.parse(fs.readFileSync(process.env.TOKEN_REGISTRY_FILE, 'utf8')) : [])
+    ];
+    const tokens = Object.fromEntries(listed.map(token => [token.address.toLowerCase(), { ...token, symbol: token.symbol.toUpperCase() }]));
+
+    // Each token's virtual pool holds usdcReserve USDC and its price's worth of the token
+    const prices = Object.fromEntries((options.prices || process.env.ONEINCH_STUB_PRICES || DEFAULT_PRICES)
+        .split(',').map(pair => pair.split(':')).map(([symbol, usdc]) => [symbol.trim().toUpperCase(), usdc.trim()]));
+    const usdcReserve = ethers.parseUnits(options.usdcReserve || process.env.ONEINCH_STUB_USDC_RESERVE || '245000', 6);
+    const poolOf = (token) => ({
+        token: usdcReserve * 10n ** BigInt(token.decimals) / ethers.parseUnits(prices[token.symbol] || '1', 6),
+        usdc: usdcReserve
+    });
+    const feeBasisPoints = BigInt(options.feeBasisPoints ?? (parseInt(process.env.ONEINCH_STUB_FEE_BPS) || 10));
+    const gas = options.gas || parseInt(process.env.ONEINCH_STUB_GAS) || 180000;
+    const apiKey = options.apiKey ?? process.env.ONEINCH_STUB_API_KEY;
+    const router = new ethers.Interface(ROUTER_ABI);
+
+    const app = express();
+
+    // 1inch error body
+    const fail = (res, statusCode, description) => res.status(statusCode).json({
+        statusCode,
+        error: statusCode === 401 ? 'Unauthorized' : 'Bad Request',
+        description,
+        requestId: `stub-${Date.now()}`
+    });
+
+    app.use((req, res, next) => {
+        if (apiKey && req.get('Authorization') !== `Bearer ${apiKey}`) {
+            return fail(res, 401, 'Invalid API key');
+        }
+        next();
+    });
+
+    const hop = (amountIn, reserveIn, reserveOut) => {
+        const amountWithFee = amountIn * (10000n - feeBasisPoints);
+        return amountWithFee * reserveOut / (reserveIn * 10000n + amountWithFee);
+    };
+
+    // Parse src/dst/amount and price the trade through the virtual pools (via USDC)
+    const price = (req, res) => {
+        const src = tokens[(req.query.src || '').toLowerCase()];
+        const dst = tokens[(req.query.dst || '').toLowerCase()];
+        if (!src || !dst || src === dst) {
+            fail(res, 400, `src and dst must be two different supported tokens: ${listed.map(token => token.symbol).join(', ')}`);
+            return null;
+        }
+        if (!/^[1-9][0-9]*$/.test(req.query.amount || '')) {
+            fail(res, 400, 'amount must be a positive integer in token units');
+            return null;
+        }
+        const amount = BigInt(req.query.amount);
+        const usdc = src.symbol === 'USDC' ? amount : hop(amount, poolOf(src).token, poolOf(src).usdc);
+        const dstAmount = dst.symbol === 'USDC' ? usdc : hop(usdc, poolOf(dst).usdc, poolOf(dst).token);
+        return { amount, dstAmount, native: src.address === NATIVE_TOKEN_ADDRESS };
+    };
+
+    app.get('/swap/v6.0/:chainId/approve/spender', (req, res) => {
+        res.json({ address: ROUTER_ADDRESS });
+    });
+
+    app.get('/swap/v6.0/:chainId/quote', (req, res) => {
+        const priced = price(req, res);
+        if (!priced) return;
+        res.json({
+            dstAmount: priced.dstAmount.toString(),
+            ...(req.query.includeGas === 'true' ? { gas } : {})
+        });
+    });
+
+    app.get('/swap/v6.0/:chainId/swap', (req, res) => {
+        const priced = price(req, res);
+        if (!priced) return;
+
+        const slippage = Number(req.query.slippage);
+        if (!ethers.isAddress(req.query.from || '')) {
+            return fail(res, 400, 'from must be an address');
+        }
+        if (!(slippage >= 0 && slippage <= 50)) {
+            return fail(res, 400, 'slippage must be between 0 and 50');
+        }
+
+        const receiver = ethers.isAddress(req.query.receiver || '') ? req.query.receiver : req.query.from;
+        const minReturnAmount = priced.dstAmount * BigInt(Math.round((100 - slippage) * 100)) / 10000n;
+        const data = router.encodeFunctionData('swap', [
+            EXECUTOR_ADDRESS,
+            [req.query.src, req.query.dst, EXECUTOR_ADDRESS, receiver, priced.amount, minReturnAmount, 0n],
+            '0x'
+        ]);
+
+        res.json({
+            dstAmount: priced.dstAmount.toString(),
+            tx: {
+                from: req.query.from,
+                to: ROUTER_ADDRESS,
+                data,
+                value: priced.native ? priced.amount.toString() : '0',
+                gas: req.query.disableEstimate === 'true' ? 0 : gas,
+                gasPrice: '30000000000'
+            }
+        });
+    });
+
+    app.use((req, res) => fail(res, 404, `Not found: ${req.path}`));
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.ONEINCH_STUB_PORT) || 3101;
+    createOneInchStub().listen(port, () => {
+        console.log(`🧪 1inch API stub listening on http://localhost:${port}`);
+        console.log(`   Point the backend at it with ONEINCH_API_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = { createOneInchStub };
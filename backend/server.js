@@ -10,16 +10,38 @@ const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const fetch = require('node-fetch');
+const { ethers } = require('ethers');
 const { validateDonationRequest, handleValidationErrors, sanitizeDonationRequest } = require('./middleware/validation');
-const { createDonationHandler } = require('./donateUSDC');
-const { swapService, getSwapQuote, swapWLDtoUSDC, getPoolInfo, getTransactionStatus, estimateSwapGas } = require('./swapService');
+const { createIdempotencyMiddleware } = require('./middleware/idempotency');
+const { requireAdmin } = require('./middleware/adminAuth');
+const { createDonationHandlerRegistry } = require('./donateUSDC');
+const { swapService, SwapDirection, getSwapQuote, getExactOutputQuote, getPoolInfo, getTransactionStatus, estimateSwapGas } = require('./swapService');
 const TreePurchaseService = require('./treePurchaseService');
+const NullifierRegistry = require('./nullifierRegistry');
+const ConfirmationTracker = require('./confirmationTracker');
+const FeeBumper = require('./feeBumper');
+const { describeProgress } = require('./donationLifecycle');
+const { ChainIndexer, ChainEventType } = require('./chainIndexer');
+const { ReconciliationService } = require('./reconciliationService');
+const { getNonceStatus } = require('./nonceManager');
+const { getProviderHealth, shutdownProviders } = require('./rpcProvider');
+const { TransactionRelay, RelayError } = require('./transactionRelay');
+const { SponsoredRelayer } = require('./sponsoredRelayer');
+const { PlantWorkflow } = require('./plantWorkflow');
+const { QuoteBook } = require('./quoteBook');
+const LiquidityService = require('./liquidityService');
+const { PoolAnalytics, CANDLE_INTERVALS } = require('./poolAnalytics');
+const { PriceOracle } = require('./priceOracle');
+const { PriceImpactPolicy } = require('./priceImpactPolicy');
+const { createVenues, SwapRouter, SwapRoutingError } = require('./venues');
+const { TokenRegistry } = require('./tokenRegistry');
+const { PayoutBatcher, PayoutMode } = require('./payoutBatcher');
 
 // Create Express application
 const app = express();
 
 // Configuration
-const PORT = process.env.PORT || 3000;
+const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
 // CORS configuration
@@ -53,8 +75,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-Total-Count'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Admin-Key'],
+  exposedHeaders: ['X-Total-Count', 'Idempotent-Replayed'],
   maxAge: 86400 // 24 hours
 };
 
@@ -104,14 +126,32 @@ app.use(generalLimiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Initialize donation handler
-let donationHandler = null;
-const initializeDonationHandler = async () => {
+// Idempotency-Key handling for endpoints that move funds on-chain
+const idempotency = createIdempotencyMiddleware();
+
+// Background tracker that advances submitted donations to confirmed/failed/replaced,
+// rebroadcasting stuck hot-wallet donations with higher fees
+const confirmationTracker = new ConfirmationTracker({ feeBumper: new FeeBumper() });
+
+// Ledger-versus-chain reconciliation of donation records
+const reconciliationService = new ReconciliationService();
+
+// Initialize donation handlers (one per configured network)
+let donationHandlers = null;
+const initializeDonationHandlers = async () => {
   try {
-    donationHandler = await createDonationHandler();
-    console.log('✅ Donation handler initialized successfully');
+    donationHandlers = await createDonationHandlerRegistry();
+    for (const handler of donationHandlers.all()) {
+      const { chainId } = handler.network;
+      confirmationTracker.track(`donation-handler:${handler.networkKey}`, donationHandlers.donationStore, handler.provider, {
+        signer: handler.signer,
+        filter: (record) => record.chainId === chainId
+      });
+    }
+    reconciliationService.addLedger('donation-handler', donationHandlers.donationStore);
+    console.log('✅ Donation handlers initialized successfully');
   } catch (error) {
-    console.error('❌ Failed to initialize donation handler:', error.message);
+    console.error('❌ Failed to initialize donation handlers:', error.message);
     console.error('   Please check your environment variables and network configuration');
   }
 };
@@ -121,26 +161,239 @@ let treePurchaseService = null;
 const initializeTreePurchaseService = async () => {
   try {
     treePurchaseService = new TreePurchaseService();
+    confirmationTracker.track('tree-purchases', treePurchaseService.donationStore, treePurchaseService.provider);
+    // Pledges pay the collection wallet; the foundation transfer belongs to their payout batch
+    reconciliationService.addLedger('tree-purchases', treePurchaseService.donationStore, {
+      recipientOf: (record) => (record.payout ? record.payout.collectionAddress : record.foundationAddress)
+    });
     console.log('✅ Tree purchase service initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize tree purchase service:', error.message);
   }
 };
 
+// Initialize batched NGO payouts (PAYOUT_MODE=batched): donations become pledges settled in periodic transfers
+let payoutBatcher = null;
+const initializePayoutBatcher = () => {
+  if ((process.env.PAYOUT_MODE || PayoutMode.DIRECT) !== PayoutMode.BATCHED) {
+    console.log('ℹ️  NGO payouts are direct (PAYOUT_MODE=direct)');
+    return;
+  }
+  try {
+    payoutBatcher = new PayoutBatcher({ treePurchaseService });
+    treePurchaseService.enablePayoutBatching(payoutBatcher);
+    confirmationTracker.track('payout-batches', payoutBatcher.batchStore, treePurchaseService.provider, {
+      signer: payoutBatcher.signer
+    });
+    reconciliationService.addLedger('payout-batches', payoutBatcher.batchStore);
+    payoutBatcher.start();
+    console.log(`✅ Payout batcher initialized (collection wallet ${payoutBatcher.address})`);
+  } catch (error) {
+    // Don't fall back to direct payouts when batching was asked for
+    console.error('❌ Failed to initialize payout batcher:', error.message);
+    process.exit(1);
+  }
+};
+
+// Initialize the max price-impact policy for swaps (rejects or splits orders that move the pool too far)
+let priceImpactPolicy = null;
+const initializePriceImpactPolicy = () => {
+  try {
+    priceImpactPolicy = new PriceImpactPolicy({ swapService });
+    console.log(`✅ Price impact policy initialized (max ${priceImpactPolicy.maxImpactBps / 100}% per swap, ${priceImpactPolicy.action})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize price impact policy:', error.message);
+  }
+};
+
+// Initialize swap → donate → receipt workflows (resumes unfinished ones on start)
+let plantWorkflow = null;
+const initializePlantWorkflow = () => {
+  try {
+    plantWorkflow = new PlantWorkflow({ swapService, treePurchaseService, priceImpactPolicy });
+    plantWorkflow.start();
+    console.log('✅ Plant workflow initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize plant workflow:', error.message);
+  }
+};
+
+// Initialize relay for user-signed swap and donation transactions
+let transactionRelay = null;
+const initializeTransactionRelay = () => {
+  try {
+    transactionRelay = new TransactionRelay({ provider: swapService.provider });
+    transactionRelay.registerKind('swap', async (intent) => ({ quote: intent.details.quote }));
+    // Donations are only accepted when the ledger that records them is up; /api/trees/prepare
+    // refuses to create the intent otherwise, so nothing is broadcast without a place to land
+    if (treePurchaseService) {
+      transactionRelay.registerKind('tree-donation', async (intent, broadcasts) => {
+        const { donorAddress, amount, source, collectionAddress } = intent.details;
+        // Token donations swap first; the USDC transfer (to the foundation or collection wallet) is always last
+        const transfer = broadcasts[broadcasts.length - 1];
+        const swap = broadcasts.find(broadcast => broadcast.label.startsWith('swap'));
+        const donation = treePurchaseService.recordRelayedDonation(donorAddress, amount, transfer,
+          source ? { ...source, swapTxHash: swap ? swap.hash : null } : null, collectionAddress || null);
+        return { donation, receipt: treePurchaseService.generateReceipt(donation) };
+      });
+    }
+    console.log('✅ Transaction relay initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize transaction relay:', error.message);
+  }
+};
+
+// Initialize the registry of tokens donors can give (WLD, USDC, POL, plus TOKEN_REGISTRY_FILE)
+let tokenRegistry = null;
+const initializeTokenRegistry = () => {
+  try {
+    tokenRegistry = new TokenRegistry({ swapService });
+    console.log(`✅ Token registry initialized (${tokenRegistry.list().map(token => token.symbol).join(', ')})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize token registry:', error.message);
+  }
+};
+
+// Initialize best-execution routing across swap venues (SimpleDEX, 1inch)
+let swapRouter = null;
+const initializeSwapRouter = () => {
+  try {
+    swapRouter = new SwapRouter({ venues: createVenues({ swapService }), swapService, tokenRegistry });
+    console.log(`✅ Swap router initialized (${swapRouter.routing}; venues: ${[...swapRouter.venues.keys()].join(', ')})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize swap router:', error.message);
+  }
+};
+
+// Initialize firm swap quotes (signed, expiring, executed by ID)
+let quoteBook = null;
+const initializeQuoteBook = () => {
+  try {
+    quoteBook = new QuoteBook({ swapService, swapRouter });
+    console.log(`✅ Quote book initialized (signer ${quoteBook.signer.address}, ${quoteBook.ttlSeconds}s quotes)`);
+  } catch (error) {
+    console.error('❌ Failed to initialize quote book:', error.message);
+  }
+};
+
+// Initialize SimpleDEX liquidity management from the operator wallet
+let liquidityService = null;
+const initializeLiquidityService = () => {
+  try {
+    liquidityService = new LiquidityService({ swapService });
+    console.log(`✅ Liquidity service initialized (operator ${liquidityService.signer.address})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize liquidity service:', error.message);
+  }
+};
+
+// Initialize World ID nullifier registry
+let nullifierRegistry = null;
+const initializeNullifierRegistry = () => {
+  try {
+    nullifierRegistry = new NullifierRegistry();
+    console.log('✅ Nullifier registry initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize nullifier registry:', error.message);
+  }
+};
+
+// Initialize sponsored (gasless) relayer for World ID-verified users without POL
+let sponsoredRelayer = null;
+const initializeSponsoredRelayer = () => {
+  try {
+    sponsoredRelayer = new SponsoredRelayer({ swapService, treePurchaseService, nullifierRegistry });
+    console.log('✅ Sponsored relayer initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize sponsored relayer:', error.message);
+  }
+};
+
+// Initialize on-chain indexer for SimpleDEX events and foundation transfers
+let chainIndexer = null;
+const initializeChainIndexer = () => {
+  if (process.env.INDEXER_ENABLED === 'false') {
+    console.log('ℹ️  Chain indexer disabled (INDEXER_ENABLED=false)');
+    return;
+  }
+  try {
+    chainIndexer = new ChainIndexer({ provider: swapService.provider });
+    chainIndexer.start();
+    reconciliationService.setIndexer(chainIndexer);
+    reconciliationService.start();
+    console.log('✅ Chain indexer initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize chain indexer:', error.message);
+  }
+};
+
+// Initialize pool analytics (price history and volume need the chain indexer; depth doesn't)
+let poolAnalytics = null;
+const initializePoolAnalytics = () => {
+  try {
+    poolAnalytics = new PoolAnalytics({ indexer: chainIndexer, swapService });
+    console.log('✅ Pool analytics initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize pool analytics:', error.message);
+  }
+};
+
+// Initialize the WLD price oracle that quotes are checked against (TWAP reference needs pool analytics)
+let priceOracle = null;
+const initializePriceOracle = () => {
+  try {
+    priceOracle = new PriceOracle({ swapService, poolAnalytics });
+    quoteBook?.setPriceOracle(priceOracle);
+    const references = priceOracle.references.length ? priceOracle.references.join(', ') : 'none';
+    console.log(`✅ Price oracle initialized (${priceOracle.primary}, references: ${references})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize price oracle:', error.message);
+  }
+};
+
 // Initialize services on startup
-initializeDonationHandler();
+initializeDonationHandlers();
 initializeTreePurchaseService();
+initializePayoutBatcher();
+initializePriceImpactPolicy();
+initializePlantWorkflow();
+initializeTransactionRelay();
+initializeTokenRegistry();
+initializeSwapRouter();
+initializeQuoteBook();
+initializeLiquidityService();
+initializeNullifierRegistry();
+initializeSponsoredRelayer();
+initializeChainIndexer();
+initializePoolAnalytics();
+initializePriceOracle();
+confirmationTracker.start();
+
+/**
+ * Find a tracked donation by transaction hash across both donation paths
+ * @param {string} txHash - Transaction hash
+ * @returns {Object|null} Donation record or null
+ */
+const findDonationByTxHash = (txHash) => {
+  return treePurchaseService?.getDonationByTxHash(txHash)
+    || donationHandlers?.getDonationByTxHash(txHash)
+    || null;
+};
 
-// Helper function to execute donations
-const executeDonation = async (amount, recipient, network = 'polygon') => {
-  if (!donationHandler) {
+// Helper function to execute donations on the requested network
+const executeDonation = async (amount, recipient, network) => {
+  if (!donationHandlers) {
     throw new Error('Donation handler not initialized');
   }
 
-  console.log(`🔄 Processing donation: ${amount} USDC to ${recipient} on ${network}`);
+  // Throws NETWORK_NOT_CONFIGURED for networks without a handler
+  const handler = donationHandlers.get(network);
+
+  console.log(`🔄 Processing donation: ${amount} USDC to ${recipient} on ${handler.networkKey}`);
   
   // Execute the donation (donateUSDC module handles errors internally)
-  const result = await donationHandler.donate(recipient, amount.toString());
+  const result = await handler.donate(recipient, amount.toString());
+  result.networkKey = handler.networkKey;
   
   if (result.success) {
     console.log(`✅ Donation successful: ${result.transactionHash}`);
@@ -160,7 +413,21 @@ app.get('/health', (req, res) => {
     environment: NODE_ENV,
     version: '1.0.0',
     services: {
-      donationHandler: donationHandler ? 'Connected' : 'Not initialized'
+      donationHandler: donationHandlers ? donationHandlers.getStatus() : 'Not initialized',
+      nullifierRegistry: nullifierRegistry ? 'Ready' : 'Not initialized',
+      sponsoredRelayer: sponsoredRelayer ? sponsoredRelayer.getStatus() : 'Not initialized',
+      plantWorkflow: plantWorkflow ? plantWorkflow.getStatus() : 'Not initialized',
+      payouts: payoutBatcher ? payoutBatcher.getStatus() : { mode: PayoutMode.DIRECT },
+      quoteBook: quoteBook ? 'Ready' : 'Not initialized',
+      swapRouter: swapRouter ? swapRouter.getStatus() : 'Not initialized',
+      tokenRegistry: tokenRegistry ? tokenRegistry.list().map(token => token.symbol) : 'Not initialized',
+      priceImpactPolicy: priceImpactPolicy
+        ? { maxPriceImpactBps: priceImpactPolicy.maxImpactBps, action: priceImpactPolicy.action, maxOrders: priceImpactPolicy.maxOrders }
+        : 'Not initialized',
+      priceOracle: priceOracle ? { primary: priceOracle.primary, references: priceOracle.references } : 'Not initialized',
+      chainIndexer: chainIndexer ? chainIndexer.getStatus() : 'Not initialized',
+      nonceLanes: getNonceStatus(),
+      rpc: getProviderHealth()
     }
   });
 });
@@ -172,22 +439,65 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       donate: '/api/donate (POST)',
+      plant: {
+        start: '/api/plant (POST)',
+        status: '/api/plant/:id (GET)'
+      },
       worldId: {
         verify: '/api/verify (POST)'
       },
       swap: {
         poolInfo: '/api/swap/pool-info (GET)',
-        quote: '/api/swap/quote?amount=10&slippage=150 (GET)',
-        execute: '/api/swap/execute (POST)',
+        poolAnalytics: '/api/swap/pool/analytics (GET)',
+        poolCandles: '/api/swap/pool/candles?interval=1h&since=2024-01-01T00:00:00Z&limit=168 (GET)',
+        poolDepth: '/api/swap/pool/depth?steps=1,2,5,10 (GET)',
+        price: '/api/swap/price?source=spot|twap|static|file (GET)',
+        quote: '/api/swap/quote?amount=10&slippage=150&direction=WLD_TO_USDC|USDC_TO_WLD&venue=best|simpledex|1inch&from=0x... (GET)',
+        quoteExactOutput: '/api/swap/quote?trees=5 or ?amountOut=5 (GET)',
+        quoteById: '/api/swap/quote/:quoteId (GET)',
+        compareVenues: '/api/swap/venues/compare?amount=10&direction=WLD_TO_USDC or &tokenIn=POL&tokenOut=USDC (GET)',
+        tokens: '/api/tokens (GET)',
+        execute: '/api/swap/execute { quoteId, from } (POST)',
         status: '/api/swap/status/:txHash (GET)',
-        gasEstimate: '/api/swap/gas-estimate?amount=10&userAddress=0x... (GET)'
+        gasEstimate: '/api/swap/gas-estimate?amount=10&userAddress=0x...&tokenIn=USDC&tokenOut=WLD (GET)'
       },
       trees: {
-        impact: '/api/trees/impact?amount=10 (GET)',
-        donate: '/api/trees/donate (POST)',
+        impact: '/api/trees/impact?amount=10, ?wldAmount=4 or ?token=POL&amount=20 (GET)',
+        prepare: '/api/trees/prepare { amount, donorAddress, token?, slippage? } (POST)',
         history: '/api/trees/history/:address (GET)',
         receipt: '/api/trees/receipt/:id (GET)',
         stats: '/api/trees/stats (GET)'
+      },
+      payouts: {
+        batches: '/api/payouts/batches?status=submitted (GET)',
+        batch: '/api/payouts/batches/:id (GET)'
+      },
+      relay: {
+        submit: '/api/relay/:intentId (POST)',
+        status: '/api/relay/:intentId (GET)'
+      },
+      sponsor: {
+        prepare: '/api/sponsor/prepare (POST)',
+        donate: '/api/sponsor/donate (POST)',
+        budget: '/api/sponsor/budget/:nullifierHash (GET)',
+        status: '/api/sponsor/:id (GET)'
+      },
+      indexer: {
+        status: '/api/indexer/status (GET)',
+        events: '/api/indexer/events?type=swap&account=0x... (GET)'
+      },
+      admin: {
+        runReconciliation: '/api/admin/reconciliation/run (POST)',
+        reconciliationReports: '/api/admin/reconciliation/reports (GET)',
+        reconciliationReport: '/api/admin/reconciliation/reports/:id?format=csv (GET)',
+        retryPlant: '/api/admin/plant/:id/retry (POST)',
+        flushPayouts: '/api/admin/payouts/flush (POST)',
+        liquidity: '/api/admin/liquidity (GET)',
+        liquidityPosition: '/api/admin/liquidity/positions/:address (GET)',
+        previewAddLiquidity: '/api/admin/liquidity/preview/add?wldAmount=100&usdcAmount=200 (GET)',
+        previewRemoveLiquidity: '/api/admin/liquidity/preview/remove?percent=50 or ?liquidity=1.5 (GET)',
+        addLiquidity: '/api/admin/liquidity/add { wldAmount, usdcAmount?, to? } (POST)',
+        removeLiquidity: '/api/admin/liquidity/remove { percent | liquidity, to? } (POST)'
       }
     },
     documentation: 'See README.md for full API documentation'
@@ -197,6 +507,7 @@ app.get('/', (req, res) => {
 // Main donation endpoint
 app.post('/api/donate', 
   donationLimiter,                    // Apply donation-specific rate limiting
+  idempotency,                        // Replay retried requests instead of re-sending funds
   validateDonationRequest,            // Validate request data
   handleValidationErrors,             // Handle validation errors
   sanitizeDonationRequest,            // Sanitize and normalize data
@@ -220,26 +531,39 @@ app.post('/api/donate',
       });
     }
     
-    // Successful donation response
-    res.status(200).json({
+    // Donation broadcast; confirmation continues in the background
+    res.status(202).json({
       success: true,
-      message: 'Donation processed successfully',
+      message: 'Donation submitted, awaiting confirmation',
       transaction: {
-        hash: result.transactionHash,  // Fixed: was result.hash
+        id: result.donationId,
+        hash: result.transactionHash,
+        status: result.status,
         amount: amount,
         recipient: recipient,
-        network: network || 'polygon',
-        blockNumber: result.blockNumber,
-        gasUsed: result.gasUsed,
-        gasPrice: result.effectiveGasPrice,  // Fixed: was result.gasPrice
-        timestamp: new Date().toISOString()
+        network: result.networkKey,
+        chain: result.network,
+        nonce: result.nonce,
+        timestamp: result.timestamp
       },
+      statusUrl: `/api/swap/status/${result.transactionHash}`,
       donor: donor || null
     });
       
     } catch (error) {
       console.error('❌ Donation endpoint error:', error);
       
+      if (error.code === 'NETWORK_NOT_CONFIGURED') {
+        return res.status(400).json({
+          success: false,
+          error: 'Network not available',
+          errorCode: error.code,
+          message: error.message,
+          availableNetworks: error.availableNetworks,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       // Determine error type and send appropriate response
       let statusCode = 500;
       let errorMessage = 'Internal server error';
@@ -308,13 +632,49 @@ app.get('/api/swap/pool-info', async (req, res) => {
   }
 });
 
-// Get swap quote for WLD to USDC
+// Resolve the swap direction from `direction` or `tokenIn`/`tokenOut`; sends a 400 and returns null if unsupported
+const resolveSwapDirection = (params, res) => {
+  try {
+    return swapService.resolveDirection(params);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid swap direction',
+      errorCode: 'UNSUPPORTED_SWAP_DIRECTION',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+};
+
+// Check a quote's pool price against the oracle, then make it firm for the wallet that may execute it
+const issueQuote = async (quote, from) => {
+  const checked = priceOracle ? { ...quote, oracle: await priceOracle.checkQuote(quote) } : quote;
+  return quoteBook ? quoteBook.issue(checked, from) : checked;
+};
+
+// Get swap quote (WLD → USDC by default, USDC → WLD with direction=USDC_TO_WLD)
+// Pass amount for an exact-input quote, or amountOut / trees for the input needed to reach a target
+// Exact-input quotes are routed to the best venue net of gas, or to the one named by venue
+// Pass from (the signing wallet) to get a quote that can be executed; only that wallet may execute it
 app.get('/api/swap/quote', async (req, res) => {
   try {
-    const { amount, slippage } = req.query;
+    const { amount, amountOut, trees, slippage, venue, from } = req.query;
+    const given = [amount, amountOut, trees].filter(value => value !== undefined);
+    
+    if (given.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: given.length ? 'Conflicting quote parameters' : 'Invalid amount parameter',
+        message: 'Provide exactly one of amount (input), amountOut (target output) or trees',
+        timestamp: new Date().toISOString()
+      });
+    }
     
     // Validate parameters
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    const target = parseFloat(given[0]);
+    if (isNaN(target) || target <= 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid amount parameter',
@@ -323,7 +683,15 @@ app.get('/api/swap/quote', async (req, res) => {
       });
     }
     
-    const wldAmount = parseFloat(amount);
+    if (trees !== undefined && !Number.isInteger(Number(trees))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trees parameter',
+        message: 'Trees must be a whole number',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     const slippageBasisPoints = slippage ? parseInt(slippage) : 150; // Default 1.5%
     
     // Validate slippage
@@ -336,33 +704,207 @@ app.get('/api/swap/quote', async (req, res) => {
       });
     }
     
-    console.log(`💱 Getting quote for ${wldAmount} WLD with ${slippageBasisPoints / 100}% slippage...`);
-    const quote = await getSwapQuote(wldAmount, slippageBasisPoints);
+    if (from !== undefined && !/^0x[a-fA-F0-9]{40}$/.test(from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from address',
+        message: 'From must be the Ethereum address that will execute the quote',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const direction = resolveSwapDirection(req.query, res);
+    if (!direction) return;
+    
+    // Other venues only quote exact input; exact-output quotes come from SimpleDEX
+    if (amount === undefined && venue && venue !== 'simpledex') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid venue parameter',
+        errorCode: 'VENUE_EXACT_INPUT_ONLY',
+        message: 'amountOut and trees quotes are priced on SimpleDEX; pass amount to route across venues',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (amount !== undefined) {
+      console.log(`💱 Getting ${direction} quote for ${target} with ${slippageBasisPoints / 100}% slippage...`);
+      const inputQuote = swapRouter
+        ? await swapRouter.quote({ direction, amount: target, slippage: slippageBasisPoints, venue })
+        : await getSwapQuote(target, slippageBasisPoints, direction);
+      
+      // WLD → USDC quotes also say how many trees the USDC plants
+      const quote = direction === SwapDirection.WLD_TO_USDC && treePurchaseService
+        ? { ...inputQuote, impact: treePurchaseService.calculateImpact(parseFloat(inputQuote.expectedOutput)) }
+        : inputQuote;
+      
+      return res.status(200).json({
+        success: true,
+        data: await issueQuote(quote, from),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    let outputAmount = target;
+    let impact = null;
+    if (trees !== undefined) {
+      if (direction !== SwapDirection.WLD_TO_USDC) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid swap direction',
+          errorCode: 'UNSUPPORTED_SWAP_DIRECTION',
+          message: 'Tree quotes are priced in USDC; use direction WLD_TO_USDC',
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!treePurchaseService) {
+        return res.status(503).json({
+          success: false,
+          error: 'Tree purchase service unavailable',
+          message: 'Tree pricing is not initialized',
+          timestamp: new Date().toISOString()
+        });
+      }
+      outputAmount = treePurchaseService.usdcForTrees(target);
+      impact = treePurchaseService.calculateImpact(outputAmount);
+    }
+    
+    console.log(`💱 Getting exact-output ${direction} quote for ${outputAmount}${trees !== undefined ? ` (${target} trees)` : ''}...`);
+    const exactQuote = await getExactOutputQuote(outputAmount, slippageBasisPoints, direction);
+    const quote = trees !== undefined ? { ...exactQuote, trees: target, impact } : exactQuote;
     
     res.status(200).json({
       success: true,
-      data: quote,
+      data: await issueQuote(quote, from),
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('❌ Quote error:', error);
-    res.status(500).json({
+    sendRelayError(res, error, 'Could not generate swap quote');
+  }
+});
+
+// Build the unsigned transactions for a quote on its venue. SimpleDEX orders over the max price
+// impact are rejected or split into several swaps; other venues route and price their own liquidity
+const buildQuotedSwap = async (from, quote) => {
+  if (quote.venue && quote.venue !== 'simpledex') {
+    return { transactions: await swapRouter.buildTransactions(from, quote), plan: null };
+  }
+  const plan = priceImpactPolicy
+    ? await priceImpactPolicy.plan({ amountInWei: quote.inputAmountWei, slippage: quote.slippage, direction: quote.direction })
+    : null;
+  const orders = plan && plan.orders.length > 1 ? plan.orders : null;
+  return { transactions: await swapService.buildSwapTransactions(from, quote, orders), plan };
+};
+
+// Execute a firm quote: build the unsigned approve/swap transactions for the user's wallet to sign
+// Amounts come only from the quote; it must be unexpired, unused and still within its minOutput
+const executeQuotedSwap = async (req, res) => {
+  const { quoteId, from, privateKey } = req.body;
+  
+  // Swaps used to be signed server-side with a privateKey from the request body
+  if (privateKey) {
+    return res.status(410).json({
       success: false,
-      error: 'Could not generate swap quote',
-      message: error.message,
+      error: 'Endpoint retired',
+      errorCode: 'PRIVATE_KEY_FLOW_RETIRED',
+      message: 'Private keys are no longer accepted. Get a quote from /api/swap/quote, POST its quoteId and your address to /api/swap/execute, sign the returned transactions in your wallet, then POST them to /api/relay/:intentId',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (!quoteId || typeof quoteId !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing quoteId',
+      errorCode: 'QUOTE_REQUIRED',
+      message: 'Swaps execute a firm quote: request one from /api/swap/quote and pass its id as quoteId',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (!from || !/^0x[a-fA-F0-9]{40}$/.test(from)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid from address',
+      message: 'From must be the Ethereum address that will sign the swap',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (!quoteBook || !transactionRelay) {
+    return res.status(503).json({
+      success: false,
+      error: 'Swap execution unavailable',
+      message: 'Quote book or transaction relay is not initialized',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  let claimed = false;
+  try {
+    const quote = await quoteBook.claim(quoteId, from);
+    claimed = true;
+    
+    console.log(`🔄 Executing quote ${quoteId}: ${quote.inputAmount} ${quote.tokenIn} → ${quote.tokenOut} for ${from} via ${quote.venue || 'simpledex'}...`);
+    const { transactions, plan } = await buildQuotedSwap(from, quote);
+    const intent = await transactionRelay.createIntent('swap', from, transactions, { quote, impact: plan });
+    quoteBook.complete(quoteId, { intentId: intent.id, executedBy: from.toLowerCase() });
+    
+    res.status(201).json({
+      success: true,
+      data: { ...intent, fill: plan ? plan.fill : null },
+      message: `Sign the ${intent.transactions.length} transaction(s) in order and submit them to /api/relay/${intent.id}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (claimed) quoteBook.release(quoteId);
+    console.error('❌ Swap execute error:', error.message);
+    sendRelayError(res, error, 'Could not execute swap quote');
+  }
+};
+
+app.post('/api/swap/execute', idempotency, executeQuotedSwap);
+
+// Earlier name for execute; callers are pointed at the quote → execute flow
+app.post('/api/swap/prepare', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'Endpoint retired',
+    errorCode: 'ENDPOINT_MOVED',
+    message: 'Get a quote from /api/swap/quote with your from address, then POST its quoteId and from to /api/swap/execute',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get a firm quote by ID (to re-check its signature, expiry or execution)
+app.get('/api/swap/quote/:quoteId', (req, res) => {
+  const quote = quoteBook && quoteBook.get(req.params.quoteId);
+  
+  if (!quote) {
+    return res.status(404).json({
+      success: false,
+      error: 'Quote not found',
+      message: `No quote found with ID: ${req.params.quoteId}`,
       timestamp: new Date().toISOString()
     });
   }
+  
+  res.status(200).json({
+    success: true,
+    data: quote,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Execute WLD to USDC swap
-app.post('/api/swap/execute', async (req, res) => {
+// Compare swap venues for a trade: output, gas cost and net output per venue
+// Takes a SimpleDEX direction, or any registry tokenIn/tokenOut (tokenOut defaults to USDC)
+app.get('/api/swap/venues/compare', async (req, res) => {
   try {
-    const { amount, slippage, privateKey } = req.body;
-    
-    // Validate parameters
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    const { amount, direction, tokenIn, tokenOut } = req.query;
+    if (!amount) {
       return res.status(400).json({
         success: false,
         error: 'Invalid amount parameter',
@@ -371,55 +913,40 @@ app.post('/api/swap/execute', async (req, res) => {
       });
     }
     
-    if (!privateKey || typeof privateKey !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing private key',
-        message: 'Private key is required to execute swap',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    const wldAmount = parseFloat(amount);
-    const slippageBasisPoints = slippage ? parseInt(slippage) : 150; // Default 1.5%
-    
-    // Validate slippage
-    if (slippageBasisPoints < 10 || slippageBasisPoints > 5000) {
-      return res.status(400).json({
+    if (!swapRouter) {
+      return res.status(503).json({
         success: false,
-        error: 'Invalid slippage parameter',
-        message: 'Slippage must be between 10 (0.1%) and 5000 (50%) basis points',
+        error: 'Swap router unavailable',
+        message: 'Swap routing is not initialized',
         timestamp: new Date().toISOString()
       });
     }
     
-    console.log(`🔄 Executing swap: ${wldAmount} WLD → USDC with ${slippageBasisPoints / 100}% slippage...`);
-    const result = await swapWLDtoUSDC(wldAmount, privateKey, slippageBasisPoints);
-    
-    if (result.success) {
-      res.status(200).json({
-        success: true,
-        data: result,
-        message: 'Swap executed successfully',
-        timestamp: new Date().toISOString()
-      });
+    let pair;
+    if (tokenIn) {
+      pair = swapRouter.pair({ tokenIn, tokenOut: tokenOut || 'USDC' });
     } else {
-      res.status(400).json({
-        success: false,
-        error: result.error,
-        message: 'Swap execution failed',
-        timestamp: new Date().toISOString()
-      });
+      const resolved = resolveSwapDirection({ direction }, res);
+      if (!resolved) return;
+      pair = swapRouter.pair({ direction: resolved });
     }
     
-  } catch (error) {
-    console.error('❌ Swap execution error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Could not execute swap',
-      message: error.message,
+    const amountInWei = tokenRegistry.parseAmount(pair.tokenIn, amount);
+    const { bestQuote, ...comparison } = await swapRouter.compare({
+      tokenIn: pair.tokenIn.symbol,
+      tokenOut: pair.tokenOut.symbol,
+      amountInWei
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: comparison,
       timestamp: new Date().toISOString()
     });
+    
+  } catch (error) {
+    console.error('❌ Venue comparison error:', error.message);
+    sendRelayError(res, error, 'Could not compare swap venues');
   }
 });
 
@@ -440,10 +967,12 @@ app.get('/api/swap/status/:txHash', async (req, res) => {
     
     console.log(`🔍 Checking transaction status: ${txHash}`);
     const status = await getTransactionStatus(txHash);
+    const donation = findDonationByTxHash(txHash);
     
     res.status(200).json({
       success: true,
       data: status,
+      donation: donation ? { id: donation.id, ...describeProgress(donation) } : null,
       transactionHash: txHash,
       timestamp: new Date().toISOString()
     });
@@ -483,10 +1012,12 @@ app.get('/api/swap/gas-estimate', async (req, res) => {
       });
     }
     
-    const wldAmount = parseFloat(amount);
+    const amountIn = parseFloat(amount);
+    const direction = resolveSwapDirection(req.query, res);
+    if (!direction) return;
     
-    console.log(`⛽ Estimating gas for ${wldAmount} WLD swap from ${userAddress}...`);
-    const gasEstimate = await estimateSwapGas(wldAmount, userAddress);
+    console.log(`⛽ Estimating gas for ${direction} swap of ${amountIn} from ${userAddress}...`);
+    const gasEstimate = await estimateSwapGas(amountIn, userAddress, direction);
     
     res.status(200).json({
       success: true,
@@ -505,16 +1036,205 @@ app.get('/api/swap/gas-estimate', async (req, res) => {
   }
 });
 
-// ==================== WORLD ID VERIFICATION ENDPOINTS ====================
+// ==================== POOL ANALYTICS ENDPOINTS ====================
 
-// World ID verification endpoint
-app.post('/api/verify', async (req, res) => {
+// Respond 503 when pool history can't be served (analytics or indexer unavailable)
+const requirePoolHistory = (req, res, next) => {
+  if (!poolAnalytics || !chainIndexer) {
+    return res.status(503).json({
+      success: false,
+      error: 'Pool analytics unavailable',
+      message: 'Pool history is built from indexed events; the chain indexer is disabled or failed to start',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (!chainIndexer.getCheckpoint()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Pool analytics not ready',
+      message: 'The chain indexer has not completed its first scan yet',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+// Price, liquidity, 24h/7d/30d volume and fee income, and price changes
+app.get('/api/swap/pool/analytics', requirePoolHistory, async (req, res) => {
   try {
-    console.log('🔐 Processing World ID verification request...');
-    
-    const { payload, action, signal } = req.body;
+    res.status(200).json({
+      success: true,
+      data: await poolAnalytics.getSummary(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Pool analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not compute pool analytics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// OHLC price candles (USDC per WLD) with volume
+app.get('/api/swap/pool/candles', requirePoolHistory, async (req, res) => {
+  try {
+    const { interval = '1h', since, limit } = req.query;
     
-    // Validate required parameters
+    if (!CANDLE_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid interval parameter',
+        message: `Interval must be one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const sinceMs = since ? Date.parse(since) : undefined;
+    if (Number.isNaN(sinceMs)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since parameter',
+        message: 'since must be an ISO 8601 date',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const data = await poolAnalytics.getCandles({
+      interval,
+      since: sinceMs,
+      limit: parseInt(limit) > 0 ? parseInt(limit) : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Pool candles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not compute price candles',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Depth curve: WLD/USDC needed to move the price by each step (percent)
+app.get('/api/swap/pool/depth', async (req, res) => {
+  try {
+    const steps = req.query.steps
+      ? String(req.query.steps).split(',').map(step => parseFloat(step))
+      : undefined;
+    
+    if (steps && (steps.length > 20 || steps.some(step => isNaN(step) || step <= 0 || step > 1000))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid steps parameter',
+        message: 'Steps must be up to 20 comma separated percentages between 0 and 1000',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!poolAnalytics) {
+      return res.status(503).json({
+        success: false,
+        error: 'Pool analytics unavailable',
+        message: 'Service temporarily unavailable. Please try again later.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await poolAnalytics.getDepth(steps),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Pool depth error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not compute pool depth',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== TOKEN ENDPOINTS ====================
+
+// Tokens donors can give, with the configured venues that route each one to USDC
+app.get('/api/tokens', (req, res) => {
+  if (!tokenRegistry) {
+    return res.status(503).json({
+      success: false,
+      error: 'Token registry unavailable',
+      message: 'Token registry is not initialized',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const usdc = tokenRegistry.getSettlementToken();
+  const routableVia = (token) => {
+    if (token === usdc) return [];
+    try {
+      return swapRouter ? swapRouter.candidates(token, usdc, 'best') : [];
+    } catch (error) {
+      return [];
+    }
+  };
+  
+  res.status(200).json({
+    success: true,
+    data: tokenRegistry.list().map(token => {
+      const venues = routableVia(token);
+      return { ...token, donatable: token === usdc || venues.length > 0, venues };
+    }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== PRICE ORACLE ENDPOINTS ====================
+
+// Checked WLD price (primary source within age and deviation limits), or one source's raw reading with ?source=
+app.get('/api/swap/price', async (req, res) => {
+  if (!priceOracle) {
+    return res.status(503).json({
+      success: false,
+      error: 'Price oracle unavailable',
+      message: 'Price oracle is not initialized',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const { source } = req.query;
+    
+    res.status(200).json({
+      success: true,
+      data: source ? await priceOracle.readSource(source) : await priceOracle.getPrice(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Price oracle error:', error.message);
+    sendRelayError(res, error, 'Could not read WLD price');
+  }
+});
+
+// ==================== WORLD ID VERIFICATION ENDPOINTS ====================
+
+// World ID verification endpoint
+app.post('/api/verify', async (req, res) => {
+  try {
+    console.log('🔐 Processing World ID verification request...');
+    
+    const { payload, action, signal } = req.body;
+    
+    // Validate required parameters
     if (!payload) {
       return res.status(400).json({
         success: false,
@@ -557,6 +1277,38 @@ app.post('/api/verify', async (req, res) => {
       });
     }
     
+    if (!payload.nullifier_hash) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing nullifier hash',
+        message: 'World ID proof payload must include nullifier_hash',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!nullifierRegistry) {
+      return res.status(503).json({
+        success: false,
+        error: 'Nullifier registry unavailable',
+        message: 'Service temporarily unavailable. Please try again later.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Refuse known repeats before spending a Developer Portal call on them
+    const nullifierCheck = nullifierRegistry.check(action, payload.nullifier_hash);
+    if (!nullifierCheck.allowed) {
+      console.log(`⛔ Nullifier already used for action '${action}': ${payload.nullifier_hash}`);
+      return res.status(409).json({
+        success: false,
+        error: 'Nullifier already used',
+        errorCode: 'NULLIFIER_ALREADY_USED',
+        message: `This World ID has already been verified for action '${action}'`,
+        firstVerifiedAt: nullifierCheck.entry.firstVerifiedAt,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     console.log(`🔍 Verifying proof for app ${app_id} with action '${action}'`);
     
     // Verify the proof with World ID Developer Portal API
@@ -582,15 +1334,36 @@ app.post('/api/verify', async (req, res) => {
     if (verifyRes.success) {
       console.log(`✅ World ID verification successful for nullifier: ${payload.nullifier_hash}`);
       
-      // TODO: Store nullifier_hash to prevent reuse
-      // You might want to store this in a database to prevent the same person
-      // from verifying multiple times for the same action
+      // Record the nullifier; a concurrent request may have registered it since the check above
+      const registration = nullifierRegistry.register(action, payload.nullifier_hash, payload.verification_level, signal);
+      
+      if (!registration.accepted) {
+        console.log(`⛔ Nullifier already used for action '${action}': ${payload.nullifier_hash}`);
+        return res.status(409).json({
+          success: false,
+          error: 'Nullifier already used',
+          errorCode: registration.errorCode,
+          message: `This World ID has already been verified for action '${action}'`,
+          firstVerifiedAt: registration.entry.firstVerifiedAt,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (registration.repeat) {
+        console.log(`🚩 Repeat verification flagged (${registration.entry.verifications} total) for nullifier: ${payload.nullifier_hash}`);
+      }
       
       res.status(200).json({
         status: 200,
         success: true,
         message: 'World ID verification successful',
         verifyRes: verifyRes,
+        nullifier: {
+          policy: registration.policy,
+          repeat: registration.repeat,
+          verifications: registration.entry.verifications,
+          firstVerifiedAt: registration.entry.firstVerifiedAt
+        },
         timestamp: new Date().toISOString()
       });
     } else {
@@ -620,220 +1393,1281 @@ app.post('/api/verify', async (req, res) => {
   }
 });
 
-// ==================== TREE PURCHASE ENDPOINTS ====================
-
-// Calculate environmental impact preview
-app.get('/api/trees/impact', async (req, res) => {
+// ==================== PLANT WORKFLOW ENDPOINTS ====================
+
+// Swap WLD to USDC, donate it and issue a receipt as one resumable workflow
+app.post('/api/plant', donationLimiter, idempotency, async (req, res) => {
+  try {
+    const { wldAmount, userAddress, slippage, nullifierHash } = req.body;
+    
+    if (!plantWorkflow) {
+      return res.status(503).json({
+        success: false,
+        error: 'Plant workflow unavailable',
+        message: 'Service temporarily unavailable. Please try again later.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!wldAmount || isNaN(parseFloat(wldAmount)) || parseFloat(wldAmount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid wldAmount parameter',
+        message: 'wldAmount must be a positive number',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!userAddress || !/^0x[a-fA-F0-9]{40}$/.test(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user address',
+        message: 'Please provide a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const slippageBasisPoints = slippage ? parseInt(slippage) : 150; // Default 1.5%
+    if (slippageBasisPoints < 10 || slippageBasisPoints > 5000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid slippage parameter',
+        message: 'Slippage must be between 10 (0.1%) and 5000 (50%) basis points',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!nullifierRegistry) {
+      return res.status(503).json({
+        success: false,
+        error: 'Nullifier registry unavailable',
+        message: 'World ID verifications cannot be checked right now',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // The hot wallet pays for the swap, so only humans verified for plant-tree may start one
+    if (typeof nullifierHash !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(nullifierHash)
+      || !nullifierRegistry.get('plant-tree', nullifierHash)) {
+      return res.status(403).json({
+        success: false,
+        error: 'World ID verification required',
+        errorCode: 'NULLIFIER_NOT_VERIFIED',
+        message: 'Verify with World ID for the plant-tree action and send its nullifierHash',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    plantWorkflow.assertAllowed(nullifierHash, parseFloat(wldAmount));
+    
+    // Refuse up front if the pool can't take this much WLD within the price-impact policy
+    const plan = priceImpactPolicy
+      ? await priceImpactPolicy.plan({
+        amountInWei: ethers.parseEther(String(parseFloat(wldAmount))),
+        slippage: slippageBasisPoints,
+        direction: SwapDirection.WLD_TO_USDC
+      })
+      : null;
+    
+    const workflow = plantWorkflow.create({
+      donor: userAddress,
+      wldAmount: parseFloat(wldAmount),
+      slippage: slippageBasisPoints,
+      nullifierHash,
+      plannedOrders: plan ? plan.fill.orders : 1
+    });
+    
+    res.status(202).json({
+      success: true,
+      data: plantWorkflow.get(workflow.id),
+      message: `Tree planting started${plan && plan.fill.orders > 1 ? ` as ${plan.fill.orders} swaps` : ''}; follow progress at /api/plant/${workflow.id}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Plant workflow error:', error);
+    sendRelayError(res, error, 'Could not start tree planting');
+  }
+});
+
+// Get plant workflow progress (and the receipt once completed)
+app.get('/api/plant/:id', (req, res) => {
+  const workflow = plantWorkflow?.get(req.params.id);
+  
+  if (!workflow) {
+    return res.status(404).json({
+      success: false,
+      error: 'Plant workflow not found',
+      message: `No plant workflow found with ID: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: workflow,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== TREE PURCHASE ENDPOINTS ====================
+
+// Calculate environmental impact preview (amount in USDC, wldAmount valued at the oracle price,
+// or amount of another registry token valued at what the best venue swaps it for)
+app.get('/api/trees/impact', async (req, res) => {
+  try {
+    const { amount, wldAmount, token } = req.query;
+    const value = wldAmount !== undefined ? wldAmount : amount;
+    
+    // Validate amount parameter
+    if (!value || isNaN(parseFloat(value)) || parseFloat(value) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount parameter',
+        message: 'Amount must be a positive number',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (wldAmount !== undefined && !priceOracle) {
+      return res.status(503).json({
+        success: false,
+        error: 'Price oracle unavailable',
+        message: 'WLD amounts need the price oracle; pass a USDC amount instead',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (token !== undefined && wldAmount === undefined) {
+      if (!swapRouter || !tokenRegistry) {
+        return res.status(503).json({
+          success: false,
+          error: 'Swap router unavailable',
+          message: 'Token amounts are valued through the swap router; pass a USDC amount instead',
+          timestamp: new Date().toISOString()
+        });
+      }
+      const tokenIn = tokenRegistry.resolve(token);
+      if (tokenIn !== tokenRegistry.getSettlementToken()) {
+        const comparison = await swapRouter.compare({
+          tokenIn: tokenIn.symbol,
+          tokenOut: 'USDC',
+          amountInWei: tokenRegistry.parseAmount(tokenIn, amount)
+        });
+        const best = comparison.venues.find(venue => venue.venue === comparison.best);
+        return res.status(200).json({
+          success: true,
+          data: {
+            ...treePurchaseService.calculateImpact(parseFloat(best.expectedOutput)),
+            token: tokenIn.symbol,
+            tokenAmount: parseFloat(amount),
+            usdcAmount: best.expectedOutput,
+            venue: comparison.best
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    const price = wldAmount !== undefined ? await priceOracle.getPrice() : null;
+    const usdcAmount = price ? parseFloat(wldAmount) * price.price : parseFloat(amount);
+    const impact = treePurchaseService.calculateImpact(usdcAmount);
+    
+    res.status(200).json({
+      success: true,
+      data: price
+        ? { ...impact, wldAmount: parseFloat(wldAmount), price: { source: price.source, price: price.price, timestamp: price.timestamp } }
+        : impact,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Impact calculation error:', error);
+    sendRelayError(res, error, 'Could not calculate impact');
+  }
+});
+
+// Swap a registry token to USDC on the best venue and donate the swap's minimum USDC output:
+// the donor signs approve (ERC-20 only) → swap → transfer as one relay intent
+const prepareTokenDonation = async ({ token, amount, donorAddress, message, slippage, venue }) => {
+  await Promise.all([
+    tokenRegistry.verifyDecimals(token),
+    tokenRegistry.verifyDecimals(tokenRegistry.getSettlementToken())
+  ]);
+  
+  const quote = await swapRouter.quote({ tokenIn: token.symbol, tokenOut: 'USDC', amount, slippage, venue });
+  if (priceOracle && token.symbol === 'WLD') {
+    quote.oracle = await priceOracle.checkQuote(quote);
+  }
+  
+  // Anything above the minimum stays with the donor
+  const usdcAmount = parseFloat(quote.minOutput);
+  const validation = treePurchaseService.validateDonation(usdcAmount, donorAddress);
+  if (!validation.valid) {
+    throw new RelayError(
+      `${amount} ${token.symbol} swaps to at least ${quote.minOutput} USDC: ${validation.errors.join(', ')}`,
+      'DONATION_INVALID',
+      400
+    );
+  }
+  
+  // The transfer is held until the swap is mined successfully, so a failed swap can't
+  // spend USDC the donor already held
+  const { transactions, plan } = await buildQuotedSwap(donorAddress, quote);
+  transactions.push({
+    ...treePurchaseService.buildTransfer(BigInt(quote.minOutputWei)),
+    gasLimit: '100000', // Can't be estimated before the swap is mined
+    holdUntilMined: true
+  });
+  
+  const impact = treePurchaseService.calculateImpact(usdcAmount);
+  return transactionRelay.createIntent('tree-donation', donorAddress, transactions, {
+    donorAddress,
+    amount: usdcAmount,
+    message: message || null,
+    impact,
+    foundationAddress: treePurchaseService.testnetFoundationAddress,
+    collectionAddress: treePurchaseService.getCollectionAddress(),
+    source: {
+      token: token.symbol,
+      tokenAddress: token.address,
+      amount: String(amount),
+      venue: quote.venue,
+      expectedUsdc: quote.expectedOutput
+    },
+    quote,
+    swapPlan: plan
+  });
+};
+
+// Build the unsigned donation for the donor's wallet to sign: a USDC transfer, or with `token`
+// (any registry token, amount in that token) a swap to USDC followed by the transfer
+app.post('/api/trees/prepare', async (req, res) => {
+  try {
+    const { amount, donorAddress, message } = req.body;
+    
+    if (!treePurchaseService || !transactionRelay) {
+      return res.status(503).json({
+        success: false,
+        error: 'Tree donations unavailable',
+        message: 'Tree purchase service or transaction relay is not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Validate required parameters
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount parameter',
+        message: 'Amount must be a positive number',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!donorAddress || !/^0x[a-fA-F0-9]{40}$/.test(donorAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid donor address',
+        message: 'Donor address must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (req.body.token !== undefined) {
+      if (!tokenRegistry || !swapRouter) {
+        return res.status(503).json({
+          success: false,
+          error: 'Token donations unavailable',
+          message: 'Token registry or swap router is not initialized; donate USDC instead',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const token = tokenRegistry.resolve(req.body.token);
+      if (token !== tokenRegistry.getSettlementToken()) {
+        const slippage = req.body.slippage !== undefined ? parseInt(req.body.slippage) : 150; // Default 1.5%
+        if (isNaN(slippage) || slippage < 10 || slippage > 5000) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid slippage parameter',
+            message: 'Slippage must be between 10 (0.1%) and 5000 (50%) basis points',
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        console.log(`🌳 Preparing tree donation: ${amount} ${token.symbol} (swapped to USDC) from ${donorAddress}`);
+        const intent = await prepareTokenDonation({
+          token,
+          amount: String(amount),
+          donorAddress,
+          message,
+          slippage,
+          venue: req.body.venue
+        });
+        
+        return res.status(201).json({
+          success: true,
+          data: intent,
+          message: `Sign the ${intent.transactions.length} transactions in order (${intent.transactions.map(tx => tx.label).join(' → ')}) and submit them to /api/relay/${intent.id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    const usdcAmount = parseFloat(amount);
+    
+    console.log(`🌳 Preparing tree donation: ${usdcAmount} USDC from ${donorAddress}`);
+    
+    const { impact, foundationAddress, collectionAddress, transactions } = await treePurchaseService.prepareDonation(donorAddress, usdcAmount);
+    const intent = await transactionRelay.createIntent('tree-donation', donorAddress, transactions, {
+      donorAddress,
+      amount: usdcAmount,
+      message: message || null,
+      impact,
+      foundationAddress,
+      collectionAddress
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: intent,
+      message: `Sign the transfer and submit it to /api/relay/${intent.id}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Tree donation prepare error:', error);
+    sendRelayError(res, error, 'Could not prepare tree donation');
+  }
+});
+
+// Donations used to be signed server-side with a privateKey from the request body
+app.post('/api/trees/donate', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'Endpoint retired',
+    errorCode: 'PRIVATE_KEY_FLOW_RETIRED',
+    message: 'Private keys are no longer accepted. Use POST /api/trees/prepare, sign the returned transaction in your wallet, then POST it to /api/relay/:intentId',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get donation history for a specific address
+app.get('/api/trees/history/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    // Validate address
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address parameter',
+        message: 'Address must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const history = treePurchaseService.getDonationHistory(address);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        address: address,
+        donations: history.map(donation => ({ ...donation, progress: describeProgress(donation) })),
+        totalDonations: history.length,
+        totalAmount: history.reduce((sum, donation) => sum + donation.amount, 0),
+        totalTrees: history.reduce((sum, donation) => sum + donation.impact.treesPlanted, 0),
+        // Transfers to the foundation seen on-chain from this address, including ones made outside our API
+        onChainTransfers: chainIndexer ? chainIndexer.getFoundationTransfers({ account: address }) : null
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ History retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not retrieve donation history',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get donation receipt by ID
+app.get('/api/trees/receipt/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid receipt ID',
+        message: 'Receipt ID must be a valid string',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const donationRecord = treePurchaseService.getDonationById(id);
+    
+    if (!donationRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found',
+        message: `No donation found with ID: ${id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const receipt = treePurchaseService.generateReceipt(donationRecord);
+    
+    res.status(200).json({
+      success: true,
+      data: receipt,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Receipt retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not retrieve receipt',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get overall impact statistics
+app.get('/api/trees/stats', async (req, res) => {
+  try {
+    const stats = treePurchaseService.getTotalImpact();
+    const recentDonations = treePurchaseService.getRecentDonations();
+    
+    // Chain truth: every indexed USDC transfer to the foundation addresses
+    let onChainStats = null;
+    if (chainIndexer) {
+      const totals = chainIndexer.getFoundationTotals();
+      onChainStats = {
+        ...totals,
+        impact: treePurchaseService.calculateImpact(totals.totalAmount)
+      };
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        globalStats: stats,
+        onChainStats: onChainStats,
+        recentDonations: recentDonations,
+        foundationInfo: {
+          name: "Rainforest Foundation US",
+          website: "https://rainforestfoundation.org",
+          mission: "Protecting rainforests and Indigenous rights since 1989",
+          cryptoTotal: "$1,613,250 donated in crypto to date",
+          realAddress: "0x98f5A404991Cc74590564cbECA88c8d8B76D6407",
+          testnetAddress: "0x1234567890123456789012345678901234567890"
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Stats retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not retrieve statistics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== PAYOUT ENDPOINTS ====================
+
+// Payout routes need batching; respond 503 when payouts go straight to the foundation
+const requirePayoutBatcher = (req, res, next) => {
+  if (!payoutBatcher) {
+    return res.status(503).json({
+      success: false,
+      error: 'Payout batching disabled',
+      message: 'Donations are paid to the foundation directly; set PAYOUT_MODE=batched to batch payouts',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+// List payout batches, newest first (pledges are left out; fetch a batch for them)
+app.get('/api/payouts/batches', requirePayoutBatcher, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const batches = payoutBatcher.listBatches({ status: req.query.status })
+    .slice(0, limit)
+    .map(({ pledges, ...batch }) => ({ ...batch, pledgeCount: pledges.length }));
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      batches,
+      status: payoutBatcher.getStatus()
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get a payout batch with its pledges and Merkle root
+app.get('/api/payouts/batches/:id', requirePayoutBatcher, (req, res) => {
+  const batch = payoutBatcher.getBatch(req.params.id);
+  
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found',
+      message: `No payout batch found with ID: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      ...batch,
+      progress: describeProgress(batch)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== RELAY ENDPOINTS ====================
+
+/**
+ * Send a relay or swap routing error with its status and code, or a generic 500
+ */
+const sendRelayError = (res, error, fallbackError) => {
+  if (error instanceof RelayError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error instanceof SwapRoutingError ? 'Swap routing failed' : 'Relay rejected',
+      errorCode: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {}),
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Verify user-signed transactions against their intent and broadcast them
+app.post('/api/relay/:intentId', idempotency, async (req, res) => {
+  try {
+    const { signedTransactions } = req.body;
+    
+    if (!Array.isArray(signedTransactions) || signedTransactions.some(tx => typeof tx !== 'string' || !/^0x[a-fA-F0-9]+$/.test(tx))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signedTransactions parameter',
+        message: 'signedTransactions must be an array of signed, serialized transactions (0x-prefixed hex)',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await transactionRelay.relay(req.params.intentId, signedTransactions);
+    
+    res.status(202).json({
+      success: true,
+      data: result,
+      message: result.recordError
+        ? 'Transactions broadcast, awaiting confirmation; recording them failed and will be recovered'
+        : 'Transactions broadcast, awaiting confirmation',
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Relay error:', error.message);
+    sendRelayError(res, error, 'Could not relay transactions');
+  }
+});
+
+// Get a relay intent and its broadcasts
+app.get('/api/relay/:intentId', (req, res) => {
+  const intent = transactionRelay?.getIntent(req.params.intentId);
+  
+  if (!intent) {
+    return res.status(404).json({
+      success: false,
+      error: 'Intent not found',
+      message: `No relay intent found with ID: ${req.params.intentId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: intent,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== SPONSORED RELAYER ENDPOINTS ====================
+
+// Build the permit and swap-and-donate typed data for a gasless donation
+app.post('/api/sponsor/prepare', async (req, res) => {
+  try {
+    const { amount, slippage, from, nullifierHash } = req.body;
+    
+    if (!sponsoredRelayer) {
+      return res.status(503).json({
+        success: false,
+        error: 'Sponsored relayer unavailable',
+        message: 'Gasless donations are not configured on this server',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount parameter',
+        message: 'Amount must be a positive number',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!from || !/^0x[a-fA-F0-9]{40}$/.test(from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from address',
+        message: 'From must be the Ethereum address that holds the WLD',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!nullifierHash || typeof nullifierHash !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing nullifier hash',
+        message: 'Gasless donations require the nullifier hash of a World ID verification',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const slippageBasisPoints = slippage ? parseInt(slippage) : 150; // Default 1.5%
+    if (slippageBasisPoints < 10 || slippageBasisPoints > 5000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid slippage parameter',
+        message: 'Slippage must be between 10 (0.1%) and 5000 (50%) basis points',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const prepared = await sponsoredRelayer.prepare(from, parseFloat(amount), slippageBasisPoints, nullifierHash);
+    
+    res.status(201).json({
+      success: true,
+      data: prepared,
+      message: 'Sign the permit and intent with eth_signTypedData_v4, then POST both signatures to /api/sponsor/donate',
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Sponsor prepare error:', error.message);
+    sendRelayError(res, error, 'Could not prepare gasless donation');
+  }
+});
+
+// Submit a signed permit and swap-and-donate intent from the sponsor wallet
+app.post('/api/sponsor/donate', donationLimiter, idempotency, async (req, res) => {
+  try {
+    const { intent, intentSignature, permitSignature } = req.body;
+    
+    if (!sponsoredRelayer) {
+      return res.status(503).json({
+        success: false,
+        error: 'Sponsored relayer unavailable',
+        message: 'Gasless donations are not configured on this server',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!intent || typeof intent !== 'object' || typeof intentSignature !== 'string' || typeof permitSignature !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sponsored donation',
+        message: 'intent (the signed SwapAndDonate message), intentSignature and permitSignature are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await sponsoredRelayer.submit(intent, intentSignature, permitSignature);
+    
+    res.status(202).json({
+      success: true,
+      data: {
+        sponsorship: result.sponsorship,
+        donation: result.donation,
+        receipt: sponsoredRelayer.treePurchaseService.generateReceipt(result.donation),
+        budget: result.budget
+      },
+      message: 'Gasless donation submitted, awaiting confirmation',
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Sponsored donation error:', error.message);
+    sendRelayError(res, error, 'Could not submit gasless donation');
+  }
+});
+
+// Remaining gas budget for a World ID nullifier
+app.get('/api/sponsor/budget/:nullifierHash', (req, res) => {
+  try {
+    if (!sponsoredRelayer) {
+      return res.status(503).json({
+        success: false,
+        error: 'Sponsored relayer unavailable',
+        message: 'Gasless donations are not configured on this server',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: sponsoredRelayer.getBudget(req.params.nullifierHash),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendRelayError(res, error, 'Could not get gas budget');
+  }
+});
+
+// Get a sponsorship record
+app.get('/api/sponsor/:id', (req, res) => {
+  const sponsorship = sponsoredRelayer?.getSponsorship(req.params.id);
+  
+  if (!sponsorship) {
+    return res.status(404).json({
+      success: false,
+      error: 'Sponsorship not found',
+      message: `No sponsorship found with ID: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: sponsorship,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== INDEXER ENDPOINTS ====================
+
+// Get chain indexer progress
+app.get('/api/indexer/status', (req, res) => {
+  if (!chainIndexer) {
+    return res.status(503).json({
+      success: false,
+      error: 'Chain indexer not initialized',
+      message: 'Indexer is disabled or failed to start',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: chainIndexer.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List indexed on-chain events
+app.get('/api/indexer/events', (req, res) => {
   try {
-    const { amount } = req.query;
+    const { type, account, since } = req.query;
     
-    // Validate amount parameter
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    if (!chainIndexer) {
+      return res.status(503).json({
+        success: false,
+        error: 'Chain indexer not initialized',
+        message: 'Indexer is disabled or failed to start',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const types = Object.values(ChainEventType);
+    if (!type || !types.includes(type)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid amount parameter',
-        message: 'Amount must be a positive number',
+        error: 'Invalid type parameter',
+        message: `Type must be one of: ${types.join(', ')}`,
         timestamp: new Date().toISOString()
       });
     }
     
-    const usdcAmount = parseFloat(amount);
-    const impact = treePurchaseService.calculateImpact(usdcAmount);
+    if (account && !/^0x[a-fA-F0-9]{40}$/.test(account)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account parameter',
+        message: 'Account must be a valid Ethereum address',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const events = chainIndexer.getEvents(type, {
+      account,
+      since: since ? Date.parse(since) : undefined
+    });
     
     res.status(200).json({
       success: true,
-      data: impact,
+      data: {
+        type,
+        events,
+        count: events.length,
+        lastIndexedBlock: chainIndexer.getCheckpoint()?.lastBlock ?? null
+      },
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('❌ Impact calculation error:', error);
+    console.error('❌ Indexer events error:', error);
     res.status(500).json({
       success: false,
-      error: 'Could not calculate impact',
+      error: 'Could not retrieve indexed events',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Execute tree purchase donation
-app.post('/api/trees/donate', async (req, res) => {
+// ==================== ADMIN ENDPOINTS ====================
+
+/**
+ * Send a reconciliation report as JSON or CSV (?format=csv)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} report - Reconciliation report
+ * @param {number} status - HTTP status
+ */
+const sendReconciliationReport = (req, res, report, status = 200) => {
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${report.id}.csv"`);
+    return res.status(status).send(reconciliationService.toCSV(report));
+  }
+  
+  res.status(status).json({
+    success: true,
+    data: report,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Run a reconciliation of donation ledgers against indexed foundation transfers
+app.post('/api/admin/reconciliation/run', requireAdmin, (req, res) => {
   try {
-    const { amount, donorAddress, privateKey, message } = req.body;
+    const { since, until } = { ...req.query, ...req.body };
+    const range = {
+      since: since ? Date.parse(since) : undefined,
+      until: until ? Date.parse(until) : undefined
+    };
     
-    // Validate required parameters
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    if (Number.isNaN(range.since) || Number.isNaN(range.until)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid amount parameter',
-        message: 'Amount must be a positive number',
+        error: 'Invalid date range',
+        message: 'since and until must be ISO 8601 dates',
         timestamp: new Date().toISOString()
       });
     }
     
-    if (!donorAddress || !/^0x[a-fA-F0-9]{40}$/.test(donorAddress)) {
-      return res.status(400).json({
+    if (!chainIndexer) {
+      return res.status(503).json({
         success: false,
-        error: 'Invalid donor address',
-        message: 'Donor address must be a valid Ethereum address',
+        error: 'Chain indexer not initialized',
+        message: 'Reconciliation needs indexed foundation transfers',
         timestamp: new Date().toISOString()
       });
     }
     
-    if (!privateKey || typeof privateKey !== 'string') {
-      return res.status(400).json({
+    const report = reconciliationService.run(range);
+    sendReconciliationReport(req, res, report, 201);
+    
+  } catch (error) {
+    console.error('❌ Reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Reconciliation failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List stored reconciliation reports
+app.get('/api/admin/reconciliation/reports', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      reports: reconciliationService.listReports(limit),
+      status: reconciliationService.getStatus()
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get a stored reconciliation report ("latest" for the most recent)
+app.get('/api/admin/reconciliation/reports/:id', requireAdmin, (req, res) => {
+  const { id } = req.params;
+  const report = id === 'latest'
+    ? reconciliationService.getLatestReport()
+    : reconciliationService.getReport(id);
+  
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report not found',
+      message: `No reconciliation report found with ID: ${id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  sendReconciliationReport(req, res, report);
+});
+
+// List relayed intents whose transactions went out but couldn't be recorded (e.g. a tree donation)
+app.get('/api/admin/relay/unrecorded', requireAdmin, (req, res) => {
+  if (!transactionRelay) {
+    return res.status(503).json({
+      success: false,
+      error: 'Relay unavailable',
+      message: 'Transaction relay is not initialized',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: { intents: transactionRelay.listUnrecorded() },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Retry the donation of a plant workflow whose automatic retries are exhausted
+app.post('/api/admin/plant/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    if (!plantWorkflow) {
+      return res.status(503).json({
         success: false,
-        error: 'Missing private key',
-        message: 'Private key is required to execute donation',
+        error: 'Plant workflow unavailable',
+        message: 'Service temporarily unavailable. Please try again later.',
         timestamp: new Date().toISOString()
       });
     }
     
-    const usdcAmount = parseFloat(amount);
-    
-    console.log(`🌳 Processing tree donation: ${usdcAmount} USDC from ${donorAddress}`);
-    
-    // Execute the donation
-    const donationRecord = await treePurchaseService.executeDonation(donorAddress, usdcAmount, privateKey);
-    
-    // Generate receipt
-    const receipt = treePurchaseService.generateReceipt(donationRecord);
+    await plantWorkflow.retry(req.params.id);
     
     res.status(200).json({
       success: true,
+      data: plantWorkflow.get(req.params.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Could not retry plant workflow',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Settle collected pledges now instead of waiting for the window or threshold
+app.post('/api/admin/payouts/flush', requireAdmin, requirePayoutBatcher, async (req, res) => {
+  try {
+    const { batches, failed } = await payoutBatcher.flush({ force: true });
+    
+    res.status(failed.length && !batches.length ? 500 : 200).json({
+      success: failed.length === 0,
       data: {
-        donation: donationRecord,
-        receipt: receipt
+        batches,
+        failed,
+        status: payoutBatcher.getStatus()
       },
-      message: 'Tree donation completed successfully',
+      message: batches.length || failed.length
+        ? `Submitted ${batches.length} payout batch${batches.length === 1 ? '' : 'es'}, ${failed.length} failed`
+        : 'No collected pledges to pay out',
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Tree donation error:', error);
+    console.error('❌ Payout flush error:', error);
     res.status(500).json({
       success: false,
-      error: 'Could not complete tree donation',
+      error: 'Could not flush payouts',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Get donation history for a specific address
-app.get('/api/trees/history/:address', async (req, res) => {
+// Liquidity routes need the service; respond 503 if the operator wallet isn't configured
+const requireLiquidityService = (req, res, next) => {
+  if (!liquidityService) {
+    return res.status(503).json({
+      success: false,
+      error: 'Liquidity service unavailable',
+      message: 'Set LIQUIDITY_WALLET_PK (a wallet other than USER_WALLET_PK) to manage liquidity',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+/**
+ * Parse optional positive token amounts from a request
+ * @param {Object} params - Query or body
+ * @param {Array<string>} names - Parameter names
+ * @returns {Object|null} Parsed amounts (undefined when absent), or null if any is invalid
+ */
+const parseLiquidityAmounts = (params, names) => {
+  const parsed = {};
+  for (const name of names) {
+    if (params[name] === undefined || params[name] === '') continue;
+    const value = parseFloat(params[name]);
+    if (isNaN(value) || value <= 0) return null;
+    parsed[name] = value;
+  }
+  return parsed;
+};
+
+/**
+ * Resolve the LP tokens to burn from `liquidity` (LP units) or `percent` of a position
+ * @param {Object} params - Query or body
+ * @param {string} owner - Position owner for percent
+ * @returns {Promise<bigint|null>} LP tokens, or null if the parameters are invalid
+ */
+const resolveLiquidityToBurn = async (params, owner) => {
+  if (params.liquidity !== undefined) {
+    try {
+      const liquidity = ethers.parseEther(String(params.liquidity));
+      return liquidity > 0n ? liquidity : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  const percent = parseFloat(params.percent);
+  if (isNaN(percent) || percent <= 0 || percent > 100) return null;
+  return liquidityService.liquidityForPercent(owner, percent);
+};
+
+// Pool state and the operator wallet's LP position
+app.get('/api/admin/liquidity', requireAdmin, requireLiquidityService, async (req, res) => {
   try {
-    const { address } = req.params;
+    const [pool, position] = await Promise.all([
+      getPoolInfo(),
+      liquidityService.getPosition(liquidityService.signer.address)
+    ]);
     
-    // Validate address
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    res.status(200).json({
+      success: true,
+      data: { pool, operator: position },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Liquidity info error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not fetch liquidity information',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// LP share and redeemable tokens of any address
+app.get('/api/admin/liquidity/positions/:address', requireAdmin, requireLiquidityService, async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid address parameter',
+        error: 'Invalid address',
         message: 'Address must be a valid Ethereum address',
         timestamp: new Date().toISOString()
       });
     }
     
-    const history = treePurchaseService.getDonationHistory(address);
-    
     res.status(200).json({
       success: true,
-      data: {
-        address: address,
-        donations: history,
-        totalDonations: history.length,
-        totalAmount: history.reduce((sum, donation) => sum + donation.amount, 0),
-        totalTrees: history.reduce((sum, donation) => sum + donation.impact.treesPlanted, 0)
-      },
+      data: await liquidityService.getPosition(req.params.address),
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ History retrieval error:', error);
+    console.error('❌ Liquidity position error:', error);
     res.status(500).json({
       success: false,
-      error: 'Could not retrieve donation history',
+      error: 'Could not fetch liquidity position',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Get donation receipt by ID
-app.get('/api/trees/receipt/:id', async (req, res) => {
+// Preview LP tokens minted for adding WLD and/or USDC (a missing side is sized to the pool ratio)
+app.get('/api/admin/liquidity/preview/add', requireAdmin, requireLiquidityService, async (req, res) => {
+  const amounts = parseLiquidityAmounts(req.query, ['wldAmount', 'usdcAmount']);
+  
+  if (!amounts || (!amounts.wldAmount && !amounts.usdcAmount)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid amount parameter',
+      message: 'wldAmount and/or usdcAmount must be positive numbers',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   try {
-    const { id } = req.params;
-    
-    // Validate ID
-    if (!id || typeof id !== 'string') {
+    res.status(200).json({
+      success: true,
+      data: await liquidityService.previewAdd(amounts.wldAmount, amounts.usdcAmount),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Could not preview liquidity',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Preview tokens returned for burning LP tokens (liquidity, or percent of an address's position)
+app.get('/api/admin/liquidity/preview/remove', requireAdmin, requireLiquidityService, async (req, res) => {
+  try {
+    const owner = req.query.address || liquidityService.signer.address;
+    if (!ethers.isAddress(owner)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid receipt ID',
-        message: 'Receipt ID must be a valid string',
+        error: 'Invalid address',
+        message: 'Address must be a valid Ethereum address',
         timestamp: new Date().toISOString()
       });
     }
     
-    const donationRecord = treePurchaseService.getDonationById(id);
-    
-    if (!donationRecord) {
-      return res.status(404).json({
+    const liquidity = await resolveLiquidityToBurn(req.query, owner);
+    if (!liquidity) {
+      return res.status(400).json({
         success: false,
-        error: 'Receipt not found',
-        message: `No donation found with ID: ${id}`,
+        error: 'Invalid liquidity parameter',
+        message: 'Provide liquidity (LP tokens) or percent (0-100] of a non-empty position',
         timestamp: new Date().toISOString()
       });
     }
     
-    const receipt = treePurchaseService.generateReceipt(donationRecord);
-    
     res.status(200).json({
       success: true,
-      data: receipt,
+      data: await liquidityService.previewRemove(liquidity),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Could not preview liquidity removal',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Top up the pool from the operator wallet
+app.post('/api/admin/liquidity/add', requireAdmin, requireLiquidityService, async (req, res) => {
+  const amounts = parseLiquidityAmounts(req.body, ['wldAmount', 'usdcAmount']);
+  const { to } = req.body;
+  
+  if (!amounts || (!amounts.wldAmount && !amounts.usdcAmount)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid amount parameter',
+      message: 'wldAmount and/or usdcAmount must be positive numbers',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (to !== undefined && !ethers.isAddress(to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid to address',
+      message: 'to must be the Ethereum address credited with the LP tokens',
       timestamp: new Date().toISOString()
     });
+  }
+  
+  try {
+    const result = await liquidityService.addLiquidity(amounts.wldAmount, amounts.usdcAmount, to);
     
+    res.status(201).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('❌ Receipt retrieval error:', error);
+    console.error('❌ Add liquidity error:', error);
     res.status(500).json({
       success: false,
-      error: 'Could not retrieve receipt',
+      error: 'Could not add liquidity',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Get overall impact statistics
-app.get('/api/trees/stats', async (req, res) => {
+// Withdraw the operator wallet's liquidity
+app.post('/api/admin/liquidity/remove', requireAdmin, requireLiquidityService, async (req, res) => {
+  const { to } = req.body;
+  
+  if (to !== undefined && !ethers.isAddress(to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid to address',
+      message: 'to must be the Ethereum address receiving the WLD and USDC',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   try {
-    const stats = treePurchaseService.getTotalImpact();
-    const recentDonations = treePurchaseService.getRecentDonations();
+    const liquidity = await resolveLiquidityToBurn(req.body, liquidityService.signer.address);
+    if (!liquidity) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid liquidity parameter',
+        message: 'Provide liquidity (LP tokens) or percent (0-100] of the operator position',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await liquidityService.removeLiquidity(liquidity, to);
     
     res.status(200).json({
       success: true,
-      data: {
-        globalStats: stats,
-        recentDonations: recentDonations,
-        foundationInfo: {
-          name: "Rainforest Foundation US",
-          website: "https://rainforestfoundation.org",
-          mission: "Protecting rainforests and Indigenous rights since 1989",
-          cryptoTotal: "$1,613,250 donated in crypto to date",
-          realAddress: "0x98f5A404991Cc74590564cbECA88c8d8B76D6407",
-          testnetAddress: "0x1234567890123456789012345678901234567890"
-        }
-      },
+      data: result,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Stats retrieval error:', error);
+    console.error('❌ Remove liquidity error:', error);
     res.status(500).json({
       success: false,
-      error: 'Could not retrieve statistics',
+      error: 'Could not remove liquidity',
       message: error.message,
       timestamp: new Date().toISOString()
     });
@@ -842,7 +2676,7 @@ app.get('/api/trees/stats', async (req, res) => {
 
 // ==================== DEMO ENDPOINTS ====================
 
-// Demo endpoint showing WLD swap and tree donation flow
+// Demo endpoint showing WLD swap and tree donation flow (simulated; POST /api/plant runs it on-chain)
 app.post('/api/demo/plant-tree', async (req, res) => {
   try {
     const { wldAmount = 1, userAddress, worldIdProof } = req.body;
@@ -859,13 +2693,24 @@ app.post('/api/demo/plant-tree', async (req, res) => {
       });
     }
     
+    if (!priceOracle) {
+      return res.status(503).json({
+        success: false,
+        error: 'Price oracle unavailable',
+        message: 'Price oracle is not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // Simulate timing for realistic demo
     const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
     
     // Step 1: Simulate WLD to USDC swap
     await delay(1000); // Simulate transaction time
     
-    const wldPrice = 2.45; // Mock WLD price in USDC
+    // The demo values WLD at the oracle price; a stale, deviating or unverified price is refused
+    const priceReading = await priceOracle.getPrice();
+    const wldPrice = priceReading.price;
     const usdcAmount = wldAmount * wldPrice;
     const slippage = 0.5; // 0.5% slippage
     const actualUsdcReceived = usdcAmount * (1 - slippage / 100);
@@ -894,6 +2739,8 @@ app.post('/api/demo/plant-tree', async (req, res) => {
       gasPrice: '20 gwei',
       gasFee: gasFee,
       slippage: slippage,
+      price: wldPrice,
+      priceSource: priceReading.source,
       timestamp: new Date().toISOString(),
       status: 'confirmed',
       blockNumber: Math.floor(Math.random() * 1000000) + 5000000
@@ -1012,12 +2859,7 @@ app.post('/api/demo/plant-tree', async (req, res) => {
     
   } catch (error) {
     console.error('❌ Demo error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Demo failed',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendRelayError(res, error, 'Demo failed');
   }
 });
 
@@ -1077,16 +2919,46 @@ app.use('*', (req, res) => {
       'GET /', 
       'GET /health', 
       'POST /api/donate',
+      'POST /api/plant',
+      'GET /api/plant/:id',
       'GET /api/swap/pool-info',
+      'GET /api/swap/pool/analytics',
+      'GET /api/swap/pool/candles',
+      'GET /api/swap/pool/depth',
+      'GET /api/swap/price',
       'GET /api/swap/quote',
+      'GET /api/swap/quote/:quoteId',
+      'GET /api/swap/venues/compare',
+      'GET /api/tokens',
       'POST /api/swap/execute',
       'GET /api/swap/status/:txHash',
       'GET /api/swap/gas-estimate',
       'GET /api/trees/impact',
-      'POST /api/trees/donate',
+      'POST /api/trees/prepare',
       'GET /api/trees/history/:address',
       'GET /api/trees/receipt/:id',
       'GET /api/trees/stats',
+      'GET /api/payouts/batches',
+      'GET /api/payouts/batches/:id',
+      'POST /api/relay/:intentId',
+      'GET /api/relay/:intentId',
+      'POST /api/sponsor/prepare',
+      'POST /api/sponsor/donate',
+      'GET /api/sponsor/budget/:nullifierHash',
+      'GET /api/sponsor/:id',
+      'GET /api/indexer/status',
+      'GET /api/indexer/events',
+      'POST /api/admin/reconciliation/run',
+      'GET /api/admin/reconciliation/reports',
+      'GET /api/admin/reconciliation/reports/:id',
+      'POST /api/admin/plant/:id/retry',
+      'POST /api/admin/payouts/flush',
+      'GET /api/admin/liquidity',
+      'GET /api/admin/liquidity/positions/:address',
+      'GET /api/admin/liquidity/preview/add',
+      'GET /api/admin/liquidity/preview/remove',
+      'POST /api/admin/liquidity/add',
+      'POST /api/admin/liquidity/remove',
       'POST /api/demo/plant-tree',
       'GET /api/demo/transaction/:txHash'
     ]
@@ -1115,6 +2987,12 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
+  confirmationTracker.stop();
+  plantWorkflow?.stop();
+  payoutBatcher?.stop();
+  chainIndexer?.stop();
+  reconciliationService.stop();
+  shutdownProviders();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -1123,6 +3001,12 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
+  confirmationTracker.stop();
+  plantWorkflow?.stop();
+  payoutBatcher?.stop();
+  chainIndexer?.stop();
+  reconciliationService.stop();
+  shutdownProviders();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
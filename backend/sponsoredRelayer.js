@@ -0,0 +1,562 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { createManagedSigner } = require('./nonceManager');
+const { RelayError } = require('./transactionRelay');
+require('dotenv').config();
+
+/**
+ * Sponsored Relayer
+ * Gasless swap-and-donate for users who hold WLD but no POL. The user signs two
+ * EIP-712 messages: an EIP-2612 permit letting the sponsor wallet spend their
+ * WLD, and a SwapAndDonate intent fixing the amount, minimum USDC out and
+ * deadline. The sponsor wallet then submits permit → transferFrom → swap, with
+ * the USDC going straight to the foundation. Each step waits for its receipt
+ * before the next is sent; if a step fails after the WLD was pulled in, the
+ * sponsor transfers it back to the user.
+ *
+ * Gas is paid by the sponsor, so each World ID nullifier gets a gas budget per
+ * window. Only nullifiers verified with the user's wallet address as the signal
+ * can be sponsored, so a nullifier hash alone can't spend someone's budget.
+ */
+
+const DEFAULT_BUDGET_POL = '0.05';
+const DEFAULT_WINDOW_HOURS = 24;
+const DEFAULT_DEADLINE_SECONDS = 10 * 60;
+
+// Fixed limits: later steps can't be estimated before earlier ones are mined
+const GAS_LIMITS = {
+    permit: 100000n,
+    transferFrom: 80000n,
+    approve: 60000n,
+    swap: 300000n,
+    refund: 60000n
+};
+
+const SponsorshipStatus = {
+    SUBMITTED: 'submitted',
+    SETTLED: 'settled',
+    FAILED: 'failed'
+};
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const INTENT_TYPES = {
+    SwapAndDonate: [
+        { name: 'owner', type: 'address' },
+        { name: 'wldAmount', type: 'uint256' },
+        { name: 'minUsdcOut', type: 'uint256' },
+        { name: 'recipient', type: 'address' },
+        { name: 'nullifierHash', type: 'bytes32' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const PERMIT_ABI = [
+    'function name() view returns (string)',
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+class SponsoredRelayer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService (provider, contract addresses, quotes)
+     * @param {Object} options.treePurchaseService - Records the resulting donation
+     * @param {Object} options.nullifierRegistry - Verified World ID nullifiers
+     * @param {Object} [options.signer] - Sponsor wallet (defaults to SPONSOR_WALLET_PK)
+     * @param {string} [options.budgetPol] - Gas budget per nullifier per window, in POL
+     * @param {number} [options.windowHours] - Budget window
+     * @param {Object} [options.store] - Sponsorship store
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.treePurchaseService = options.treePurchaseService;
+        this.nullifierRegistry = options.nullifierRegistry;
+        this.provider = this.swapService.provider;
+
+        // The relayer spends sponsor gas; without a ledger to record the donation it must not start
+        if (!this.treePurchaseService) {
+            throw new Error('Tree purchase service is required to record sponsored donations');
+        }
+
+        if (options.signer) {
+            this.signer = createManagedSigner(options.signer);
+        } else {
+            // A wallet of its own: pulled WLD and failed refunds must not mix with the
+            // hot wallet's WLD, which plant workflows swap
+            const pk = process.env.SPONSOR_WALLET_PK;
+            if (!pk) {
+                throw new Error('SPONSOR_WALLET_PK is not configured');
+            }
+            const sponsor = new ethers.Wallet(pk).address;
+            if (process.env.USER_WALLET_PK && sponsor === new ethers.Wallet(process.env.USER_WALLET_PK).address) {
+                throw new Error('SPONSOR_WALLET_PK must be a different wallet from USER_WALLET_PK');
+            }
+            this.signer = createManagedSigner(new ethers.Wallet(pk, this.provider));
+        }
+
+        this.budgetWei = ethers.parseEther(String(options.budgetPol
+            || process.env.SPONSOR_GAS_BUDGET_POL || DEFAULT_BUDGET_POL));
+        this.windowMs = (options.windowHours
+            || parseFloat(process.env.SPONSOR_BUDGET_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+        this.deadlineSeconds = parseInt(process.env.SPONSOR_DEADLINE_SECONDS) || DEFAULT_DEADLINE_SECONDS;
+
+        this.store = options.store || createStore('sponsorships', {
+            keyField: 'id',
+            indexes: {
+                nullifier: (record) => record.nullifierHash,
+                owner: (record) => record.owner
+            }
+        });
+
+        this.wld = new ethers.Contract(this.swapService.MOCK_WLD_ADDRESS, PERMIT_ABI, this.provider);
+    }
+
+    /**
+     * Normalise a nullifier hash to lowercase 32-byte hex, as World ID returns it
+     * @param {string} nullifierHash - Nullifier hash
+     * @returns {string} Normalised hash
+     */
+    static normalizeNullifier(nullifierHash) {
+        try {
+            return ethers.zeroPadValue(ethers.toBeHex(BigInt(nullifierHash)), 32).toLowerCase();
+        } catch (error) {
+            throw new RelayError('nullifierHash must be a 32-byte hex value', 'INVALID_NULLIFIER');
+        }
+    }
+
+    /**
+     * EIP-712 domain of the WLD token's permit
+     * @returns {Promise<Object>} Domain
+     */
+    async getPermitDomain() {
+        try {
+            await this.wld.DOMAIN_SEPARATOR();
+        } catch (error) {
+            throw new RelayError(
+                `WLD token at ${this.swapService.MOCK_WLD_ADDRESS} does not support permit; redeploy MockWLD (scripts/deploy-mock-wld.js)`,
+                'PERMIT_NOT_SUPPORTED',
+                503
+            );
+        }
+
+        const [name, network] = await Promise.all([this.wld.name(), this.provider.getNetwork()]);
+        return {
+            name,
+            version: '1',
+            chainId: Number(network.chainId),
+            verifyingContract: this.swapService.MOCK_WLD_ADDRESS
+        };
+    }
+
+    /**
+     * EIP-712 domain of the SwapAndDonate intent
+     * @returns {Promise<Object>} Domain
+     */
+    async getIntentDomain() {
+        const network = await this.provider.getNetwork();
+        return {
+            name: 'Humanitree Sponsored Relayer',
+            version: '1',
+            chainId: Number(network.chainId),
+            verifyingContract: this.signer.address
+        };
+    }
+
+    /**
+     * Gas budget usage for a nullifier in the current window
+     * Submitted sponsorships count at their reserved (worst-case) cost until settled.
+     * @param {string} nullifierHash - World ID nullifier hash
+     * @returns {Object} Budget in wei and POL
+     */
+    getBudget(nullifierHash) {
+        nullifierHash = SponsoredRelayer.normalizeNullifier(nullifierHash);
+        const since = Date.now() - this.windowMs;
+        const records = this.store.findBy('nullifier', nullifierHash)
+            .filter(record => Date.parse(record.createdAt) >= since);
+
+        const spentWei = records.reduce((sum, record) => sum + BigInt(record.chargedWei ?? record.reservedWei), 0n);
+        const remainingWei = spentWei >= this.budgetWei ? 0n : this.budgetWei - spentWei;
+        const oldest = records.reduce((min, record) => Math.min(min, Date.parse(record.createdAt)), Infinity);
+
+        return {
+            nullifierHash,
+            windowHours: this.windowMs / (60 * 60 * 1000),
+            budgetWei: this.budgetWei.toString(),
+            spentWei: spentWei.toString(),
+            remainingWei: remainingWei.toString(),
+            budget: ethers.formatEther(this.budgetWei),
+            spent: ethers.formatEther(spentWei),
+            remaining: ethers.formatEther(remainingWei),
+            sponsorships: records.length,
+            resetsAt: records.length ? new Date(oldest + this.windowMs).toISOString() : null
+        };
+    }
+
+    /**
+     * Worst-case gas cost of a sponsorship at current fees, including a refund
+     * @param {boolean} needsApproval - Whether the sponsor must approve the DEX first
+     * @returns {Promise<Object>} {costWei, fees}
+     */
+    async estimateCost(needsApproval) {
+        const feeData = await this.provider.getFeeData();
+        const fees = feeData.maxFeePerGas !== null
+            ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+            : { gasPrice: feeData.gasPrice };
+
+        const gas = GAS_LIMITS.permit + GAS_LIMITS.transferFrom + GAS_LIMITS.swap + GAS_LIMITS.refund
+            + (needsApproval ? GAS_LIMITS.approve : 0n);
+        return { costWei: gas * (fees.maxFeePerGas ?? fees.gasPrice), fees };
+    }
+
+    /**
+     * Reject owners whose nullifier isn't verified for their wallet
+     * @param {string} owner - User wallet
+     * @param {string} nullifierHash - World ID nullifier hash
+     * @throws {RelayError} If not eligible
+     */
+    assertEligible(owner, nullifierHash) {
+        if (!this.nullifierRegistry.isVerifiedWithSignal(nullifierHash, owner)) {
+            throw new RelayError(
+                'Sponsorship requires a World ID verification with your wallet address as the signal',
+                'SPONSORSHIP_NOT_VERIFIED',
+                403
+            );
+        }
+    }
+
+    /**
+     * Build the permit and intent typed data for the user to sign
+     * @param {string} owner - User wallet
+     * @param {number} wldAmount - WLD to swap and donate
+     * @param {number} slippageBasisPoints - Slippage tolerance
+     * @param {string} nullifierHash - World ID nullifier hash
+     * @returns {Promise<Object>} {permit, intent, quote, budget}
+     */
+    async prepare(owner, wldAmount, slippageBasisPoints, nullifierHash) {
+        owner = ethers.getAddress(owner);
+        nullifierHash = SponsoredRelayer.normalizeNullifier(nullifierHash);
+        this.assertEligible(owner, nullifierHash);
+
+        const budget = this.getBudget(nullifierHash);
+        const { costWei } = await this.estimateCost(true);
+        if (BigInt(budget.remainingWei) < costWei) {
+            throw new RelayError(
+                `Gas budget exhausted for this World ID (${budget.remaining} of ${budget.budget} POL left)`,
+                'GAS_BUDGET_EXCEEDED',
+                429
+            );
+        }
+
+        const [quote, nonce, permitDomain, intentDomain] = await Promise.all([
+            this.swapService.getSwapQuote(wldAmount, slippageBasisPoints),
+            this.wld.nonces(owner),
+            this.getPermitDomain(),
+            this.getIntentDomain()
+        ]);
+        const deadline = Math.floor(Date.now() / 1000) + this.deadlineSeconds;
+
+        return {
+            permit: {
+                domain: permitDomain,
+                types: PERMIT_TYPES,
+                primaryType: 'Permit',
+                message: {
+                    owner,
+                    spender: this.signer.address,
+                    value: quote.inputAmountWei,
+                    nonce: nonce.toString(),
+                    deadline
+                }
+            },
+            intent: {
+                domain: intentDomain,
+                types: INTENT_TYPES,
+                primaryType: 'SwapAndDonate',
+                message: {
+                    owner,
+                    wldAmount: quote.inputAmountWei,
+                    minUsdcOut: quote.minOutputWei,
+                    recipient: this.treePurchaseService.testnetFoundationAddress,
+                    nullifierHash,
+                    nonce: nonce.toString(),
+                    deadline
+                }
+            },
+            quote,
+            budget
+        };
+    }
+
+    /**
+     * Verify the user's signatures and submit the swap-and-donate from the sponsor wallet
+     * @param {Object} intent - Signed SwapAndDonate message fields
+     * @param {string} intentSignature - User's signature of the intent
+     * @param {string} permitSignature - User's EIP-2612 permit signature
+     * @returns {Promise<Object>} {sponsorship, donation, budget}
+     * @throws {RelayError} On invalid signatures, expiry, replay or exhausted budget
+     */
+    async submit(intent, intentSignature, permitSignature) {
+        const owner = ethers.getAddress(intent.owner);
+        const value = BigInt(intent.wldAmount);
+        const minUsdcOut = BigInt(intent.minUsdcOut);
+        const deadline = Number(intent.deadline);
+        const nullifierHash = SponsoredRelayer.normalizeNullifier(intent.nullifierHash);
+        const recipient = this.treePurchaseService.testnetFoundationAddress;
+
+        if (Math.floor(Date.now() / 1000) > deadline) {
+            throw new RelayError('Sponsored intent has expired; prepare a new one', 'INTENT_EXPIRED', 410);
+        }
+        if (ethers.getAddress(intent.recipient) !== ethers.getAddress(recipient)) {
+            throw new RelayError('Intent recipient is not the foundation address', 'SIGNED_TRANSACTION_MISMATCH');
+        }
+
+        this.assertEligible(owner, nullifierHash);
+
+        const [permitDomain, intentDomain, currentNonce] = await Promise.all([
+            this.getPermitDomain(),
+            this.getIntentDomain(),
+            this.wld.nonces(owner)
+        ]);
+
+        if (BigInt(intent.nonce) !== currentNonce) {
+            throw new RelayError('Permit nonce already used; prepare a new intent', 'INTENT_ALREADY_USED', 409);
+        }
+
+        const intentMessage = { owner, wldAmount: value, minUsdcOut, recipient, nullifierHash, nonce: currentNonce, deadline };
+        const permitMessage = { owner, spender: this.signer.address, value, nonce: currentNonce, deadline };
+
+        let permitSig;
+        try {
+            if (ethers.verifyTypedData(intentDomain, INTENT_TYPES, intentMessage, intentSignature) !== owner
+                || ethers.verifyTypedData(permitDomain, PERMIT_TYPES, permitMessage, permitSignature) !== owner) {
+                throw new Error('signer mismatch');
+            }
+            permitSig = ethers.Signature.from(permitSignature);
+        } catch (error) {
+            throw new RelayError('Permit or intent signature is not from the owner', 'INVALID_SIGNATURE');
+        }
+
+        const [balance, sponsorAllowance] = await Promise.all([
+            this.wld.balanceOf(owner),
+            this.wld.allowance(this.signer.address, this.swapService.SIMPLE_DEX_ADDRESS)
+        ]);
+        if (balance < value) {
+            throw new RelayError(
+                `Insufficient WLD balance. Required: ${ethers.formatEther(value)}, Available: ${ethers.formatEther(balance)}`,
+                'INSUFFICIENT_BALANCE'
+            );
+        }
+
+        const needsApproval = sponsorAllowance < value;
+        const { costWei, fees } = await this.estimateCost(needsApproval);
+
+        // Check and reserve in one synchronous step so concurrent requests can't overspend.
+        // The permit nonce only moves once mined, so also refuse resubmissions of a pending one.
+        const duplicate = this.store.findBy('owner', owner.toLowerCase())
+            .some(record => record.permitNonce === currentNonce.toString() && record.chargedWei !== '0');
+        if (duplicate) {
+            throw new RelayError('This intent was already submitted', 'INTENT_ALREADY_USED', 409);
+        }
+
+        const budget = this.getBudget(nullifierHash);
+        if (BigInt(budget.remainingWei) < costWei) {
+            throw new RelayError(
+                `Gas budget exhausted for this World ID (${budget.remaining} of ${budget.budget} POL left)`,
+                'GAS_BUDGET_EXCEEDED',
+                429
+            );
+        }
+
+        const sponsorship = this.store.insert({
+            id: `SPN_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            nullifierHash,
+            owner: owner.toLowerCase(),
+            wldAmountWei: value.toString(),
+            minUsdcOutWei: minUsdcOut.toString(),
+            usdcOutWei: null,
+            permitNonce: currentNonce.toString(),
+            status: SponsorshipStatus.SUBMITTED,
+            reservedWei: costWei.toString(),
+            chargedWei: null,
+            txHashes: [],
+            refundTxHash: null,
+            donationId: null,
+            error: null,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log(`⛽ Sponsoring ${ethers.formatEther(value)} WLD swap-and-donate for ${owner} (${sponsorship.id})`);
+
+        const wld = this.wld.connect(this.signer);
+        const dex = new ethers.Contract(this.swapService.SIMPLE_DEX_ADDRESS, this.swapService.simpleDexABI, this.signer);
+        const steps = [
+            ['permit', () => wld.permit(owner, this.signer.address, value, deadline, permitSig.v, permitSig.r, permitSig.s,
+                { gasLimit: GAS_LIMITS.permit, ...fees })],
+            ['transferFrom', () => wld.transferFrom(owner, this.signer.address, value, { gasLimit: GAS_LIMITS.transferFrom, ...fees })],
+            ...(needsApproval
+                ? [['approve', () => wld.approve(this.swapService.SIMPLE_DEX_ADDRESS, ethers.MaxUint256, { gasLimit: GAS_LIMITS.approve, ...fees })]]
+                : []),
+            ['swap', () => dex.swapToken0ForToken1(value, minUsdcOut, recipient, { gasLimit: GAS_LIMITS.swap, ...fees })]
+        ];
+
+        // Each step needs the previous one mined (the transferFrom needs the permit, the swap needs
+        // the WLD), so wait for every receipt and stop at the first failure
+        const responses = [];
+        const receipts = [];
+        let failure = null;
+        for (const [label, send] of steps) {
+            try {
+                const tx = await send();
+                responses.push(tx);
+                console.log(`📡 Sponsored ${label} for ${sponsorship.id}: ${tx.hash}`);
+                receipts.push(await tx.wait());
+            } catch (error) {
+                failure = `Sponsored ${label} failed: ${error.shortMessage || error.message}`;
+                break;
+            }
+        }
+
+        if (failure) {
+            // Once the transferFrom is mined the sponsor holds the user's WLD; send it back
+            const pulled = receipts.length >= 2;
+            const refund = pulled ? await this.refund(sponsorship.id, owner, value, fees) : null;
+            if (refund && refund.tx) responses.push(refund.tx);
+
+            const error = refund && refund.error
+                ? `${failure}; refund of ${ethers.formatEther(value)} WLD failed: ${refund.error}`
+                : failure;
+            this.store.update(sponsorship.id, {
+                status: SponsorshipStatus.FAILED,
+                txHashes: responses.map(tx => tx.hash),
+                refundTxHash: refund && refund.tx ? refund.tx.hash : null,
+                // Nothing broadcast means nothing spent; otherwise keep the reservation until settled
+                chargedWei: responses.length ? null : '0',
+                error
+            });
+            if (responses.length) this.settle(sponsorship.id, responses);
+            throw new RelayError(error, 'BROADCAST_FAILED', 502, {
+                sponsorshipId: sponsorship.id,
+                refunded: Boolean(refund && !refund.error),
+                refundTxHash: refund && refund.tx ? refund.tx.hash : null
+            });
+        }
+
+        // Record what the DEX actually paid out, so reconciliation sees the on-chain amount
+        const swapTx = responses[responses.length - 1];
+        const amounts = this.swapService.parseSwapReceipt(receipts[receipts.length - 1]);
+        if (!amounts) {
+            console.warn(`⚠️  No TokensSwapped event in sponsored swap ${swapTx.hash}, recording the signed minimum`);
+        }
+        const usdcOutWei = amounts ? amounts.amountOut : minUsdcOut;
+        const donation = this.treePurchaseService.recordRelayedDonation(
+            owner,
+            parseFloat(ethers.formatUnits(usdcOutWei, 6)),
+            swapTx
+        );
+
+        const submitted = this.store.update(sponsorship.id, {
+            txHashes: responses.map(tx => tx.hash),
+            usdcOutWei: usdcOutWei.toString(),
+            donationId: donation.id
+        });
+
+        this.settle(sponsorship.id, responses);
+
+        return { sponsorship: submitted, donation, budget: this.getBudget(nullifierHash) };
+    }
+
+    /**
+     * Return WLD pulled from the user when a later step of their sponsorship failed
+     * @param {string} id - Sponsorship ID
+     * @param {string} owner - User wallet
+     * @param {bigint} value - WLD pulled, in wei
+     * @param {Object} fees - Fee fields used for the sponsorship
+     * @returns {Promise<Object>} {tx, error}; tx is null if the refund could not be broadcast
+     */
+    async refund(id, owner, value, fees) {
+        let tx = null;
+        try {
+            tx = await this.wld.connect(this.signer).transfer(owner, value, { gasLimit: GAS_LIMITS.refund, ...fees });
+            console.log(`↩️  Refunding ${ethers.formatEther(value)} WLD to ${owner} for ${id}: ${tx.hash}`);
+            await tx.wait();
+            return { tx, error: null };
+        } catch (error) {
+            console.error(`❌ Refund for sponsorship ${id} failed, ${ethers.formatEther(value)} WLD still held by the sponsor:`, error.message);
+            return { tx, error: error.shortMessage || error.message };
+        }
+    }
+
+    /**
+     * Replace a sponsorship's reserved cost with the gas actually paid once mined
+     * Runs in the background; reverted transactions are charged too.
+     * @param {string} id - Sponsorship ID
+     * @param {Array<Object>} responses - Broadcast transactions
+     * @returns {Promise<void>}
+     */
+    async settle(id, responses) {
+        try {
+            const receipts = await Promise.all(responses.map(tx => tx.wait().catch(error => error.receipt || null)));
+            if (receipts.some(receipt => !receipt)) {
+                console.warn(`⚠️  Sponsorship ${id} has transactions without receipts, keeping reserved cost`);
+                return;
+            }
+
+            const chargedWei = receipts.reduce((sum, receipt) => sum + receipt.gasUsed * (receipt.gasPrice ?? 0n), 0n);
+            const record = this.store.get(id);
+            const reverted = receipts.some(receipt => receipt.status !== 1);
+
+            this.store.update(id, {
+                status: record.status === SponsorshipStatus.FAILED || reverted ? SponsorshipStatus.FAILED : SponsorshipStatus.SETTLED,
+                chargedWei: chargedWei.toString(),
+                settledAt: new Date().toISOString()
+            });
+            console.log(`⛽ Sponsorship ${id} settled: ${ethers.formatEther(chargedWei)} POL`);
+        } catch (error) {
+            console.warn(`⚠️  Could not settle sponsorship ${id}, keeping reserved cost: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a sponsorship record
+     * @param {string} id - Sponsorship ID
+     * @returns {Object|null} Record or null
+     */
+    getSponsorship(id) {
+        return this.store.get(id) || null;
+    }
+
+    /**
+     * Relayer status for the health endpoint
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            sponsor: this.signer.address,
+            budgetPerNullifier: ethers.formatEther(this.budgetWei),
+            windowHours: this.windowMs / (60 * 60 * 1000),
+            sponsorships: this.store.count()
+        };
+    }
+}
+
+module.exports = {
+    SponsoredRelayer,
+    SponsorshipStatus
+};
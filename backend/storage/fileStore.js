@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+/**
+ * File-backed record store
+ * Every write is appended to a JSON-lines log and replayed on startup, so
+ * records survive restarts. Reads are served from the in-memory indexes.
+ */
+
+const DEFAULT_COMPACT_THRESHOLD = 1000; // Log lines beyond the live record count before compaction
+
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} filePath - Path to the JSON-lines log
+     * @param {Object} options - MemoryStore options plus compactThreshold
+     */
+    constructor(filePath, options = {}) {
+        super(options);
+        this.filePath = filePath;
+        this.compactThreshold = options.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+        this.logLines = 0;
+        this.replaying = false;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.load();
+    }
+
+    /**
+     * Replay the log into memory
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        let truncated = false;
+        this.replaying = true;
+        try {
+            lines.forEach((line, i) => {
+                if (!line.trim()) return;
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    // A crash mid-append can leave a torn final line; anything else is corruption
+                    if (i >= lines.length - 2) {
+                        console.warn(`⚠️  Ignoring truncated entry at end of ${this.filePath}`);
+                        truncated = true;
+                        return;
+                    }
+                    throw new Error(`Corrupt store file ${this.filePath} at line ${i + 1}: ${error.message}`);
+                }
+
+                if (entry.op === 'put') {
+                    super.put(entry.record);
+                } else if (entry.op === 'del') {
+                    super.delete(entry.key);
+                }
+                this.logLines++;
+            });
+        } finally {
+            this.replaying = false;
+        }
+
+        // Rewrite so the next append doesn't land on the torn line
+        if (truncated) {
+            this.compact();
+        }
+    }
+
+    put(record) {
+        const stored = super.put(record);
+        this.append({ op: 'put', record: stored });
+        return stored;
+    }
+
+    delete(key) {
+        const removed = super.delete(key);
+        if (removed) {
+            this.append({ op: 'del', key: String(key) });
+        }
+        return removed;
+    }
+
+    append(entry) {
+        if (this.replaying) return;
+
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        this.logLines++;
+
+        if (this.logLines - this.count() > this.compactThreshold) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the log with one entry per live record
+     */
+    compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+        const body = this.all().map(record => JSON.stringify({ op: 'put', record })).join('\n');
+
+        fs.writeFileSync(tmpPath, body ? body + '\n' : '');
+        fs.renameSync(tmpPath, this.filePath);
+        this.logLines = this.count();
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,38 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+/**
+ * Storage factory
+ * STORAGE_BACKEND selects the backend ('file' by default, 'memory' for throwaway runs)
+ * and DATA_DIR where file stores keep their logs.
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Create a named record store
+ * @param {string} name - Store name (used as the file name)
+ * @param {Object} options - Store options (keyField, indexes)
+ * @returns {MemoryStore} Store instance
+ */
+function createStore(name, options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'file').toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryStore(options);
+        case 'file': {
+            const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+            return new FileStore(path.join(dataDir, `${name}.jsonl`), options);
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    createStore,
+    MemoryStore,
+    FileStore
+};
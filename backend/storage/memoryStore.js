@@ -0,0 +1,189 @@
+/**
+ * In-memory record store
+ * Keeps records keyed by a primary field with optional secondary indexes.
+ * Used directly for tests/demos and as the read model behind FileStore.
+ */
+
+class MemoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.keyField='id'] - Field holding the primary key
+     * @param {Object<string, Function>} [options.indexes] - Secondary indexes, name => (record) => value or array of values
+     */
+    constructor(options = {}) {
+        this.keyField = options.keyField || 'id';
+        this.indexDefinitions = options.indexes || {};
+        this.records = new Map();
+        this.indexes = {};
+
+        for (const name of Object.keys(this.indexDefinitions)) {
+            this.indexes[name] = new Map();
+        }
+    }
+
+    /**
+     * Get the primary key of a record
+     * @param {Object} record - Record
+     * @returns {string} Primary key
+     */
+    keyOf(record) {
+        const key = record[this.keyField];
+        if (key === undefined || key === null || key === '') {
+            throw new Error(`Record is missing key field '${this.keyField}'`);
+        }
+        return String(key);
+    }
+
+    /**
+     * Insert a new record
+     * @param {Object} record - Record to insert
+     * @returns {Object} Stored record
+     */
+    insert(record) {
+        const key = this.keyOf(record);
+        if (this.records.has(key)) {
+            throw new Error(`Record already exists: ${key}`);
+        }
+        return this.put(record);
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record to store
+     * @returns {Object} Stored record
+     */
+    put(record) {
+        const key = this.keyOf(record);
+        const previous = this.records.get(key);
+        if (previous) {
+            this.unindex(key, previous);
+        }
+
+        const stored = { ...record };
+        this.records.set(key, stored);
+        this.index(key, stored);
+        return stored;
+    }
+
+    /**
+     * Merge fields into an existing record
+     * @param {string} key - Primary key
+     * @param {Object} changes - Fields to merge
+     * @returns {Object|null} Updated record or null if not found
+     */
+    update(key, changes) {
+        const existing = this.records.get(String(key));
+        if (!existing) {
+            return null;
+        }
+        return this.put({ ...existing, ...changes, [this.keyField]: existing[this.keyField] });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Primary key
+     * @returns {boolean} True if a record was removed
+     */
+    delete(key) {
+        const existing = this.records.get(String(key));
+        if (!existing) {
+            return false;
+        }
+        this.unindex(String(key), existing);
+        this.records.delete(String(key));
+        return true;
+    }
+
+    /**
+     * Get a record by primary key
+     * @param {string} key - Primary key
+     * @returns {Object|null} Record or null
+     */
+    get(key) {
+        return this.records.get(String(key)) || null;
+    }
+
+    /**
+     * Find all records whose index value matches
+     * @param {string} indexName - Index name
+     * @param {*} value - Value to look up, normalised the same way as the index
+     * @returns {Array} Matching records
+     */
+    findBy(indexName, value) {
+        const index = this.indexes[indexName];
+        if (!index) {
+            throw new Error(`Unknown index: ${indexName}`);
+        }
+        const keys = index.get(value);
+        if (!keys) {
+            return [];
+        }
+        return [...keys].map(key => this.records.get(key));
+    }
+
+    /**
+     * Find the first record whose index value matches
+     * @param {string} indexName - Index name
+     * @param {*} value - Value to look up
+     * @returns {Object|null} Record or null
+     */
+    findOne(indexName, value) {
+        return this.findBy(indexName, value)[0] || null;
+    }
+
+    /**
+     * Get all records in insertion order
+     * @returns {Array} All records
+     */
+    all() {
+        return [...this.records.values()];
+    }
+
+    /**
+     * Number of stored records
+     * @returns {number} Record count
+     */
+    count() {
+        return this.records.size;
+    }
+
+    /**
+     * Index values for a record; an extractor may return an array to index several values
+     * @param {Function} extract - Index extractor
+     * @param {Object} record - Record
+     * @returns {Array} Non-empty index values
+     */
+    indexValues(extract, record) {
+        const value = extract(record);
+        return (Array.isArray(value) ? value : [value])
+            .filter(item => item !== undefined && item !== null);
+    }
+
+    index(key, record) {
+        for (const [name, extract] of Object.entries(this.indexDefinitions)) {
+            const index = this.indexes[name];
+            for (const value of this.indexValues(extract, record)) {
+                if (!index.has(value)) {
+                    index.set(value, new Set());
+                }
+                index.get(value).add(key);
+            }
+        }
+    }
+
+    unindex(key, record) {
+        for (const [name, extract] of Object.entries(this.indexDefinitions)) {
+            for (const value of this.indexValues(extract, record)) {
+                const keys = this.indexes[name].get(value);
+                if (!keys) continue;
+
+                keys.delete(key);
+                if (keys.size === 0) {
+                    this.indexes[name].delete(value);
+                }
+            }
+        }
+    }
+}
+
+module.exports = MemoryStore;
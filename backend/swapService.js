@@ -1,11 +1,20 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { createManagedSigner } = require('./nonceManager');
+const { getProvider } = require('./rpcProvider');
 require('dotenv').config();
 
+// Swap directions through the SimpleDEX WLD/USDC pair
+const SwapDirection = {
+    WLD_TO_USDC: 'WLD_TO_USDC',
+    USDC_TO_WLD: 'USDC_TO_WLD'
+};
+
 /**
  * SwapService - Handles WLD to USDC conversions using SimpleDEX
- * Designed for seamless tree donation user experience
+ * Designed for seamless tree donation user experience; the reverse
+ * USDC to WLD direction serves refunds and liquidity rebalancing
  */
 class SwapService {
     constructor() {
@@ -15,7 +24,7 @@ class SwapService {
         this.SIMPLE_DEX_ADDRESS = process.env.SIMPLE_DEX_CONTRACT || '0x869442b25732C5FCC4c2315df4d6B09229B8B051';
         
         // Initialize provider
-        this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+        this.provider = getProvider('amoy'); // Shared failover provider (RPC_URL first, then backups)
         
         // Load contract ABIs
         this.simpleDexABI = this.loadABI('./deployments/simple-dex-deployment.json');
@@ -31,6 +40,20 @@ class SwapService {
             "function symbol() view returns (string)"
         ];
         
+        // Tokens in the pair (token0 = WLD, token1 = USDC) and the DEX function per direction
+        this.TOKENS = {
+            WLD: { address: this.MOCK_WLD_ADDRESS, decimals: 18 },
+            USDC: { address: this.USDC_ADDRESS, decimals: 6 }
+        };
+        this.DIRECTIONS = {
+            [SwapDirection.WLD_TO_USDC]: { tokenIn: 'WLD', tokenOut: 'USDC', swapFunction: 'swapToken0ForToken1', reverse: false },
+            [SwapDirection.USDC_TO_WLD]: { tokenIn: 'USDC', tokenOut: 'WLD', swapFunction: 'swapToken1ForToken0', reverse: true }
+        };
+        
+        // SimpleDEX swap fee (mirrors FEE_BASIS_POINTS / BASIS_POINTS in the contract)
+        this.FEE_BASIS_POINTS = 30n;
+        this.BASIS_POINTS = 10000n;
+        
         // Default settings
         this.DEFAULT_SLIPPAGE = 150; // 1.5% in basis points
         this.DEFAULT_DEADLINE = 10 * 60; // 10 minutes
@@ -51,14 +74,15 @@ class SwapService {
     }
     
     /**
-     * Create a signer from private key
+     * Create the backend hot-wallet signer (USER_WALLET_PK)
+     * User swaps are signed client-side; see prepareSwap
      */
-    createSigner(privateKey = null) {
-        const pk = privateKey || process.env.USER_WALLET_PK;
+    createSigner() {
+        const pk = process.env.USER_WALLET_PK;
         if (!pk) {
-            throw new Error('No private key provided');
+            throw new Error('USER_WALLET_PK is not configured');
         }
-        return new ethers.Wallet(pk, this.provider);
+        return createManagedSigner(new ethers.Wallet(pk, this.provider));
     }
     
     /**
@@ -88,72 +112,130 @@ class SwapService {
         }
     }
     
+    /**
+     * Read both pool reserves at a single block so quotes can say which block they priced
+     * @returns {Promise<Object>} {reserve0, reserve1, blockNumber} (token0 = WLD, token1 = USDC)
+     */
+    async getReserves() {
+        const simpleDex = new ethers.Contract(this.SIMPLE_DEX_ADDRESS, this.simpleDexABI, this.provider);
+        const blockNumber = await this.provider.getBlockNumber();
+        const [reserve0, reserve1] = await Promise.all([
+            simpleDex.reserve0({ blockTag: blockNumber }),
+            simpleDex.reserve1({ blockTag: blockNumber })
+        ]);
+        return { reserve0, reserve1, blockNumber };
+    }
+    
+    /**
+     * Output the pool would give right now for an input amount
+     * @param {bigint|string} amountInWei - Input amount in wei
+     * @param {string} [direction] - WLD_TO_USDC (default) or USDC_TO_WLD
+     * @returns {Promise<Object>} {amountOut, blockNumber}
+     */
+    async getCurrentOutput(amountInWei, direction = SwapDirection.WLD_TO_USDC) {
+        const simpleDex = new ethers.Contract(this.SIMPLE_DEX_ADDRESS, this.simpleDexABI, this.provider);
+        const { reserve0, reserve1, blockNumber } = await this.getReserves();
+        const [reserveIn, reserveOut] = this.DIRECTIONS[direction].reverse ? [reserve1, reserve0] : [reserve0, reserve1];
+        const amountOut = await simpleDex.getAmountOut(BigInt(amountInWei), reserveIn, reserveOut);
+        return { amountOut, blockNumber };
+    }
+    
+    /**
+     * Resolve a swap direction from a direction name or a tokenIn/tokenOut pair
+     * @param {Object} [params]
+     * @param {string} [params.direction] - 'WLD_TO_USDC' or 'USDC_TO_WLD'
+     * @param {string} [params.tokenIn] - Input token symbol or address
+     * @param {string} [params.tokenOut] - Output token symbol or address
+     * @returns {string} Direction name (defaults to WLD_TO_USDC)
+     */
+    resolveDirection({ direction, tokenIn, tokenOut } = {}) {
+        if (direction) {
+            const name = direction.toUpperCase();
+            if (!this.DIRECTIONS[name]) {
+                throw new Error(`Unsupported swap direction: ${direction}. Use ${Object.keys(this.DIRECTIONS).join(' or ')}`);
+            }
+            return name;
+        }
+        
+        if (!tokenIn && !tokenOut) return SwapDirection.WLD_TO_USDC;
+        
+        const symbolOf = (token) => {
+            if (!token) return null;
+            const match = Object.entries(this.TOKENS).find(([symbol, info]) =>
+                symbol === token.toUpperCase() || info.address.toLowerCase() === token.toLowerCase());
+            if (!match) {
+                throw new Error(`Unsupported token: ${token}. Supported: ${Object.keys(this.TOKENS).join(', ')}`);
+            }
+            return match[0];
+        };
+        const inSymbol = symbolOf(tokenIn);
+        const outSymbol = symbolOf(tokenOut);
+        
+        const name = Object.keys(this.DIRECTIONS).find(key => {
+            const candidate = this.DIRECTIONS[key];
+            return (!inSymbol || candidate.tokenIn === inSymbol) && (!outSymbol || candidate.tokenOut === outSymbol);
+        });
+        if (!name || inSymbol === outSymbol) {
+            throw new Error(`Unsupported swap pair: ${tokenIn || '?'} → ${tokenOut || '?'}`);
+        }
+        return name;
+    }
+    
     /**
      * Get swap quote without executing transaction
      * Perfect for UX previews in the tree donation flow
+     * @param {number} amount - Input amount, in units of the input token
+     * @param {number} slippageBasisPoints - Slippage tolerance
+     * @param {string} [direction] - WLD_TO_USDC (default) or USDC_TO_WLD
      */
-    async getSwapQuote(wldAmount, slippageBasisPoints = this.DEFAULT_SLIPPAGE) {
+    async getSwapQuote(amount, slippageBasisPoints = this.DEFAULT_SLIPPAGE, direction = SwapDirection.WLD_TO_USDC) {
         try {
-            console.log(`🔍 Getting swap quote for ${wldAmount} WLD...`);
+            const { tokenIn, tokenOut, reverse } = this.DIRECTIONS[direction];
+            const decimalsIn = this.TOKENS[tokenIn].decimals;
+            const decimalsOut = this.TOKENS[tokenOut].decimals;
+            console.log(`🔍 Getting swap quote for ${amount} ${tokenIn} → ${tokenOut}...`);
             
             const simpleDex = new ethers.Contract(this.SIMPLE_DEX_ADDRESS, this.simpleDexABI, this.provider);
-            const wldAmountWei = ethers.parseEther(wldAmount.toString());
+            const amountInWei = ethers.parseUnits(amount.toString(), decimalsIn);
             
-            // Get current reserves
-            const [reserve0, reserve1] = await Promise.all([
-                simpleDex.reserve0(),
-                simpleDex.reserve1()
-            ]);
+            // Get current reserves (token0 = WLD, token1 = USDC)
+            const { reserve0, reserve1, blockNumber } = await this.getReserves();
+            const [reserveIn, reserveOut] = reverse ? [reserve1, reserve0] : [reserve0, reserve1];
             
             // Calculate expected output using SimpleDEX formula
-            const expectedOutput = await simpleDex.getAmountOut(wldAmountWei, reserve0, reserve1);
+            const expectedOutput = await simpleDex.getAmountOut(amountInWei, reserveIn, reserveOut);
             
             // Calculate minimum output with slippage protection
             const minOutput = expectedOutput * (10000n - BigInt(slippageBasisPoints)) / 10000n;
             
-            // Calculate price impact (price = USDC per WLD) - handle potential BigInt issues
-            const currentPrice = (reserve1 * ethers.parseEther('1')) / reserve0; // USDC per WLD
-            let priceImpact = 0n;
-            try {
-                const newReserve0 = reserve0 + wldAmountWei;
-                const newReserve1 = reserve1 - expectedOutput;
-                
-                // Prevent negative reserves
-                if (newReserve1 > 0) {
-                    const newPrice = (newReserve1 * ethers.parseEther('1')) / newReserve0;
-                    priceImpact = reserve0 > 0 ? ((currentPrice - newPrice) * 10000n) / currentPrice : 0n;
-                    
-                    // Clamp price impact to reasonable bounds (0-100%)
-                    if (priceImpact < 0n) priceImpact = 0n;
-                    if (priceImpact > 10000n) priceImpact = 10000n;
-                } else {
-                    priceImpact = 10000n; // 100% if trade would drain pool
-                }
-            } catch (error) {
-                console.warn('Price impact calculation failed:', error.message);
-                priceImpact = 0n;
-            }
+            const currentPrice = (reserveOut * 10n ** BigInt(decimalsIn)) / reserveIn;
+            const priceImpact = this.calculatePriceImpact(reserveIn, reserveOut, amountInWei, expectedOutput, decimalsIn);
             
             const quote = {
-                inputAmount: wldAmount,
-                inputAmountWei: wldAmountWei.toString(),
-                expectedOutput: ethers.formatUnits(expectedOutput, 6),
+                direction,
+                tokenIn,
+                tokenOut,
+                inputAmount: amount,
+                inputAmountWei: amountInWei.toString(),
+                expectedOutput: ethers.formatUnits(expectedOutput, decimalsOut),
                 expectedOutputWei: expectedOutput.toString(),
-                minOutput: ethers.formatUnits(minOutput, 6),
+                minOutput: ethers.formatUnits(minOutput, decimalsOut),
                 minOutputWei: minOutput.toString(),
-                exchangeRate: ethers.formatUnits(currentPrice, 6),
+                exchangeRate: ethers.formatUnits(currentPrice, decimalsOut),
                 priceImpact: priceImpact.toString(), // basis points
+                feeBasisPoints: Number(this.FEE_BASIS_POINTS),
                 slippage: slippageBasisPoints,
+                blockNumber,
                 timestamp: Date.now(),
                 poolReserves: {
-                    wld: ethers.formatEther(reserve0),
-                    usdc: ethers.formatUnits(reserve1, 6)
+                    wld: ethers.formatUnits(reserve0, this.TOKENS.WLD.decimals),
+                    usdc: ethers.formatUnits(reserve1, this.TOKENS.USDC.decimals)
                 }
             };
             
             console.log('📊 Swap Quote Generated:');
-            console.log(`   ${quote.inputAmount} WLD → ${quote.expectedOutput} USDC`);
-            console.log(`   Rate: 1 WLD = ${quote.exchangeRate} USDC`);
+            console.log(`   ${quote.inputAmount} ${tokenIn} → ${quote.expectedOutput} ${tokenOut}`);
+            console.log(`   Rate: 1 ${tokenIn} = ${quote.exchangeRate} ${tokenOut}`);
             console.log(`   Price Impact: ${Number(quote.priceImpact) / 100}%`);
             
             return quote;
@@ -165,26 +247,322 @@ class SwapService {
     }
     
     /**
-     * Execute WLD to USDC swap for tree donations
+     * Get an exact-output quote: how much input is needed to receive a target output
+     * Inverts the constant-product formula including SimpleDEX's 0.3% fee
+     * @param {number} amountOut - Target output amount, in units of the output token
+     * @param {number} slippageBasisPoints - Slippage tolerance
+     * @param {string} [direction] - WLD_TO_USDC (default) or USDC_TO_WLD
+     * @returns {Object} Quote with the required input and its slippage bounds
+     */
+    async getExactOutputQuote(amountOut, slippageBasisPoints = this.DEFAULT_SLIPPAGE, direction = SwapDirection.WLD_TO_USDC) {
+        const { tokenIn, tokenOut, reverse } = this.DIRECTIONS[direction];
+        const decimalsIn = this.TOKENS[tokenIn].decimals;
+        const decimalsOut = this.TOKENS[tokenOut].decimals;
+        console.log(`🔍 Getting exact-output quote for ${amountOut} ${tokenOut} from ${tokenIn}...`);
+        
+        const amountOutWei = ethers.parseUnits(amountOut.toString(), decimalsOut);
+        
+        let reserve0, reserve1, blockNumber;
+        try {
+            ({ reserve0, reserve1, blockNumber } = await this.getReserves());
+        } catch (error) {
+            console.error('Failed to get exact-output quote:', error);
+            throw new Error(`Could not generate swap quote: ${error.message}`);
+        }
+        const [reserveIn, reserveOut] = reverse ? [reserve1, reserve0] : [reserve0, reserve1];
+        
+        if (amountOutWei >= reserveOut) {
+            throw new Error(`Insufficient liquidity: pool holds ${ethers.formatUnits(reserveOut, decimalsOut)} ${tokenOut}`);
+        }
+        
+        const requiredInput = this.getAmountIn(amountOutWei, reserveIn, reserveOut);
+        
+        // Sending maxInput still yields the target if the price moves against us by the slippage tolerance;
+        // sending requiredInput yields at least minOutput
+        const maxInput = (requiredInput * (10000n + BigInt(slippageBasisPoints)) + 9999n) / 10000n;
+        const minOutput = amountOutWei * (10000n - BigInt(slippageBasisPoints)) / 10000n;
+        
+        const currentPrice = (reserveOut * 10n ** BigInt(decimalsIn)) / reserveIn;
+        const priceImpact = this.calculatePriceImpact(reserveIn, reserveOut, requiredInput, amountOutWei, decimalsIn);
+        
+        const quote = {
+            direction,
+            tokenIn,
+            tokenOut,
+            exactOutput: true,
+            outputAmount: amountOut,
+            outputAmountWei: amountOutWei.toString(),
+            inputAmount: ethers.formatUnits(requiredInput, decimalsIn),
+            inputAmountWei: requiredInput.toString(),
+            maxInput: ethers.formatUnits(maxInput, decimalsIn),
+            maxInputWei: maxInput.toString(),
+            expectedOutput: ethers.formatUnits(amountOutWei, decimalsOut),
+            expectedOutputWei: amountOutWei.toString(),
+            minOutput: ethers.formatUnits(minOutput, decimalsOut),
+            minOutputWei: minOutput.toString(),
+            exchangeRate: ethers.formatUnits(currentPrice, decimalsOut),
+            priceImpact: priceImpact.toString(), // basis points
+            feeBasisPoints: Number(this.FEE_BASIS_POINTS),
+            slippage: slippageBasisPoints,
+            blockNumber,
+            timestamp: Date.now(),
+            poolReserves: {
+                wld: ethers.formatUnits(reserve0, this.TOKENS.WLD.decimals),
+                usdc: ethers.formatUnits(reserve1, this.TOKENS.USDC.decimals)
+            }
+        };
+        
+        console.log('📊 Exact-Output Quote Generated:');
+        console.log(`   ${quote.inputAmount} ${tokenIn} (max ${quote.maxInput}) → ${quote.expectedOutput} ${tokenOut}`);
+        console.log(`   Price Impact: ${Number(quote.priceImpact) / 100}%`);
+        
+        return quote;
+    }
+    
+    /**
+     * Input needed for an exact output, rounded up so the swap never falls short
+     * Inverse of SimpleDEX's getAmountOut
+     * @param {bigint} amountOut - Desired output in wei
+     * @param {bigint} reserveIn - Reserve of the input token
+     * @param {bigint} reserveOut - Reserve of the output token
+     * @returns {bigint} Required input in wei
+     */
+    getAmountIn(amountOut, reserveIn, reserveOut) {
+        const numerator = reserveIn * amountOut * this.BASIS_POINTS;
+        const denominator = (reserveOut - amountOut) * (this.BASIS_POINTS - this.FEE_BASIS_POINTS);
+        return numerator / denominator + 1n;
+    }
+    
+    /**
+     * Output for an input, computed locally with SimpleDEX's getAmountOut formula
+     * @param {bigint} amountIn - Input in wei
+     * @param {bigint} reserveIn - Reserve of the input token
+     * @param {bigint} reserveOut - Reserve of the output token
+     * @returns {bigint} Output in wei
+     */
+    calculateAmountOut(amountIn, reserveIn, reserveOut) {
+        const amountInWithFee = amountIn * (this.BASIS_POINTS - this.FEE_BASIS_POINTS);
+        return amountInWithFee * reserveOut / (reserveIn * this.BASIS_POINTS + amountInWithFee);
+    }
+    
+    /**
+     * Largest input whose price impact stays within a limit (binary search over calculatePriceImpact)
+     * @param {bigint} reserveIn - Reserve of the input token
+     * @param {bigint} reserveOut - Reserve of the output token
+     * @param {number} decimalsIn - Input token decimals
+     * @param {number} maxImpactBps - Impact limit in basis points
+     * @returns {bigint} Maximum input in wei (0 if even the smallest trade exceeds the limit)
+     */
+    getMaxInputForImpact(reserveIn, reserveOut, decimalsIn, maxImpactBps) {
+        const limit = BigInt(maxImpactBps);
+        const impactOf = (amountIn) => this.calculatePriceImpact(
+            reserveIn, reserveOut, amountIn, this.calculateAmountOut(amountIn, reserveIn, reserveOut), decimalsIn
+        );
+        
+        let low = 0n;
+        let high = reserveIn;
+        while (high - low > 1n) {
+            const middle = (low + high) / 2n;
+            if (impactOf(middle) <= limit) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * Plan an input as sequential swaps that each stay within a price-impact limit
+     * Simulates each order against the reserves the previous one leaves behind.
+     * @param {bigint|string} amountInWei - Total input in wei
+     * @param {Object} options
+     * @param {number} options.maxImpactBps - Per-order impact limit in basis points
+     * @param {number} options.maxOrders - Most orders to split into
+     * @param {number} [options.slippageBasisPoints] - Slippage tolerance per order
+     * @param {string} [options.direction] - WLD_TO_USDC (default) or USDC_TO_WLD
+     * @returns {Promise<Object>} {orders, filledWei, unfilledWei, singleOrderMaxWei, priceImpact, blockNumber}
+     */
+    async planOrders(amountInWei, { maxImpactBps, maxOrders, slippageBasisPoints = this.DEFAULT_SLIPPAGE, direction = SwapDirection.WLD_TO_USDC }) {
+        const { tokenIn, reverse } = this.DIRECTIONS[direction];
+        const decimalsIn = this.TOKENS[tokenIn].decimals;
+        const { reserve0, reserve1, blockNumber } = await this.getReserves();
+        const [startIn, startOut] = reverse ? [reserve1, reserve0] : [reserve0, reserve1];
+        
+        let reserveIn = startIn;
+        let reserveOut = startOut;
+        let remaining = BigInt(amountInWei);
+        const orders = [];
+        
+        while (remaining > 0n && orders.length < maxOrders) {
+            const amountIn = [remaining, this.getMaxInputForImpact(reserveIn, reserveOut, decimalsIn, maxImpactBps)]
+                .reduce((a, b) => (a < b ? a : b));
+            if (amountIn === 0n) break;
+            
+            const amountOut = this.calculateAmountOut(amountIn, reserveIn, reserveOut);
+            orders.push({
+                amountInWei: amountIn,
+                expectedOutputWei: amountOut,
+                minOutputWei: amountOut * (10000n - BigInt(slippageBasisPoints)) / 10000n,
+                priceImpact: this.calculatePriceImpact(reserveIn, reserveOut, amountIn, amountOut, decimalsIn)
+            });
+            
+            reserveIn += amountIn;
+            reserveOut -= amountOut;
+            remaining -= amountIn;
+        }
+        
+        const filledWei = BigInt(amountInWei) - remaining;
+        const totalOut = orders.reduce((sum, order) => sum + order.expectedOutputWei, 0n);
+        
+        return {
+            orders,
+            filledWei,
+            unfilledWei: remaining,
+            singleOrderMaxWei: this.getMaxInputForImpact(startIn, startOut, decimalsIn, maxImpactBps),
+            // Impact of all orders together, from the starting price
+            priceImpact: filledWei > 0n ? this.calculatePriceImpact(startIn, startOut, filledWei, totalOut, decimalsIn) : 0n,
+            blockNumber
+        };
+    }
+    
+    /**
+     * Price impact of a trade in basis points (price = output token per input token)
+     * @param {bigint} reserveIn - Reserve of the input token
+     * @param {bigint} reserveOut - Reserve of the output token
+     * @param {bigint} amountIn - Trade input in wei
+     * @param {bigint} amountOut - Trade output in wei
+     * @param {number} decimalsIn - Input token decimals
+     * @returns {bigint} Impact clamped to 0-10000
+     */
+    calculatePriceImpact(reserveIn, reserveOut, amountIn, amountOut, decimalsIn) {
+        const oneIn = 10n ** BigInt(decimalsIn);
+        const currentPrice = (reserveOut * oneIn) / reserveIn;
+        try {
+            const newReserveIn = reserveIn + amountIn;
+            const newReserveOut = reserveOut - amountOut;
+            
+            // Prevent negative reserves
+            if (newReserveOut <= 0n) {
+                return 10000n; // 100% if trade would drain pool
+            }
+            
+            const newPrice = (newReserveOut * oneIn) / newReserveIn;
+            let priceImpact = reserveIn > 0n && currentPrice > 0n ? ((currentPrice - newPrice) * 10000n) / currentPrice : 0n;
+            
+            // Clamp price impact to reasonable bounds (0-100%)
+            if (priceImpact < 0n) priceImpact = 0n;
+            if (priceImpact > 10000n) priceImpact = 10000n;
+            return priceImpact;
+        } catch (error) {
+            console.warn('Price impact calculation failed:', error.message);
+            return 0n;
+        }
+    }
+    
+    /**
+     * Build the unsigned approve (if needed) and swap transactions for a user's wallet
+     * Uses the same quote and calldata as executeSwap; the user signs and the relay broadcasts.
+     * @param {string} userAddress - Wallet that will sign and send the swap
+     * @param {number} amount - Input amount to swap
+     * @param {number} slippageBasisPoints - Slippage tolerance
+     * @param {string} [direction] - WLD_TO_USDC (default) or USDC_TO_WLD
+     * @returns {Object} Quote and ordered transactions to sign
+     */
+    async prepareSwap(userAddress, amount, slippageBasisPoints = this.DEFAULT_SLIPPAGE, direction = SwapDirection.WLD_TO_USDC) {
+        const quote = await this.getSwapQuote(amount, slippageBasisPoints, direction);
+        const transactions = await this.buildSwapTransactions(userAddress, quote);
+        return { quote, transactions };
+    }
+    
+    /**
+     * Build the unsigned approve (if needed) and swap transactions for an existing quote
+     * The swap uses the quote's input amount and minimum output exactly.
+     * @param {string} userAddress - Wallet that will sign and send the swap
+     * @param {Object} quote - Quote from getSwapQuote or getExactOutputQuote
+     * @param {Array<Object>} [orders] - Split orders ({inputAmountWei, minOutputWei}) to send as separate swaps
+     * @returns {Promise<Array<Object>>} Ordered transactions to sign
+     */
+    async buildSwapTransactions(userAddress, quote, orders = null) {
+        const { tokenIn, swapFunction } = this.DIRECTIONS[quote.direction || SwapDirection.WLD_TO_USDC];
+        const requiredAmount = BigInt(quote.inputAmountWei);
+        const swaps = orders || [{ inputAmountWei: quote.inputAmountWei, minOutputWei: quote.minOutputWei }];
+        
+        const inputToken = new ethers.Contract(this.TOKENS[tokenIn].address, this.erc20ABI, this.provider);
+        const [balance, allowance] = await Promise.all([
+            inputToken.balanceOf(userAddress),
+            inputToken.allowance(userAddress, this.SIMPLE_DEX_ADDRESS)
+        ]);
+        
+        if (balance < requiredAmount) {
+            throw new Error(`Insufficient ${tokenIn} balance. Required: ${quote.inputAmount}, Available: ${ethers.formatUnits(balance, this.TOKENS[tokenIn].decimals)}`);
+        }
+        
+        const transactions = [];
+        if (allowance < requiredAmount) {
+            transactions.push({
+                label: 'approve',
+                to: this.TOKENS[tokenIn].address,
+                data: inputToken.interface.encodeFunctionData('approve', [this.SIMPLE_DEX_ADDRESS, requiredAmount])
+            });
+        }
+        
+        const simpleDex = new ethers.Interface(this.simpleDexABI);
+        swaps.forEach((order, index) => {
+            transactions.push({
+                label: swaps.length > 1 ? `swap ${index + 1}/${swaps.length}` : 'swap',
+                to: this.SIMPLE_DEX_ADDRESS,
+                data: simpleDex.encodeFunctionData(swapFunction, [order.inputAmountWei, order.minOutputWei, userAddress]),
+                gasLimit: '300000' // Can't be estimated before the approval is mined
+            });
+        });
+        
+        return transactions;
+    }
+    
+    /**
+     * Execute WLD to USDC swap from the backend hot wallet
      * Returns detailed transaction information for UX tracking
      */
-    async swapWLDtoUSDC(wldAmount, userPrivateKey = null, slippageBasisPoints = this.DEFAULT_SLIPPAGE) {
+    async swapWLDtoUSDC(wldAmount, slippageBasisPoints = this.DEFAULT_SLIPPAGE) {
+        return this.executeSwap(wldAmount, slippageBasisPoints, SwapDirection.WLD_TO_USDC);
+    }
+    
+    /**
+     * Execute USDC to WLD swap from the backend hot wallet (refunds, rebalancing)
+     */
+    async swapUSDCtoWLD(usdcAmount, slippageBasisPoints = this.DEFAULT_SLIPPAGE) {
+        return this.executeSwap(usdcAmount, slippageBasisPoints, SwapDirection.USDC_TO_WLD);
+    }
+    
+    /**
+     * Execute a swap in either direction from the backend hot wallet
+     * @param {number} amount - Input amount to swap
+     * @param {number} slippageBasisPoints - Slippage tolerance
+     * @param {string} direction - WLD_TO_USDC or USDC_TO_WLD
+     * @returns {Object} Transaction, amounts and balances, or {success: false, error}
+     */
+    async executeSwap(amount, slippageBasisPoints = this.DEFAULT_SLIPPAGE, direction = SwapDirection.WLD_TO_USDC) {
         try {
-            console.log(`🔄 Executing swap: ${wldAmount} WLD → USDC...`);
+            const { tokenIn, tokenOut, swapFunction } = this.DIRECTIONS[direction];
+            const decimalsIn = this.TOKENS[tokenIn].decimals;
+            const decimalsOut = this.TOKENS[tokenOut].decimals;
+            console.log(`🔄 Executing swap: ${amount} ${tokenIn} → ${tokenOut}...`);
             
             // Create signer
-            const signer = this.createSigner(userPrivateKey);
+            const signer = this.createSigner();
             console.log(`💰 Wallet: ${signer.address}`);
             
             // Get swap quote first
-            const quote = await this.getSwapQuote(wldAmount, slippageBasisPoints);
+            const quote = await this.getSwapQuote(amount, slippageBasisPoints, direction);
             
             // Create contract instances with signer
             const mockWLD = new ethers.Contract(this.MOCK_WLD_ADDRESS, this.mockWldABI, signer);
             const usdc = new ethers.Contract(this.USDC_ADDRESS, this.erc20ABI, signer);
             const simpleDex = new ethers.Contract(this.SIMPLE_DEX_ADDRESS, this.simpleDexABI, signer);
+            const inputToken = tokenIn === 'WLD' ? mockWLD : usdc;
             
-            // Check user balances
+            // Check wallet balances
             const [wldBalance, usdcBalanceBefore] = await Promise.all([
                 mockWLD.balanceOf(signer.address),
                 usdc.balanceOf(signer.address)
@@ -194,24 +572,25 @@ class SwapService {
             console.log(`💰 USDC Balance: ${ethers.formatUnits(usdcBalanceBefore, 6)} USDC`);
             
             // Verify sufficient balance
-            if (wldBalance < ethers.parseEther(wldAmount.toString())) {
-                throw new Error(`Insufficient WLD balance. Required: ${wldAmount}, Available: ${ethers.formatEther(wldBalance)}`);
+            const requiredAmount = BigInt(quote.inputAmountWei);
+            const inputBalance = tokenIn === 'WLD' ? wldBalance : usdcBalanceBefore;
+            if (inputBalance < requiredAmount) {
+                throw new Error(`Insufficient ${tokenIn} balance. Required: ${amount}, Available: ${ethers.formatUnits(inputBalance, decimalsIn)}`);
             }
             
-            // Check and approve WLD spending if needed
-            const allowance = await mockWLD.allowance(signer.address, this.SIMPLE_DEX_ADDRESS);
-            const requiredAmount = ethers.parseEther(wldAmount.toString());
+            // Check and approve spending if needed
+            const allowance = await inputToken.allowance(signer.address, this.SIMPLE_DEX_ADDRESS);
             
             if (allowance < requiredAmount) {
-                console.log('✅ Approving WLD spending...');
-                const approveTx = await mockWLD.approve(this.SIMPLE_DEX_ADDRESS, requiredAmount);
+                console.log(`✅ Approving ${tokenIn} spending...`);
+                const approveTx = await inputToken.approve(this.SIMPLE_DEX_ADDRESS, requiredAmount);
                 await approveTx.wait();
-                console.log('   WLD approval confirmed');
+                console.log(`   ${tokenIn} approval confirmed`);
             }
             
             // Execute swap
             console.log('🔄 Executing swap transaction...');
-            const swapTx = await simpleDex.swapToken0ForToken1(
+            const swapTx = await simpleDex[swapFunction](
                 requiredAmount,
                 quote.minOutputWei,
                 signer.address,
@@ -232,22 +611,27 @@ class SwapService {
                 usdc.balanceOf(signer.address)
             ]);
             
-            const actualWldUsed = wldBalance - wldBalanceAfter;
-            const actualUsdcReceived = usdcBalanceAfter - usdcBalanceBefore;
+            const wldDelta = wldBalanceAfter - wldBalance;
+            const usdcDelta = usdcBalanceAfter - usdcBalanceBefore;
+            const actualIn = tokenIn === 'WLD' ? -wldDelta : -usdcDelta;
+            const actualOut = tokenOut === 'WLD' ? wldDelta : usdcDelta;
             
             const result = {
                 success: true,
+                direction,
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
                 gasPrice: ethers.formatUnits(receipt.gasPrice, 'gwei'),
                 transactionCost: ethers.formatEther(receipt.gasUsed * receipt.gasPrice),
                 swap: {
-                    inputAmount: ethers.formatEther(actualWldUsed),
-                    outputAmount: ethers.formatUnits(actualUsdcReceived, 6),
+                    tokenIn,
+                    tokenOut,
+                    inputAmount: ethers.formatUnits(actualIn, decimalsIn),
+                    outputAmount: ethers.formatUnits(actualOut, decimalsOut),
                     expectedOutput: quote.expectedOutput,
-                    slippageUsed: ((BigInt(quote.expectedOutputWei) - actualUsdcReceived) * 10000n / BigInt(quote.expectedOutputWei)).toString(),
-                    effectiveRate: ethers.formatUnits(actualUsdcReceived * ethers.parseEther('1') / actualWldUsed, 6)
+                    slippageUsed: ((BigInt(quote.expectedOutputWei) - actualOut) * 10000n / BigInt(quote.expectedOutputWei)).toString(),
+                    effectiveRate: ethers.formatUnits(actualOut * 10n ** BigInt(decimalsIn) / actualIn, decimalsOut)
                 },
                 balances: {
                     wldBefore: ethers.formatEther(wldBalance),
@@ -260,9 +644,9 @@ class SwapService {
             };
             
             console.log('📊 Swap Results:');
-            console.log(`   WLD Used: ${result.swap.inputAmount} WLD`);
-            console.log(`   USDC Received: ${result.swap.outputAmount} USDC`);
-            console.log(`   Effective Rate: 1 WLD = ${result.swap.effectiveRate} USDC`);
+            console.log(`   ${tokenIn} Used: ${result.swap.inputAmount} ${tokenIn}`);
+            console.log(`   ${tokenOut} Received: ${result.swap.outputAmount} ${tokenOut}`);
+            console.log(`   Effective Rate: 1 ${tokenIn} = ${result.swap.effectiveRate} ${tokenOut}`);
             console.log(`   Gas Cost: ${result.transactionCost} POL`);
             
             return result;
@@ -276,7 +660,60 @@ class SwapService {
             };
         }
     }
-    
+
+    /**
+     * Broadcast a swap from the hot wallet for a given quote, without waiting
+     * Approves the DEX first if needed; the swap hash reaches onSigned before broadcast.
+     * @param {Object} quote - Quote from getSwapQuote (its direction picks the swap function)
+     * @param {Object} signer - Nonce-managed hot-wallet signer
+     * @param {Function} onSigned - Async callback with {raw, hash, nonce}, run before broadcast
+     * @returns {Promise<Object>} Transaction response
+     */
+    async sendSwap(quote, signer, onSigned) {
+        const { tokenIn, swapFunction } = this.DIRECTIONS[quote.direction || SwapDirection.WLD_TO_USDC];
+        const requiredAmount = BigInt(quote.inputAmountWei);
+        const inputToken = new ethers.Contract(this.TOKENS[tokenIn].address, this.erc20ABI, signer);
+
+        const [balance, allowance] = await Promise.all([
+            inputToken.balanceOf(signer.address),
+            inputToken.allowance(signer.address, this.SIMPLE_DEX_ADDRESS)
+        ]);
+
+        if (balance < requiredAmount) {
+            throw new Error(`Insufficient ${tokenIn} balance. Required: ${quote.inputAmount}, Available: ${ethers.formatUnits(balance, this.TOKENS[tokenIn].decimals)}`);
+        }
+
+        if (allowance < requiredAmount) {
+            console.log(`✅ Approving ${tokenIn} spending...`);
+            const approveTx = await inputToken.approve(this.SIMPLE_DEX_ADDRESS, requiredAmount);
+            await approveTx.wait();
+        }
+
+        const simpleDex = new ethers.Interface(this.simpleDexABI);
+        return signer.sendTransactionPersisted({
+            to: this.SIMPLE_DEX_ADDRESS,
+            data: simpleDex.encodeFunctionData(swapFunction, [requiredAmount, quote.minOutputWei, signer.address]),
+            gasLimit: 300000
+        }, onSigned);
+    }
+
+    /**
+     * Read the amounts from the TokensSwapped event in a swap receipt
+     * @param {Object} receipt - Transaction receipt
+     * @returns {Object|null} {amountIn, amountOut} in wei, or null if no swap event
+     */
+    parseSwapReceipt(receipt) {
+        const simpleDex = new ethers.Interface(this.simpleDexABI);
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.SIMPLE_DEX_ADDRESS.toLowerCase()) continue;
+            const parsed = simpleDex.parseLog(log);
+            if (parsed && parsed.name === 'TokensSwapped') {
+                return { amountIn: parsed.args.amountIn, amountOut: parsed.args.amountOut };
+            }
+        }
+        return null;
+    }
+
     /**
      * Get transaction status for tracking donation progress
      */
@@ -306,19 +743,20 @@ class SwapService {
     /**
      * Estimate gas for a swap transaction
      */
-    async estimateSwapGas(wldAmount, userAddress) {
+    async estimateSwapGas(amount, userAddress, direction = SwapDirection.WLD_TO_USDC) {
         try {
             const signer = new ethers.VoidSigner(userAddress, this.provider);
             const simpleDex = new ethers.Contract(this.SIMPLE_DEX_ADDRESS, this.simpleDexABI, signer);
-            const quote = await this.getSwapQuote(wldAmount);
+            const quote = await this.getSwapQuote(amount, this.DEFAULT_SLIPPAGE, direction);
             
-            const gasEstimate = await simpleDex.swapToken0ForToken1.estimateGas(
+            const gasEstimate = await simpleDex[this.DIRECTIONS[direction].swapFunction].estimateGas(
                 quote.inputAmountWei,
                 quote.minOutputWei,
                 userAddress
             );
             
             return {
+                direction,
                 gasLimit: gasEstimate.toString(),
                 gasLimitWithBuffer: (gasEstimate * 120n / 100n).toString(), // 20% buffer
                 estimatedCost: ethers.formatEther(gasEstimate * await this.provider.getFeeData().then(f => f.gasPrice))
@@ -326,6 +764,7 @@ class SwapService {
         } catch (error) {
             console.error('Failed to estimate gas:', error);
             return {
+                direction,
                 gasLimit: '300000', // fallback
                 gasLimitWithBuffer: '360000',
                 estimatedCost: '0.02' // rough estimate
@@ -340,10 +779,15 @@ const swapService = new SwapService();
 // Export individual functions for easier testing
 module.exports = {
     SwapService,
+    SwapDirection,
     swapService,
-    getSwapQuote: (wldAmount, slippage) => swapService.getSwapQuote(wldAmount, slippage),
-    swapWLDtoUSDC: (wldAmount, privateKey, slippage) => swapService.swapWLDtoUSDC(wldAmount, privateKey, slippage),
+    getSwapQuote: (amount, slippage, direction) => swapService.getSwapQuote(amount, slippage, direction),
+    getExactOutputQuote: (amountOut, slippage, direction) => swapService.getExactOutputQuote(amountOut, slippage, direction),
+    swapWLDtoUSDC: (wldAmount, slippage) => swapService.swapWLDtoUSDC(wldAmount, slippage),
+    swapUSDCtoWLD: (usdcAmount, slippage) => swapService.swapUSDCtoWLD(usdcAmount, slippage),
+    executeSwap: (amount, slippage, direction) => swapService.executeSwap(amount, slippage, direction),
+    prepareSwap: (userAddress, amount, slippage, direction) => swapService.prepareSwap(userAddress, amount, slippage, direction),
     getPoolInfo: () => swapService.getPoolInfo(),
     getTransactionStatus: (txHash) => swapService.getTransactionStatus(txHash),
-    estimateSwapGas: (wldAmount, userAddress) => swapService.estimateSwapGas(wldAmount, userAddress)
+    estimateSwapGas: (amount, userAddress, direction) => swapService.estimateSwapGas(amount, userAddress, direction)
 }; 
\ No newline at end of file
@@ -6,7 +6,7 @@ const axios = require('axios');
 async function testAPIEndpoints() {
     console.log('🧪 Testing Swap API Endpoints...\n');
     
-    const baseURL = 'http://localhost:3000';
+    const baseURL = 'http://localhost:3001';
     const testAddress = '0xfb52765c16aC1760Ceb83332796271d1362139c4'; // Our test wallet
     
     try {
@@ -146,7 +146,7 @@ async function testAPIEndpoints() {
 async function testSpecificEndpoint(endpoint) {
     console.log(`🔍 Testing specific endpoint: ${endpoint}\n`);
     
-    const baseURL = 'http://localhost:3000';
+    const baseURL = 'http://localhost:3001';
     
     try {
         const response = await axios.get(`${baseURL}${endpoint}`);
@@ -166,7 +166,7 @@ async function testSpecificEndpoint(endpoint) {
 
 // Check if server is running
 async function checkServerStatus() {
-    const baseURL = 'http://localhost:3000';
+    const baseURL = 'http://localhost:3001';
     
     try {
         const response = await axios.get(`${baseURL}/health`, { timeout: 3000 });
@@ -77,7 +77,7 @@ async function testDonation() {
             console.log(`📜 Transaction Hash: ${result.transactionHash}`);
             console.log(`💸 Amount Donated: ${result.amount} USDC`);
             console.log(`🎯 Recipient: ${result.recipient}`);
-            console.log(`⛽ Gas Used: ${result.gasUsed}`);
+            console.log(`📌 Status: ${result.status} (donation ${result.donationId})`);
             console.log(`🌐 Network: ${result.network}`);
             
             // Check new balances
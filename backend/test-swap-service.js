@@ -1,4 +1,4 @@
-const { swapService, getSwapQuote, swapWLDtoUSDC, getPoolInfo } = require('./swapService');
+const { swapService, SwapDirection, getSwapQuote, swapWLDtoUSDC, getPoolInfo } = require('./swapService');
 
 /**
  * Test the SwapService functionality
@@ -31,6 +31,17 @@ async function testSwapService() {
                 console.log(`❌ Failed to get quote for ${amount} WLD: ${error.message}`);
             }
         }
+        
+        // Reverse direction, as used for refunds and rebalancing
+        for (const amount of [1, 10]) {
+            try {
+                const quote = await getSwapQuote(amount, undefined, SwapDirection.USDC_TO_WLD);
+                console.log(`${amount} USDC → ${quote.expectedOutput} WLD (Rate: ${quote.exchangeRate})`);
+                console.log(`  Price Impact: ${Number(quote.priceImpact) / 100}%`);
+            } catch (error) {
+                console.log(`❌ Failed to get quote for ${amount} USDC: ${error.message}`);
+            }
+        }
         console.log('');
         
         // Test 3: Execute a small swap (if we have balance)
@@ -4,11 +4,31 @@
  */
 
 const axios = require('axios');
+const { ethers } = require('ethers');
 require('dotenv').config();
 
-const baseURL = 'http://localhost:3000';
+const baseURL = 'http://localhost:3001';
 const testDonorAddress = '0xfb52765c16aC1760Ceb83332796271d1362139c4';
-const testPrivateKey = process.env.USER_WALLET_PK;
+// The key only signs locally; it is never sent to the server
+const testWallet = process.env.USER_WALLET_PK ? new ethers.Wallet(process.env.USER_WALLET_PK) : null;
+
+/**
+ * Sign an intent's unsigned transactions with the local test wallet
+ */
+async function signIntent(intent) {
+  return Promise.all(intent.transactions.map(tx => testWallet.signTransaction({
+    type: tx.type,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+    ...(tx.type === 2
+      ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+      : { gasPrice: tx.gasPrice })
+  })));
+}
 
 async function testTreePurchaseFlow() {
   console.log('🌳 Testing Tree Purchase Flow\n');
@@ -47,8 +67,11 @@ async function testTreePurchaseFlow() {
     });
     console.log('✅ History retrieved successfully\n');
 
-    // Test 4: Execute tree donations
+    // Test 4: Execute tree donations (prepare, sign locally, relay)
     console.log('💰 Test 4: Executing tree donations...');
+    if (!testWallet) {
+      throw new Error('USER_WALLET_PK is required to sign test donations locally');
+    }
     const donationAmounts = [1, 5, 10]; // Test with different amounts
     const donationRecords = [];
 
@@ -56,15 +79,19 @@ async function testTreePurchaseFlow() {
       try {
         console.log(`  🌱 Donating $${amount} USDC...`);
         
-        const donationResponse = await axios.post(`${baseURL}/api/trees/donate`, {
+        const prepareResponse = await axios.post(`${baseURL}/api/trees/prepare`, {
           amount: amount,
           donorAddress: testDonorAddress,
-          privateKey: testPrivateKey,
           message: `Test donation of $${amount} for tree planting`
         });
+        const intent = prepareResponse.data.data;
+
+        const relayResponse = await axios.post(`${baseURL}/api/relay/${intent.id}`, {
+          signedTransactions: await signIntent(intent)
+        });
 
-        const donation = donationResponse.data.data.donation;
-        const receipt = donationResponse.data.data.receipt;
+        const donation = relayResponse.data.data.donation;
+        const receipt = relayResponse.data.data.receipt;
         
         console.log(`     ✅ Donation ID: ${donation.id}`);
         console.log(`     🌳 Trees planted: ${donation.impact.treesPlanted}`);
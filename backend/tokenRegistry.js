@@ -0,0 +1,201 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { RelayError } = require('./transactionRelay');
+require('dotenv').config();
+
+/**
+ * Token Registry
+ * Tokens donors can give: address, decimals, symbol and the swap venues that
+ * can route them to USDC. WLD and USDC come from SwapService and native POL is
+ * built in; more (USDT, DAI, ...) are added with TOKEN_REGISTRY_FILE, a JSON
+ * array of {symbol, address, decimals, route?}.
+ *
+ * Decimals are per token: amounts are parsed with the token's own decimals and
+ * the registered value is checked against the contract before it is used.
+ */
+
+// Address aggregators use for the chain's native token
+const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const SETTLEMENT_TOKEN = 'USDC';
+const DEFAULT_ROUTE = ['1inch'];
+
+const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+class TokenRegistry {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService (WLD/USDC and the provider)
+     * @param {string} [options.file] - Extra tokens (TOKEN_REGISTRY_FILE)
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.provider = this.swapService.provider;
+        this.tokens = new Map();
+        this.verified = new Map();
+
+        const { WLD, USDC } = this.swapService.TOKENS;
+        this.register({ symbol: 'USDC', ...USDC, route: [] });
+        this.register({ symbol: 'WLD', ...WLD, route: ['simpledex', '1inch'] });
+        this.register({ symbol: 'POL', address: NATIVE_TOKEN_ADDRESS, decimals: 18, native: true, route: DEFAULT_ROUTE });
+
+        const file = options.file || process.env.TOKEN_REGISTRY_FILE;
+        if (file) {
+            const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(entries)) {
+                throw new Error(`${file} must hold an array of tokens`);
+            }
+            entries.forEach(entry => this.register(entry));
+        }
+    }
+
+    /**
+     * Add or replace a token
+     * @param {Object} token - {symbol, address, decimals, native?, route?}
+     * @returns {Object} Registered token
+     * @throws {Error} If the entry is malformed
+     */
+    register(token) {
+        const symbol = String(token.symbol || '').toUpperCase();
+        if (!/^[A-Z0-9.]{1,12}$/.test(symbol)) {
+            throw new Error(`Invalid token symbol: ${token.symbol}`);
+        }
+        if (!ethers.isAddress(token.address)) {
+            throw new Error(`Invalid address for ${symbol}: ${token.address}`);
+        }
+        if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+            throw new Error(`Invalid decimals for ${symbol}: ${token.decimals}`);
+        }
+        const route = token.route ?? DEFAULT_ROUTE;
+        if (!Array.isArray(route)) {
+            throw new Error(`Route for ${symbol} must be a list of venues`);
+        }
+
+        const entry = {
+            symbol,
+            address: ethers.getAddress(token.address),
+            decimals: token.decimals,
+            native: Boolean(token.native),
+            route
+        };
+        this.tokens.set(symbol, entry);
+        this.verified.delete(symbol);
+        return entry;
+    }
+
+    /**
+     * Find a token by symbol or address
+     * @param {string} symbolOrAddress - Token symbol or contract address
+     * @returns {Object|null} Token or null
+     */
+    get(symbolOrAddress) {
+        const key = String(symbolOrAddress || '');
+        return this.tokens.get(key.toUpperCase())
+            || [...this.tokens.values()].find(token => token.address.toLowerCase() === key.toLowerCase())
+            || null;
+    }
+
+    /**
+     * Find a token or fail
+     * @param {string} symbolOrAddress - Token symbol or contract address
+     * @returns {Object} Token
+     * @throws {RelayError} TOKEN_UNSUPPORTED
+     */
+    resolve(symbolOrAddress) {
+        const token = this.get(symbolOrAddress);
+        if (!token) {
+            throw new RelayError(
+                `Unsupported token: ${symbolOrAddress}. Supported: ${[...this.tokens.keys()].join(', ')}`,
+                'TOKEN_UNSUPPORTED',
+                400
+            );
+        }
+        return token;
+    }
+
+    /**
+     * Token donations settle in
+     * @returns {Object} USDC
+     */
+    getSettlementToken() {
+        return this.tokens.get(SETTLEMENT_TOKEN);
+    }
+
+    /**
+     * All tokens
+     * @returns {Array<Object>} Tokens
+     */
+    list() {
+        return [...this.tokens.values()];
+    }
+
+    /**
+     * Parse a human amount with the token's own decimals
+     * @param {Object} token - Token
+     * @param {number|string} amount - Amount in token units (e.g. "12.5")
+     * @returns {bigint} Amount in the token's smallest unit
+     * @throws {RelayError} INVALID_TOKEN_AMOUNT if not positive or more precise than the token allows
+     */
+    parseAmount(token, amount) {
+        const text = String(amount).trim();
+        let wei;
+        try {
+            wei = ethers.parseUnits(text, token.decimals);
+        } catch (error) {
+            throw new RelayError(
+                `${text} is not a valid ${token.symbol} amount (${token.decimals} decimals)`,
+                'INVALID_TOKEN_AMOUNT',
+                400
+            );
+        }
+        if (wei <= 0n) {
+            throw new RelayError(`${token.symbol} amount must be positive`, 'INVALID_TOKEN_AMOUNT', 400);
+        }
+        return wei;
+    }
+
+    /**
+     * Check a token's registered decimals against its contract (once per token)
+     * @param {Object} token - Token
+     * @returns {Promise<Object>} The token
+     * @throws {RelayError} TOKEN_MISCONFIGURED if the contract disagrees
+     */
+    async verifyDecimals(token) {
+        if (token.native || this.verified.get(token.symbol)) {
+            return token;
+        }
+
+        const contract = new ethers.Contract(token.address, ERC20_ABI, this.provider);
+        const onChain = Number(await contract.decimals());
+        if (onChain !== token.decimals) {
+            throw new RelayError(
+                `${token.symbol} is registered with ${token.decimals} decimals but ${token.address} has ${onChain}`,
+                'TOKEN_MISCONFIGURED',
+                503
+            );
+        }
+        this.verified.set(token.symbol, true);
+        return token;
+    }
+
+    /**
+     * Balance of a token (native or ERC-20)
+     * @param {Object} token - Token
+     * @param {string} owner - Holder address
+     * @returns {Promise<bigint>} Balance in the token's smallest unit
+     */
+    async balanceOf(token, owner) {
+        if (token.native) {
+            return this.provider.getBalance(owner);
+        }
+        const contract = new ethers.Contract(token.address, ERC20_ABI, this.provider);
+        return contract.balanceOf(owner);
+    }
+}
+
+module.exports = {
+    TokenRegistry,
+    NATIVE_TOKEN_ADDRESS
+};
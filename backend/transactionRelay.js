@@ -0,0 +1,320 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { getProvider } = require('./rpcProvider');
+require('dotenv').config();
+
+/**
+ * Transaction Relay
+ * The backend builds unsigned transactions for a user action (an "intent"),
+ * the user signs them in their own wallet, and the relay checks the signed
+ * transactions against the intent before broadcasting them. User keys never
+ * reach the server.
+ *
+ * A transaction marked holdUntilMined is only broadcast once every earlier one
+ * in the intent has a successful receipt (e.g. a donation transfer after the
+ * swap that funds it); otherwise it is never sent and the intent is left
+ * partially relayed.
+ */
+
+const DEFAULT_INTENT_TTL_SECONDS = 5 * 60;
+const DEFAULT_RECEIPT_TIMEOUT_SECONDS = 2 * 60;
+const DEFAULT_GAS_LIMIT = 100000n;
+const GAS_BUFFER_PERCENT = 20n;
+
+const IntentStatus = {
+    AWAITING_SIGNATURES: 'awaiting_signatures',
+    RELAYING: 'relaying',
+    RELAYED: 'relayed',
+    PARTIALLY_RELAYED: 'partially_relayed',
+    FAILED: 'failed'
+};
+
+class RelayError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} code - Machine-readable error code
+     * @param {number} [status] - HTTP status to respond with
+     * @param {Object} [details] - Extra machine-readable fields for the response
+     */
+    constructor(message, code, status = 400, details = null) {
+        super(message);
+        this.name = 'RelayError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class TransactionRelay {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.provider] - Provider for the chain intents are built for
+     * @param {number} [options.ttlSeconds] - How long an intent can be signed and relayed
+     * @param {number} [options.receiptTimeoutSeconds] - How long a held transaction waits for earlier receipts
+     * @param {Object} [options.store] - Intent store
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || getProvider('amoy');
+        this.ttlSeconds = options.ttlSeconds
+            || parseInt(process.env.RELAY_INTENT_TTL_SECONDS) || DEFAULT_INTENT_TTL_SECONDS;
+        this.receiptTimeoutSeconds = options.receiptTimeoutSeconds
+            || parseInt(process.env.RELAY_RECEIPT_TIMEOUT_SECONDS) || DEFAULT_RECEIPT_TIMEOUT_SECONDS;
+        this.store = options.store || createStore('relay-intents', {
+            keyField: 'id',
+            indexes: {
+                from: (intent) => intent.from,
+                status: (intent) => intent.status
+            }
+        });
+        this.kinds = new Map();
+    }
+
+    /**
+     * Register a hook that runs once an intent of this kind has been broadcast
+     * @param {string} kind - Intent kind (e.g. 'swap', 'tree-donation')
+     * @param {Function} onRelayed - (intent, broadcasts) => extra result fields
+     */
+    registerKind(kind, onRelayed) {
+        this.kinds.set(kind, onRelayed);
+    }
+
+    /**
+     * Create an intent: fill in nonces, gas and fees for the transactions a user must sign
+     * @param {string} kind - Intent kind
+     * @param {string} from - Wallet that will sign
+     * @param {Array<Object>} transactions - Ordered {label, to, data, value?, gasLimit?, holdUntilMined?}
+     * @param {Object} [details] - Quote / impact data stored with the intent
+     * @returns {Promise<Object>} Stored intent with unsigned transactions
+     */
+    async createIntent(kind, from, transactions, details = {}) {
+        if (!this.kinds.has(kind)) {
+            throw new Error(`Unknown relay intent kind: ${kind}`);
+        }
+
+        const sender = ethers.getAddress(from);
+        const [network, nonce, feeData] = await Promise.all([
+            this.provider.getNetwork(),
+            this.provider.getTransactionCount(sender, 'pending'),
+            this.provider.getFeeData()
+        ]);
+
+        const unsigned = [];
+        for (const [index, tx] of transactions.entries()) {
+            let gasLimit = tx.gasLimit ? BigInt(tx.gasLimit) : null;
+            if (!gasLimit) {
+                try {
+                    const estimate = await this.provider.estimateGas({ from: sender, to: tx.to, data: tx.data, value: tx.value || 0 });
+                    gasLimit = estimate + estimate * GAS_BUFFER_PERCENT / 100n;
+                } catch (error) {
+                    gasLimit = DEFAULT_GAS_LIMIT;
+                }
+            }
+
+            unsigned.push({
+                label: tx.label,
+                to: ethers.getAddress(tx.to),
+                data: tx.data,
+                value: (tx.value || 0n).toString(),
+                chainId: Number(network.chainId),
+                nonce: nonce + index,
+                gasLimit: gasLimit.toString(),
+                ...(tx.holdUntilMined ? { holdUntilMined: true } : {}),
+                ...(feeData.maxFeePerGas !== null
+                    ? {
+                        type: 2,
+                        maxFeePerGas: feeData.maxFeePerGas.toString(),
+                        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString()
+                    }
+                    : { type: 0, gasPrice: feeData.gasPrice.toString() })
+            });
+        }
+
+        const now = Date.now();
+        const intent = this.store.insert({
+            id: `RLY_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            kind,
+            from: sender.toLowerCase(),
+            status: IntentStatus.AWAITING_SIGNATURES,
+            transactions: unsigned,
+            details,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString(),
+            broadcasts: [],
+            error: null
+        });
+
+        console.log(`📝 Relay intent ${intent.id} (${kind}) created for ${sender}: ${unsigned.map(tx => tx.label).join(' → ')}`);
+        return intent;
+    }
+
+    /**
+     * Get an intent
+     * @param {string} id - Intent ID
+     * @returns {Object|null} Intent or null
+     */
+    getIntent(id) {
+        return this.store.get(id) || null;
+    }
+
+    /**
+     * Relayed intents whose kind hook failed, so their transactions have no record yet
+     * @returns {Array<Object>} Intents marked needsRecord
+     */
+    listUnrecorded() {
+        return this.store.findBy('status', IntentStatus.RELAYED).filter(intent => intent.needsRecord);
+    }
+
+    /**
+     * Check a signed transaction against the unsigned one we built
+     * @param {Object} expected - Unsigned transaction from the intent
+     * @param {string} raw - Signed, serialized transaction
+     * @param {Object} intent - Intent
+     * @returns {Object} Parsed transaction
+     * @throws {RelayError} If it doesn't match
+     */
+    verifySigned(expected, raw, intent) {
+        let tx;
+        try {
+            tx = ethers.Transaction.from(raw);
+        } catch (error) {
+            throw new RelayError(`Transaction "${expected.label}" is not a valid signed transaction`, 'INVALID_SIGNED_TRANSACTION');
+        }
+
+        if (!tx.signature || !tx.from) {
+            throw new RelayError(`Transaction "${expected.label}" is not signed`, 'INVALID_SIGNED_TRANSACTION');
+        }
+
+        const mismatches = [];
+        if (tx.from.toLowerCase() !== intent.from) mismatches.push('signer');
+        if (Number(tx.chainId) !== expected.chainId) mismatches.push('chainId');
+        if ((tx.to || '').toLowerCase() !== expected.to.toLowerCase()) mismatches.push('to');
+        if (tx.data.toLowerCase() !== expected.data.toLowerCase()) mismatches.push('data');
+        if (tx.value !== BigInt(expected.value)) mismatches.push('value');
+
+        if (mismatches.length > 0) {
+            throw new RelayError(
+                `Signed "${expected.label}" transaction does not match the quote (${mismatches.join(', ')})`,
+                'SIGNED_TRANSACTION_MISMATCH'
+            );
+        }
+
+        return tx;
+    }
+
+    /**
+     * Wait for the receipts of transactions already broadcast for an intent
+     * @param {Array<Object>} broadcasts - Broadcasts so far
+     * @returns {Promise<string|null>} Why one didn't succeed, or null if all were mined successfully
+     */
+    async awaitReceipts(broadcasts) {
+        for (const broadcast of broadcasts) {
+            let receipt;
+            try {
+                receipt = await this.provider.waitForTransaction(broadcast.hash, 1, this.receiptTimeoutSeconds * 1000);
+            } catch (error) {
+                return `"${broadcast.label}" was not mined within ${this.receiptTimeoutSeconds}s: ${error.shortMessage || error.message}`;
+            }
+            if (!receipt || receipt.status !== 1) {
+                return `"${broadcast.label}" ${receipt ? 'reverted' : 'has no receipt'}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verify and broadcast the signed transactions for an intent, in order
+     * @param {string} id - Intent ID
+     * @param {Array<string>} signedTransactions - Signed transactions, same order as the intent
+     * @returns {Promise<Object>} {intent, broadcasts, ...kind-specific result}, or {intent, broadcasts, recordError}
+     * if the kind's hook failed (the intent is then marked needsRecord)
+     * @throws {RelayError} On validation or broadcast failure, or if a held transaction's prerequisites failed
+     */
+    async relay(id, signedTransactions) {
+        const intent = this.getIntent(id);
+        if (!intent) {
+            throw new RelayError(`No relay intent found with ID: ${id}`, 'INTENT_NOT_FOUND', 404);
+        }
+        if (intent.status !== IntentStatus.AWAITING_SIGNATURES) {
+            throw new RelayError(`Intent ${id} was already ${intent.status}`, 'INTENT_ALREADY_USED', 409);
+        }
+        if (Date.now() > Date.parse(intent.expiresAt)) {
+            throw new RelayError(`Intent ${id} expired at ${intent.expiresAt}; request a new quote`, 'INTENT_EXPIRED', 410);
+        }
+        if (!Array.isArray(signedTransactions) || signedTransactions.length !== intent.transactions.length) {
+            throw new RelayError(
+                `Expected ${intent.transactions.length} signed transactions (${intent.transactions.map(tx => tx.label).join(', ')})`,
+                'SIGNED_TRANSACTION_COUNT'
+            );
+        }
+
+        const parsed = intent.transactions.map((expected, index) => this.verifySigned(expected, signedTransactions[index], intent));
+
+        // Nonces must be consecutive so later transactions (swap) run after earlier ones (approve)
+        for (let index = 1; index < parsed.length; index++) {
+            if (parsed[index].nonce !== parsed[index - 1].nonce + 1) {
+                throw new RelayError('Signed transactions must use consecutive nonces in intent order', 'NONCE_ORDER');
+            }
+        }
+
+        this.store.update(id, { status: IntentStatus.RELAYING });
+
+        const broadcasts = [];
+        for (const [index, tx] of parsed.entries()) {
+            const { label, holdUntilMined } = intent.transactions[index];
+            if (holdUntilMined && broadcasts.length) {
+                const failure = await this.awaitReceipts(broadcasts);
+                if (failure) {
+                    const message = `${failure}; "${label}" was not broadcast`;
+                    this.store.update(id, { status: IntentStatus.PARTIALLY_RELAYED, broadcasts, error: message });
+                    console.warn(`⚠️  Relay intent ${intent.id}: ${message}`);
+                    throw new RelayError(message, 'PREREQUISITE_FAILED', 502, { broadcasts });
+                }
+            }
+
+            try {
+                const response = await this.provider.broadcastTransaction(signedTransactions[index]);
+                broadcasts.push({
+                    label: intent.transactions[index].label,
+                    hash: response.hash,
+                    from: tx.from,
+                    nonce: tx.nonce,
+                    broadcastAt: new Date().toISOString()
+                });
+                console.log(`📡 Relayed ${intent.transactions[index].label} for ${intent.id}: ${response.hash}`);
+            } catch (error) {
+                const message = error.shortMessage || error.message;
+                this.store.update(id, {
+                    status: broadcasts.length ? IntentStatus.PARTIALLY_RELAYED : IntentStatus.FAILED,
+                    broadcasts,
+                    error: `Broadcast of "${intent.transactions[index].label}" failed: ${message}`
+                });
+                throw new RelayError(`Broadcast of "${intent.transactions[index].label}" failed: ${message}`, 'BROADCAST_FAILED', 502);
+            }
+        }
+
+        const relayed = this.store.update(id, {
+            status: IntentStatus.RELAYED,
+            broadcasts,
+            relayedAt: new Date().toISOString()
+        });
+
+        // The transactions are out; a failing hook must not hide them from the caller.
+        // The intent stays relayed and is marked so reconciliation and admins can record it.
+        try {
+            const extra = await this.kinds.get(intent.kind)(relayed, broadcasts);
+            return { intent: relayed, broadcasts, ...extra };
+        } catch (error) {
+            const recordError = `${intent.kind} hook failed after broadcast: ${error.message}`;
+            console.error(`❌ Relay intent ${intent.id}: ${recordError}`);
+            const marked = this.store.update(id, { needsRecord: true, error: recordError });
+            return { intent: marked, broadcasts, recordError };
+        }
+    }
+}
+
+module.exports = {
+    TransactionRelay,
+    RelayError,
+    IntentStatus
+};
@@ -1,4 +1,15 @@
 const { ethers } = require('ethers');
+const { createStore } = require('./storage');
+const { getProvider } = require('./rpcProvider');
+const {
+    DonationStatus,
+    initialLifecycle,
+    transitionDonation,
+    normalizeStatus,
+    transactionHashes,
+    describeProgress
+} = require('./donationLifecycle');
+const { PayoutMode, OPEN_PLEDGE } = require('./payoutBatcher');
 require('dotenv').config();
 
 /**
@@ -8,11 +19,16 @@ require('dotenv').config();
  */
 
 class TreePurchaseService {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'https://rpc-amoy.polygon.technology/');
+    /**
+     * @param {Object} options
+     * @param {Object} [options.store] - Donation store (defaults to the persistent 'donations' store)
+     */
+    constructor(options = {}) {
+        this.provider = getProvider('amoy'); // Shared failover provider (RPC_URL first, then public Amoy RPC)
         this.rainforestFoundationAddress = '0x98f5A404991Cc74590564cbECA88c8d8B76D6407'; // Real RF address
         this.testnetFoundationAddress = '0x1234567890123456789012345678901234567890'; // Mock testnet address
         this.usdcAddress = '0x8B0180f2101c8260d49339abfEe87927412494B4'; // Our testnet USDC
+        this.usdcDecimals = 6;
         
         // Tree purchase rates (based on RF impact data)
         this.impactRates = {
@@ -31,8 +47,43 @@ class TreePurchaseService {
             'function decimals() view returns (uint8)'
         ];
         
-        // Store donation history in memory (in production, use database)
-        this.donationHistory = [];
+        // Donation ledger, indexed by donor and tx hash for history/receipt lookups
+        this.donationStore = options.store || TreePurchaseService.createDonationStore();
+        
+        // With batched payouts, donors pay a collection wallet and the batcher settles with the foundation
+        this.payoutBatcher = null;
+    }
+    
+    /**
+     * Send donor transfers to the payout batcher's collection wallet from now on
+     * @param {Object} payoutBatcher - PayoutBatcher
+     */
+    enablePayoutBatching(payoutBatcher) {
+        this.payoutBatcher = payoutBatcher;
+    }
+    
+    /**
+     * Collection wallet donor transfers go to, or null when they go straight to the foundation
+     * @returns {string|null} Address
+     */
+    getCollectionAddress() {
+        return this.payoutBatcher ? this.payoutBatcher.address : null;
+    }
+
+    /**
+     * Create the default persistent donation store
+     * @returns {Object} Store instance
+     */
+    static createDonationStore() {
+        return createStore('donations', {
+            keyField: 'id',
+            indexes: {
+                donor: (donation) => donation.donor?.toLowerCase(),
+                txHash: (donation) => transactionHashes(donation),
+                status: (donation) => donation.status,
+                payoutBatch: (donation) => (donation.payout ? donation.payout.batchId || OPEN_PLEDGE : null)
+            }
+        });
     }
 
     /**
@@ -57,6 +108,15 @@ class TreePurchaseService {
         };
     }
 
+    /**
+     * USDC needed to plant a number of trees (inverse of calculateImpact)
+     * @param {number} trees - Number of trees
+     * @returns {number} USDC amount, rounded up to USDC's 6 decimals
+     */
+    usdcForTrees(trees) {
+        return Math.ceil(trees / this.impactRates.treesPerDollar * 1e6) / 1e6;
+    }
+
     /**
      * Generate human-readable impact statement
      * @param {number} trees - Number of trees
@@ -132,7 +192,7 @@ class TreePurchaseService {
     async checkBalance(donorAddress, usdcAmount) {
         try {
             const usdc = new ethers.Contract(this.usdcAddress, this.usdcABI, this.provider);
-            const amountWei = ethers.parseUnits(usdcAmount.toString(), 6);
+            const amountWei = ethers.parseUnits(usdcAmount.toString(), this.usdcDecimals);
             
             const balance = await usdc.balanceOf(donorAddress);
             const decimals = await usdc.decimals();
@@ -150,77 +210,172 @@ class TreePurchaseService {
     }
 
     /**
-     * Execute tree purchase donation (testnet simulation)
+     * Prepare a tree purchase donation (testnet simulation) for the donor to sign
+     * Builds the unsigned USDC transfer to the foundation (or the collection
+     * wallet when payouts are batched); the donor signs it in their wallet and
+     * the transaction relay broadcasts it.
+     * @param {string} donorAddress - Donor's wallet address
+     * @param {number} usdcAmount - Amount to donate in USDC
+     * @returns {Object} Impact preview and the transaction to sign
+     */
+    async prepareDonation(donorAddress, usdcAmount) {
+        console.log(`🌳 Preparing tree purchase donation...`);
+        console.log(`   Donor: ${donorAddress}`);
+        console.log(`   Amount: ${usdcAmount} USDC`);
+        
+        // Validate donation
+        const validation = this.validateDonation(usdcAmount, donorAddress);
+        if (!validation.valid) {
+            throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
+        
+        // Check balance
+        const balanceCheck = await this.checkBalance(donorAddress, usdcAmount);
+        if (!balanceCheck.hasBalance) {
+            throw new Error(`Insufficient balance. Have ${balanceCheck.currentBalance} USDC, need ${balanceCheck.requiredAmount} USDC`);
+        }
+        
+        return {
+            impact: this.calculateImpact(usdcAmount),
+            foundationAddress: this.testnetFoundationAddress,
+            collectionAddress: this.getCollectionAddress(),
+            transactions: [this.buildTransfer(ethers.parseUnits(usdcAmount.toString(), this.usdcDecimals))]
+        };
+    }
+
+    /**
+     * Unsigned USDC transfer to the foundation, or to the collection wallet when payouts are batched
+     * @param {bigint} amountWei - Amount in USDC's smallest unit
+     * @returns {Object} {label, to, data}
+     */
+    buildTransfer(amountWei) {
+        const usdcInterface = new ethers.Interface(this.usdcABI);
+        const recipient = this.getCollectionAddress() || this.testnetFoundationAddress;
+        return {
+            label: 'transfer',
+            to: this.usdcAddress,
+            data: usdcInterface.encodeFunctionData('transfer', [recipient, amountWei])
+        };
+    }
+
+    /**
+     * Persist a new donation record in 'created' state
+     * @param {string} donorAddress - Donor's wallet address
+     * @param {number} usdcAmount - Amount in USDC
+     * @param {Object} [source] - Token the donor gave when it was swapped to USDC first
+     * @param {string} [collectionAddress] - Collection wallet the donor paid, making the donation a pledge
+     * @returns {Object} Donation record
+     */
+    createDonationRecord(donorAddress, usdcAmount, source = null, collectionAddress = null) {
+        return this.donationStore.insert({
+            id: this.generateDonationId(),
+            timestamp: new Date().toISOString(),
+            donor: donorAddress,
+            amount: usdcAmount,
+            currency: 'USDC',
+            txHash: null,
+            blockNumber: null,
+            gasUsed: null,
+            impact: this.calculateImpact(usdcAmount),
+            foundationAddress: this.testnetFoundationAddress,
+            network: 'Polygon Amoy Testnet',
+            source,
+            payout: collectionAddress ? {
+                mode: PayoutMode.BATCHED,
+                collectionAddress,
+                ngo: this.testnetFoundationAddress,
+                batchId: null
+            } : null,
+            ...initialLifecycle()
+        });
+    }
+
+    /**
+     * Log a submitted donation and its impact
+     * @param {Object} record - Submitted donation record
+     */
+    logSubmitted(record) {
+        console.log(`📨 Tree purchase submitted (${record.txHash})! Awaiting confirmation...`);
+        console.log(`   Trees planted: ${record.impact.treesPlanted}`);
+        console.log(`   Acres protected: ${record.impact.acresProtected}`);
+        console.log(`   CO2 offset: ${record.impact.co2Offset} lbs`);
+    }
+
+    /**
+     * Record a donation whose signed transfer was broadcast by the relay
+     * The confirmation tracker moves the record on to confirmed/failed/replaced.
      * @param {string} donorAddress - Donor's wallet address
+     * @param {number} usdcAmount - Amount donated in USDC
+     * @param {Object} tx - Broadcast transaction ({hash, from, nonce})
+     * @param {Object} [source] - Donated token and swap, for donations made in another token
+     * @param {string} [collectionAddress] - Collection wallet the transfer paid, when payouts are batched
+     * @returns {Object} Donation record in 'submitted' state
+     */
+    recordRelayedDonation(donorAddress, usdcAmount, tx, source = null, collectionAddress = null) {
+        const donationRecord = this.createDonationRecord(donorAddress, usdcAmount, source, collectionAddress);
+        
+        const submittedRecord = transitionDonation(this.donationStore, donationRecord.id, DonationStatus.SUBMITTED, {
+            txHash: tx.hash,
+            from: tx.from,
+            nonce: tx.nonce,
+            submittedAt: new Date().toISOString()
+        });
+        
+        this.logSubmitted(submittedRecord);
+        return submittedRecord;
+    }
+
+    /**
+     * Donate USDC held by a backend wallet, attributed to a donor (plant workflow)
+     * The record moves to 'submitted' with the signed hash before the broadcast, so
+     * a crash mid-send leaves a trackable record rather than an unknown transfer.
+     * @param {string} donorAddress - Donor the donation is attributed to
      * @param {number} usdcAmount - Amount to donate in USDC
-     * @param {string} privateKey - Donor's private key for signing
-     * @returns {Object} Transaction result
+     * @param {Object} signer - Nonce-managed signer holding the USDC
+     * @param {Function} [onSubmitted] - Async callback with the submitted record, run before the broadcast
+     * @returns {Promise<Object>} Donation record in 'submitted' state
      */
-    async executeDonation(donorAddress, usdcAmount, privateKey) {
+    async executeDonation(donorAddress, usdcAmount, signer, onSubmitted) {
+        const validation = this.validateDonation(usdcAmount, donorAddress);
+        if (!validation.valid) {
+            throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
+        
+        const balanceCheck = await this.checkBalance(signer.address, usdcAmount);
+        if (!balanceCheck.hasBalance) {
+            throw new Error(`Insufficient balance. Have ${balanceCheck.currentBalance} USDC, need ${balanceCheck.requiredAmount} USDC`);
+        }
+        
+        const donationRecord = this.createDonationRecord(donorAddress, usdcAmount);
+        const usdcInterface = new ethers.Interface(this.usdcABI);
+        let submittedRecord = null;
+        
         try {
-            console.log(`🌳 Executing tree purchase donation...`);
-            console.log(`   Donor: ${donorAddress}`);
-            console.log(`   Amount: ${usdcAmount} USDC`);
-            
-            // Validate donation
-            const validation = this.validateDonation(usdcAmount, donorAddress);
-            if (!validation.valid) {
-                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
-            }
-            
-            // Check balance
-            const balanceCheck = await this.checkBalance(donorAddress, usdcAmount);
-            if (!balanceCheck.hasBalance) {
-                throw new Error(`Insufficient balance. Have ${balanceCheck.currentBalance} USDC, need ${balanceCheck.requiredAmount} USDC`);
-            }
-            
-            // Setup signer
-            const signer = new ethers.Wallet(privateKey, this.provider);
-            const usdc = new ethers.Contract(this.usdcAddress, this.usdcABI, signer);
-            
-            // Convert to wei
-            const amountWei = ethers.parseUnits(usdcAmount.toString(), 6);
-            
-            // Execute transfer to testnet foundation address
-            console.log(`💸 Transferring ${usdcAmount} USDC to foundation...`);
-            const tx = await usdc.transfer(this.testnetFoundationAddress, amountWei);
-            
-            console.log(`⏳ Transaction submitted: ${tx.hash}`);
-            const receipt = await tx.wait();
-            
-            // Calculate impact
-            const impact = this.calculateImpact(usdcAmount);
-            
-            // Generate donation record
-            const donationRecord = {
-                id: this.generateDonationId(),
-                timestamp: new Date().toISOString(),
-                donor: donorAddress,
-                amount: usdcAmount,
-                currency: 'USDC',
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
-                impact: impact,
-                status: 'completed',
-                foundationAddress: this.testnetFoundationAddress,
-                network: 'Polygon Amoy Testnet'
-            };
-            
-            // Store donation history
-            this.donationHistory.push(donationRecord);
-            
-            console.log(`✅ Tree purchase completed!`);
-            console.log(`   Trees planted: ${impact.treesPlanted}`);
-            console.log(`   Acres protected: ${impact.acresProtected}`);
-            console.log(`   CO2 offset: ${impact.co2Offset} lbs`);
-            
-            return donationRecord;
-            
+            await signer.sendTransactionPersisted({
+                to: this.usdcAddress,
+                data: usdcInterface.encodeFunctionData('transfer', [
+                    this.testnetFoundationAddress,
+                    ethers.parseUnits(usdcAmount.toString(), this.usdcDecimals)
+                ])
+            }, async ({ hash, nonce }) => {
+                submittedRecord = transitionDonation(this.donationStore, donationRecord.id, DonationStatus.SUBMITTED, {
+                    txHash: hash,
+                    from: signer.address,
+                    nonce,
+                    submittedAt: new Date().toISOString()
+                });
+                if (onSubmitted) await onSubmitted(submittedRecord);
+            });
         } catch (error) {
-            console.error(`❌ Donation failed: ${error.message}`);
+            // Signed but not broadcast: the confirmation tracker will see it dropped or replaced
+            if (!submittedRecord) {
+                transitionDonation(this.donationStore, donationRecord.id, DonationStatus.FAILED, { error: error.message });
+            }
             throw error;
         }
+        
+        this.logSubmitted(submittedRecord);
+        return submittedRecord;
     }
 
     /**
@@ -239,9 +394,7 @@ class TreePurchaseService {
      * @returns {Array} Array of donation records
      */
     getDonationHistory(donorAddress) {
-        return this.donationHistory.filter(donation => 
-            donation.donor.toLowerCase() === donorAddress.toLowerCase()
-        );
+        return this.donationStore.findBy('donor', donorAddress.toLowerCase());
     }
 
     /**
@@ -249,11 +402,15 @@ class TreePurchaseService {
      * @returns {Object} Aggregated impact statistics
      */
     getTotalImpact() {
-        const totalDonations = this.donationHistory.length;
-        const totalAmount = this.donationHistory.reduce((sum, donation) => sum + donation.amount, 0);
-        const totalTrees = this.donationHistory.reduce((sum, donation) => sum + donation.impact.treesPlanted, 0);
-        const totalAcres = this.donationHistory.reduce((sum, donation) => sum + donation.impact.acresProtected, 0);
-        const totalCO2 = this.donationHistory.reduce((sum, donation) => sum + donation.impact.co2Offset, 0);
+        // Failed and replaced transfers never reached the foundation
+        const donations = this.donationStore.all().filter(donation =>
+            ![DonationStatus.FAILED, DonationStatus.REPLACED].includes(normalizeStatus(donation.status))
+        );
+        const totalDonations = donations.length;
+        const totalAmount = donations.reduce((sum, donation) => sum + donation.amount, 0);
+        const totalTrees = donations.reduce((sum, donation) => sum + donation.impact.treesPlanted, 0);
+        const totalAcres = donations.reduce((sum, donation) => sum + donation.impact.acresProtected, 0);
+        const totalCO2 = donations.reduce((sum, donation) => sum + donation.impact.co2Offset, 0);
         
         return {
             totalDonations,
@@ -277,7 +434,12 @@ class TreePurchaseService {
             time: new Date(donationRecord.timestamp).toLocaleTimeString(),
             donor: donationRecord.donor,
             amount: `${donationRecord.amount} ${donationRecord.currency}`,
+            donated: donationRecord.source ? `${donationRecord.source.amount} ${donationRecord.source.token}` : null,
             txHash: donationRecord.txHash,
+            status: normalizeStatus(donationRecord.status),
+            progress: describeProgress(donationRecord),
+            // Batched payouts: the settlement transfer to the foundation and this donation's proof of inclusion
+            payout: donationRecord.payout && this.payoutBatcher ? this.payoutBatcher.describePayout(donationRecord) : donationRecord.payout,
             impact: donationRecord.impact,
             impactStatement: donationRecord.impact.impactStatement,
             thankYouMessage: this.generateThankYouMessage(donationRecord.impact),
@@ -311,7 +473,16 @@ class TreePurchaseService {
      * @returns {Object|null} Donation record or null
      */
     getDonationById(donationId) {
-        return this.donationHistory.find(donation => donation.id === donationId) || null;
+        return this.donationStore.get(donationId);
+    }
+
+    /**
+     * Get donation by transaction hash
+     * @param {string} txHash - Transaction hash
+     * @returns {Object|null} Donation record or null
+     */
+    getDonationByTxHash(txHash) {
+        return this.donationStore.findOne('txHash', txHash.toLowerCase());
     }
 
     /**
@@ -319,7 +490,7 @@ class TreePurchaseService {
      * @returns {Array} Array of recent donation records
      */
     getRecentDonations() {
-        return this.donationHistory
+        return this.donationStore.all()
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .slice(0, 10);
     }
@@ -0,0 +1,45 @@
+const SimpleDexVenue = require('./simpleDexVenue');
+const OneInchVenue = require('./oneInchVenue');
+const { SwapRouter, SwapRoutingError, BEST_EXECUTION } = require('./swapRouter');
+
+/**
+ * Swap venues
+ * SWAP_VENUES lists the venues to route across ('simpledex' by default, plus
+ * '1inch' when ONEINCH_API_URL or ONEINCH_API_KEY is set).
+ */
+
+const VENUE_CLASSES = {
+    simpledex: SimpleDexVenue,
+    '1inch': OneInchVenue
+};
+
+/**
+ * Create the configured swap venues
+ * @param {Object} options
+ * @param {Object} options.swapService - SwapService
+ * @param {Array<string>} [options.names] - Venue names (default SWAP_VENUES)
+ * @returns {Array<Object>} Venues
+ */
+function createVenues(options = {}) {
+    const configured = options.names
+        || (process.env.SWAP_VENUES
+            ? process.env.SWAP_VENUES.split(',').map(name => name.trim()).filter(Boolean)
+            : ['simpledex', ...(process.env.ONEINCH_API_URL || process.env.ONEINCH_API_KEY ? ['1inch'] : [])]);
+
+    return configured.map(name => {
+        const Venue = VENUE_CLASSES[name];
+        if (!Venue) {
+            throw new Error(`Unknown swap venue: ${name}. Supported: ${Object.keys(VENUE_CLASSES).join(', ')}`);
+        }
+        return new Venue({ swapService: options.swapService });
+    });
+}
+
+module.exports = {
+    createVenues,
+    SwapRouter,
+    SwapRoutingError,
+    BEST_EXECUTION,
+    SimpleDexVenue,
+    OneInchVenue
+};
@@ -0,0 +1,270 @@
+const { ethers } = require('ethers');
+const fetch = require('node-fetch');
+const { NATIVE_TOKEN_ADDRESS } = require('../tokenRegistry');
+
+/**
+ * 1inch venue
+ * Quotes and calldata from the 1inch Swap API (v6). ONEINCH_API_URL can point
+ * at scripts/oneinch-stub.js to run offline.
+ *
+ * Swaps go through the 1inch router, which is also the approval spender (native
+ * POL needs no approval and is sent as value). The calldata is decoded before
+ * it is handed to a wallet: swap() and the unoswap family must trade the quoted
+ * tokens, pay the signer, spend the quoted input and return at least our
+ * minimum. Any other router method is refused, since its minimum can't be checked.
+ */
+
+const DEFAULT_API_URL = 'https://api.1inch.dev';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// AggregationRouterV6 methods 1inch returns for single swaps, used to check the calldata.
+// Address arguments of the unoswap family are uint256 with the address in the low 160 bits.
+const ROUTER_ABI = [
+    'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes data) payable returns (uint256 returnAmount, uint256 spentAmount)',
+    'function unoswap(uint256 token, uint256 amount, uint256 minReturn, uint256 dex) returns (uint256 returnAmount)',
+    'function unoswap2(uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2) returns (uint256 returnAmount)',
+    'function unoswap3(uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3) returns (uint256 returnAmount)',
+    'function unoswapTo(uint256 to, uint256 token, uint256 amount, uint256 minReturn, uint256 dex) returns (uint256 returnAmount)',
+    'function unoswapTo2(uint256 to, uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2) returns (uint256 returnAmount)',
+    'function unoswapTo3(uint256 to, uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3) returns (uint256 returnAmount)',
+    'function ethUnoswap(uint256 minReturn, uint256 dex) payable returns (uint256 returnAmount)',
+    'function ethUnoswap2(uint256 minReturn, uint256 dex, uint256 dex2) payable returns (uint256 returnAmount)',
+    'function ethUnoswap3(uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3) payable returns (uint256 returnAmount)',
+    'function ethUnoswapTo(uint256 to, uint256 minReturn, uint256 dex) payable returns (uint256 returnAmount)',
+    'function ethUnoswapTo2(uint256 to, uint256 minReturn, uint256 dex, uint256 dex2) payable returns (uint256 returnAmount)',
+    'function ethUnoswapTo3(uint256 to, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3) payable returns (uint256 returnAmount)'
+];
+
+const ADDRESS_MASK = (1n << 160n) - 1n;
+
+class OneInchVenue {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService (token addresses and decimals)
+     * @param {number} [options.chainId] - Chain the API is asked about (ONEINCH_CHAIN_ID, default the provider's chain)
+     * @param {string} [options.apiUrl] - API base URL
+     * @param {string} [options.apiKey] - 1inch Developer Portal key
+     * @param {number} [options.timeoutMs] - Request timeout
+     */
+    constructor(options = {}) {
+        this.name = '1inch';
+        this.swapService = options.swapService;
+        this.chainId = options.chainId || parseInt(process.env.ONEINCH_CHAIN_ID) || null;
+        this.apiUrl = (options.apiUrl || process.env.ONEINCH_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.ONEINCH_API_KEY || null;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.ONEINCH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        this.router = new ethers.Interface(ROUTER_ABI);
+        this.spender = null;
+    }
+
+    /**
+     * Chain ID for API paths
+     * @returns {Promise<number>} Chain ID
+     */
+    async getChainId() {
+        if (!this.chainId) {
+            const network = await this.swapService.provider.getNetwork();
+            this.chainId = Number(network.chainId);
+        }
+        return this.chainId;
+    }
+
+    /**
+     * Call the Swap API
+     * @param {string} path - Path under /swap/v6.0/{chainId}
+     * @param {Object} [params] - Query parameters
+     * @returns {Promise<Object>} Response body
+     * @throws {Error} With 1inch's error description on failure
+     */
+    async request(path, params = {}) {
+        const url = new URL(`${this.apiUrl}/swap/v6.0/${await this.getChainId()}${path}`);
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        let response;
+        try {
+            response = await fetch(url.toString(), {
+                headers: {
+                    Accept: 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+                },
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new Error(controller.signal.aborted
+                ? `1inch API did not respond within ${this.timeoutMs}ms`
+                : `1inch API unreachable: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`1inch API error (HTTP ${response.status}): ${body.description || body.error || response.statusText}`);
+        }
+        return body;
+    }
+
+    /**
+     * Whether the aggregator can be asked about a pair (any two different tokens,
+     * native POL included under its 0xEeee... address)
+     * @param {Object} tokenIn - Input token ({symbol, address, decimals})
+     * @param {Object} tokenOut - Output token
+     * @returns {boolean} True unless both are the same token
+     */
+    supports(tokenIn, tokenOut) {
+        return tokenIn.address.toLowerCase() !== tokenOut.address.toLowerCase();
+    }
+
+    /**
+     * Router address that must be approved (and that swaps are sent to)
+     * @returns {Promise<string>} Spender address
+     */
+    async getSpender() {
+        if (!this.spender) {
+            const { address } = await this.request('/approve/spender');
+            this.spender = ethers.getAddress(address);
+        }
+        return this.spender;
+    }
+
+    /**
+     * Quote an exact-input swap
+     * @param {Object} params
+     * @param {Object} params.tokenIn - Input token
+     * @param {Object} params.tokenOut - Output token
+     * @param {bigint} params.amountInWei - Input in wei
+     * @returns {Promise<Object>} {venue, amountInWei, amountOutWei, gasEstimate, blockNumber}
+     */
+    async quote({ tokenIn, tokenOut, amountInWei }) {
+        const body = await this.request('/quote', {
+            src: tokenIn.address,
+            dst: tokenOut.address,
+            amount: amountInWei.toString(),
+            includeGas: true
+        });
+        return {
+            venue: this.name,
+            amountInWei: BigInt(amountInWei),
+            amountOutWei: BigInt(body.dstAmount),
+            gasEstimate: BigInt(body.gas || 0),
+            blockNumber: null
+        };
+    }
+
+    /**
+     * Decode router calldata into what it spends, who it pays and its minimum return
+     * @param {string} data - Calldata from the Swap API
+     * @param {string} from - Signer (the receiver of methods without a `to`)
+     * @returns {Object} {method, srcToken, dstToken, receiver, amountInWei, minReturnWei}; dstToken is null
+     * for the unoswap family (its pools fix the output), amountInWei is null for native input
+     * @throws {Error} If the calldata isn't a router method whose minimum can be checked
+     */
+    decodeSwap(data, from) {
+        let call = null;
+        try {
+            call = this.router.parseTransaction({ data });
+        } catch (error) {
+            call = null;
+        }
+        if (!call) {
+            throw new Error(`1inch returned calldata for an unsupported router method (${data.slice(0, 10)}); its minimum return can't be checked`);
+        }
+
+        if (call.name === 'swap') {
+            const { desc } = call.args;
+            return {
+                method: call.name,
+                srcToken: ethers.getAddress(desc.srcToken),
+                dstToken: ethers.getAddress(desc.dstToken),
+                receiver: ethers.getAddress(desc.dstReceiver),
+                amountInWei: desc.amount,
+                minReturnWei: desc.minReturnAmount
+            };
+        }
+
+        const args = call.args.toObject();
+        return {
+            method: call.name,
+            // The ethUnoswap methods take no token: they spend native POL
+            srcToken: args.token !== undefined
+                ? ethers.getAddress(ethers.toBeHex(args.token & ADDRESS_MASK, 20))
+                : NATIVE_TOKEN_ADDRESS,
+            dstToken: null,
+            receiver: args.to !== undefined
+                ? ethers.getAddress(ethers.toBeHex(args.to & ADDRESS_MASK, 20))
+                : ethers.getAddress(from),
+            amountInWei: args.amount !== undefined ? args.amount : null,
+            minReturnWei: args.minReturn
+        };
+    }
+
+    /**
+     * Build the swap call through the 1inch router
+     * @param {Object} params
+     * @param {Object} params.tokenIn - Input token
+     * @param {Object} params.tokenOut - Output token
+     * @param {bigint|string} params.amountInWei - Input in wei
+     * @param {bigint|string} params.minOutputWei - Minimum output in wei
+     * @param {number} params.slippage - Slippage tolerance in basis points
+     * @param {string} params.from - Wallet that signs the swap and receives the output
+     * @returns {Promise<Object>} {spender, to, data, value, gasLimit}
+     * @throws {Error} If the calldata goes elsewhere, can't be checked, trades other tokens, pays less than
+     * minOutputWei or spends the wrong amount
+     */
+    async buildSwap({ tokenIn, tokenOut, amountInWei, minOutputWei, slippage, from }) {
+        const [spender, body] = await Promise.all([
+            this.getSpender(),
+            this.request('/swap', {
+                src: tokenIn.address,
+                dst: tokenOut.address,
+                amount: amountInWei.toString(),
+                from,
+                origin: from,
+                receiver: from,
+                slippage: slippage / 100, // 1inch takes percent
+                disableEstimate: true // The approval isn't mined yet
+            })
+        ]);
+
+        const { tx } = body;
+        if (ethers.getAddress(tx.to) !== spender) {
+            throw new Error(`1inch swap goes to ${tx.to}, not the router ${spender}`);
+        }
+        // Native input is paid as value; ERC-20 input never is
+        const value = BigInt(tx.value || 0);
+        if (value !== (tokenIn.native ? BigInt(amountInWei) : 0n)) {
+            throw new Error(`1inch swap sends ${value} wei of value for ${amountInWei} ${tokenIn.symbol}`);
+        }
+
+        const decoded = this.decodeSwap(tx.data, from);
+        if (decoded.srcToken !== ethers.getAddress(tokenIn.address)) {
+            throw new Error(`1inch ${decoded.method} spends ${decoded.srcToken}, not ${tokenIn.symbol} (${tokenIn.address})`);
+        }
+        if (decoded.dstToken !== null && decoded.dstToken !== ethers.getAddress(tokenOut.address)) {
+            throw new Error(`1inch ${decoded.method} buys ${decoded.dstToken}, not ${tokenOut.symbol} (${tokenOut.address})`);
+        }
+        if (decoded.receiver !== ethers.getAddress(from)) {
+            throw new Error(`1inch ${decoded.method} pays ${decoded.receiver}, not ${from}`);
+        }
+        if (decoded.amountInWei !== null && decoded.amountInWei !== BigInt(amountInWei)) {
+            throw new Error(`1inch ${decoded.method} spends ${decoded.amountInWei}, not the quoted ${amountInWei}`);
+        }
+        if (decoded.minReturnWei < BigInt(minOutputWei)) {
+            throw new Error(`1inch ${decoded.method} minimum ${decoded.minReturnWei} is below the quoted minimum ${minOutputWei}`);
+        }
+
+        return {
+            spender,
+            to: spender,
+            data: tx.data,
+            value,
+            gasLimit: tx.gas ? String(Math.ceil(Number(tx.gas) * 1.2)) : '500000'
+        };
+    }
+}
+
+module.exports = OneInchVenue;
@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+
+/**
+ * SimpleDEX venue
+ * Our own WLD/USDC pool, quoted from its reserves through SwapService.
+ */
+
+// Typical gas of swapToken0ForToken1 / swapToken1ForToken0 (overridable with SIMPLEDEX_SWAP_GAS)
+const DEFAULT_SWAP_GAS = 120000n;
+
+class SimpleDexVenue {
+    /**
+     * @param {Object} options
+     * @param {Object} options.swapService - SwapService
+     */
+    constructor(options = {}) {
+        this.name = 'simpledex';
+        this.swapService = options.swapService;
+        this.swapGas = process.env.SIMPLEDEX_SWAP_GAS ? BigInt(process.env.SIMPLEDEX_SWAP_GAS) : DEFAULT_SWAP_GAS;
+    }
+
+    /**
+     * Direction for a token pair, or null if the pool doesn't trade it
+     * @param {Object} tokenIn - Input token ({symbol, address, decimals})
+     * @param {Object} tokenOut - Output token
+     * @returns {string|null} Swap direction
+     */
+    direction(tokenIn, tokenOut) {
+        if (tokenIn.native || tokenOut.native) return null;
+        try {
+            return this.swapService.resolveDirection({ tokenIn: tokenIn.address, tokenOut: tokenOut.address });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the pool trades a pair
+     * @param {Object} tokenIn - Input token
+     * @param {Object} tokenOut - Output token
+     * @returns {boolean} True for WLD/USDC either way
+     */
+    supports(tokenIn, tokenOut) {
+        return this.direction(tokenIn, tokenOut) !== null;
+    }
+
+    /**
+     * Quote an exact-input swap
+     * @param {Object} params
+     * @param {Object} params.tokenIn - Input token
+     * @param {Object} params.tokenOut - Output token
+     * @param {bigint} params.amountInWei - Input in wei
+     * @returns {Promise<Object>} {venue, amountInWei, amountOutWei, gasEstimate, blockNumber}
+     */
+    async quote({ tokenIn, tokenOut, amountInWei }) {
+        const { amountOut, blockNumber } = await this.swapService.getCurrentOutput(amountInWei, this.direction(tokenIn, tokenOut));
+        return {
+            venue: this.name,
+            amountInWei: BigInt(amountInWei),
+            amountOutWei: amountOut,
+            gasEstimate: this.swapGas,
+            blockNumber
+        };
+    }
+
+    /**
+     * Build the swap call
+     * @param {Object} params
+     * @param {Object} params.tokenIn - Input token
+     * @param {Object} params.tokenOut - Output token
+     * @param {bigint|string} params.amountInWei - Input in wei
+     * @param {bigint|string} params.minOutputWei - Minimum output in wei
+     * @param {string} params.from - Wallet that signs the swap and receives the output
+     * @returns {Promise<Object>} {spender, to, data, value, gasLimit}
+     */
+    async buildSwap({ tokenIn, tokenOut, amountInWei, minOutputWei, from }) {
+        const { swapFunction } = this.swapService.DIRECTIONS[this.direction(tokenIn, tokenOut)];
+        const simpleDex = new ethers.Interface(this.swapService.simpleDexABI);
+        return {
+            spender: this.swapService.SIMPLE_DEX_ADDRESS,
+            to: this.swapService.SIMPLE_DEX_ADDRESS,
+            data: simpleDex.encodeFunctionData(swapFunction, [amountInWei, minOutputWei, from]),
+            value: 0n,
+            gasLimit: '300000' // Can't be estimated before the approval is mined
+        };
+    }
+}
+
+module.exports = SimpleDexVenue;
@@ -0,0 +1,371 @@
+const { ethers } = require('ethers');
+const { RelayError } = require('../transactionRelay');
+const { TokenRegistry } = require('../tokenRegistry');
+require('dotenv').config();
+
+/**
+ * Swap Router
+ * Best execution across swap venues. Every venue that can trade the pair (and
+ * is on the token's registered route) is quoted; each quote's gas (at the
+ * current gas price, valued with SWAP_NATIVE_PRICE_USDC) is taken off its
+ * output in the output token, and the venue with the highest net output wins.
+ * SWAP_ROUTING pins a venue instead of comparing.
+ */
+
+const BEST = 'best';
+const DEFAULT_NATIVE_PRICE_USDC = '0.5'; // POL
+const USDC_DECIMALS = 6;
+
+/**
+ * A trade that can't be quoted or routed (unknown venue, unroutable pair, no
+ * venue able to quote). A RelayError so status and code reach the client the
+ * same way, but reported as a routing failure rather than a relay rejection.
+ */
+class SwapRoutingError extends RelayError {
+    constructor(message, code, status = 400, details = null) {
+        super(message, code, status, details);
+        this.name = 'SwapRoutingError';
+    }
+}
+
+class SwapRouter {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.venues - Venues with a name, supports(), quote() and buildSwap()
+     * @param {Object} options.swapService - SwapService (provider and SimpleDEX quotes)
+     * @param {Object} [options.tokenRegistry] - TokenRegistry (defaults to WLD, USDC and POL)
+     * @param {string} [options.routing] - 'best' or a venue name used when a quote names none
+     * @param {string} [options.nativePriceUsdc] - Gas token price in USDC
+     */
+    constructor(options = {}) {
+        this.swapService = options.swapService;
+        this.provider = this.swapService.provider;
+        this.tokenRegistry = options.tokenRegistry || new TokenRegistry({ swapService: this.swapService });
+        this.venues = new Map(options.venues.map(venue => [venue.name, venue]));
+        this.routing = options.routing || process.env.SWAP_ROUTING || BEST;
+        this.nativePriceUsdc = options.nativePriceUsdc || process.env.SWAP_NATIVE_PRICE_USDC || DEFAULT_NATIVE_PRICE_USDC;
+
+        if (this.venues.size === 0) {
+            throw new Error('At least one swap venue is required');
+        }
+        if (this.routing !== BEST && !this.venues.has(this.routing)) {
+            throw new Error(`SWAP_ROUTING must be ${BEST} or one of: ${[...this.venues.keys()].join(', ')}`);
+        }
+    }
+
+    /**
+     * Get a venue by name
+     * @param {string} name - Venue name
+     * @returns {Object} Venue
+     * @throws {SwapRoutingError} SWAP_VENUE_UNKNOWN
+     */
+    getVenue(name) {
+        const venue = this.venues.get(name);
+        if (!venue) {
+            throw new SwapRoutingError(
+                `Unknown swap venue: ${name}. Available: ${[BEST, ...this.venues.keys()].join(', ')}`,
+                'SWAP_VENUE_UNKNOWN',
+                400
+            );
+        }
+        return venue;
+    }
+
+    /**
+     * Registry tokens for a trade, from a SimpleDEX direction or tokenIn/tokenOut
+     * @param {Object} params
+     * @param {string} [params.direction] - WLD_TO_USDC or USDC_TO_WLD
+     * @param {string} [params.tokenIn] - Input token symbol or address
+     * @param {string} [params.tokenOut] - Output token symbol or address
+     * @returns {Object} {tokenIn, tokenOut}
+     * @throws {RelayError} TOKEN_UNSUPPORTED
+     */
+    pair({ direction, tokenIn, tokenOut }) {
+        const symbols = direction ? this.swapService.DIRECTIONS[direction] : { tokenIn, tokenOut };
+        return {
+            tokenIn: this.tokenRegistry.resolve(symbols.tokenIn),
+            tokenOut: this.tokenRegistry.resolve(symbols.tokenOut)
+        };
+    }
+
+    /**
+     * Venues that may trade a pair: configured, on the token's route and able to quote it
+     * @param {Object} tokenIn - Input token
+     * @param {Object} tokenOut - Output token
+     * @param {string} venue - 'best' or a venue name
+     * @returns {Array<string>} Venue names
+     * @throws {SwapRoutingError} TOKEN_NOT_ROUTABLE or VENUE_PAIR_UNSUPPORTED
+     */
+    candidates(tokenIn, tokenOut, venue) {
+        // The route belongs to the token being swapped into or out of USDC
+        const routed = tokenIn.route.length ? tokenIn : tokenOut;
+        const usable = (name) => routed.route.includes(name) && this.venues.get(name).supports(tokenIn, tokenOut);
+
+        if (venue !== BEST) {
+            if (!usable(this.getVenue(venue).name)) {
+                throw new SwapRoutingError(
+                    `${venue} does not route ${tokenIn.symbol} → ${tokenOut.symbol} (route: ${routed.route.join(', ') || 'none'})`,
+                    'VENUE_PAIR_UNSUPPORTED',
+                    400
+                );
+            }
+            return [venue];
+        }
+
+        const names = [...this.venues.keys()].filter(usable);
+        if (names.length === 0) {
+            throw new SwapRoutingError(
+                `No configured venue routes ${tokenIn.symbol} → ${tokenOut.symbol}`,
+                'TOKEN_NOT_ROUTABLE',
+                422,
+                { route: routed.route, venues: [...this.venues.keys()] }
+            );
+        }
+        return names;
+    }
+
+    /**
+     * Current gas price, or null if the provider can't say
+     * @returns {Promise<bigint|null>} Gas price in wei
+     */
+    async getGasPrice() {
+        try {
+            const feeData = await this.provider.getFeeData();
+            return feeData.gasPrice ?? feeData.maxFeePerGas ?? null;
+        } catch (error) {
+            console.warn(`⚠️  Gas price unavailable, comparing venues on gross output: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Value a venue's gas in its output token
+     * @param {bigint} gasCostWei - Gas cost in the native token
+     * @param {Object} tokenIn - Input token
+     * @param {Object} tokenOut - Output token
+     * @param {bigint} amountInWei - Trade input
+     * @param {bigint} amountOutWei - Trade output
+     * @returns {bigint} Gas cost in output token wei
+     */
+    gasCostInOutput(gasCostWei, tokenIn, tokenOut, amountInWei, amountOutWei) {
+        const gasCostUsdc = gasCostWei * ethers.parseUnits(this.nativePriceUsdc, USDC_DECIMALS) / 10n ** 18n;
+        const settlement = this.tokenRegistry.getSettlementToken();
+        if (tokenOut.symbol === settlement.symbol) {
+            return gasCostUsdc;
+        }
+        if (tokenIn.symbol === settlement.symbol) {
+            // USDC in: convert at the trade's own rate
+            return amountInWei > 0n ? gasCostUsdc * amountOutWei / amountInWei : 0n;
+        }
+        return 0n; // No USDC leg to value it with; venues compete on gross output
+    }
+
+    /**
+     * Quote a trade on venues and rank them by output net of gas
+     * @param {Object} params
+     * @param {string} [params.direction] - SimpleDEX direction (or tokenIn/tokenOut)
+     * @param {string} [params.tokenIn] - Input token symbol or address
+     * @param {string} [params.tokenOut] - Output token symbol or address
+     * @param {bigint} params.amountInWei - Input in the input token's smallest unit
+     * @param {string} [params.venue] - 'best' (default) or a single venue to quote
+     * @returns {Promise<Object>} {best, venues, gasPriceGwei, nativePriceUsdc, ...}; venues that failed carry an error
+     * @throws {SwapRoutingError} NO_SWAP_VENUE if no venue could quote
+     */
+    async compare({ direction, tokenIn: tokenInKey, tokenOut: tokenOutKey, amountInWei, venue = BEST }) {
+        const { tokenIn, tokenOut } = this.pair({ direction, tokenIn: tokenInKey, tokenOut: tokenOutKey });
+        const venues = this.candidates(tokenIn, tokenOut, venue);
+        const amountIn = BigInt(amountInWei);
+
+        const [gasPrice, ...results] = await Promise.all([
+            this.getGasPrice(),
+            ...venues.map(name => this.venues.get(name).quote({ tokenIn, tokenOut, amountInWei: amountIn })
+                .then(value => ({ value }), error => ({ error })))
+        ]);
+
+        const quotes = results.map((result, index) => {
+            if (result.error) {
+                console.warn(`⚠️  Swap venue ${venues[index]} could not quote: ${result.error.message}`);
+                return { venue: venues[index], error: result.error.message };
+            }
+            const quote = result.value;
+            const gasCostWei = gasPrice ? quote.gasEstimate * gasPrice : 0n;
+            const gasCost = this.gasCostInOutput(gasCostWei, tokenIn, tokenOut, amountIn, quote.amountOutWei);
+            return {
+                venue: quote.venue,
+                amountOutWei: quote.amountOutWei,
+                netOutputWei: quote.amountOutWei - gasCost,
+                gasEstimate: quote.gasEstimate,
+                gasCostWei: gasCost,
+                blockNumber: quote.blockNumber
+            };
+        });
+
+        const ranked = quotes.filter(quote => !quote.error)
+            .sort((a, b) => (b.netOutputWei > a.netOutputWei ? 1 : b.netOutputWei < a.netOutputWei ? -1 : 0));
+        if (ranked.length === 0) {
+            throw new SwapRoutingError(
+                `No swap venue could quote ${ethers.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol} → ${tokenOut.symbol}`,
+                'NO_SWAP_VENUE',
+                503,
+                { venues: quotes }
+            );
+        }
+
+        return {
+            tokenIn: tokenIn.symbol,
+            tokenOut: tokenOut.symbol,
+            inputAmount: ethers.formatUnits(amountIn, tokenIn.decimals),
+            inputAmountWei: amountIn.toString(),
+            best: ranked[0].venue,
+            bestQuote: ranked[0],
+            gasPriceGwei: gasPrice ? ethers.formatUnits(gasPrice, 'gwei') : null,
+            nativePriceUsdc: this.nativePriceUsdc,
+            venues: quotes.map(quote => (quote.error ? quote : {
+                venue: quote.venue,
+                expectedOutput: ethers.formatUnits(quote.amountOutWei, tokenOut.decimals),
+                gasEstimate: quote.gasEstimate.toString(),
+                gasCost: ethers.formatUnits(quote.gasCostWei, tokenOut.decimals),
+                netOutput: ethers.formatUnits(quote.netOutputWei, tokenOut.decimals)
+            }))
+        };
+    }
+
+    /**
+     * Exact-input quote from the best venue (or the one asked for), in the
+     * SwapService quote shape plus venue and routing. SimpleDEX quotes come from
+     * SwapService so they keep pool reserves and price impact. Pairs SimpleDEX
+     * doesn't trade get a direction like POL_TO_USDC.
+     * @param {Object} params
+     * @param {string} [params.direction] - SimpleDEX direction (or tokenIn/tokenOut)
+     * @param {string} [params.tokenIn] - Input token symbol or address
+     * @param {string} [params.tokenOut] - Output token symbol or address
+     * @param {number|string} params.amount - Input, in units of the input token
+     * @param {number} params.slippage - Slippage tolerance in basis points
+     * @param {string} [params.venue] - 'best' or a venue name (default SWAP_ROUTING)
+     * @returns {Promise<Object>} Quote
+     * @throws {RelayError} If the amount doesn't fit the token's decimals or nothing can route it
+     */
+    async quote({ direction, tokenIn: tokenInKey, tokenOut: tokenOutKey, amount, slippage, venue = this.routing }) {
+        const { tokenIn, tokenOut } = this.pair({ direction, tokenIn: tokenInKey, tokenOut: tokenOutKey });
+        const amountInWei = this.tokenRegistry.parseAmount(tokenIn, amount);
+
+        const { bestQuote, ...summary } = await this.compare({
+            tokenIn: tokenIn.symbol,
+            tokenOut: tokenOut.symbol,
+            amountInWei,
+            venue
+        });
+        const routing = { mode: venue === BEST ? BEST : 'fixed', ...summary };
+        delete routing.inputAmountWei;
+        console.log(`🧭 Routing ${summary.inputAmount} ${tokenIn.symbol} → ${tokenOut.symbol} via ${summary.best}`);
+
+        if (summary.best === 'simpledex') {
+            const poolDirection = this.venues.get('simpledex').direction(tokenIn, tokenOut);
+            const quote = await this.swapService.getSwapQuote(amount, slippage, poolDirection);
+            return { ...quote, venue: summary.best, routing };
+        }
+
+        const minOutput = bestQuote.amountOutWei * (10000n - BigInt(slippage)) / 10000n;
+        return {
+            direction: direction || `${tokenIn.symbol}_TO_${tokenOut.symbol}`,
+            tokenIn: tokenIn.symbol,
+            tokenOut: tokenOut.symbol,
+            inputAmount: amount,
+            inputAmountWei: amountInWei.toString(),
+            expectedOutput: ethers.formatUnits(bestQuote.amountOutWei, tokenOut.decimals),
+            expectedOutputWei: bestQuote.amountOutWei.toString(),
+            minOutput: ethers.formatUnits(minOutput, tokenOut.decimals),
+            minOutputWei: minOutput.toString(),
+            exchangeRate: ethers.formatUnits(bestQuote.amountOutWei * 10n ** BigInt(tokenIn.decimals) / amountInWei, tokenOut.decimals),
+            priceImpact: null, // Not reported by aggregators
+            feeBasisPoints: 0, // Already in the aggregator's rate
+            slippage,
+            blockNumber: bestQuote.blockNumber ?? await this.provider.getBlockNumber(),
+            timestamp: Date.now(),
+            venue: summary.best,
+            routing
+        };
+    }
+
+    /**
+     * Output a quote's venue would give for its input right now
+     * @param {Object} quote - Quote (SimpleDEX when it names no venue)
+     * @returns {Promise<Object>} {amountOut, blockNumber}
+     */
+    async getCurrentOutput(quote) {
+        const venue = this.getVenue(quote.venue || 'simpledex');
+        const { tokenIn, tokenOut } = this.pair({ tokenIn: quote.tokenIn, tokenOut: quote.tokenOut });
+        const current = await venue.quote({ tokenIn, tokenOut, amountInWei: BigInt(quote.inputAmountWei) });
+        return {
+            amountOut: current.amountOutWei,
+            blockNumber: current.blockNumber ?? await this.provider.getBlockNumber()
+        };
+    }
+
+    /**
+     * Build the transactions a wallet signs to execute a venue quote: an approval
+     * of the venue's spender if the allowance is short (ERC-20 input only), then
+     * the swap
+     * @param {string} userAddress - Wallet that will sign and send the swap
+     * @param {Object} quote - Quote from quote()
+     * @returns {Promise<Array<Object>>} Ordered transactions to sign
+     */
+    async buildTransactions(userAddress, quote) {
+        const { tokenIn, tokenOut } = this.pair({ tokenIn: quote.tokenIn, tokenOut: quote.tokenOut });
+        const requiredAmount = BigInt(quote.inputAmountWei);
+
+        const swap = await this.getVenue(quote.venue).buildSwap({
+            tokenIn,
+            tokenOut,
+            amountInWei: requiredAmount,
+            minOutputWei: BigInt(quote.minOutputWei),
+            slippage: quote.slippage,
+            from: userAddress
+        });
+
+        const balance = await this.tokenRegistry.balanceOf(tokenIn, userAddress);
+        if (balance < requiredAmount) {
+            throw new Error(`Insufficient ${tokenIn.symbol} balance. Required: ${quote.inputAmount}, Available: ${ethers.formatUnits(balance, tokenIn.decimals)}`);
+        }
+
+        const transactions = [];
+        if (!tokenIn.native) {
+            const inputToken = new ethers.Contract(tokenIn.address, this.swapService.erc20ABI, this.provider);
+            const allowance = await inputToken.allowance(userAddress, swap.spender);
+            if (allowance < requiredAmount) {
+                transactions.push({
+                    label: 'approve',
+                    to: tokenIn.address,
+                    data: inputToken.interface.encodeFunctionData('approve', [swap.spender, requiredAmount])
+                });
+            }
+        }
+        transactions.push({
+            label: `swap (${quote.venue})`,
+            to: swap.to,
+            data: swap.data,
+            ...(swap.value > 0n ? { value: swap.value } : {}),
+            gasLimit: swap.gasLimit
+        });
+
+        return transactions;
+    }
+
+    /**
+     * Routing settings for health output
+     * @returns {Object} {routing, venues, nativePriceUsdc}
+     */
+    getStatus() {
+        return {
+            routing: this.routing,
+            venues: [...this.venues.keys()],
+            nativePriceUsdc: this.nativePriceUsdc
+        };
+    }
+}
+
+module.exports = {
+    SwapRouter,
+    SwapRoutingError,
+    BEST_EXECUTION: BEST
+};
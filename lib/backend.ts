@@ -0,0 +1,103 @@
+import { NextResponse } from "next/server"
+
+// Typed client for the Express backend (backend/server.js). Next API routes
+// proxy to it so the browser only ever talks to this app. Backend responses
+// are `{ success, data, error, errorCode, message }`; failures are thrown as
+// BackendError and turned back into JSON responses by backendErrorResponse.
+
+export const BACKEND_URL = (process.env.BACKEND_URL || "http://localhost:3001").replace(/\/+$/, "")
+
+const DEFAULT_TIMEOUT_MS = 10_000
+const BACKEND_TIMEOUT_MS = Number.parseInt(process.env.BACKEND_TIMEOUT_MS ?? "", 10) || DEFAULT_TIMEOUT_MS
+
+type BackendEnvelope<T> = {
+  success: boolean
+  data?: T
+  error?: string
+  errorCode?: string
+  message?: string
+}
+
+export class BackendError extends Error {
+  status: number
+  code: string
+  detail?: string
+
+  constructor(message: string, status: number, code: string, detail?: string) {
+    super(message)
+    this.name = "BackendError"
+    this.status = status
+    this.code = code
+    this.detail = detail
+  }
+}
+
+type BackendRequestOptions = {
+  method?: "GET" | "POST"
+  query?: Record<string, string | number | null | undefined>
+  body?: unknown
+  headers?: Record<string, string>
+  timeoutMs?: number
+}
+
+export async function backendRequest<T>(path: string, options: BackendRequestOptions = {}): Promise<T> {
+  const url = new URL(`${BACKEND_URL}${path}`)
+  for (const [key, value] of Object.entries(options.query ?? {})) {
+    if (value !== null && value !== undefined) url.searchParams.set(key, String(value))
+  }
+
+  const timeoutMs = options.timeoutMs ?? BACKEND_TIMEOUT_MS
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+
+  let response: Response
+  try {
+    response = await fetch(url, {
+      method: options.method ?? "GET",
+      headers: {
+        ...(options.body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...options.headers,
+      },
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+      cache: "no-store",
+      signal: controller.signal,
+    })
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new BackendError(`Backend did not respond within ${timeoutMs}ms`, 504, "BACKEND_TIMEOUT")
+    }
+    throw new BackendError("Backend is unreachable", 502, "BACKEND_UNAVAILABLE", (error as Error).message)
+  } finally {
+    clearTimeout(timer)
+  }
+
+  let envelope: BackendEnvelope<T>
+  try {
+    envelope = await response.json()
+  } catch {
+    throw new BackendError(`Backend returned a non-JSON response (HTTP ${response.status})`, 502, "BACKEND_BAD_RESPONSE")
+  }
+
+  if (!response.ok || !envelope.success) {
+    // Client errors (bad input, expired quote, ...) keep their status; backend faults become a bad gateway
+    const status = response.status >= 400 && response.status < 500 ? response.status : response.status === 503 ? 503 : 502
+    throw new BackendError(
+      envelope.error || `Backend request failed (HTTP ${response.status})`,
+      status,
+      envelope.errorCode || "BACKEND_ERROR",
+      envelope.message
+    )
+  }
+
+  return envelope.data as T
+}
+
+export function backendErrorResponse(error: unknown, fallback: string) {
+  if (error instanceof BackendError) {
+    return NextResponse.json(
+      { error: error.message, errorCode: error.code, message: error.detail },
+      { status: error.status }
+    )
+  }
+  return NextResponse.json({ error: fallback }, { status: 500 })
+}
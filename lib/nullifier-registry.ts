@@ -0,0 +1,110 @@
+import { getRecord, putRecord } from "./server-store"
+
+// Records every verified World ID nullifier per action so a proof of
+// personhood can't be replayed. "reject" allows one verification per human,
+// "flag" accepts repeats but marks them. A nullifier is stable per action, so
+// plant-tree defaults to "flag": returning humans verify again and the daily
+// limit lives in the quota (lib/quota.ts).
+
+export type NullifierPolicy = "reject" | "flag"
+
+export type NullifierEntry = {
+  action: string
+  nullifierHash: string
+  verificationLevel: string | null
+  firstVerifiedAt: string
+  lastVerifiedAt: string
+  verifications: number
+  flagged: boolean
+}
+
+export type NullifierRegistration = {
+  accepted: boolean
+  repeat: boolean
+  policy: NullifierPolicy
+  entry: NullifierEntry
+}
+
+const COLLECTION = "nullifiers"
+
+const POLICIES: NullifierPolicy[] = ["reject", "flag"]
+
+function isPolicy(policy?: string): policy is NullifierPolicy {
+  return POLICIES.includes(policy as NullifierPolicy)
+}
+
+// Throws on unknown policies, like backend/nullifierRegistry.js, so a typo can't fall back to the default
+function parsePolicies(spec?: string): Record<string, NullifierPolicy> {
+  const policies: Record<string, NullifierPolicy> = {}
+  for (const pair of (spec || "").split(",")) {
+    const [action, policy] = pair.split(":").map((part) => part?.trim())
+    if (!action) continue
+    if (!isPolicy(policy)) {
+      throw new Error(`Invalid nullifier policy for action '${action}': ${policy}`)
+    }
+    policies[action] = policy
+  }
+  return policies
+}
+
+// Actions whose limits are enforced elsewhere (plant-tree: daily quota)
+const DEFAULT_ACTION_POLICIES: Record<string, NullifierPolicy> = { "plant-tree": "flag" }
+
+const policies = { ...DEFAULT_ACTION_POLICIES, ...parsePolicies(process.env.WLD_NULLIFIER_POLICIES) }
+const defaultPolicy = process.env.WLD_NULLIFIER_DEFAULT_POLICY || "reject"
+if (!isPolicy(defaultPolicy)) {
+  throw new Error(`Invalid nullifier policy: ${defaultPolicy}`)
+}
+
+function keyFor(action: string, nullifierHash: string) {
+  return `${action}:${nullifierHash.toLowerCase()}`
+}
+
+export function getNullifierPolicy(action: string): NullifierPolicy {
+  return policies[action] || defaultPolicy
+}
+
+export function getNullifierEntry(action: string, nullifierHash: string) {
+  return getRecord<NullifierEntry>(COLLECTION, keyFor(action, nullifierHash))
+}
+
+// True when the nullifier may still verify this action under its policy
+export function canVerify(action: string, nullifierHash: string) {
+  return !getNullifierEntry(action, nullifierHash) || getNullifierPolicy(action) === "flag"
+}
+
+export function registerNullifier(
+  action: string,
+  nullifierHash: string,
+  verificationLevel?: string,
+): NullifierRegistration {
+  const now = new Date().toISOString()
+  const policy = getNullifierPolicy(action)
+  const existing = getNullifierEntry(action, nullifierHash)
+
+  if (!existing) {
+    const entry = putRecord<NullifierEntry>(COLLECTION, keyFor(action, nullifierHash), {
+      action,
+      nullifierHash: nullifierHash.toLowerCase(),
+      verificationLevel: verificationLevel ?? null,
+      firstVerifiedAt: now,
+      lastVerifiedAt: now,
+      verifications: 1,
+      flagged: false,
+    })
+    return { accepted: true, repeat: false, policy, entry }
+  }
+
+  if (policy === "reject") {
+    return { accepted: false, repeat: true, policy, entry: existing }
+  }
+
+  const entry = putRecord<NullifierEntry>(COLLECTION, keyFor(action, nullifierHash), {
+    ...existing,
+    verificationLevel: verificationLevel ?? existing.verificationLevel,
+    lastVerifiedAt: now,
+    verifications: existing.verifications + 1,
+    flagged: true,
+  })
+  return { accepted: true, repeat: true, policy, entry }
+}
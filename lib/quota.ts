@@ -0,0 +1,166 @@
+import { getRecord, putRecord } from "./server-store"
+
+// Daily action quotas per verified human, keyed by World ID nullifier.
+// Windows run from local midnight to local midnight in a time zone that is
+// pinned to the nullifier on first use, so switching zones can't open a new
+// window early.
+
+export type QuotaStatus = {
+  action: string
+  limit: number
+  used: number
+  remaining: number
+  windowStart: string
+  resetsAt: string
+  retryAfterSeconds: number
+  timeZone: string
+}
+
+export type QuotaResult = { allowed: boolean; quota: QuotaStatus }
+
+type QuotaEntry = {
+  action: string
+  nullifierHash: string
+  timeZone: string
+  windowDate: string
+  used: number
+}
+
+const COLLECTION = "quotas"
+const DEFAULT_ALLOWANCE = 1
+const DEFAULT_TIME_ZONE = process.env.QUOTA_TIME_ZONE || "UTC"
+
+function parseAllowances(spec?: string): Record<string, number> {
+  const allowances: Record<string, number> = {}
+  for (const pair of (spec || "").split(",")) {
+    const [action, limit] = pair.split(":").map((part) => part?.trim())
+    const parsed = Number.parseInt(limit ?? "", 10)
+    if (action && Number.isFinite(parsed) && parsed >= 0) {
+      allowances[action] = parsed
+    }
+  }
+  return allowances
+}
+
+const allowances = parseAllowances(process.env.QUOTA_ALLOWANCES)
+
+export function getAllowance(action: string) {
+  return allowances[action] ?? DEFAULT_ALLOWANCE
+}
+
+function isValidTimeZone(timeZone: string) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Wall-clock fields of an instant in the given zone
+function zonedParts(instant: number, timeZone: string) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(instant))
+  const get = (type: string) => Number(parts.find((part) => part.type === type)?.value)
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") }
+}
+
+// Offset of the zone from UTC at an instant, in milliseconds
+function zoneOffset(instant: number, timeZone: string) {
+  const p = zonedParts(instant, timeZone)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return asUtc - Math.floor(instant / 1000) * 1000
+}
+
+// UTC instant of local midnight for a calendar date in the zone
+function localMidnight(year: number, month: number, day: number, timeZone: string) {
+  const guess = Date.UTC(year, month - 1, day)
+  // Re-derive the offset at the candidate so DST transitions land on the right side
+  const first = guess - zoneOffset(guess, timeZone)
+  return guess - zoneOffset(first, timeZone)
+}
+
+function dailyWindow(now: number, timeZone: string) {
+  const { year, month, day } = zonedParts(now, timeZone)
+  const start = localMidnight(year, month, day, timeZone)
+  const end = localMidnight(year, month, day + 1, timeZone)
+  const windowDate = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
+  return { windowDate, start, end }
+}
+
+function keyFor(action: string, nullifierHash: string) {
+  return `${action}:${nullifierHash.toLowerCase()}`
+}
+
+function toStatus(action: string, entry: QuotaEntry, window: ReturnType<typeof dailyWindow>, now: number): QuotaStatus {
+  const limit = getAllowance(action)
+  const used = entry.windowDate === window.windowDate ? entry.used : 0
+  return {
+    action,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    windowStart: new Date(window.start).toISOString(),
+    resetsAt: new Date(window.end).toISOString(),
+    retryAfterSeconds: Math.max(0, Math.ceil((window.end - now) / 1000)),
+    timeZone: entry.timeZone,
+  }
+}
+
+function loadEntry(action: string, nullifierHash: string, timeZone?: string): QuotaEntry {
+  const existing = getRecord<QuotaEntry>(COLLECTION, keyFor(action, nullifierHash))
+  if (existing) return existing
+
+  return {
+    action,
+    nullifierHash: nullifierHash.toLowerCase(),
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE,
+    windowDate: "",
+    used: 0,
+  }
+}
+
+export function getQuota(action: string, nullifierHash: string, timeZone?: string): QuotaStatus {
+  const now = Date.now()
+  const entry = loadEntry(action, nullifierHash, timeZone)
+  return toStatus(action, entry, dailyWindow(now, entry.timeZone), now)
+}
+
+// Take one unit of today's allowance, or report when the next window opens
+export function consumeQuota(action: string, nullifierHash: string, timeZone?: string): QuotaResult {
+  const now = Date.now()
+  const entry = loadEntry(action, nullifierHash, timeZone)
+  const window = dailyWindow(now, entry.timeZone)
+  const status = toStatus(action, entry, window, now)
+
+  if (status.remaining <= 0) {
+    return { allowed: false, quota: status }
+  }
+
+  const updated = putRecord<QuotaEntry>(COLLECTION, keyFor(action, nullifierHash), {
+    ...entry,
+    windowDate: window.windowDate,
+    used: status.used + 1,
+  })
+  return { allowed: true, quota: toStatus(action, updated, window, now) }
+}
+
+// Give back a unit taken by consumeQuota when the action itself failed
+export function releaseQuota(action: string, nullifierHash: string) {
+  const key = keyFor(action, nullifierHash)
+  const entry = getRecord<QuotaEntry>(COLLECTION, key)
+  if (!entry || entry.used <= 0) return
+
+  const window = dailyWindow(Date.now(), entry.timeZone)
+  if (entry.windowDate !== window.windowDate) return
+
+  putRecord<QuotaEntry>(COLLECTION, key, { ...entry, used: entry.used - 1 })
+}
@@ -0,0 +1,45 @@
+import fs from "fs"
+import path from "path"
+
+// Small JSON-file key/value store for server actions. Each collection lives in
+// its own file under DATA_DIR and is cached in memory after the first read.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), ".data")
+
+const cache = new Map<string, Record<string, unknown>>()
+
+function filePath(collection: string) {
+  return path.join(DATA_DIR, `${collection}.json`)
+}
+
+function load<T>(collection: string): Record<string, T> {
+  const cached = cache.get(collection)
+  if (cached) return cached as Record<string, T>
+
+  let data: Record<string, T> = {}
+  try {
+    data = JSON.parse(fs.readFileSync(filePath(collection), "utf8"))
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error
+  }
+  cache.set(collection, data)
+  return data
+}
+
+function save(collection: string) {
+  const target = filePath(collection)
+  const tmp = `${target}.tmp`
+  fs.mkdirSync(DATA_DIR, { recursive: true })
+  fs.writeFileSync(tmp, JSON.stringify(cache.get(collection) ?? {}))
+  fs.renameSync(tmp, target)
+}
+
+export function getRecord<T>(collection: string, key: string): T | null {
+  return load<T>(collection)[key] ?? null
+}
+
+export function putRecord<T>(collection: string, key: string, value: T): T {
+  load<T>(collection)[key] = value
+  save(collection)
+  return value
+}
@@ -0,0 +1,84 @@
+// Simulated WLD → USDC swaps for demos without a backend or chain. Enabled with
+// SWAP_SIMULATION_MODE=true; every response is marked `simulated: true` and no
+// funds move. Rates, fees and hashes here are made up.
+
+export const SWAP_SIMULATION_MODE = process.env.SWAP_SIMULATION_MODE === "true"
+
+const SIMULATED_RATE = Number.parseFloat(process.env.SWAP_SIMULATION_RATE ?? "") || 2.5 // USDC per WLD
+const SIMULATED_FEE = 0.003 // 0.3% fee
+const SIMULATED_SLIPPAGE = 0.005 // 0.5% slippage
+const TREE_COST_USDC = 1 // $1 USDC plants 1 tree
+
+const randomId = (prefix: string) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+const randomHash = () => `0x${Array.from({ length: 64 }, () => Math.floor(Math.random() * 16).toString(16)).join("")}`
+
+export function simulateQuote(input: { amount?: number; trees?: number }) {
+  // Exact output: work back from the number of trees to the WLD needed, fee included
+  const wldAmount = input.trees
+    ? (input.trees * TREE_COST_USDC) / SIMULATED_RATE / (1 - SIMULATED_FEE)
+    : input.amount!
+  const usdcAmount = input.trees ? input.trees * TREE_COST_USDC : wldAmount * SIMULATED_RATE
+
+  return {
+    simulated: true,
+    quoteId: null,
+    from: "WLD",
+    to: "USDC",
+    fromAmount: wldAmount,
+    maxFromAmount: wldAmount * (1 + SIMULATED_SLIPPAGE),
+    toAmount: usdcAmount,
+    minToAmount: usdcAmount * (1 - SIMULATED_SLIPPAGE),
+    trees: input.trees ?? Math.floor(usdcAmount / TREE_COST_USDC),
+    rate: SIMULATED_RATE,
+    usdcAmount: usdcAmount.toFixed(2),
+    fee: SIMULATED_FEE,
+    feeAmount: (wldAmount * SIMULATED_FEE).toFixed(4),
+    slippage: SIMULATED_SLIPPAGE,
+    priceImpact: 0,
+    estimatedGas: "0.001", // ETH gas estimate
+    validUntil: new Date(Date.now() + 5 * 60 * 1000).toISOString(), // 5 minutes
+  }
+}
+
+export async function simulateExecution(wldAmount: number) {
+  const usdcAmount = wldAmount * SIMULATED_RATE
+
+  const swap = {
+    success: true,
+    transactionHash: randomHash(),
+    from: "WLD",
+    to: "USDC",
+    fromAmount: wldAmount,
+    toAmount: usdcAmount,
+    rate: SIMULATED_RATE,
+    fee: SIMULATED_FEE,
+    gasUsed: "0.001",
+    blockNumber: Math.floor(Math.random() * 1000000) + 18000000,
+    timestamp: new Date().toISOString(),
+  }
+
+  const donation = {
+    success: true,
+    donationId: randomId("DON"),
+    recipient: "Rainforest Foundation US",
+    amount: usdcAmount,
+    currency: "USDC",
+    treePlanted: true,
+    treeId: randomId("TREE"),
+    location: "Amazon Rainforest, Brazil",
+    species: "Mahogany",
+    plantedDate: new Date().toISOString(),
+    message: "Tree planted in your name through HumaniTree donation",
+  }
+
+  // Simulate processing delay
+  await new Promise((resolve) => setTimeout(resolve, 2000))
+
+  return {
+    success: true,
+    simulated: true,
+    swap,
+    donation,
+    message: "[Simulation] WLD converted to USDC and donated to Rainforest Foundation. No funds were moved.",
+  }
+}